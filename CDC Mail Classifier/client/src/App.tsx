@@ -1,20 +1,94 @@
-import { NavLink, Route, Routes } from 'react-router-dom';
-import { Inbox, LayoutDashboard, ListChecks, Mail } from 'lucide-react';
+import { Navigate, NavLink, Route, Routes } from 'react-router-dom';
+import {
+  BarChart3,
+  Bell,
+  Briefcase,
+  Clock,
+  FileCode2,
+  FlaskConical,
+  GraduationCap,
+  Inbox,
+  Layers,
+  LayoutDashboard,
+  ListChecks,
+  Loader2,
+  LogOut,
+  Mail,
+  Tags,
+  Users,
+  Wand2,
+} from 'lucide-react';
 import { clsx } from 'clsx';
+import { useAuth } from './lib/auth';
+import { useLiveConnected } from './lib/live';
+import type { UserRole } from './types';
 import DashboardPage from './pages/Dashboard';
 import EmailsPage from './pages/Emails';
 import EmailDetailPage from './pages/EmailDetail';
 import ReviewQueuePage from './pages/ReviewQueue';
 import InboxesPage from './pages/Inboxes';
+import QueuePage from './pages/Queue';
+import ThreadPage from './pages/Thread';
+import JobsPage from './pages/Jobs';
+import JobDetailPage from './pages/JobDetail';
+import ExamplesPage from './pages/Examples';
+import RulesPage from './pages/Rules';
+import UsersPage from './pages/Users';
+import NotificationsPage from './pages/Notifications';
+import ReportsPage from './pages/Reports';
+import TaxonomyPage from './pages/Taxonomy';
+import EvaluationsPage from './pages/Evaluations';
+import PromptsPage from './pages/Prompts';
+import OverduePage from './pages/Overdue';
+import LoginPage from './pages/Login';
+import LiveToasts from './components/LiveToasts';
 
-const navItems = [
+const ADMIN: UserRole[] = ['admin'];
+const REVIEWERS: UserRole[] = ['reviewer', 'admin'];
+
+/** `roles` hides the link and its route from everyone else; omitted = all signed-in users. */
+const navItems: { to: string; label: string; icon: typeof Mail; roles?: UserRole[] }[] = [
   { to: '/dashboard', label: 'Dashboard', icon: LayoutDashboard },
   { to: '/emails', label: 'Mail', icon: Mail },
-  { to: '/review-queue', label: 'Review', icon: ListChecks },
-  { to: '/inboxes', label: 'Inboxes', icon: Inbox },
+  { to: '/review-queue', label: 'Review', icon: ListChecks, roles: REVIEWERS },
+  { to: '/overdue', label: 'Overdue', icon: Clock },
+  { to: '/jobs', label: 'Jobs', icon: Briefcase },
+  { to: '/queue', label: 'Queue', icon: Layers, roles: ADMIN },
+  { to: '/rules', label: 'Rules', icon: Wand2, roles: ADMIN },
+  { to: '/taxonomy', label: 'Taxonomy', icon: Tags, roles: ADMIN },
+  { to: '/prompts', label: 'Prompts', icon: FileCode2, roles: ADMIN },
+  { to: '/evaluations', label: 'Evals', icon: FlaskConical, roles: ADMIN },
+  { to: '/examples', label: 'Examples', icon: GraduationCap, roles: ADMIN },
+  { to: '/notifications', label: 'Notify', icon: Bell, roles: ADMIN },
+  { to: '/reports', label: 'Reports', icon: BarChart3, roles: ADMIN },
+  { to: '/inboxes', label: 'Inboxes', icon: Inbox, roles: ADMIN },
+  { to: '/users', label: 'Users', icon: Users, roles: ADMIN },
 ];
 
 export default function App() {
+  const { user, authDisabled, loading, hasRole, signOut } = useAuth();
+  const live = useLiveConnected();
+
+  if (loading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center text-slate-500">
+        <Loader2 className="h-5 w-5 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <Routes>
+        <Route path="*" element={<LoginPage />} />
+      </Routes>
+    );
+  }
+
+  const allowed = (roles?: UserRole[]) => !roles || hasRole(...roles);
+  const guard = (element: JSX.Element, roles?: UserRole[]) =>
+    allowed(roles) ? element : <Navigate to="/dashboard" replace />;
+
   return (
     <div className="flex min-h-screen flex-col">
       <header className="sticky top-0 z-40 border-b border-slate-800 bg-slate-950/90 backdrop-blur">
@@ -30,7 +104,7 @@ export default function App() {
           </div>
 
           <nav className="flex items-center gap-1">
-            {navItems.map((item) => (
+            {navItems.filter((item) => allowed(item.roles)).map((item) => (
               <NavLink
                 key={item.to}
                 to={item.to}
@@ -48,6 +122,22 @@ export default function App() {
               </NavLink>
             ))}
           </nav>
+
+          <div className="flex items-center gap-3 text-sm">
+            <span
+              className={clsx('h-2 w-2 rounded-full', live ? 'bg-emerald-400' : 'bg-slate-600')}
+              title={live ? 'Live updates on' : 'Live updates reconnecting…'}
+            />
+            <div className="text-right">
+              <div className="text-slate-200">{user.name}</div>
+              <div className="text-xs text-slate-500">{user.role}</div>
+            </div>
+            {!authDisabled && (
+              <button type="button" className="btn-secondary px-3" onClick={signOut} title="Sign out">
+                <LogOut className="h-4 w-4" />
+              </button>
+            )}
+          </div>
         </div>
       </header>
 
@@ -57,10 +147,26 @@ export default function App() {
           <Route path="/dashboard" element={<DashboardPage />} />
           <Route path="/emails" element={<EmailsPage />} />
           <Route path="/email/:id" element={<EmailDetailPage />} />
-          <Route path="/review-queue" element={<ReviewQueuePage />} />
-          <Route path="/inboxes" element={<InboxesPage />} />
+          <Route path="/thread/:threadId" element={<ThreadPage />} />
+          <Route path="/review-queue" element={guard(<ReviewQueuePage />, REVIEWERS)} />
+          <Route path="/overdue" element={<OverduePage />} />
+          <Route path="/jobs" element={<JobsPage />} />
+          <Route path="/jobs/:jobNumber" element={<JobDetailPage />} />
+          <Route path="/queue" element={guard(<QueuePage />, ADMIN)} />
+          <Route path="/rules" element={guard(<RulesPage />, ADMIN)} />
+          <Route path="/examples" element={guard(<ExamplesPage />, ADMIN)} />
+          <Route path="/notifications" element={guard(<NotificationsPage />, ADMIN)} />
+          <Route path="/reports" element={guard(<ReportsPage />, ADMIN)} />
+          <Route path="/taxonomy" element={guard(<TaxonomyPage />, ADMIN)} />
+          <Route path="/prompts" element={guard(<PromptsPage />, ADMIN)} />
+          <Route path="/evaluations" element={guard(<EvaluationsPage />, ADMIN)} />
+          <Route path="/inboxes" element={guard(<InboxesPage />, ADMIN)} />
+          <Route path="/users" element={guard(<UsersPage />, ADMIN)} />
+          <Route path="/login" element={<Navigate to="/dashboard" replace />} />
         </Routes>
       </main>
+
+      <LiveToasts />
     </div>
   );
 }
@@ -0,0 +1,96 @@
+import { CheckCheck, Loader2, RefreshCw, UserCheck, X } from 'lucide-react';
+import { useAuth } from '@/lib/auth';
+import { useTaxonomy } from '@/lib/taxonomy';
+import type { AssignableUser, BulkUpdatePayload } from '@/types';
+
+/** Server limit for reclassify; other actions allow 100. */
+export const MAX_BULK_RECLASSIFY = 25;
+
+interface BulkActionBarProps {
+  count: number;
+  busy: boolean;
+  assignees: AssignableUser[];
+  onAction: (action: Omit<BulkUpdatePayload, 'ids'>) => void;
+  onClear: () => void;
+}
+
+export default function BulkActionBar({ count, busy, assignees, onAction, onClear }: BulkActionBarProps) {
+  const { user } = useAuth();
+  const { activeDepartments, activeMailTypes } = useTaxonomy();
+
+  return (
+    <div className="card sticky top-2 z-10 flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-medium text-slate-200">{count} selected</span>
+      {busy && <Loader2 className="h-4 w-4 animate-spin text-slate-400" />}
+
+      <select
+        className="input-field w-40"
+        value=""
+        disabled={busy}
+        onChange={(e) => e.target.value && onAction({ action: 'update', fields: { department: e.target.value } })}
+      >
+        <option value="">Set department…</option>
+        {activeDepartments.map((d) => (
+          <option key={d} value={d}>{d}</option>
+        ))}
+      </select>
+
+      <select
+        className="input-field w-48"
+        value=""
+        disabled={busy}
+        onChange={(e) => e.target.value && onAction({ action: 'update', fields: { mailType: e.target.value } })}
+      >
+        <option value="">Set mail type…</option>
+        {activeMailTypes.map((t) => (
+          <option key={t} value={t}>{t}</option>
+        ))}
+      </select>
+
+      <button type="button" className="btn-secondary" disabled={busy} onClick={() => onAction({ action: 'review' })}>
+        <CheckCheck className="h-4 w-4" /> Mark reviewed
+      </button>
+
+      <button
+        type="button"
+        className="btn-secondary"
+        disabled={busy || count > MAX_BULK_RECLASSIFY}
+        title={count > MAX_BULK_RECLASSIFY ? `Reclassify at most ${MAX_BULK_RECLASSIFY} at a time` : undefined}
+        onClick={() => onAction({ action: 'reclassify' })}
+      >
+        <RefreshCw className="h-4 w-4" /> Reclassify
+      </button>
+
+      <select
+        className="input-field w-44"
+        value=""
+        disabled={busy}
+        onChange={(e) => {
+          if (!e.target.value) return;
+          onAction({ action: 'assign', assignee: e.target.value === '-' ? null : e.target.value });
+        }}
+      >
+        <option value="">Assign to…</option>
+        {assignees.map((a) => (
+          <option key={a.email} value={a.email}>{a.name}</option>
+        ))}
+        <option value="-">Unassign</option>
+      </select>
+
+      {user && (
+        <button
+          type="button"
+          className="btn-secondary"
+          disabled={busy}
+          onClick={() => onAction({ action: 'assign', assignee: user.email })}
+        >
+          <UserCheck className="h-4 w-4" /> Assign to me
+        </button>
+      )}
+
+      <button type="button" className="btn-secondary ml-auto" onClick={onClear}>
+        <X className="h-4 w-4" /> Clear
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import type { CostResponse } from '@/types';
+import { formatUsd } from '@/lib/utils';
+
+interface CostChartProps {
+  report: CostResponse;
+}
+
+/** Daily LLM spend as stacked bars (embeddings below, then the cheap and strong tiers). */
+export default function CostChart({ report }: CostChartProps) {
+  const max = Math.max(...report.daily.map((d) => d.costUsd), report.budget.dailyUsd, 0.0001);
+  const { budget } = report;
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h2 className="text-sm font-medium text-slate-400">LLM cost · last {report.days} days</h2>
+        <div className="text-xs text-slate-500">
+          {formatUsd(report.totals.costUsd)} total ·{' '}
+          {(report.totals.promptTokens + report.totals.completionTokens).toLocaleString()} tokens ·{' '}
+          {report.totals.calls.toLocaleString()} calls
+        </div>
+      </div>
+
+      {budget.dailyUsd > 0 && (
+        <div className={budget.escalationPaused ? 'text-sm text-amber-400' : 'text-xs text-slate-500'}>
+          Today {formatUsd(budget.spentToday)} of {formatUsd(budget.dailyUsd)} budget
+          {budget.escalationPaused && ' — escalation to the strong model is paused'}
+        </div>
+      )}
+
+      <div className="relative flex h-32 items-end gap-px">
+        {budget.dailyUsd > 0 && (
+          <div
+            className="absolute inset-x-0 border-t border-dashed border-amber-700/60"
+            style={{ bottom: `${(budget.dailyUsd / max) * 100}%` }}
+          />
+        )}
+        {report.daily.map((day) => (
+          <div
+            key={day.date}
+            className="flex h-full flex-1 flex-col justify-end"
+            title={`${day.date}: ${formatUsd(day.costUsd)} (${day.calls} calls)`}
+          >
+            <div className="bg-brand-300" style={{ height: `${(day.strongUsd / max) * 100}%` }} />
+            <div className="bg-brand-600" style={{ height: `${(day.cheapUsd / max) * 100}%` }} />
+            <div className="bg-slate-500" style={{ height: `${(day.embeddingUsd / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-slate-600">
+        <span>{report.daily[0]?.date}</span>
+        <span className="flex gap-3">
+          <span><span className="mr-1 inline-block h-2 w-2 bg-slate-500" />embeddings</span>
+          <span><span className="mr-1 inline-block h-2 w-2 bg-brand-600" />cheap</span>
+          <span><span className="mr-1 inline-block h-2 w-2 bg-brand-300" />strong</span>
+        </span>
+        <span>{report.daily[report.daily.length - 1]?.date}</span>
+      </div>
+
+      {report.byInbox.length > 0 && (
+        <table className="min-w-full text-sm">
+          <thead className="text-left text-xs uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="py-2 pr-4">Inbox</th>
+              <th className="py-2 pr-4">Cost</th>
+              <th className="py-2 pr-4">Tokens</th>
+              <th className="py-2">Calls</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-800/80">
+            {report.byInbox.map((row) => (
+              <tr key={row.inbox || '(unknown)'}>
+                <td className="py-2 pr-4">{row.inbox || '—'}</td>
+                <td className="py-2 pr-4 tabular-nums">{formatUsd(row.costUsd)}</td>
+                <td className="py-2 pr-4 tabular-nums text-slate-400">
+                  {(row.promptTokens + row.completionTokens).toLocaleString()}
+                </td>
+                <td className="py-2 tabular-nums text-slate-400">{row.calls}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
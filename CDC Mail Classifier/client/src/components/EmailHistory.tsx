@@ -0,0 +1,123 @@
+import { useEffect, useState } from 'react';
+import { History } from 'lucide-react';
+import { fetchEmailHistory } from '@/lib/api';
+import type { EmailRevision } from '@/types';
+import { formatDate } from '@/lib/utils';
+
+interface EmailHistoryProps {
+  emailId: string;
+  /** Bump after a save or reclassify to reload. */
+  refreshKey: number;
+}
+
+const FIELD_LABELS: Record<string, string> = {
+  department: 'Department',
+  mailType: 'Mail type',
+  confidence: 'Confidence',
+  jobNumber: 'Job number',
+  clientName: 'Client',
+  isbn: 'ISBN',
+  title: 'Title',
+  quantity: 'Quantity',
+  dueDate: 'Due date',
+  summary: 'Summary',
+  actionRequired: 'Action required',
+  typeSpecific: 'Type-specific',
+  workflowStatus: 'Status',
+  assignee: 'Assignee',
+};
+
+function formatValue(value: unknown): string {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function describe(revision: EmailRevision): string {
+  if (revision.kind === 'edit') return `Edited by ${revision.user ?? 'unknown reviewer'}`;
+  if (revision.kind === 'workflow') return `Follow-up updated by ${revision.user ?? 'unknown reviewer'}`;
+  const who = revision.classifier?.startsWith('rule:') ? 'rule' : revision.classifier ?? 'classifier';
+  const how = revision.source === 'reclassify' ? `Reclassified${revision.user ? ` by ${revision.user}` : ''}` : 'Classified';
+  return `${how} · ${who}${revision.classifierTier ? ` (${revision.classifierTier})` : ''}`;
+}
+
+export default function EmailHistory({ emailId, refreshKey }: EmailHistoryProps) {
+  const [revisions, setRevisions] = useState<EmailRevision[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchEmailHistory(emailId)
+      .then((data) => {
+        if (!cancelled) {
+          setRevisions(data);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load history');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [emailId, refreshKey]);
+
+  return (
+    <div className="card space-y-4">
+      <h2 className="flex items-center gap-2 text-sm font-medium text-slate-400">
+        <History className="h-4 w-4" /> History
+      </h2>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {!error && revisions.length === 0 && (
+        <div className="text-sm text-slate-500">No revisions recorded for this email yet.</div>
+      )}
+
+      <ol className="space-y-4">
+        {[...revisions].reverse().map((revision) => (
+          <li key={revision._id} className="border-l-2 border-slate-800 pl-4">
+            <div className="flex flex-wrap items-baseline justify-between gap-2 text-sm">
+              <span className={revision.kind === 'classification' ? 'text-slate-200' : 'text-amber-300'}>
+                {describe(revision)}
+              </span>
+              <span className="text-xs text-slate-500">
+                {formatDate(revision.createdAt)}
+                {revision.promptVersion && ` · prompt ${revision.promptVersion}`}
+              </span>
+            </div>
+
+            {revision.changes.length > 0 ? (
+              <table className="mt-2 w-full text-xs">
+                <tbody className="divide-y divide-slate-800/80">
+                  {revision.changes.map((change) => (
+                    <tr key={change.field}>
+                      <td className="w-32 py-1 pr-3 align-top text-slate-500">
+                        {FIELD_LABELS[change.field] ?? change.field}
+                      </td>
+                      <td className="py-1 pr-3 align-top text-red-300/80 line-through">{formatValue(change.from)}</td>
+                      <td className="py-1 align-top text-emerald-300">{formatValue(change.to)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <div className="mt-1 text-xs text-slate-500">
+                {formatValue(revision.snapshot.department)} / {formatValue(revision.snapshot.mailType)}
+                {revision.snapshot.jobNumber ? ` · job ${formatValue(revision.snapshot.jobNumber)}` : ''}
+              </div>
+            )}
+
+            {revision.raw && (
+              <details className="mt-2 text-xs">
+                <summary className="cursor-pointer text-slate-500 hover:text-slate-300">Raw output</summary>
+                <pre className="mt-1 max-h-64 overflow-auto whitespace-pre-wrap rounded-lg bg-slate-950 p-3 font-mono text-slate-400">
+                  {revision.raw}
+                </pre>
+              </details>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
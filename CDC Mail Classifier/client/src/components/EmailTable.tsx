@@ -1,14 +1,67 @@
 import { Link } from 'react-router-dom';
-import type { EmailRecord } from '@/types';
+import type { EmailRecord, SearchSnippet } from '@/types';
 import StatusBadge from './StatusBadge';
-import { formatConfidence, formatDate, shortModelName } from '@/lib/utils';
+import MailTypeBadge from './MailTypeBadge';
+import { cn, formatConfidence, formatDate, shortModelName } from '@/lib/utils';
 
 interface EmailTableProps {
   emails: EmailRecord[];
   onRowClick?: (email: EmailRecord) => void;
+  /** Shows a checkbox column when set. */
+  selectedIds?: Set<string>;
+  onSelectionChange?: (ids: Set<string>) => void;
+  /** Row highlighted by keyboard navigation. */
+  activeId?: string;
 }
 
-export default function EmailTable({ emails, onRowClick }: EmailTableProps) {
+function SnippetText({ snippet }: { snippet: SearchSnippet }) {
+  const parts: JSX.Element[] = [];
+  let cursor = 0;
+  snippet.matches.forEach(([start, end], i) => {
+    if (start > cursor) parts.push(<span key={`t${i}`}>{snippet.text.slice(cursor, start)}</span>);
+    parts.push(
+      <mark key={`m${i}`} className="rounded bg-brand-600/40 px-0.5 text-slate-100">
+        {snippet.text.slice(start, end)}
+      </mark>,
+    );
+    cursor = end;
+  });
+  if (cursor < snippet.text.length) parts.push(<span key="rest">{snippet.text.slice(cursor)}</span>);
+
+  return (
+    <div className="mt-1 line-clamp-2 whitespace-normal text-xs text-slate-500">
+      {snippet.field === 'attachment' && (
+        <span className="mr-1 text-slate-400">{snippet.filename ?? 'Attachment'}:</span>
+      )}
+      {snippet.field === 'summary' && <span className="mr-1 text-slate-400">Summary:</span>}
+      {parts}
+    </div>
+  );
+}
+
+export default function EmailTable({
+  emails,
+  onRowClick,
+  selectedIds,
+  onSelectionChange,
+  activeId,
+}: EmailTableProps) {
+  const selectable = selectedIds !== undefined && onSelectionChange !== undefined;
+  const allSelected = selectable && emails.length > 0 && emails.every((e) => selectedIds.has(e._id));
+
+  function toggle(id: string) {
+    if (!selectable) return;
+    const next = new Set(selectedIds);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    onSelectionChange(next);
+  }
+
+  function toggleAll() {
+    if (!selectable) return;
+    onSelectionChange(allSelected ? new Set() : new Set(emails.map((e) => e._id)));
+  }
+
   if (emails.length === 0) {
     return (
       <div className="rounded-xl border border-slate-800 bg-slate-900/40 px-6 py-12 text-center text-sm text-slate-500">
@@ -22,6 +75,11 @@ export default function EmailTable({ emails, onRowClick }: EmailTableProps) {
       <table className="min-w-full divide-y divide-slate-800 text-sm">
         <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
           <tr>
+            {selectable && (
+              <th className="w-10 px-4 py-3">
+                <input type="checkbox" aria-label="Select all" checked={allSelected} onChange={toggleAll} />
+              </th>
+            )}
             <th className="px-4 py-3">Inbox</th>
             <th className="px-4 py-3">From</th>
             <th className="px-4 py-3">Subject</th>
@@ -37,27 +95,55 @@ export default function EmailTable({ emails, onRowClick }: EmailTableProps) {
           {emails.map((email) => (
             <tr
               key={email._id}
-              className="cursor-pointer transition hover:bg-slate-900/60"
+              data-email-id={email._id}
+              className={cn(
+                'cursor-pointer transition hover:bg-slate-900/60',
+                selectable && selectedIds.has(email._id) && 'bg-brand-900/30',
+                email._id === activeId && 'outline outline-1 -outline-offset-1 outline-brand-500',
+              )}
               onClick={() => onRowClick?.(email)}
             >
-              <td className="whitespace-nowrap px-4 py-3 text-slate-400">{email.inbox ?? '—'}</td>
+              {selectable && (
+                <td className="px-4 py-3" onClick={(e) => e.stopPropagation()}>
+                  <input
+                    type="checkbox"
+                    aria-label="Select email"
+                    checked={selectedIds.has(email._id)}
+                    onChange={() => toggle(email._id)}
+                  />
+                </td>
+              )}
+              <td className="whitespace-nowrap px-4 py-3 text-slate-400">
+                {email.inbox ?? '—'}
+                {email.alsoIn && email.alsoIn.length > 0 && (
+                  <span
+                    className="ml-1 rounded bg-slate-800 px-1.5 py-0.5 text-xs text-slate-300"
+                    title={`Also received in: ${email.alsoIn.join(', ')}`}
+                  >
+                    +{email.alsoIn.length}
+                  </span>
+                )}
+              </td>
               <td className="max-w-[10rem] truncate px-4 py-3">
                 <div className="truncate font-medium">{email.fromName || email.fromEmail}</div>
                 {email.fromName && (
                   <div className="truncate text-xs text-slate-500">{email.fromEmail}</div>
                 )}
               </td>
-              <td className="max-w-[16rem] truncate px-4 py-3">
+              <td className={email.snippet ? 'max-w-[24rem] px-4 py-3' : 'max-w-[16rem] truncate px-4 py-3'}>
                 <Link
                   to={`/email/${email._id}`}
-                  className="text-brand-300 hover:underline"
+                  className="block truncate text-brand-300 hover:underline"
                   onClick={(e) => e.stopPropagation()}
                 >
                   {email.subject || '(no subject)'}
                 </Link>
+                {email.snippet && <SnippetText snippet={email.snippet} />}
               </td>
               <td className="whitespace-nowrap px-4 py-3">{email.department || '—'}</td>
-              <td className="max-w-[10rem] truncate px-4 py-3 text-slate-300">{email.mailType || '—'}</td>
+              <td className="max-w-[12rem] px-4 py-3">
+                <MailTypeBadge mailType={email.mailType} />
+              </td>
               <td className="whitespace-nowrap px-4 py-3 tabular-nums">{formatConfidence(email.confidence)}</td>
               <td className="whitespace-nowrap px-4 py-3 text-slate-400">{shortModelName(email.classifier)}</td>
               <td className="whitespace-nowrap px-4 py-3">
@@ -0,0 +1,175 @@
+import { FormEvent, useState } from 'react';
+import { FileText, Play, X } from 'lucide-react';
+import { fetchPromptVersion } from '@/lib/api';
+import type { EvaluationPayload, EvaluationRunRecord, LlmProviderName, PromptVersionRecord } from '@/types';
+import { LLM_PROVIDERS } from '@/types';
+
+interface EvaluationFormProps {
+  /** Earlier runs whose gold set can be reused. */
+  runs: EvaluationRunRecord[];
+  /** Stored prompt versions to replay with; the live one is the default. */
+  versions: PromptVersionRecord[];
+  goldSetSize: number;
+  onSubmit: (payload: EvaluationPayload) => Promise<void>;
+  onCancel: () => void;
+}
+
+export function runLabel(run: EvaluationRunRecord): string {
+  const prompt = run.promptNumber && !run.customPrompt ? `v${run.promptNumber}` : run.promptVersion;
+  return run.name || `${run.tier} · ${prompt}`;
+}
+
+export default function EvaluationForm({ runs, versions, goldSetSize, onSubmit, onCancel }: EvaluationFormProps) {
+  const [draft, setDraft] = useState<EvaluationPayload>({ tier: 'cascade', limit: Math.min(100, goldSetSize || 100) });
+  const [customPrompt, setCustomPrompt] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [promptError, setPromptError] = useState<string | null>(null);
+
+  async function toggleCustomPrompt(enabled: boolean) {
+    setCustomPrompt(enabled);
+    if (!enabled || draft.systemPrompt) return;
+    const number = draft.promptNumber ?? versions.find((v) => v.live)?.version;
+    if (number === undefined) return;
+    try {
+      const { systemPrompt } = await fetchPromptVersion(number);
+      setDraft((d) => ({ ...d, systemPrompt: d.systemPrompt || systemPrompt }));
+    } catch (err) {
+      setPromptError(err instanceof Error ? err.message : 'Failed to load the saved prompt');
+    }
+  }
+
+  async function handleSubmit(e: FormEvent) {
+    e.preventDefault();
+    const cascade = draft.tier === 'cascade';
+    try {
+      setSaving(true);
+      await onSubmit({
+        ...draft,
+        name: draft.name?.trim() || undefined,
+        provider: cascade ? undefined : draft.provider,
+        model: cascade ? undefined : draft.model?.trim() || undefined,
+        systemPrompt: customPrompt ? draft.systemPrompt : undefined,
+        limit: draft.sameSetAs ? undefined : draft.limit,
+      });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const sameSet = runs.find((r) => r._id === draft.sameSetAs);
+
+  return (
+    <form onSubmit={handleSubmit} className="card space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-medium text-slate-400">New evaluation run</h2>
+        <button type="button" className="btn-secondary" onClick={onCancel}>
+          <X className="h-4 w-4" /> Cancel
+        </button>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-[1fr_12rem]">
+        <input
+          className="input-field"
+          placeholder="Name, e.g. Shorter correction rules"
+          value={draft.name ?? ''}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+        <select
+          className="input-field"
+          value={draft.tier}
+          onChange={(e) => setDraft({ ...draft, tier: e.target.value as EvaluationPayload['tier'] })}
+        >
+          <option value="cascade">Cheap, escalating to strong</option>
+          <option value="cheap">Cheap tier only</option>
+          <option value="strong">Strong tier only</option>
+        </select>
+      </div>
+
+      {draft.tier !== 'cascade' && (
+        <div className="grid gap-3 sm:grid-cols-[12rem_1fr]">
+          <select
+            className="input-field"
+            value={draft.provider ?? ''}
+            onChange={(e) => setDraft({ ...draft, provider: (e.target.value || undefined) as LlmProviderName | undefined })}
+          >
+            <option value="">Configured provider</option>
+            {LLM_PROVIDERS.map((provider) => (
+              <option key={provider} value={provider}>{provider}</option>
+            ))}
+          </select>
+          <input
+            className="input-field"
+            placeholder="Model, blank for the configured one"
+            value={draft.model ?? ''}
+            onChange={(e) => setDraft({ ...draft, model: e.target.value })}
+          />
+        </div>
+      )}
+
+      <select
+        className="input-field"
+        value={draft.promptNumber ?? ''}
+        onChange={(e) => setDraft({ ...draft, promptNumber: e.target.value ? Number(e.target.value) : undefined })}
+      >
+        <option value="">Live prompt version</option>
+        {versions.map((version) => (
+          <option key={version.version} value={version.version}>
+            v{version.version}
+            {version.live ? ' (live)' : version.shadow ? ' (shadow)' : ''}
+            {version.note ? ` — ${version.note}` : ''}
+          </option>
+        ))}
+      </select>
+
+      <div className="grid gap-3 sm:grid-cols-[1fr_10rem]">
+        <select
+          className="input-field"
+          value={draft.sameSetAs ?? ''}
+          onChange={(e) => setDraft({ ...draft, sameSetAs: e.target.value || undefined })}
+        >
+          <option value="">Newest reviewed emails ({goldSetSize} available)</option>
+          {runs.map((run) => (
+            <option key={run._id} value={run._id}>
+              Same {run.total} emails as "{runLabel(run)}"
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          className="input-field"
+          min={1}
+          max={500}
+          disabled={Boolean(sameSet)}
+          value={sameSet ? sameSet.total : (draft.limit ?? '')}
+          onChange={(e) => setDraft({ ...draft, limit: e.target.value ? Number(e.target.value) : undefined })}
+        />
+      </div>
+
+      <div className="space-y-2">
+        <label className="flex items-center gap-2 text-sm text-slate-400">
+          <input type="checkbox" checked={customPrompt} onChange={(e) => toggleCustomPrompt(e.target.checked)} />
+          <FileText className="h-4 w-4" /> Try an edited system prompt instead of the version's
+        </label>
+        {promptError && <div className="text-xs text-red-400">{promptError}</div>}
+        {customPrompt && (
+          <textarea
+            className="input-field min-h-[16rem] font-mono text-xs"
+            value={draft.systemPrompt ?? ''}
+            onChange={(e) => setDraft({ ...draft, systemPrompt: e.target.value })}
+          />
+        )}
+      </div>
+
+      <p className="text-xs text-slate-500">
+        Each email is classified again with its thread context, few-shot examples (except its own correction) and hint
+        rules. The calls count towards today&apos;s LLM budget.
+      </p>
+
+      <div className="flex justify-end">
+        <button type="submit" className="btn-primary" disabled={saving || goldSetSize === 0}>
+          <Play className="h-4 w-4" /> Start run
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,206 @@
+import { Link } from 'react-router-dom';
+import type { ClassMetrics, EvaluationMetrics, EvaluationRunRecord } from '@/types';
+import { formatUsd } from '@/lib/utils';
+import { runLabel } from '@/components/EvaluationForm';
+
+interface EvaluationReportProps {
+  run: EvaluationRunRecord;
+  /** Shown alongside with per-label differences. */
+  baseline?: EvaluationRunRecord;
+}
+
+const FIELD_LABELS: Record<string, string> = { jobNumber: 'Job number', isbn: 'ISBN', quantity: 'Quantity' };
+
+function pct(value: number | null | undefined): string {
+  return value === null || value === undefined ? '—' : `${Math.round(value * 1000) / 10}%`;
+}
+
+function Delta({ value, baseline }: { value: number | null | undefined; baseline: number | null | undefined }) {
+  if (value === null || value === undefined || baseline === null || baseline === undefined) return null;
+  const diff = Math.round((value - baseline) * 1000) / 10;
+  if (diff === 0) return <span className="ml-1 text-slate-600">±0</span>;
+  return (
+    <span className={diff > 0 ? 'ml-1 text-emerald-400' : 'ml-1 text-red-400'}>
+      {diff > 0 ? '+' : ''}
+      {diff}
+    </span>
+  );
+}
+
+function LabelTable({ title, metrics, baseline }: { title: string; metrics: ClassMetrics; baseline?: ClassMetrics }) {
+  return (
+    <div className="card space-y-2">
+      <h3 className="text-sm font-medium text-slate-400">
+        {title} · accuracy {pct(metrics.accuracy)}
+        {baseline && <Delta value={metrics.accuracy} baseline={baseline.accuracy} />}
+      </h3>
+      <table className="min-w-full text-xs">
+        <thead className="text-left text-slate-500">
+          <tr>
+            <th className="px-2 py-1 font-medium">Label</th>
+            <th className="px-2 py-1 font-medium">Precision</th>
+            <th className="px-2 py-1 font-medium">Recall</th>
+            <th className="px-2 py-1 font-medium">F1</th>
+            <th className="px-2 py-1 font-medium">Support</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-800/60 tabular-nums">
+          {metrics.labels.map((row) => {
+            const base = baseline?.labels.find((l) => l.label === row.label);
+            return (
+              <tr key={row.label}>
+                <td className="px-2 py-1 text-slate-300">{row.label || '(none)'}</td>
+                <td className="px-2 py-1">
+                  {pct(row.precision)}
+                  {base && <Delta value={row.precision} baseline={base.precision} />}
+                </td>
+                <td className="px-2 py-1">
+                  {pct(row.recall)}
+                  {base && <Delta value={row.recall} baseline={base.recall} />}
+                </td>
+                <td className="px-2 py-1">
+                  {pct(row.f1)}
+                  {base && <Delta value={row.f1} baseline={base.f1} />}
+                </td>
+                <td className="px-2 py-1">{row.support}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ConfusionMatrix({ title, metrics }: { title: string; metrics: ClassMetrics }) {
+  const { labels, counts } = metrics.confusion;
+  return (
+    <div className="card space-y-2 overflow-x-auto">
+      <h3 className="text-sm font-medium text-slate-400">{title} confusion — rows reviewed, columns predicted</h3>
+      <table className="text-xs tabular-nums">
+        <thead className="text-slate-500">
+          <tr>
+            <th />
+            {labels.map((label) => (
+              <th key={label} className="max-w-[7rem] px-2 py-1 text-right font-medium">{label || '(none)'}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {counts.map((row, i) => (
+            <tr key={labels[i]}>
+              <th className="px-2 py-1 text-left font-medium text-slate-400">{labels[i] || '(none)'}</th>
+              {row.map((count, j) => (
+                <td
+                  key={labels[j]}
+                  className={
+                    count === 0
+                      ? 'px-2 py-1 text-right text-slate-700'
+                      : i === j
+                        ? 'px-2 py-1 text-right text-emerald-300'
+                        : 'px-2 py-1 text-right text-red-300'
+                  }
+                >
+                  {count}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function Summary({ metrics, baseline }: { metrics: EvaluationMetrics; baseline?: EvaluationMetrics }) {
+  const perEmail = metrics.evaluated + metrics.failed > 0 ? metrics.usage.costUsd / (metrics.evaluated + metrics.failed) : 0;
+  const avgLatency = metrics.usage.calls > 0 ? Math.round(metrics.usage.latencyMs / metrics.usage.calls) : 0;
+  return (
+    <div className="grid gap-3 sm:grid-cols-4">
+      {metrics.fields.map((field) => (
+        <div key={field.field} className="card">
+          <div className="text-xs text-slate-500">{FIELD_LABELS[field.field]} extraction</div>
+          <div className="text-lg font-semibold tabular-nums">
+            {pct(field.accuracy)}
+            {baseline && (
+              <Delta value={field.accuracy} baseline={baseline.fields.find((f) => f.field === field.field)?.accuracy} />
+            )}
+          </div>
+          <div className="text-xs text-slate-500">
+            {field.correct} of {field.evaluated} with a value
+          </div>
+        </div>
+      ))}
+      <div className="card">
+        <div className="text-xs text-slate-500">Cost</div>
+        <div className="text-lg font-semibold tabular-nums">{formatUsd(metrics.usage.costUsd)}</div>
+        <div className="text-xs text-slate-500">
+          {formatUsd(perEmail)} per email · {metrics.usage.calls} calls · {avgLatency} ms avg
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function EvaluationReport({ run, baseline }: EvaluationReportProps) {
+  const metrics = run.metrics;
+  if (!metrics) {
+    return <div className="card text-sm text-slate-500">No figures yet — the run is still replaying emails.</div>;
+  }
+  const base = baseline?.metrics;
+  const mistakes = (run.results ?? []).filter(
+    (r) => r.error || r.expected.department !== r.predicted.department || r.expected.mailType !== r.predicted.mailType,
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-slate-400">
+        <span className="font-medium text-slate-200">{runLabel(run)}</span>
+        {baseline && <> compared with <span className="font-medium text-slate-200">{runLabel(baseline)}</span></>}
+        {' · '}
+        {metrics.evaluated} answered{metrics.failed > 0 && `, ${metrics.failed} failed`}
+      </div>
+
+      <Summary metrics={metrics} baseline={base} />
+
+      <div className="grid gap-4 xl:grid-cols-2">
+        <LabelTable title="Department" metrics={metrics.department} baseline={base?.department} />
+        <LabelTable title="Mail type" metrics={metrics.mailType} baseline={base?.mailType} />
+        <ConfusionMatrix title="Department" metrics={metrics.department} />
+        <ConfusionMatrix title="Mail type" metrics={metrics.mailType} />
+      </div>
+
+      {mistakes.length > 0 && (
+        <div className="card space-y-2">
+          <h3 className="text-sm font-medium text-slate-400">Misclassified ({mistakes.length})</h3>
+          <table className="min-w-full text-xs">
+            <thead className="text-left text-slate-500">
+              <tr>
+                <th className="px-2 py-1 font-medium">Subject</th>
+                <th className="px-2 py-1 font-medium">Reviewed</th>
+                <th className="px-2 py-1 font-medium">Predicted</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800/60">
+              {mistakes.map((r) => (
+                <tr key={r.emailId}>
+                  <td className="max-w-[24rem] truncate px-2 py-1">
+                    <Link to={`/email/${r.emailId}`} className="text-brand-300 hover:underline">
+                      {r.subject || '(no subject)'}
+                    </Link>
+                  </td>
+                  <td className="px-2 py-1 text-slate-400">
+                    {r.expected.department} / {r.expected.mailType}
+                  </td>
+                  <td className="px-2 py-1 text-red-300">
+                    {r.error ? `Failed: ${r.error}` : `${r.predicted.department || '—'} / ${r.predicted.mailType || '—'}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import type { EmailFilters } from '@/types';
-import { DEPARTMENTS, MAIL_TYPES } from '@/types';
+import { useTaxonomy } from '@/lib/taxonomy';
 
 interface FilterBarProps {
   filters: EmailFilters;
@@ -7,7 +7,16 @@ interface FilterBarProps {
   onChange: (filters: EmailFilters) => void;
 }
 
+const SEARCH_HELP = [
+  'Searches subject, body, summary and attachment text, best match first.',
+  '"quoted phrase" · -exclude · a bare job number matches that job',
+  'Filters: client: type: dept: from: job: inbox: subject: assignee:me',
+  'is:review|reviewed|overdue|new|assigned|in_progress|done · has:attachment · before:/after:YYYY-MM-DD',
+].join('\n');
+
 export default function FilterBar({ filters, inboxes, onChange }: FilterBarProps) {
+  const { departments, mailTypes } = useTaxonomy();
+
   return (
     <div className="flex flex-wrap items-end gap-3 rounded-xl border border-slate-800 bg-slate-900/50 p-4">
       <label className="flex flex-col gap-1 text-xs text-slate-400">
@@ -16,11 +25,26 @@ export default function FilterBar({ filters, inboxes, onChange }: FilterBarProps
           type="search"
           value={filters.search ?? ''}
           onChange={(e) => onChange({ ...filters, search: e.target.value, page: 1 })}
-          placeholder="Subject, sender, job…"
-          className="min-w-[12rem] rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600"
+          placeholder='e.g. "final proof" client:Oxford type:approval'
+          title={SEARCH_HELP}
+          className="min-w-[18rem] rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600"
         />
       </label>
 
+      {filters.search?.trim() && (
+        <label className="flex flex-col gap-1 text-xs text-slate-400">
+          Sort
+          <select
+            value={filters.sort ?? 'relevance'}
+            onChange={(e) => onChange({ ...filters, sort: e.target.value === 'date' ? 'date' : undefined, page: 1 })}
+            className="rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-sm"
+          >
+            <option value="relevance">Best match</option>
+            <option value="date">Newest</option>
+          </select>
+        </label>
+      )}
+
       <label className="flex flex-col gap-1 text-xs text-slate-400">
         Department
         <select
@@ -29,7 +53,7 @@ export default function FilterBar({ filters, inboxes, onChange }: FilterBarProps
           className="rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-sm"
         >
           <option value="">All</option>
-          {DEPARTMENTS.map((d) => (
+          {departments.map((d) => (
             <option key={d} value={d}>{d}</option>
           ))}
         </select>
@@ -43,7 +67,7 @@ export default function FilterBar({ filters, inboxes, onChange }: FilterBarProps
           className="rounded-lg border border-slate-700 bg-slate-950 px-3 py-2 text-sm"
         >
           <option value="">All</option>
-          {MAIL_TYPES.map((t) => (
+          {mailTypes.map((t) => (
             <option key={t} value={t}>{t}</option>
           ))}
         </select>
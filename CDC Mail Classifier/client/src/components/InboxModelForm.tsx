@@ -0,0 +1,103 @@
+import { FormEvent, useEffect, useState } from 'react';
+import { Cpu } from 'lucide-react';
+import { updateInbox } from '@/lib/api';
+import type { ClassifierTier, InboxRecord, LlmProviderName, TierOverride } from '@/types';
+import { LLM_PROVIDERS } from '@/types';
+
+interface InboxModelFormProps {
+  inboxes: InboxRecord[];
+  onSaved: (inbox: InboxRecord) => void;
+  onError: (message: string) => void;
+}
+
+const TIERS: { key: ClassifierTier; label: string }[] = [
+  { key: 'cheap', label: 'First pass' },
+  { key: 'strong', label: 'Escalation' },
+];
+
+/** Per-inbox provider/model override for each classifier tier. Blank = server default. */
+export default function InboxModelForm({ inboxes, onSaved, onError }: InboxModelFormProps) {
+  const [inboxId, setInboxId] = useState('');
+  const [tiers, setTiers] = useState<Record<ClassifierTier, TierOverride>>({ cheap: {}, strong: {} });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const inbox = inboxes.find((i) => i._id === inboxId);
+    setTiers({ cheap: { ...inbox?.llm?.cheap }, strong: { ...inbox?.llm?.strong } });
+  }, [inboxId, inboxes]);
+
+  function setTier(tier: ClassifierTier, patch: TierOverride) {
+    setTiers((t) => ({ ...t, [tier]: { ...t[tier], ...patch } }));
+  }
+
+  async function handleSubmit(e: FormEvent) {
+    e.preventDefault();
+    if (!inboxId) return;
+    try {
+      setSaving(true);
+      const llm = Object.fromEntries(
+        TIERS.map(({ key }) => {
+          const t = tiers[key];
+          return [key, t.provider || t.model ? { provider: t.provider, model: t.model?.trim() || undefined } : null];
+        }),
+      );
+      onSaved(await updateInbox(inboxId, { llm }));
+    } catch (err) {
+      onError(err instanceof Error ? err.message : 'Failed to save models');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="card flex flex-wrap items-end gap-3">
+      <label className="flex flex-col gap-1 text-xs text-slate-500">
+        Classifier models for
+        <select
+          className="input-field min-w-[12rem]"
+          required
+          value={inboxId}
+          onChange={(e) => setInboxId(e.target.value)}
+        >
+          <option value="">Select…</option>
+          {inboxes.map((inbox) => (
+            <option key={inbox._id} value={inbox._id}>{inbox.label ?? inbox.emailAddress}</option>
+          ))}
+        </select>
+      </label>
+
+      {TIERS.map(({ key, label }) => (
+        <div key={key} className="flex items-end gap-2">
+          <label className="flex flex-col gap-1 text-xs text-slate-500">
+            {label} provider
+            <select
+              className="input-field"
+              value={tiers[key].provider ?? ''}
+              disabled={!inboxId}
+              onChange={(e) => setTier(key, { provider: (e.target.value || undefined) as LlmProviderName | undefined })}
+            >
+              <option value="">Default</option>
+              {LLM_PROVIDERS.map((p) => (
+                <option key={p} value={p}>{p}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1 text-xs text-slate-500">
+            Model
+            <input
+              className="input-field min-w-[10rem]"
+              value={tiers[key].model ?? ''}
+              disabled={!inboxId}
+              placeholder="Default"
+              onChange={(e) => setTier(key, { model: e.target.value })}
+            />
+          </label>
+        </div>
+      ))}
+
+      <button type="submit" className="btn-secondary" disabled={!inboxId || saving}>
+        <Cpu className="h-4 w-4" /> Save models
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle, Mail, X } from 'lucide-react';
+import { useLiveEvents } from '@/lib/live';
+
+interface Toast {
+  key: string;
+  tone: 'mail' | 'error';
+  title: string;
+  text: string;
+  href?: string;
+}
+
+const MAX_TOASTS = 4;
+const TOAST_MS = 12_000;
+
+/** Pops up when high-priority mail arrives, and for admins when an inbox fails to sync. */
+export default function LiveToasts() {
+  const [toasts, setToasts] = useState<Toast[]>([]);
+
+  function dismiss(key: string) {
+    setToasts((current) => current.filter((t) => t.key !== key));
+  }
+
+  function show(toast: Toast) {
+    setToasts((current) => [toast, ...current.filter((t) => t.key !== toast.key)].slice(0, MAX_TOASTS));
+    setTimeout(() => dismiss(toast.key), TOAST_MS);
+  }
+
+  useLiveEvents((event) => {
+    if (event.type === 'email.classified' && event.source === 'worker' && event.email.highPriority) {
+      const { email } = event;
+      show({
+        key: `mail:${email._id}`,
+        tone: 'mail',
+        title: `${email.mailType}${email.department ? ` · ${email.department}` : ''}`,
+        text: `${email.fromName || email.fromEmail}: ${email.subject || '(no subject)'}`,
+        href: `/email/${email._id}`,
+      });
+    } else if (event.type === 'inbox.error') {
+      show({
+        key: `inbox:${event.inbox}`,
+        tone: 'error',
+        title: `${event.inbox} failed to sync`,
+        text: event.error,
+      });
+    }
+  });
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex w-80 flex-col gap-2">
+      {toasts.map((toast) => {
+        const Icon = toast.tone === 'error' ? AlertTriangle : Mail;
+        const body = (
+          <>
+            <div className="flex items-center gap-2 font-medium text-slate-100">
+              <Icon className={toast.tone === 'error' ? 'h-4 w-4 text-red-400' : 'h-4 w-4 text-amber-300'} />
+              <span className="truncate">{toast.title}</span>
+            </div>
+            <div className="mt-1 line-clamp-2 text-xs text-slate-400">{toast.text}</div>
+          </>
+        );
+        return (
+          <div key={toast.key} className="card relative pr-8 text-sm shadow-lg ring-1 ring-amber-700/40">
+            {toast.href ? (
+              <Link to={toast.href} onClick={() => dismiss(toast.key)} className="block hover:opacity-90">
+                {body}
+              </Link>
+            ) : (
+              body
+            )}
+            <button
+              type="button"
+              className="absolute right-2 top-2 text-slate-500 hover:text-slate-300"
+              aria-label="Dismiss"
+              onClick={() => dismiss(toast.key)}
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { cn } from '@/lib/utils';
+import { useTaxonomy } from '@/lib/taxonomy';
+import type { BadgeColor } from '@/types';
+
+const COLOR_CLASSES: Record<BadgeColor, string> = {
+  slate: 'bg-slate-800 text-slate-300 ring-slate-700',
+  sky: 'bg-sky-900/40 text-sky-300 ring-sky-700/50',
+  emerald: 'bg-emerald-900/40 text-emerald-300 ring-emerald-700/50',
+  amber: 'bg-amber-900/40 text-amber-300 ring-amber-700/50',
+  rose: 'bg-rose-900/40 text-rose-300 ring-rose-700/50',
+  violet: 'bg-violet-900/40 text-violet-300 ring-violet-700/50',
+};
+
+/** Mail type in the colour the taxonomy gives it; unknown types are grey. */
+export default function MailTypeBadge({ mailType }: { mailType?: string }) {
+  const { findMailType } = useTaxonomy();
+  if (!mailType) return <span className="text-slate-500">—</span>;
+
+  const color = findMailType(mailType)?.color ?? 'slate';
+  return (
+    <span className={cn('inline-flex max-w-full truncate rounded px-2 py-0.5 text-xs font-medium ring-1', COLOR_CLASSES[color])}>
+      {mailType}
+    </span>
+  );
+}
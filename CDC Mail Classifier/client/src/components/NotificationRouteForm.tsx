@@ -0,0 +1,141 @@
+import { FormEvent, useEffect, useState } from 'react';
+import { Save, X } from 'lucide-react';
+import type { NotificationRoutePayload, NotificationRouteRecord } from '@/types';
+import { NOTIFICATION_CHANNELS } from '@/types';
+import { useTaxonomy } from '@/lib/taxonomy';
+
+interface NotificationRouteFormProps {
+  /** Route being edited; null starts a new one. */
+  route: NotificationRouteRecord | null;
+  onSubmit: (payload: NotificationRoutePayload) => Promise<void>;
+  onCancel: () => void;
+}
+
+function toPayload(route: NotificationRouteRecord | null): NotificationRoutePayload {
+  return {
+    name: route?.name ?? '',
+    active: route?.active ?? true,
+    department: route?.department ?? '',
+    mailTypes: route?.mailTypes ? [...route.mailTypes] : [],
+    channel: route?.channel ?? 'email',
+    target: route?.target ?? '',
+    ignoreQuietHours: route?.ignoreQuietHours ?? false,
+  };
+}
+
+export default function NotificationRouteForm({ route, onSubmit, onCancel }: NotificationRouteFormProps) {
+  const { departments, activeMailTypes } = useTaxonomy();
+  const [draft, setDraft] = useState<NotificationRoutePayload>(() => toPayload(route));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(toPayload(route));
+  }, [route]);
+
+  function toggleMailType(mailType: string) {
+    setDraft((d) => ({
+      ...d,
+      mailTypes: d.mailTypes.includes(mailType)
+        ? d.mailTypes.filter((t) => t !== mailType)
+        : [...d.mailTypes, mailType],
+    }));
+  }
+
+  async function handleSubmit(e: FormEvent) {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await onSubmit(draft);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const channel = NOTIFICATION_CHANNELS.find((c) => c.value === draft.channel);
+
+  return (
+    <form onSubmit={handleSubmit} className="card space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-medium text-slate-400">
+          {route ? `Edit route "${route.name}"` : 'New notification route'}
+        </h2>
+        <button type="button" className="btn-secondary" onClick={onCancel}>
+          <X className="h-4 w-4" /> Cancel
+        </button>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-[1fr_12rem_8rem]">
+        <input
+          className="input-field"
+          placeholder="Route name, e.g. Corrections → Prepress lead"
+          required
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+        <select
+          className="input-field"
+          value={draft.department}
+          onChange={(e) => setDraft({ ...draft, department: e.target.value })}
+        >
+          <option value="">Any department</option>
+          {departments.map((d) => (
+            <option key={d} value={d}>{d}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-slate-400">
+          <input
+            type="checkbox"
+            checked={draft.active}
+            onChange={(e) => setDraft({ ...draft, active: e.target.checked })}
+          />
+          Active
+        </label>
+      </div>
+
+      <div className="space-y-2">
+        <div className="text-xs text-slate-500">Mail types (none selected = all)</div>
+        <div className="flex flex-wrap gap-2">
+          {[...new Set([...activeMailTypes, ...draft.mailTypes])].map((type) => (
+            <label key={type} className="flex items-center gap-2 text-sm text-slate-300">
+              <input type="checkbox" checked={draft.mailTypes.includes(type)} onChange={() => toggleMailType(type)} />
+              {type}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-[10rem_1fr]">
+        <select
+          className="input-field"
+          value={draft.channel}
+          onChange={(e) => setDraft({ ...draft, channel: e.target.value as NotificationRoutePayload['channel'] })}
+        >
+          {NOTIFICATION_CHANNELS.map((c) => (
+            <option key={c.value} value={c.value}>{c.label}</option>
+          ))}
+        </select>
+        <input
+          className="input-field"
+          placeholder={channel?.placeholder}
+          required
+          value={draft.target}
+          onChange={(e) => setDraft({ ...draft, target: e.target.value })}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <label className="flex items-center gap-2 text-sm text-slate-400">
+          <input
+            type="checkbox"
+            checked={draft.ignoreQuietHours}
+            onChange={(e) => setDraft({ ...draft, ignoreQuietHours: e.target.checked })}
+          />
+          Send during quiet hours
+        </label>
+        <button type="submit" className="btn-primary" disabled={saving}>
+          <Save className="h-4 w-4" /> {route ? 'Save route' : 'Create route'}
+        </button>
+      </div>
+    </form>
+  );
+}
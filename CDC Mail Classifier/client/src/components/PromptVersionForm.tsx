@@ -0,0 +1,113 @@
+import { FormEvent, useState } from 'react';
+import { Save, X } from 'lucide-react';
+import type { ClassifierTier, LlmProviderName, PromptVersionPayload, PromptVersionRecord, TierOverride } from '@/types';
+import { LLM_PROVIDERS } from '@/types';
+
+interface PromptVersionFormProps {
+  /** Prefills the prompt text and models; normally the live version. */
+  base?: PromptVersionRecord;
+  onSubmit: (payload: PromptVersionPayload) => Promise<void>;
+  onCancel: () => void;
+}
+
+const TIERS: { key: ClassifierTier; label: string }[] = [
+  { key: 'cheap', label: 'First pass' },
+  { key: 'strong', label: 'Escalation' },
+];
+
+export default function PromptVersionForm({ base, onSubmit, onCancel }: PromptVersionFormProps) {
+  const [systemPrompt, setSystemPrompt] = useState(base?.systemPrompt ?? '');
+  const [tiers, setTiers] = useState<Record<ClassifierTier, TierOverride>>({
+    cheap: { ...base?.tiers?.cheap },
+    strong: { ...base?.tiers?.strong },
+  });
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  function setTier(tier: ClassifierTier, patch: TierOverride) {
+    setTiers((t) => ({ ...t, [tier]: { ...t[tier], ...patch } }));
+  }
+
+  async function handleSubmit(e: FormEvent) {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await onSubmit({
+        systemPrompt,
+        tiers: Object.fromEntries(
+          TIERS.map(({ key }) => [key, { provider: tiers[key].provider, model: tiers[key].model?.trim() || undefined }]),
+        ),
+        note: note.trim() || undefined,
+      });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="card space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-medium text-slate-400">
+          New prompt version{base && ` (from v${base.version})`}
+        </h2>
+        <button type="button" className="btn-secondary" onClick={onCancel}>
+          <X className="h-4 w-4" /> Cancel
+        </button>
+      </div>
+
+      <input
+        className="input-field"
+        placeholder="What changed, e.g. Stricter rule for quote requests"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+      />
+
+      <div className="flex flex-wrap gap-3">
+        {TIERS.map(({ key, label }) => (
+          <div key={key} className="flex items-end gap-2">
+            <label className="flex flex-col gap-1 text-xs text-slate-500">
+              {label} provider
+              <select
+                className="input-field"
+                value={tiers[key].provider ?? ''}
+                onChange={(e) => setTier(key, { provider: (e.target.value || undefined) as LlmProviderName | undefined })}
+              >
+                <option value="">Default</option>
+                {LLM_PROVIDERS.map((p) => (
+                  <option key={p} value={p}>{p}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-xs text-slate-500">
+              Model
+              <input
+                className="input-field min-w-[10rem]"
+                value={tiers[key].model ?? ''}
+                placeholder="Default"
+                onChange={(e) => setTier(key, { model: e.target.value })}
+              />
+            </label>
+          </div>
+        ))}
+      </div>
+
+      <textarea
+        className="input-field min-h-[20rem] font-mono text-xs"
+        required
+        value={systemPrompt}
+        onChange={(e) => setSystemPrompt(e.target.value)}
+      />
+
+      <p className="text-xs text-slate-500">
+        Saving stores the version without using it. Run it in shadow to compare it with live mail first, or evaluate it
+        against reviewed mail on the Evals page. Per-inbox model overrides still win over the ones set here.
+      </p>
+
+      <div className="flex justify-end">
+        <button type="submit" className="btn-primary" disabled={saving || !systemPrompt.trim()}>
+          <Save className="h-4 w-4" /> Save version
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import { ChevronDown, ChevronRight, Loader2, ShieldCheck } from 'lucide-react';
+import { fetchRedactionPreview } from '@/lib/api';
+import type { RedactionCategory, RedactionPreview as RedactionPreviewData } from '@/types';
+
+interface RedactionPreviewProps {
+  emailId: string;
+}
+
+const CATEGORY_LABELS: Record<RedactionCategory, string> = {
+  phone: 'Phone',
+  bank: 'Bank details',
+  tax_id: 'GSTIN/PAN',
+  price: 'Price',
+  email: 'Email address',
+  name: 'Name',
+};
+
+/** What the classifier sends to the LLM for this email, loaded when opened. */
+export default function RedactionPreview({ emailId }: RedactionPreviewProps) {
+  const [open, setOpen] = useState(false);
+  const [data, setData] = useState<RedactionPreviewData | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  async function toggle() {
+    const next = !open;
+    setOpen(next);
+    if (!next || data) return;
+    try {
+      setLoading(true);
+      setData(await fetchRedactionPreview(emailId));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load redaction preview');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="card space-y-3">
+      <button type="button" className="flex items-center gap-2 text-sm font-medium text-slate-400" onClick={toggle}>
+        {open ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        <ShieldCheck className="h-4 w-4" /> What the LLM sees
+        {loading && <Loader2 className="h-4 w-4 animate-spin" />}
+      </button>
+
+      {open && error && <div className="text-sm text-red-400">{error}</div>}
+      {open && data && (
+        <>
+          <div className="text-xs text-slate-500">
+            {data.strict ? 'Strict privacy inbox' : 'Standard redaction'} · masking{' '}
+            {data.categories.length > 0 ? data.categories.map((c) => CATEGORY_LABELS[c]).join(', ') : 'nothing'}
+            {data.strict ? ' (all email addresses)' : data.categories.includes('email') ? ' (personal addresses)' : ''}
+          </div>
+
+          {data.redactions.length > 0 ? (
+            <table className="text-xs">
+              <tbody className="divide-y divide-slate-800/60">
+                {data.redactions.map((r) => (
+                  <tr key={r.placeholder}>
+                    <td className="py-1 pr-4 font-mono text-amber-300">{r.placeholder}</td>
+                    <td className="py-1 pr-4 text-slate-500">{CATEGORY_LABELS[r.category]}</td>
+                    <td className="py-1 text-slate-300">{r.original}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="text-xs text-slate-500">Nothing in this email is masked.</div>
+          )}
+
+          <pre className="max-h-96 overflow-auto whitespace-pre-wrap rounded-lg bg-slate-900/60 p-3 text-xs text-slate-300">
+            {data.prompt}
+          </pre>
+          <p className="text-xs text-slate-500">
+            Few-shot examples and hint rules are added to this at classification time. Placeholders the model copies
+            into extracted fields are replaced with the original values before saving.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import { FormEvent, useEffect, useState } from 'react';
+import { Save, X } from 'lucide-react';
+import type { ReportPayload, ReportRecord } from '@/types';
+import { useTaxonomy } from '@/lib/taxonomy';
+
+interface ReportFormProps {
+  /** Report being edited; null starts a new one. */
+  report: ReportRecord | null;
+  onSubmit: (payload: ReportPayload) => Promise<void>;
+  onCancel: () => void;
+}
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+function toPayload(report: ReportRecord | null): ReportPayload {
+  return {
+    name: report?.name ?? '',
+    active: report?.active ?? true,
+    kind: report?.kind ?? 'department',
+    department: report?.department ?? '',
+    recipients: report?.recipients ?? '',
+    hour: report?.hour ?? 8,
+    weekday: report?.weekday ?? 1,
+    attachXlsx: report?.attachXlsx ?? true,
+  };
+}
+
+export default function ReportForm({ report, onSubmit, onCancel }: ReportFormProps) {
+  const { departments } = useTaxonomy();
+  const [draft, setDraft] = useState<ReportPayload>(() => toPayload(report));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(toPayload(report));
+  }, [report]);
+
+  async function handleSubmit(e: FormEvent) {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await onSubmit(draft);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="card space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-medium text-slate-400">
+          {report ? `Edit report "${report.name}"` : 'New report'}
+        </h2>
+        <button type="button" className="btn-secondary" onClick={onCancel}>
+          <X className="h-4 w-4" /> Cancel
+        </button>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-[1fr_14rem_8rem]">
+        <input
+          className="input-field"
+          placeholder="Report name, e.g. Weekly corrections per client"
+          required
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+        <select
+          className="input-field"
+          value={draft.kind}
+          onChange={(e) => setDraft({ ...draft, kind: e.target.value as ReportPayload['kind'] })}
+        >
+          <option value="department">Daily, per department</option>
+          <option value="client">Weekly, per client</option>
+        </select>
+        <label className="flex items-center gap-2 text-sm text-slate-400">
+          <input
+            type="checkbox"
+            checked={draft.active}
+            onChange={(e) => setDraft({ ...draft, active: e.target.checked })}
+          />
+          Active
+        </label>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-[12rem_10rem_8rem]">
+        <select
+          className="input-field"
+          value={draft.department}
+          onChange={(e) => setDraft({ ...draft, department: e.target.value })}
+        >
+          <option value="">All departments</option>
+          {departments.map((d) => (
+            <option key={d} value={d}>{d}</option>
+          ))}
+        </select>
+        {draft.kind === 'client' && (
+          <select
+            className="input-field"
+            value={draft.weekday}
+            onChange={(e) => setDraft({ ...draft, weekday: Number(e.target.value) })}
+          >
+            {WEEKDAYS.map((day, i) => (
+              <option key={day} value={i}>{day}</option>
+            ))}
+          </select>
+        )}
+        <select
+          className="input-field"
+          value={draft.hour}
+          onChange={(e) => setDraft({ ...draft, hour: Number(e.target.value) })}
+        >
+          {Array.from({ length: 24 }, (_, h) => (
+            <option key={h} value={h}>{`${String(h).padStart(2, '0')}:00`}</option>
+          ))}
+        </select>
+      </div>
+
+      <input
+        className="input-field"
+        placeholder="Recipients, comma-separated: ops@example.com, md@example.com"
+        required
+        value={draft.recipients}
+        onChange={(e) => setDraft({ ...draft, recipients: e.target.value })}
+      />
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <label className="flex items-center gap-2 text-sm text-slate-400">
+          <input
+            type="checkbox"
+            checked={draft.attachXlsx}
+            onChange={(e) => setDraft({ ...draft, attachXlsx: e.target.checked })}
+          />
+          Attach as XLSX
+        </label>
+        <button type="submit" className="btn-primary" disabled={saving}>
+          <Save className="h-4 w-4" /> {report ? 'Save report' : 'Create report'}
+        </button>
+      </div>
+    </form>
+  );
+}
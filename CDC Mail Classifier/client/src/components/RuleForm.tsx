@@ -0,0 +1,261 @@
+import { FormEvent, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus, Save, Search, X } from 'lucide-react';
+import { previewRule } from '@/lib/api';
+import type { RuleCondition, RulePayload, RulePreviewResponse, RuleRecord } from '@/types';
+import { RULE_ACTIONS, RULE_FIELDS, RULE_OPERATORS } from '@/types';
+import { useTaxonomy } from '@/lib/taxonomy';
+import { formatDate } from '@/lib/utils';
+
+interface RuleFormProps {
+  /** Rule being edited; null starts a new one. */
+  rule: RuleRecord | null;
+  onSubmit: (payload: RulePayload) => Promise<void>;
+  onCancel: () => void;
+}
+
+const EMPTY_CONDITION: RuleCondition = { field: 'subject', operator: 'contains', value: '' };
+
+function toPayload(rule: RuleRecord | null): RulePayload {
+  return {
+    name: rule?.name ?? '',
+    description: rule?.description ?? '',
+    active: rule?.active ?? true,
+    priority: rule?.priority ?? 100,
+    match: rule?.match ?? 'all',
+    conditions: rule?.conditions.length ? rule.conditions.map((c) => ({ ...c })) : [{ ...EMPTY_CONDITION }],
+    action: rule?.action ?? 'classify',
+    department: rule?.department ?? '',
+    mailType: rule?.mailType ?? '',
+    hint: rule?.hint ?? '',
+  };
+}
+
+export default function RuleForm({ rule, onSubmit, onCancel }: RuleFormProps) {
+  const { activeDepartments, activeMailTypes } = useTaxonomy();
+  const [draft, setDraft] = useState<RulePayload>(() => toPayload(rule));
+  const [saving, setSaving] = useState(false);
+  const [preview, setPreview] = useState<RulePreviewResponse | null>(null);
+  const [previewError, setPreviewError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setDraft(toPayload(rule));
+    setPreview(null);
+    setPreviewError(null);
+  }, [rule]);
+
+  function setCondition(index: number, patch: Partial<RuleCondition>) {
+    setDraft((d) => ({
+      ...d,
+      conditions: d.conditions.map((c, i) => (i === index ? { ...c, ...patch } : c)),
+    }));
+  }
+
+  async function handlePreview() {
+    try {
+      setPreviewError(null);
+      setPreview(await previewRule({ match: draft.match, conditions: draft.conditions }));
+    } catch (err) {
+      setPreview(null);
+      setPreviewError(err instanceof Error ? err.message : 'Preview failed');
+    }
+  }
+
+  async function handleSubmit(e: FormEvent) {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await onSubmit(draft);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="card space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-medium text-slate-400">{rule ? `Edit rule "${rule.name}"` : 'New rule'}</h2>
+        <button type="button" className="btn-secondary" onClick={onCancel}>
+          <X className="h-4 w-4" /> Cancel
+        </button>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-[1fr_8rem_8rem]">
+        <input
+          className="input-field"
+          placeholder="Rule name"
+          required
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        />
+        <label className="flex items-center gap-2 text-xs text-slate-500">
+          Priority
+          <input
+            type="number"
+            className="input-field w-full"
+            value={draft.priority}
+            onChange={(e) => setDraft({ ...draft, priority: Number(e.target.value) })}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-slate-400">
+          <input
+            type="checkbox"
+            checked={draft.active}
+            onChange={(e) => setDraft({ ...draft, active: e.target.checked })}
+          />
+          Active
+        </label>
+      </div>
+
+      <input
+        className="input-field w-full"
+        placeholder="Description (optional)"
+        value={draft.description ?? ''}
+        onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+      />
+
+      <div className="space-y-2">
+        <div className="flex items-center gap-2 text-sm text-slate-400">
+          Match
+          <select
+            className="input-field"
+            value={draft.match}
+            onChange={(e) => setDraft({ ...draft, match: e.target.value as RulePayload['match'] })}
+          >
+            <option value="all">all conditions</option>
+            <option value="any">any condition</option>
+          </select>
+        </div>
+        {draft.conditions.map((condition, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2">
+            <select
+              className="input-field"
+              value={condition.field}
+              disabled={condition.operator === 'domain'}
+              onChange={(e) => setCondition(index, { field: e.target.value as RuleCondition['field'] })}
+            >
+              {RULE_FIELDS.map((f) => (
+                <option key={f} value={f}>{f}</option>
+              ))}
+            </select>
+            <select
+              className="input-field"
+              value={condition.operator}
+              onChange={(e) => {
+                const operator = e.target.value as RuleCondition['operator'];
+                setCondition(index, operator === 'domain' ? { operator, field: 'from' } : { operator });
+              }}
+            >
+              {RULE_OPERATORS.map((o) => (
+                <option key={o} value={o}>{o}</option>
+              ))}
+            </select>
+            <input
+              className="input-field min-w-[16rem] flex-1"
+              placeholder={condition.operator === 'domain' ? 'penguinrandomhouse.com' : 'Value'}
+              value={condition.value}
+              onChange={(e) => setCondition(index, { value: e.target.value })}
+            />
+            <button
+              type="button"
+              className="btn-secondary"
+              disabled={draft.conditions.length === 1}
+              onClick={() =>
+                setDraft((d) => ({ ...d, conditions: d.conditions.filter((_, i) => i !== index) }))
+              }
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => setDraft((d) => ({ ...d, conditions: [...d.conditions, { ...EMPTY_CONDITION }] }))}
+        >
+          <Plus className="h-4 w-4" /> Condition
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-slate-400">Then</span>
+        <select
+          className="input-field"
+          value={draft.action}
+          onChange={(e) => setDraft({ ...draft, action: e.target.value as RulePayload['action'] })}
+        >
+          {RULE_ACTIONS.map((a) => (
+            <option key={a} value={a}>{a}</option>
+          ))}
+        </select>
+        {draft.action === 'classify' && (
+          <>
+            <select
+              className="input-field"
+              value={draft.department ?? ''}
+              onChange={(e) => setDraft({ ...draft, department: e.target.value })}
+            >
+              <option value="">Department…</option>
+              {activeDepartments.map((d) => (
+                <option key={d} value={d}>{d}</option>
+              ))}
+            </select>
+            <select
+              className="input-field"
+              value={draft.mailType ?? ''}
+              onChange={(e) => setDraft({ ...draft, mailType: e.target.value })}
+            >
+              <option value="">Mail type…</option>
+              {activeMailTypes.map((t) => (
+                <option key={t} value={t}>{t}</option>
+              ))}
+            </select>
+          </>
+        )}
+        {draft.action === 'hint' && (
+          <input
+            className="input-field min-w-[20rem] flex-1"
+            placeholder="e.g. Mail from this sender is always packaging prepress"
+            value={draft.hint ?? ''}
+            onChange={(e) => setDraft({ ...draft, hint: e.target.value })}
+          />
+        )}
+        {draft.action === 'skip' && (
+          <span className="text-xs text-slate-500">Stored without classification and kept out of review.</span>
+        )}
+      </div>
+
+      <div className="flex gap-2">
+        <button type="submit" className="btn-primary" disabled={saving}>
+          <Save className="h-4 w-4" /> {saving ? 'Saving…' : 'Save rule'}
+        </button>
+        <button type="button" className="btn-secondary" onClick={handlePreview}>
+          <Search className="h-4 w-4" /> Test on recent mail
+        </button>
+      </div>
+
+      {previewError && <div className="text-sm text-red-400">{previewError}</div>}
+      {preview && (
+        <div className="space-y-2 text-sm">
+          <div className="text-slate-400">
+            Matches {preview.matched} of the last {preview.sampled} emails
+          </div>
+          <ul className="space-y-1">
+            {preview.matches.map((m) => (
+              <li key={m._id} className="flex gap-3 text-xs">
+                <span className="w-28 shrink-0 text-slate-500">{formatDate(m.sentDate ?? undefined)}</span>
+                <Link to={`/email/${m._id}`} className="truncate text-brand-300 hover:underline">
+                  {m.subject || '(no subject)'}
+                </Link>
+                <span className="shrink-0 text-slate-500">{m.fromEmail}</span>
+                <span className="shrink-0 text-slate-600">
+                  {m.department || '—'} / {m.mailType || '—'}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,66 @@
+import { Link } from 'react-router-dom';
+import { ArrowUpCircle, GitCompare } from 'lucide-react';
+import type { ShadowStats } from '@/types';
+import { formatDate, formatUsd } from '@/lib/utils';
+
+interface ShadowAgreementProps {
+  stats: ShadowStats;
+  onPromote: () => void;
+  promoting?: boolean;
+}
+
+function pct(part: number, whole: number): string {
+  return whole > 0 ? `${Math.round((part / whole) * 1000) / 10}%` : '—';
+}
+
+/** How often the shadow prompt version agrees with live, and who was right on reviewed mail. */
+export default function ShadowAgreement({ stats, onPromote, promoting }: ShadowAgreementProps) {
+  const answered = stats.total - stats.failed;
+
+  return (
+    <div className="card space-y-3">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h2 className="flex items-center gap-2 text-sm font-medium text-slate-400">
+            <GitCompare className="h-4 w-4" /> Shadow v{stats.version} against live v{stats.liveVersion}
+          </h2>
+          <div className="mt-1 text-xs text-slate-500">
+            {Math.round(stats.sampleRate * 100)}% of mail since {formatDate(stats.since)} · {stats.total} shadowed
+            {stats.failed > 0 && `, ${stats.failed} failed`} · {formatUsd(stats.costUsd)} ·{' '}
+            <Link to="/prompts" className="text-brand-300 hover:underline">Prompt versions</Link>
+          </div>
+        </div>
+        <button
+          type="button"
+          className="btn-primary"
+          onClick={onPromote}
+          disabled={promoting || answered === 0}
+          title="Make the shadow version live"
+        >
+          <ArrowUpCircle className="h-4 w-4" /> Promote v{stats.version}
+        </button>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-4">
+        <Figure label="Department agrees" value={pct(stats.agreeDepartment, answered)} />
+        <Figure label="Mail type agrees" value={pct(stats.agreeMailType, answered)} />
+        <Figure label="Both agree" value={pct(stats.agreeBoth, answered)} />
+        <Figure
+          label={`Right on ${stats.reviewed} reviewed`}
+          value={`${pct(stats.shadowCorrect, stats.reviewed)} vs ${pct(stats.liveCorrect, stats.reviewed)}`}
+          sub="shadow vs live"
+        />
+      </div>
+    </div>
+  );
+}
+
+function Figure({ label, value, sub }: { label: string; value: string; sub?: string }) {
+  return (
+    <div className="rounded-lg bg-slate-900/60 px-3 py-2">
+      <div className="text-xs text-slate-500">{label}</div>
+      <div className="text-lg font-semibold tabular-nums">{value}</div>
+      {sub && <div className="text-xs text-slate-500">{sub}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CheckCircle2, Loader2, Sparkles } from 'lucide-react';
+import { fetchSimilarEmails } from '@/lib/api';
+import type { SimilarEmailsResponse } from '@/types';
+import { formatConfidence, formatDate } from '@/lib/utils';
+
+interface SimilarEmailsProps {
+  emailId: string;
+}
+
+export default function SimilarEmails({ emailId }: SimilarEmailsProps) {
+  const [data, setData] = useState<SimilarEmailsResponse | null>(null);
+  const [sameSender, setSameSender] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchSimilarEmails(emailId, sameSender)
+      .then((result) => {
+        if (!cancelled) {
+          setData(result);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load similar emails');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [emailId, sameSender]);
+
+  if (data && !data.available) return null;
+
+  return (
+    <div className="card space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="flex items-center gap-2 text-sm font-medium text-slate-400">
+          <Sparkles className="h-4 w-4" /> Similar emails
+          {loading && <Loader2 className="h-4 w-4 animate-spin" />}
+        </h2>
+        <label className="flex items-center gap-2 text-xs text-slate-400">
+          <input type="checkbox" checked={sameSender} onChange={(e) => setSameSender(e.target.checked)} />
+          Same sender domain
+        </label>
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {!error && !loading && data?.results.length === 0 && (
+        <div className="text-sm text-slate-500">
+          {sameSender ? 'No similar mail from this sender yet.' : 'No similar mail yet.'}
+        </div>
+      )}
+
+      <ul className="divide-y divide-slate-800/80">
+        {data?.results.map((similar) => (
+          <li key={similar._id} className="flex items-start justify-between gap-4 py-2 text-sm">
+            <div className="min-w-0">
+              <Link to={`/email/${similar._id}`} className="block truncate text-brand-300 hover:underline">
+                {similar.subject || '(no subject)'}
+              </Link>
+              <div className="truncate text-xs text-slate-500">
+                {similar.fromName || similar.fromEmail} · {formatDate(similar.sentDate)}
+                {similar.jobNumber && ` · Job ${similar.jobNumber}`}
+              </div>
+              {similar.summary && <div className="truncate text-xs text-slate-400">{similar.summary}</div>}
+            </div>
+            <div className="shrink-0 text-right text-xs">
+              <div className="flex items-center justify-end gap-1 text-slate-300">
+                {similar.reviewed && <CheckCircle2 className="h-3.5 w-3.5 text-emerald-400" aria-label="Reviewed" />}
+                {[similar.department, similar.mailType].filter(Boolean).join(' · ') || 'Unclassified'}
+              </div>
+              <div className="tabular-nums text-slate-500">{formatConfidence(similar.score)} match</div>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
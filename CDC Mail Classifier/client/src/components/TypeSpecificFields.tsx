@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import type { TaxonomyField } from '@/types';
+
+interface TypeSpecificFieldsProps {
+  /** Schema of the selected mail type; empty falls back to JSON only. */
+  fields: TaxonomyField[];
+  value: Record<string, unknown>;
+  onChange: (value: Record<string, unknown>, valid: boolean) => void;
+}
+
+function label(key: string): string {
+  const words = key.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function listText(value: unknown): string {
+  return Array.isArray(value) ? value.join(', ') : typeof value === 'string' ? value : '';
+}
+
+/**
+ * One input per schema field, plus a JSON box for keys the schema does not
+ * name (e.g. mail classified under an older taxonomy). Remount with a new
+ * `key` when the underlying email or mail type changes.
+ */
+export default function TypeSpecificFields({ fields, value, onChange }: TypeSpecificFieldsProps) {
+  const known = new Set(fields.map((f) => f.key));
+  const others = Object.fromEntries(Object.entries(value).filter(([key]) => !known.has(key)));
+  const [otherJson, setOtherJson] = useState(() => JSON.stringify(others, null, 2));
+  const [jsonError, setJsonError] = useState(false);
+
+  function setField(key: string, fieldValue: unknown) {
+    onChange({ ...value, [key]: fieldValue }, !jsonError);
+  }
+
+  function setOthers(text: string) {
+    setOtherJson(text);
+    try {
+      const parsed = JSON.parse(text || '{}') as unknown;
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not an object');
+      const schemaValues = Object.fromEntries(Object.entries(value).filter(([key]) => known.has(key)));
+      setJsonError(false);
+      onChange({ ...(parsed as Record<string, unknown>), ...schemaValues }, true);
+    } catch {
+      setJsonError(true);
+      onChange(value, false);
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      {fields.length > 0 && (
+        <div className="grid gap-3 sm:grid-cols-2">
+          {fields.map((field) => (
+            <label key={field.key} className="block space-y-1 text-xs text-slate-500" title={field.description || undefined}>
+              {label(field.key)}
+              {field.type === 'boolean' ? (
+                <select
+                  className="input-field"
+                  value={value[field.key] === true ? 'yes' : value[field.key] === false ? 'no' : ''}
+                  onChange={(e) => setField(field.key, e.target.value === '' ? undefined : e.target.value === 'yes')}
+                >
+                  <option value="">—</option>
+                  <option value="yes">Yes</option>
+                  <option value="no">No</option>
+                </select>
+              ) : field.type === 'list' ? (
+                <input
+                  className="input-field"
+                  placeholder="Comma-separated"
+                  value={listText(value[field.key])}
+                  onChange={(e) => setField(field.key, e.target.value)}
+                  onBlur={(e) =>
+                    setField(
+                      field.key,
+                      e.target.value.split(',').map((item) => item.trim()).filter(Boolean),
+                    )
+                  }
+                />
+              ) : (
+                <input
+                  className="input-field"
+                  placeholder={field.description}
+                  value={value[field.key] === undefined || value[field.key] === null ? '' : String(value[field.key])}
+                  onChange={(e) => setField(field.key, e.target.value)}
+                />
+              )}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <label className="block space-y-1 text-xs text-slate-500">
+        {fields.length > 0 ? 'Other fields (JSON)' : 'Type-specific (JSON)'}
+        <textarea
+          className="input-field min-h-[5rem] font-mono text-xs"
+          value={otherJson}
+          onChange={(e) => setOthers(e.target.value)}
+        />
+        {jsonError && <span className="text-red-400">Must be a JSON object</span>}
+      </label>
+    </div>
+  );
+}
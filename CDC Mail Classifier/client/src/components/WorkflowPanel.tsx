@@ -0,0 +1,120 @@
+import { useEffect, useState } from 'react';
+import { Clock, Loader2, UserCheck } from 'lucide-react';
+import { clsx } from 'clsx';
+import { fetchAssignableUsers, updateEmailWorkflow } from '@/lib/api';
+import { useAuth } from '@/lib/auth';
+import type { AssignableUser, EmailRecord, WorkflowStatus, WorkflowUpdatePayload } from '@/types';
+import { WORKFLOW_STATUSES } from '@/types';
+import { formatDate, formatSlaDue, isOverdue } from '@/lib/utils';
+
+interface WorkflowPanelProps {
+  email: EmailRecord;
+  onUpdated: (email: EmailRecord) => void;
+}
+
+export default function WorkflowPanel({ email, onUpdated }: WorkflowPanelProps) {
+  const { user, hasRole } = useAuth();
+  const canEdit = hasRole('reviewer', 'admin');
+  const [colleagues, setColleagues] = useState<AssignableUser[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!canEdit) return;
+    fetchAssignableUsers(email.department)
+      .then(setColleagues)
+      .catch(() => setColleagues([]));
+  }, [canEdit, email.department]);
+
+  async function apply(payload: WorkflowUpdatePayload) {
+    try {
+      setSaving(true);
+      onUpdated(await updateEmailWorkflow(email._id, payload));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Update failed');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const status = email.workflowStatus ?? 'new';
+  const overdue = isOverdue(email);
+  const assigneeOptions = [...colleagues];
+  if (email.assignee && !assigneeOptions.some((c) => c.email === email.assignee)) {
+    assigneeOptions.push({ email: email.assignee, name: email.assignee, role: 'reviewer', departments: [] });
+  }
+
+  return (
+    <div className={clsx('card space-y-3', overdue && 'ring-1 ring-red-700/40')}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="flex items-center gap-2 text-sm font-medium text-slate-400">
+          <UserCheck className="h-4 w-4" /> Follow-up
+          {saving && <Loader2 className="h-4 w-4 animate-spin" />}
+        </h2>
+        {email.slaDueAt ? (
+          <span className={clsx('flex items-center gap-1 text-xs', overdue ? 'text-red-300' : 'text-slate-500')}>
+            <Clock className="h-3.5 w-3.5" />
+            {status === 'done'
+              ? `Done ${formatDate(email.doneAt)}${email.doneAt && new Date(email.doneAt) > new Date(email.slaDueAt) ? ' (late)' : ''}`
+              : `Due ${formatDate(email.slaDueAt)} · ${formatSlaDue(email.slaDueAt)}`}
+          </span>
+        ) : (
+          <span className="text-xs text-slate-500">No SLA for this mail type</span>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+
+      <div className="grid gap-3 sm:grid-cols-2">
+        <label className="block space-y-1 text-xs text-slate-500">
+          Status
+          <select
+            className="input-field"
+            value={status}
+            disabled={!canEdit || saving}
+            onChange={(e) => apply({ status: e.target.value as WorkflowStatus })}
+          >
+            {WORKFLOW_STATUSES.map((s) => (
+              <option key={s.value} value={s.value}>{s.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="block space-y-1 text-xs text-slate-500">
+          Assignee
+          <div className="flex gap-2">
+            <select
+              className="input-field"
+              value={email.assignee ?? ''}
+              disabled={!canEdit || saving}
+              onChange={(e) => apply({ assignee: e.target.value || null })}
+            >
+              <option value="">Unassigned</option>
+              {assigneeOptions.map((c) => (
+                <option key={c.email} value={c.email}>{c.name}</option>
+              ))}
+            </select>
+            {canEdit && user && email.assignee !== user.email && (
+              <button
+                type="button"
+                className="btn-secondary shrink-0"
+                disabled={saving}
+                onClick={() => apply({ assignee: user.email })}
+              >
+                Take it
+              </button>
+            )}
+          </div>
+        </label>
+      </div>
+
+      {email.assignee && email.assignedAt && (
+        <div className="text-xs text-slate-500">
+          Assigned {formatDate(email.assignedAt)}
+          {email.assignedBy && email.assignedBy !== email.assignee ? ` by ${email.assignedBy}` : ''}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,23 +1,71 @@
 import type {
+  AssignableUser,
+  BulkUpdatePayload,
+  BulkUpdateResponse,
+  ClassifierTier,
+  CorrectionPattern,
+  CostResponse,
+  DeliveryLogResponse,
+  DeliveryStatus,
+  DigestPreview,
   EmailFilters,
   EmailListResponse,
   EmailRecord,
+  EmailRevision,
   EmailUpdatePayload,
+  EvaluationListResponse,
+  EvaluationPayload,
+  EvaluationRunRecord,
+  ExampleRecord,
   InboxRecord,
+  JobSummary,
+  JobViewResponse,
+  NotificationRoutePayload,
+  NotificationRouteRecord,
+  PromptVersionPayload,
+  PromptVersionRecord,
+  QueueStatusResponse,
+  RedactionPreview,
+  ReportListResponse,
+  ReportPayload,
+  ReportRecord,
+  RulePayload,
+  RulePreviewResponse,
+  RuleRecord,
+  SessionResponse,
+  ShadowStats,
+  SimilarEmailsResponse,
   StatsResponse,
+  Taxonomy,
+  TaxonomyPromptResponse,
+  ThreadResponse,
+  TierOverride,
+  UserRecord,
+  WorkflowUpdatePayload,
 } from '@/types';
 
+/** Set by AuthProvider so any 401 drops the user back to the login page. */
+let onUnauthorized: (() => void) | null = null;
+
+export function setUnauthorizedHandler(handler: (() => void) | null): void {
+  onUnauthorized = handler;
+}
+
 async function request<T>(path: string, init?: RequestInit): Promise<T> {
   const res = await fetch(path, {
     headers: { 'Content-Type': 'application/json', ...init?.headers },
     ...init,
   });
 
+  if (res.status === 401) onUnauthorized?.();
+
   if (!res.ok) {
     const body = (await res.json().catch(() => ({}))) as { error?: string };
     throw new Error(body.error ?? `Request failed (${res.status})`);
   }
 
+  if (res.status === 204) return undefined as T;
+
   return res.json() as Promise<T>;
 }
 
@@ -28,8 +76,12 @@ function toQuery(filters: EmailFilters): string {
   if (filters.needsReview !== undefined) params.set('needsReview', String(filters.needsReview));
   if (filters.inbox) params.set('inbox', filters.inbox);
   if (filters.search) params.set('search', filters.search);
+  if (filters.sort) params.set('sort', filters.sort);
   if (filters.dateFrom) params.set('dateFrom', filters.dateFrom);
   if (filters.dateTo) params.set('dateTo', filters.dateTo);
+  if (filters.workflowStatus) params.set('workflowStatus', filters.workflowStatus);
+  if (filters.assignee) params.set('assignee', filters.assignee);
+  if (filters.overdue) params.set('overdue', 'true');
   if (filters.page) params.set('page', String(filters.page));
   if (filters.limit) params.set('limit', String(filters.limit));
   const qs = params.toString();
@@ -40,10 +92,34 @@ export function fetchEmails(filters: EmailFilters = {}): Promise<EmailListRespon
   return request<EmailListResponse>(`/api/emails${toQuery(filters)}`);
 }
 
+/** Download link for the rows matching `filters` (pagination is ignored). */
+export function getEmailExportUrl(filters: EmailFilters, format: 'csv' | 'xlsx'): string {
+  const params = new URLSearchParams(toQuery({ ...filters, page: undefined, limit: undefined }));
+  params.set('format', format);
+  return `/api/emails/export?${params.toString()}`;
+}
+
 export function fetchEmail(id: string): Promise<EmailRecord> {
   return request<EmailRecord>(`/api/emails/${id}`);
 }
 
+export function fetchEmailHistory(id: string): Promise<EmailRevision[]> {
+  return request<EmailRevision[]>(`/api/emails/${id}/history`);
+}
+
+export function fetchSimilarEmails(id: string, sameSender = false): Promise<SimilarEmailsResponse> {
+  const qs = sameSender ? '?sameSender=true' : '';
+  return request<SimilarEmailsResponse>(`/api/emails/${id}/similar${qs}`);
+}
+
+export function fetchRedactionPreview(id: string): Promise<RedactionPreview> {
+  return request<RedactionPreview>(`/api/emails/${id}/redaction`);
+}
+
+export function getAttachmentUrl(emailId: string, fileId: string): string {
+  return `/api/emails/${emailId}/attachments/${fileId}`;
+}
+
 export function updateEmail(id: string, payload: EmailUpdatePayload): Promise<EmailRecord> {
   return request<EmailRecord>(`/api/emails/${id}`, {
     method: 'PATCH',
@@ -51,14 +127,256 @@ export function updateEmail(id: string, payload: EmailUpdatePayload): Promise<Em
   });
 }
 
+/** Reclassify is capped at 25 emails per call, other actions at 100. */
+export function bulkUpdateEmails(payload: BulkUpdatePayload): Promise<BulkUpdateResponse> {
+  return request<BulkUpdateResponse>('/api/emails/bulk', {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateEmailWorkflow(id: string, payload: WorkflowUpdatePayload): Promise<EmailRecord> {
+  return request<EmailRecord>(`/api/emails/${id}/workflow`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function fetchAssignableUsers(department?: string): Promise<AssignableUser[]> {
+  const qs = department ? `?department=${encodeURIComponent(department)}` : '';
+  return request<AssignableUser[]>(`/api/users/assignable${qs}`);
+}
+
 export function reclassifyEmail(id: string): Promise<EmailRecord> {
   return request<EmailRecord>(`/api/reclassify/${id}`, { method: 'POST' });
 }
 
+export function fetchThread(threadId: string): Promise<ThreadResponse> {
+  return request<ThreadResponse>(`/api/threads/${encodeURIComponent(threadId)}`);
+}
+
+export function fetchJobs(search = ''): Promise<JobSummary[]> {
+  const qs = search ? `?${new URLSearchParams({ search }).toString()}` : '';
+  return request<JobSummary[]>(`/api/jobs${qs}`);
+}
+
+export function fetchJob(jobNumber: string): Promise<JobViewResponse> {
+  return request<JobViewResponse>(`/api/jobs/${encodeURIComponent(jobNumber)}`);
+}
+
 export function fetchStats(): Promise<StatsResponse> {
   return request<StatsResponse>('/api/stats');
 }
 
+export function fetchCostReport(days = 30): Promise<CostResponse> {
+  return request<CostResponse>(`/api/stats/cost?days=${days}`);
+}
+
+export function fetchQueueStatus(): Promise<QueueStatusResponse> {
+  return request<QueueStatusResponse>('/api/queue');
+}
+
+export function retryDeadLetter(id: string): Promise<{ retried: number }> {
+  return request<{ retried: number }>(`/api/queue/dead-letters/${id}/retry`, { method: 'POST' });
+}
+
+export function retryAllDeadLetters(): Promise<{ retried: number }> {
+  return request<{ retried: number }>('/api/queue/dead-letters/retry-all', { method: 'POST' });
+}
+
+export function fetchExamples(): Promise<ExampleRecord[]> {
+  return request<ExampleRecord[]>('/api/examples');
+}
+
+export function updateExample(
+  id: string,
+  payload: Partial<Pick<ExampleRecord, 'active' | 'notes' | 'department' | 'mailType'>>,
+): Promise<ExampleRecord> {
+  return request<ExampleRecord>(`/api/examples/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteExample(id: string): Promise<void> {
+  return request<void>(`/api/examples/${id}`, { method: 'DELETE' });
+}
+
+export function fetchCorrectionReport(): Promise<CorrectionPattern[]> {
+  return request<CorrectionPattern[]>('/api/examples/report');
+}
+
+export function fetchRules(): Promise<RuleRecord[]> {
+  return request<RuleRecord[]>('/api/rules');
+}
+
+export function createRule(payload: RulePayload): Promise<RuleRecord> {
+  return request<RuleRecord>('/api/rules', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateRule(id: string, payload: Partial<RulePayload>): Promise<RuleRecord> {
+  return request<RuleRecord>(`/api/rules/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteRule(id: string): Promise<void> {
+  return request<void>(`/api/rules/${id}`, { method: 'DELETE' });
+}
+
+export function previewRule(payload: Pick<RulePayload, 'match' | 'conditions'>): Promise<RulePreviewResponse> {
+  return request<RulePreviewResponse>('/api/rules/preview', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function fetchNotificationRoutes(): Promise<NotificationRouteRecord[]> {
+  return request<NotificationRouteRecord[]>('/api/notifications/routes');
+}
+
+export function createNotificationRoute(payload: NotificationRoutePayload): Promise<NotificationRouteRecord> {
+  return request<NotificationRouteRecord>('/api/notifications/routes', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateNotificationRoute(
+  id: string,
+  payload: Partial<NotificationRoutePayload>,
+): Promise<NotificationRouteRecord> {
+  return request<NotificationRouteRecord>(`/api/notifications/routes/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteNotificationRoute(id: string): Promise<void> {
+  return request<void>(`/api/notifications/routes/${id}`, { method: 'DELETE' });
+}
+
+export function testNotificationRoute(id: string): Promise<{ ok: boolean }> {
+  return request<{ ok: boolean }>(`/api/notifications/routes/${id}/test`, { method: 'POST' });
+}
+
+export function fetchDeliveries(status?: DeliveryStatus): Promise<DeliveryLogResponse> {
+  const params = new URLSearchParams();
+  if (status) params.set('status', status);
+  const qs = params.toString();
+  return request<DeliveryLogResponse>(`/api/notifications/deliveries${qs ? `?${qs}` : ''}`);
+}
+
+export function retryDelivery(id: string): Promise<{ retried: boolean }> {
+  return request<{ retried: boolean }>(`/api/notifications/deliveries/${id}/retry`, { method: 'POST' });
+}
+
+export function fetchReports(): Promise<ReportListResponse> {
+  return request<ReportListResponse>('/api/reports');
+}
+
+export function createReport(payload: ReportPayload): Promise<ReportRecord> {
+  return request<ReportRecord>('/api/reports', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function updateReport(id: string, payload: Partial<ReportPayload>): Promise<ReportRecord> {
+  return request<ReportRecord>(`/api/reports/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteReport(id: string): Promise<void> {
+  return request<void>(`/api/reports/${id}`, { method: 'DELETE' });
+}
+
+export function previewReport(id: string): Promise<DigestPreview> {
+  return request<DigestPreview>(`/api/reports/${id}/preview`);
+}
+
+export function sendReport(id: string): Promise<ReportRecord> {
+  return request<ReportRecord>(`/api/reports/${id}/send`, { method: 'POST' });
+}
+
+export function fetchEvaluations(): Promise<EvaluationListResponse> {
+  return request<EvaluationListResponse>('/api/evaluations');
+}
+
+export function fetchEvaluation(id: string): Promise<EvaluationRunRecord> {
+  return request<EvaluationRunRecord>(`/api/evaluations/${id}`);
+}
+
+export function startEvaluation(payload: EvaluationPayload): Promise<EvaluationRunRecord> {
+  return request<EvaluationRunRecord>('/api/evaluations', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function deleteEvaluation(id: string): Promise<void> {
+  return request<void>(`/api/evaluations/${id}`, { method: 'DELETE' });
+}
+
+export function fetchPromptVersions(): Promise<PromptVersionRecord[]> {
+  return request<PromptVersionRecord[]>('/api/prompts');
+}
+
+export function fetchPromptVersion(version: number): Promise<PromptVersionRecord> {
+  return request<PromptVersionRecord>(`/api/prompts/${version}`);
+}
+
+export function createPromptVersion(payload: PromptVersionPayload): Promise<PromptVersionRecord> {
+  return request<PromptVersionRecord>('/api/prompts', {
+    method: 'POST',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function makePromptVersionLive(version: number): Promise<PromptVersionRecord> {
+  return request<PromptVersionRecord>(`/api/prompts/${version}/live`, { method: 'POST' });
+}
+
+export function startShadow(version: number, sampleRate: number): Promise<PromptVersionRecord> {
+  return request<PromptVersionRecord>(`/api/prompts/${version}/shadow`, {
+    method: 'POST',
+    body: JSON.stringify({ sampleRate }),
+  });
+}
+
+export function stopShadow(): Promise<void> {
+  return request<void>('/api/prompts/shadow', { method: 'DELETE' });
+}
+
+export function fetchShadowStats(): Promise<ShadowStats | null> {
+  return request<ShadowStats | null>('/api/prompts/shadow');
+}
+
+export function promoteShadow(): Promise<PromptVersionRecord> {
+  return request<PromptVersionRecord>('/api/prompts/shadow/promote', { method: 'POST' });
+}
+
+export function fetchTaxonomy(): Promise<Taxonomy> {
+  return request<Taxonomy>('/api/taxonomy');
+}
+
+export function saveTaxonomy(taxonomy: Taxonomy): Promise<Taxonomy> {
+  return request<Taxonomy>('/api/taxonomy', {
+    method: 'PUT',
+    body: JSON.stringify(taxonomy),
+  });
+}
+
+export function fetchTaxonomyPrompt(): Promise<TaxonomyPromptResponse> {
+  return request<TaxonomyPromptResponse>('/api/taxonomy/prompt');
+}
+
 export function fetchInboxes(): Promise<InboxRecord[]> {
   return request<InboxRecord[]>('/api/inboxes');
 }
@@ -70,7 +388,59 @@ export function createInbox(label: string, emailAddress: string): Promise<InboxR
   });
 }
 
-export function getGoogleAuthUrl(label: string, emailAddress: string): string {
+export function updateInbox(
+  id: string,
+  payload: {
+    label?: string;
+    active?: boolean;
+    strictPrivacy?: boolean;
+    writeLabels?: boolean;
+    llm?: Partial<Record<ClassifierTier, TierOverride | null>>;
+  },
+): Promise<InboxRecord> {
+  return request<InboxRecord>(`/api/inboxes/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function backfillInbox(id: string, from: string, to?: string): Promise<{ started: boolean }> {
+  return request<{ started: boolean }>(`/api/inboxes/${id}/backfill`, {
+    method: 'POST',
+    body: JSON.stringify({ from, to: to || undefined }),
+  });
+}
+
+export function retryInboxLabels(id: string): Promise<{ queued: number }> {
+  return request<{ queued: number }>(`/api/inboxes/${id}/labels/retry`, { method: 'POST' });
+}
+
+export function fetchSession(): Promise<SessionResponse> {
+  return request<SessionResponse>('/api/auth/me');
+}
+
+export function logout(): Promise<void> {
+  return request<void>('/api/auth/logout', { method: 'POST' });
+}
+
+export const LOGIN_URL = '/api/auth/login';
+
+export function fetchUsers(): Promise<UserRecord[]> {
+  return request<UserRecord[]>('/api/users');
+}
+
+export function updateUser(
+  id: string,
+  payload: Partial<Pick<UserRecord, 'role' | 'departments' | 'active'>>,
+): Promise<UserRecord> {
+  return request<UserRecord>(`/api/users/${id}`, {
+    method: 'PATCH',
+    body: JSON.stringify(payload),
+  });
+}
+
+export function getGoogleAuthUrl(label: string, emailAddress: string, writeLabels = false): string {
   const params = new URLSearchParams({ label, emailAddress });
+  if (writeLabels) params.set('writeLabels', 'true');
   return `/api/auth/google?${params.toString()}`;
 }
@@ -0,0 +1,53 @@
+import { createContext, useCallback, useContext, useEffect, useState, type ReactNode } from 'react';
+import { fetchSession, logout, setUnauthorizedHandler } from '@/lib/api';
+import type { AuthUser, UserRole } from '@/types';
+
+interface AuthContextValue {
+  user: AuthUser | null;
+  authDisabled: boolean;
+  loading: boolean;
+  hasRole: (...roles: UserRole[]) => boolean;
+  signOut: () => Promise<void>;
+}
+
+const AuthContext = createContext<AuthContextValue | null>(null);
+
+export function AuthProvider({ children }: { children: ReactNode }) {
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [authDisabled, setAuthDisabled] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    // An expired session anywhere in the app returns the user to the login page.
+    setUnauthorizedHandler(() => setUser(null));
+
+    fetchSession()
+      .then((session) => {
+        setUser(session.user);
+        setAuthDisabled(session.authDisabled);
+      })
+      .catch(() => setUser(null))
+      .finally(() => setLoading(false));
+
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  const hasRole = useCallback((...roles: UserRole[]) => !!user && roles.includes(user.role), [user]);
+
+  const signOut = useCallback(async () => {
+    await logout();
+    setUser(null);
+  }, []);
+
+  return (
+    <AuthContext.Provider value={{ user, authDisabled, loading, hasRole, signOut }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export function useAuth(): AuthContextValue {
+  const context = useContext(AuthContext);
+  if (!context) throw new Error('useAuth must be used inside AuthProvider');
+  return context;
+}
@@ -0,0 +1,103 @@
+import { createContext, useCallback, useContext, useEffect, useRef, useState, type ReactNode } from 'react';
+import { useAuth } from '@/lib/auth';
+import type { LiveEvent } from '@/types';
+
+type Listener = (event: LiveEvent) => void;
+
+/** Server event names; `live.reconnected` is raised here, not by the server. */
+const SERVER_EVENTS: LiveEvent['type'][] = [
+  'email.classified',
+  'email.escalated',
+  'email.reviewed',
+  'poll.finished',
+  'inbox.error',
+];
+
+/** After a rejected stream (e.g. 401) the browser stops retrying on its own. */
+const RECONNECT_DELAY_MS = 15_000;
+
+interface LiveContextValue {
+  connected: boolean;
+  subscribe: (listener: Listener) => () => void;
+}
+
+const LiveContext = createContext<LiveContextValue | null>(null);
+
+/** One `/api/events` stream per signed-in tab, shared by every page. */
+export function LiveEventsProvider({ children }: { children: ReactNode }) {
+  const { user } = useAuth();
+  const [connected, setConnected] = useState(false);
+  const listeners = useRef(new Set<Listener>());
+
+  useEffect(() => {
+    if (!user) return;
+
+    let source: EventSource | null = null;
+    let retryTimer: ReturnType<typeof setTimeout> | undefined;
+    let opened = false;
+    let closed = false;
+
+    const dispatch = (event: LiveEvent) => {
+      for (const listener of listeners.current) listener(event);
+    };
+
+    function connect() {
+      source = new EventSource('/api/events', { withCredentials: true });
+      source.onopen = () => {
+        setConnected(true);
+        if (opened) dispatch({ type: 'live.reconnected' });
+        opened = true;
+      };
+      source.onerror = () => {
+        setConnected(false);
+        if (source?.readyState === EventSource.CLOSED && !closed) {
+          retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      };
+      for (const type of SERVER_EVENTS) {
+        source.addEventListener(type, (message) => {
+          try {
+            dispatch(JSON.parse((message as MessageEvent<string>).data) as LiveEvent);
+          } catch (err) {
+            console.error(`[Live] Bad ${type} event`, err);
+          }
+        });
+      }
+    }
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source?.close();
+      setConnected(false);
+    };
+  }, [user]);
+
+  const subscribe = useCallback((listener: Listener) => {
+    listeners.current.add(listener);
+    return () => {
+      listeners.current.delete(listener);
+    };
+  }, []);
+
+  return <LiveContext.Provider value={{ connected, subscribe }}>{children}</LiveContext.Provider>;
+}
+
+export function useLiveConnected(): boolean {
+  const context = useContext(LiveContext);
+  if (!context) throw new Error('useLiveConnected must be used inside LiveEventsProvider');
+  return context.connected;
+}
+
+/** Calls the latest `handler` for every live event while the component is mounted. */
+export function useLiveEvents(handler: Listener): void {
+  const context = useContext(LiveContext);
+  if (!context) throw new Error('useLiveEvents must be used inside LiveEventsProvider');
+
+  const latest = useRef(handler);
+  latest.current = handler;
+
+  const { subscribe } = context;
+  useEffect(() => subscribe((event) => latest.current(event)), [subscribe]);
+}
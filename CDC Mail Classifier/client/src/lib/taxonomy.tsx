@@ -0,0 +1,60 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState, type ReactNode } from 'react';
+import { useAuth } from '@/lib/auth';
+import { fetchTaxonomy } from '@/lib/api';
+import type { Taxonomy, TaxonomyMailType } from '@/types';
+
+interface TaxonomyContextValue {
+  /** Null until loaded. */
+  taxonomy: Taxonomy | null;
+  /** Every name, for filters: stored mail may still carry inactive ones. */
+  departments: string[];
+  mailTypes: string[];
+  /** Names that can be chosen when classifying or routing mail. */
+  activeDepartments: string[];
+  activeMailTypes: string[];
+  findMailType: (name?: string) => TaxonomyMailType | undefined;
+  /** Replaces the shared copy after an admin saves. */
+  setTaxonomy: (taxonomy: Taxonomy) => void;
+}
+
+const TaxonomyContext = createContext<TaxonomyContextValue | null>(null);
+
+/** Loads `/api/taxonomy` once per sign-in and shares it with every page. */
+export function TaxonomyProvider({ children }: { children: ReactNode }) {
+  const { user } = useAuth();
+  const [taxonomy, setTaxonomy] = useState<Taxonomy | null>(null);
+
+  useEffect(() => {
+    if (!user) return;
+    fetchTaxonomy()
+      .then(setTaxonomy)
+      .catch((err) => console.error('[Taxonomy] Failed to load', err));
+  }, [user]);
+
+  const findMailType = useCallback(
+    (name?: string) => taxonomy?.mailTypes.find((t) => t.name === name),
+    [taxonomy],
+  );
+
+  const value = useMemo<TaxonomyContextValue>(() => {
+    const departments = taxonomy?.departments ?? [];
+    const mailTypes = taxonomy?.mailTypes ?? [];
+    return {
+      taxonomy,
+      departments: departments.map((d) => d.name),
+      mailTypes: mailTypes.map((t) => t.name),
+      activeDepartments: departments.filter((d) => d.active).map((d) => d.name),
+      activeMailTypes: mailTypes.filter((t) => t.active).map((t) => t.name),
+      findMailType,
+      setTaxonomy,
+    };
+  }, [taxonomy, findMailType]);
+
+  return <TaxonomyContext.Provider value={value}>{children}</TaxonomyContext.Provider>;
+}
+
+export function useTaxonomy(): TaxonomyContextValue {
+  const context = useContext(TaxonomyContext);
+  if (!context) throw new Error('useTaxonomy must be used inside TaxonomyProvider');
+  return context;
+}
@@ -1,5 +1,6 @@
 import { clsx, type ClassValue } from 'clsx';
 import { twMerge } from 'tailwind-merge';
+import type { EmailRecord } from '@/types';
 
 export function cn(...inputs: ClassValue[]) {
   return twMerge(clsx(inputs));
@@ -23,8 +24,42 @@ export function formatDate(value?: string): string {
   });
 }
 
+/** Sub-cent amounts keep enough digits to be meaningful. */
+export function formatUsd(value?: number): string {
+  if (value === undefined || value === null) return '—';
+  if (value > 0 && value < 0.01) return `$${value.toFixed(4)}`;
+  return `$${value.toFixed(2)}`;
+}
+
+/** "3h 20m overdue" / "in 45m" relative to now. */
+export function formatSlaDue(value?: string, now = Date.now()): string {
+  if (!value) return '—';
+  const diffMs = new Date(value).getTime() - now;
+  if (Number.isNaN(diffMs)) return '—';
+  const minutes = Math.round(Math.abs(diffMs) / 60_000);
+  const hours = Math.floor(minutes / 60);
+  const span = hours >= 24
+    ? `${Math.floor(hours / 24)}d ${hours % 24}h`
+    : hours > 0
+      ? `${hours}h ${minutes % 60}m`
+      : `${minutes}m`;
+  return diffMs < 0 ? `${span} overdue` : `in ${span}`;
+}
+
+export function isOverdue(email: EmailRecord, now = Date.now()): boolean {
+  return !!email.slaDueAt && email.workflowStatus !== 'done' && new Date(email.slaDueAt).getTime() < now;
+}
+
+export function formatBytes(value?: number): string {
+  if (value === undefined || value === null) return '—';
+  if (value < 1024) return `${value} B`;
+  if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 export function shortModelName(classifier?: string): string {
   if (!classifier) return '—';
+  if (classifier.startsWith('rule:')) return 'rule';
   if (classifier.includes('nano')) return 'nano';
   if (classifier.includes('mini')) return 'mini';
   return classifier;
@@ -2,12 +2,21 @@ import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App';
+import { AuthProvider } from './lib/auth';
+import { LiveEventsProvider } from './lib/live';
+import { TaxonomyProvider } from './lib/taxonomy';
 import './index.css';
 
 createRoot(document.getElementById('root')!).render(
   <StrictMode>
     <BrowserRouter>
-      <App />
+      <AuthProvider>
+        <TaxonomyProvider>
+          <LiveEventsProvider>
+            <App />
+          </LiveEventsProvider>
+        </TaxonomyProvider>
+      </AuthProvider>
     </BrowserRouter>
   </StrictMode>,
 );
@@ -1,47 +1,76 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { Link } from 'react-router-dom';
-import { AlertCircle, Brain, Mail, TrendingUp } from 'lucide-react';
-import { fetchEmails, fetchStats } from '@/lib/api';
-import type { EmailRecord, StatsResponse } from '@/types';
+import { AlertCircle, Brain, Clock, Mail, TrendingUp, Wand2 } from 'lucide-react';
+import { fetchCostReport, fetchEmails, fetchShadowStats, fetchStats, promoteShadow } from '@/lib/api';
+import type { CostResponse, EmailRecord, ShadowStats, StatsResponse } from '@/types';
 import EmailTable from '@/components/EmailTable';
+import CostChart from '@/components/CostChart';
+import ShadowAgreement from '@/components/ShadowAgreement';
+import { useAuth } from '@/lib/auth';
+import { useLiveEvents } from '@/lib/live';
+
+const LIVE_RELOAD_DELAY_MS = 1500;
+/** Overdue and due-soon counts change with the clock, not with events. */
+const SLA_REFRESH_MS = 5 * 60_000;
 
 export default function DashboardPage() {
+  const { hasRole } = useAuth();
+  const isAdmin = hasRole('admin');
   const [stats, setStats] = useState<StatsResponse | null>(null);
   const [recent, setRecent] = useState<EmailRecord[]>([]);
+  const [cost, setCost] = useState<CostResponse | null>(null);
+  const [shadow, setShadow] = useState<ShadowStats | null>(null);
+  const [promoting, setPromoting] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
-  useEffect(() => {
-    let cancelled = false;
-
-    async function load() {
-      try {
-        setLoading(true);
-        const [statsData, emailsData] = await Promise.all([
-          fetchStats(),
-          fetchEmails({ limit: 10 }),
-        ]);
-        if (!cancelled) {
-          setStats(statsData);
-          setRecent(emailsData.emails);
-          setError(null);
-        }
-      } catch (err) {
-        if (!cancelled) {
-          setError(err instanceof Error ? err.message : 'Failed to load dashboard');
-        }
-      } finally {
-        if (!cancelled) setLoading(false);
-      }
+  const load = useCallback(async () => {
+    try {
+      const [statsData, emailsData, costData, shadowData] = await Promise.all([
+        fetchStats(),
+        fetchEmails({ limit: 10 }),
+        isAdmin ? fetchCostReport() : Promise.resolve(null),
+        isAdmin ? fetchShadowStats() : Promise.resolve(null),
+      ]);
+      setStats(statsData);
+      setRecent(emailsData.emails);
+      setCost(costData);
+      setShadow(shadowData);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load dashboard');
+    } finally {
+      setLoading(false);
     }
+  }, [isAdmin]);
 
+  useEffect(() => {
     load();
-    const interval = setInterval(load, 60_000);
-    return () => {
-      cancelled = true;
-      clearInterval(interval);
-    };
-  }, []);
+    const interval = setInterval(load, SLA_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [load]);
+
+  // Mail arrives in bursts, so one refresh covers every event in a short window.
+  const reloadTimer = useRef<ReturnType<typeof setTimeout>>();
+  useEffect(() => () => clearTimeout(reloadTimer.current), []);
+  useLiveEvents((event) => {
+    if (event.type === 'poll.finished' || event.type === 'inbox.error') return;
+    clearTimeout(reloadTimer.current);
+    reloadTimer.current = setTimeout(load, LIVE_RELOAD_DELAY_MS);
+  });
+
+  async function handlePromote() {
+    if (!shadow || !window.confirm(`Make shadow v${shadow.version} the live prompt version?`)) return;
+    try {
+      setPromoting(true);
+      await promoteShadow();
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Promote failed');
+    } finally {
+      setPromoting(false);
+    }
+  }
 
   if (loading && !stats) {
     return <div className="page-shell text-slate-500">Loading dashboard…</div>;
@@ -62,7 +91,7 @@ export default function DashboardPage() {
         </Link>
       </div>
 
-      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+      <div className="grid gap-4 sm:grid-cols-3 lg:grid-cols-6">
         <StatCard
           icon={Mail}
           label="Today"
@@ -76,12 +105,25 @@ export default function DashboardPage() {
           sub={`${stats?.reviewPercent ?? 0}% of all mail`}
           highlight={!!stats?.needsReview}
         />
+        <StatCard
+          icon={Clock}
+          label="Overdue"
+          value={String(stats?.sla.overdue ?? 0)}
+          sub={`${stats?.sla.dueSoon ?? 0} due soon · ${stats?.sla.metPercent ?? 0}% SLA met`}
+          highlight={!!stats?.sla.overdue}
+        />
         <StatCard
           icon={Brain}
           label="Classifier split"
           value={`${stats?.classifierSplit.nano ?? 0} / ${stats?.classifierSplit.mini ?? 0}`}
           sub="nano vs mini"
         />
+        <StatCard
+          icon={Wand2}
+          label="Rule hits"
+          value={`${stats?.ruleHits.hitRate ?? 0}%`}
+          sub={`${stats?.ruleHits.decided ?? 0} decided without the LLM`}
+        />
         <StatCard
           icon={TrendingUp}
           label="Departments"
@@ -106,6 +148,10 @@ export default function DashboardPage() {
         </div>
       )}
 
+      {shadow && <ShadowAgreement stats={shadow} onPromote={handlePromote} promoting={promoting} />}
+
+      {cost && <CostChart report={cost} />}
+
       <div>
         <div className="mb-3 flex items-center justify-between">
           <h2 className="text-sm font-medium text-slate-400">Recent mail</h2>
@@ -1,11 +1,17 @@
 import { useCallback, useEffect, useState, type ReactNode } from 'react';
 import { Link, useParams } from 'react-router-dom';
-import { ExternalLink, Loader2, RefreshCw, Save } from 'lucide-react';
-import { fetchEmail, reclassifyEmail, updateEmail } from '@/lib/api';
-import type { EmailRecord, EmailUpdatePayload } from '@/types';
-import { DEPARTMENTS, MAIL_TYPES } from '@/types';
+import { Copy, Download, ExternalLink, Loader2, MessagesSquare, RefreshCw, Save } from 'lucide-react';
+import { fetchEmail, getAttachmentUrl, reclassifyEmail, updateEmail } from '@/lib/api';
+import { useAuth } from '@/lib/auth';
+import { useTaxonomy } from '@/lib/taxonomy';
+import type { DuplicateCopy, EmailRecord, EmailUpdatePayload } from '@/types';
 import StatusBadge from '@/components/StatusBadge';
-import { formatConfidence, formatDate } from '@/lib/utils';
+import EmailHistory from '@/components/EmailHistory';
+import SimilarEmails from '@/components/SimilarEmails';
+import RedactionPreview from '@/components/RedactionPreview';
+import WorkflowPanel from '@/components/WorkflowPanel';
+import TypeSpecificFields from '@/components/TypeSpecificFields';
+import { formatBytes, formatConfidence, formatDate, formatUsd } from '@/lib/utils';
 
 interface EmailDetailPageProps {
   id?: string;
@@ -21,12 +27,21 @@ export default function EmailDetailPage({ id: propId }: EmailDetailPageProps) {
 function EmailDetailInner({ id }: { id: string }) {
   const [email, setEmail] = useState<EmailRecord | null>(null);
   const [form, setForm] = useState<EmailUpdatePayload>({});
-  const [typeSpecificJson, setTypeSpecificJson] = useState('{}');
+  const [typeSpecific, setTypeSpecific] = useState<Record<string, unknown>>({});
+  const [typeSpecificValid, setTypeSpecificValid] = useState(true);
+  /** Bumped to reset the type-specific editor after a load or reclassify. */
+  const [typeSpecificKey, setTypeSpecificKey] = useState(0);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [reclassifying, setReclassifying] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [message, setMessage] = useState<string | null>(null);
+  const { hasRole } = useAuth();
+  const canEdit = hasRole('reviewer', 'admin');
+  const { activeDepartments, activeMailTypes, findMailType } = useTaxonomy();
+  const [historyKey, setHistoryKey] = useState(0);
+  /** Only the detail fetch returns these; updates keep the list from the last load. */
+  const [duplicates, setDuplicates] = useState<DuplicateCopy[]>([]);
 
   const load = useCallback(async () => {
     if (!id) return;
@@ -34,6 +49,7 @@ function EmailDetailInner({ id }: { id: string }) {
       setLoading(true);
       const data = await fetchEmail(id);
       setEmail(data);
+      setDuplicates(data.duplicates ?? []);
       setForm({
         department: data.department,
         mailType: data.mailType,
@@ -46,7 +62,9 @@ function EmailDetailInner({ id }: { id: string }) {
         summary: data.summary,
         actionRequired: data.actionRequired,
       });
-      setTypeSpecificJson(JSON.stringify(data.typeSpecific ?? {}, null, 2));
+      setTypeSpecific(data.typeSpecific ?? {});
+      setTypeSpecificValid(true);
+      setTypeSpecificKey((k) => k + 1);
       setError(null);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to load email');
@@ -64,15 +82,13 @@ function EmailDetailInner({ id }: { id: string }) {
     try {
       setSaving(true);
       setMessage(null);
-      let typeSpecific: Record<string, unknown> = {};
-      try {
-        typeSpecific = JSON.parse(typeSpecificJson) as Record<string, unknown>;
-      } catch {
-        setError('type_specific must be valid JSON');
+      if (!typeSpecificValid) {
+        setError('Other type-specific fields must be a JSON object');
         return;
       }
       const updated = await updateEmail(id, { ...form, typeSpecific });
       setEmail(updated);
+      setHistoryKey((k) => k + 1);
       setMessage('Correction saved');
       setError(null);
     } catch (err) {
@@ -101,7 +117,10 @@ function EmailDetailInner({ id }: { id: string }) {
         summary: updated.summary,
         actionRequired: updated.actionRequired,
       });
-      setTypeSpecificJson(JSON.stringify(updated.typeSpecific ?? {}, null, 2));
+      setTypeSpecific(updated.typeSpecific ?? {});
+      setTypeSpecificValid(true);
+      setTypeSpecificKey((k) => k + 1);
+      setHistoryKey((k) => k + 1);
       setMessage('Reclassified');
       setError(null);
     } catch (err) {
@@ -131,35 +150,95 @@ function EmailDetailInner({ id }: { id: string }) {
         </div>
         <div className="flex flex-wrap items-center gap-2">
           <StatusBadge needsReview={email.needsReview} reviewed={email.reviewed} confidence={email.confidence} />
+          {email.threadId && (
+            <Link to={`/thread/${email.threadId}`} className="btn-secondary">
+              <MessagesSquare className="h-4 w-4" /> Thread
+            </Link>
+          )}
           {email.gmailLink && (
             <a href={email.gmailLink} target="_blank" rel="noreferrer" className="btn-secondary">
               <ExternalLink className="h-4 w-4" /> Gmail
             </a>
           )}
-          <button type="button" className="btn-secondary" onClick={handleReclassify} disabled={reclassifying}>
-            {reclassifying ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
-            Reclassify
-          </button>
-          <button type="button" className="btn-primary" onClick={handleSave} disabled={saving}>
-            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
-            Save correction
-          </button>
+          {canEdit && (
+            <>
+              <button type="button" className="btn-secondary" onClick={handleReclassify} disabled={reclassifying}>
+                {reclassifying ? <Loader2 className="h-4 w-4 animate-spin" /> : <RefreshCw className="h-4 w-4" />}
+                Reclassify
+              </button>
+              <button type="button" className="btn-primary" onClick={handleSave} disabled={saving}>
+                {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                Save correction
+              </button>
+            </>
+          )}
         </div>
       </div>
 
       {error && <div className="text-sm text-red-400">{error}</div>}
       {message && <div className="text-sm text-emerald-400">{message}</div>}
 
+      {duplicates.length > 0 && (
+        <div className="card flex flex-wrap items-center gap-x-3 gap-y-1 text-sm">
+          <Copy className="h-4 w-4 text-slate-500" />
+          <span className="text-slate-400">Also received in:</span>
+          {duplicates.map((copy) => (
+            <Link key={copy._id} to={`/email/${copy._id}`} className="text-brand-300 hover:underline">
+              {copy.inbox ?? 'another inbox'}
+              {copy.primary && <span className="ml-1 text-xs text-slate-500">(classified)</span>}
+            </Link>
+          ))}
+          <span className="text-xs text-slate-500">
+            Review and follow-up changes apply to every copy.
+          </span>
+        </div>
+      )}
+
+      <WorkflowPanel
+        email={email}
+        onUpdated={(updated) => {
+          setEmail(updated);
+          setHistoryKey((k) => k + 1);
+        }}
+      />
+
       <div className="grid gap-6 lg:grid-cols-2">
         <div className="card space-y-3">
           <h2 className="text-sm font-medium text-slate-400">Email body</h2>
           <div className="max-h-[32rem] overflow-auto whitespace-pre-wrap rounded-lg bg-slate-950 p-4 text-sm leading-relaxed text-slate-300">
             {email.body || '(empty body)'}
           </div>
-          {email.attachments && email.attachments.length > 0 && (
-            <div className="text-xs text-slate-500">
-              Attachments: {email.attachments.join(', ')}
+          {email.attachmentFiles && email.attachmentFiles.length > 0 ? (
+            <div className="space-y-2">
+              <h3 className="text-xs font-medium text-slate-500">Attachments</h3>
+              <ul className="divide-y divide-slate-800 rounded-lg border border-slate-800">
+                {email.attachmentFiles.map((file, index) => (
+                  <li key={file.fileId ?? `${file.filename}-${index}`} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                    <div className="min-w-0">
+                      <div className="truncate text-slate-200">{file.filename}</div>
+                      <div className="text-xs text-slate-500">
+                        {file.mimeType ?? 'unknown type'} · {formatBytes(file.size)}
+                        {file.extractedText ? ' · text extracted' : ''}
+                        {file.extractionError ? ' · extraction failed' : ''}
+                        {file.tooLarge ? ' · too large to download, open it in Gmail' : ''}
+                        {file.downloadError ? ' · download failed' : ''}
+                      </div>
+                    </div>
+                    {file.fileId && (
+                      <a href={getAttachmentUrl(email._id, file.fileId)} className="btn-secondary shrink-0">
+                        <Download className="h-4 w-4" /> Download
+                      </a>
+                    )}
+                  </li>
+                ))}
+              </ul>
             </div>
+          ) : (
+            email.attachments && email.attachments.length > 0 && (
+              <div className="text-xs text-slate-500">
+                Attachments: {email.attachments.join(', ')}
+              </div>
+            )
           )}
         </div>
 
@@ -168,6 +247,14 @@ function EmailDetailInner({ id }: { id: string }) {
             <h2 className="text-sm font-medium text-slate-400">Classification</h2>
             <span className="text-xs text-slate-500">
               {formatConfidence(email.confidence)} · {email.classifier ?? '—'}
+              {email.promptVersion !== undefined && ` · prompt v${email.promptVersion}`}
+              {email.usage && (
+                <>
+                  {' '}· {formatUsd(email.usage.costUsd)} ·{' '}
+                  {(email.usage.promptTokens + email.usage.completionTokens).toLocaleString()} tokens ·{' '}
+                  {(email.usage.latencyMs / 1000).toFixed(1)} s
+                </>
+              )}
             </span>
           </div>
 
@@ -179,7 +266,7 @@ function EmailDetailInner({ id }: { id: string }) {
                 onChange={(e) => setForm((f) => ({ ...f, department: e.target.value }))}
               >
                 <option value="">—</option>
-                {DEPARTMENTS.map((d) => (
+                {withCurrent(activeDepartments, form.department).map((d) => (
                   <option key={d} value={d}>{d}</option>
                 ))}
               </select>
@@ -189,10 +276,14 @@ function EmailDetailInner({ id }: { id: string }) {
               <select
                 className="input-field"
                 value={form.mailType ?? ''}
-                onChange={(e) => setForm((f) => ({ ...f, mailType: e.target.value }))}
+                onChange={(e) => {
+                  setForm((f) => ({ ...f, mailType: e.target.value }));
+                  // The editor remounts for the new schema, discarding unparsed JSON.
+                  setTypeSpecificValid(true);
+                }}
               >
                 <option value="">—</option>
-                {MAIL_TYPES.map((t) => (
+                {withCurrent(activeMailTypes, form.mailType).map((t) => (
                   <option key={t} value={t}>{t}</option>
                 ))}
               </select>
@@ -200,6 +291,11 @@ function EmailDetailInner({ id }: { id: string }) {
 
             <Field label="Job number">
               <input className="input-field" value={form.jobNumber ?? ''} onChange={(e) => setForm((f) => ({ ...f, jobNumber: e.target.value }))} />
+              {email.jobKey && (
+                <Link to={`/jobs/${encodeURIComponent(email.jobKey)}`} className="text-brand-300 hover:underline">
+                  All mail for job {email.jobKey} →
+                </Link>
+              )}
             </Field>
             <Field label="Client">
               <input className="input-field" value={form.clientName ?? ''} onChange={(e) => setForm((f) => ({ ...f, clientName: e.target.value }))} />
@@ -226,19 +322,32 @@ function EmailDetailInner({ id }: { id: string }) {
             <textarea className="input-field min-h-[4rem]" value={form.actionRequired ?? ''} onChange={(e) => setForm((f) => ({ ...f, actionRequired: e.target.value }))} />
           </Field>
 
-          <Field label="Type-specific (JSON)">
-            <textarea
-              className="input-field min-h-[8rem] font-mono text-xs"
-              value={typeSpecificJson}
-              onChange={(e) => setTypeSpecificJson(e.target.value)}
-            />
-          </Field>
+          <TypeSpecificFields
+            key={`${typeSpecificKey}:${form.mailType ?? ''}`}
+            fields={findMailType(form.mailType)?.fields ?? []}
+            value={typeSpecific}
+            onChange={(value, valid) => {
+              setTypeSpecific(value);
+              setTypeSpecificValid(valid);
+            }}
+          />
         </div>
       </div>
+
+      <SimilarEmails emailId={email._id} />
+
+      <RedactionPreview emailId={email._id} />
+
+      <EmailHistory emailId={email._id} refreshKey={historyKey} />
     </div>
   );
 }
 
+/** Choosable options, plus the stored value when it is no longer one of them. */
+function withCurrent(options: string[], current?: string): string[] {
+  return current && !options.includes(current) ? [...options, current] : options;
+}
+
 function Field({ label, children }: { label: string; children: ReactNode }) {
   return (
     <label className="block space-y-1 text-xs text-slate-500">
@@ -1,6 +1,7 @@
 import { useCallback, useEffect, useMemo, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { fetchEmails, fetchInboxes } from '@/lib/api';
+import { Download } from 'lucide-react';
+import { fetchEmails, fetchInboxes, getEmailExportUrl } from '@/lib/api';
 import type { EmailFilters, EmailRecord } from '@/types';
 import FilterBar from '@/components/FilterBar';
 import EmailTable from '@/components/EmailTable';
@@ -48,7 +49,17 @@ export default function EmailsPage() {
 
   return (
     <div className="page-shell space-y-4">
-      <h1 className="text-xl font-semibold">Mail</h1>
+      <div className="flex items-center justify-between gap-4">
+        <h1 className="text-xl font-semibold">Mail</h1>
+        <div className="flex gap-2" title="Download every email matching the filters">
+          <a className="btn-secondary" href={getEmailExportUrl(filters, 'csv')} download>
+            <Download className="h-4 w-4" /> CSV
+          </a>
+          <a className="btn-secondary" href={getEmailExportUrl(filters, 'xlsx')} download>
+            <Download className="h-4 w-4" /> XLSX
+          </a>
+        </div>
+      </div>
 
       <FilterBar filters={filters} inboxes={inboxOptions} onChange={setFilters} />
 
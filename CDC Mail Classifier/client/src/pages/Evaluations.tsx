@@ -0,0 +1,217 @@
+import { useEffect, useState } from 'react';
+import { Loader2, Plus, Trash2 } from 'lucide-react';
+import { deleteEvaluation, fetchEvaluation, fetchEvaluations, fetchPromptVersions, startEvaluation } from '@/lib/api';
+import type { EvaluationPayload, EvaluationRunRecord, PromptVersionRecord } from '@/types';
+import EvaluationForm, { runLabel } from '@/components/EvaluationForm';
+import EvaluationReport from '@/components/EvaluationReport';
+import { formatDate, formatUsd } from '@/lib/utils';
+
+const RUNNING_REFRESH_MS = 3_000;
+
+function pct(value: number | undefined): string {
+  return value === undefined ? '—' : `${Math.round(value * 1000) / 10}%`;
+}
+
+export default function EvaluationsPage() {
+  const [runs, setRuns] = useState<EvaluationRunRecord[]>([]);
+  const [goldSetSize, setGoldSetSize] = useState(0);
+  const [versions, setVersions] = useState<PromptVersionRecord[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [creating, setCreating] = useState(false);
+  /** Up to two run ids; with two, the older one is the baseline. */
+  const [selected, setSelected] = useState<string[]>([]);
+  const [details, setDetails] = useState<Record<string, EvaluationRunRecord>>({});
+
+  async function load() {
+    try {
+      const data = await fetchEvaluations();
+      setRuns(data.runs);
+      setGoldSetSize(data.goldSetSize);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load evaluation runs');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    fetchPromptVersions()
+      .then(setVersions)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load prompt versions'));
+  }, []);
+
+  const running = runs.some((r) => r.status === 'running');
+
+  useEffect(() => {
+    if (!running) return;
+    const interval = setInterval(load, RUNNING_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [running]);
+
+  // Full runs (with per-email results) for the selection, refetched while they change.
+  useEffect(() => {
+    for (const id of selected) {
+      const summary = runs.find((r) => r._id === id);
+      const loaded = details[id];
+      if (loaded && summary && loaded.processed === summary.processed && loaded.status === summary.status) continue;
+      fetchEvaluation(id)
+        .then((run) => setDetails((d) => ({ ...d, [id]: run })))
+        .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load run'));
+    }
+  }, [selected, runs]);
+
+  function toggleSelected(id: string) {
+    setSelected((list) => (list.includes(id) ? list.filter((x) => x !== id) : [...list, id].slice(-2)));
+  }
+
+  async function handleStart(payload: EvaluationPayload) {
+    try {
+      const run = await startEvaluation(payload);
+      setCreating(false);
+      setSelected([run._id]);
+      setError(null);
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start run');
+    }
+  }
+
+  async function handleDelete(run: EvaluationRunRecord) {
+    if (!window.confirm(`Delete evaluation run "${runLabel(run)}"?`)) return;
+    try {
+      await deleteEvaluation(run._id);
+      setRuns((list) => list.filter((r) => r._id !== run._id));
+      setSelected((list) => list.filter((id) => id !== run._id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Delete failed');
+    }
+  }
+
+  const [current, baseline] = selected
+    .map((id) => details[id])
+    .filter((run): run is EvaluationRunRecord => Boolean(run))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return (
+    <div className="page-shell space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Evaluations</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Replays reviewed mail against a prompt and model tier to measure accuracy before changing either. Tick two
+            runs to compare them; runs started from the <code>npm run evaluate</code> script appear here too.
+          </p>
+        </div>
+        {!creating && (
+          <button type="button" className="btn-primary" onClick={() => setCreating(true)} disabled={running}>
+            <Plus className="h-4 w-4" /> New run
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {goldSetSize === 0 && !loading && (
+        <div className="card text-sm text-amber-300">
+          No reviewed emails yet. Review some mail first — reviewed emails are the gold set runs are scored against.
+        </div>
+      )}
+
+      {creating && (
+        <EvaluationForm
+          runs={runs.filter((r) => r.total > 0)}
+          versions={versions}
+          goldSetSize={goldSetSize}
+          onSubmit={handleStart}
+          onCancel={() => setCreating(false)}
+        />
+      )}
+
+      {loading ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="min-w-full divide-y divide-slate-800 text-sm">
+            <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
+              <tr>
+                <th className="px-4 py-3" />
+                <th className="px-4 py-3">Run</th>
+                <th className="px-4 py-3">Models</th>
+                <th className="px-4 py-3">Prompt</th>
+                <th className="px-4 py-3">Department</th>
+                <th className="px-4 py-3">Mail type</th>
+                <th className="px-4 py-3">Cost</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800/80 bg-slate-950/40">
+              {runs.map((run) => (
+                <tr key={run._id} className={selected.includes(run._id) ? 'bg-slate-900/60' : ''}>
+                  <td className="px-4 py-3">
+                    <input
+                      type="checkbox"
+                      aria-label="Select run"
+                      checked={selected.includes(run._id)}
+                      onChange={() => toggleSelected(run._id)}
+                    />
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="font-medium">{runLabel(run)}</div>
+                    <div className="text-xs text-slate-500">
+                      {formatDate(run.createdAt)} · {run.startedBy ?? run.source}
+                    </div>
+                    {run.status === 'running' && (
+                      <div className="flex items-center gap-1 text-xs text-sky-300">
+                        <Loader2 className="h-3 w-3 animate-spin" /> {run.processed} / {run.total}
+                      </div>
+                    )}
+                    {run.error && (
+                      <div className="max-w-[18rem] truncate text-xs text-red-300" title={run.error}>
+                        {run.error}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-xs text-slate-400">
+                    {run.models.map((model) => (
+                      <div key={model}>{model}</div>
+                    ))}
+                  </td>
+                  <td className="px-4 py-3 font-mono text-xs text-slate-400">
+                    {run.promptNumber && <span className="mr-2 font-sans text-slate-300">v{run.promptNumber}</span>}
+                    {run.promptVersion}
+                    {run.customPrompt && <span className="ml-2 font-sans text-amber-300">edited</span>}
+                  </td>
+                  <td className="px-4 py-3 tabular-nums">{pct(run.metrics?.department.accuracy)}</td>
+                  <td className="px-4 py-3 tabular-nums">{pct(run.metrics?.mailType.accuracy)}</td>
+                  <td className="px-4 py-3 tabular-nums text-slate-400">{formatUsd(run.metrics?.usage.costUsd)}</td>
+                  <td className="px-4 py-3">
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      aria-label="Delete run"
+                      onClick={() => handleDelete(run)}
+                      disabled={run.status === 'running'}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {runs.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="px-4 py-8 text-center text-slate-500">
+                    No evaluation runs yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {current && <EvaluationReport run={current} baseline={baseline} />}
+    </div>
+  );
+}
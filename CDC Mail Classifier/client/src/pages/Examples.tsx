@@ -0,0 +1,153 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowRight, Trash2 } from 'lucide-react';
+import { deleteExample, fetchCorrectionReport, fetchExamples, updateExample } from '@/lib/api';
+import type { CorrectionPattern, ExampleRecord } from '@/types';
+import { formatDate } from '@/lib/utils';
+
+function label(dept: string, type: string): string {
+  return `${dept || '—'} / ${type || '—'}`;
+}
+
+export default function ExamplesPage() {
+  const [examples, setExamples] = useState<ExampleRecord[]>([]);
+  const [patterns, setPatterns] = useState<CorrectionPattern[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  async function load() {
+    try {
+      setLoading(true);
+      const [exampleData, reportData] = await Promise.all([fetchExamples(), fetchCorrectionReport()]);
+      setExamples(exampleData);
+      setPatterns(reportData);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load examples');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function handleToggle(example: ExampleRecord) {
+    try {
+      const updated = await updateExample(example._id, { active: !example.active });
+      setExamples((list) => list.map((e) => (e._id === updated._id ? updated : e)));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Update failed');
+    }
+  }
+
+  async function handleDelete(example: ExampleRecord) {
+    if (!window.confirm(`Remove example "${example.subject || '(no subject)'}"?`)) return;
+    try {
+      await deleteExample(example._id);
+      setExamples((list) => list.filter((e) => e._id !== example._id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Delete failed');
+    }
+  }
+
+  return (
+    <div className="page-shell space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold">Classifier examples</h1>
+        <p className="mt-1 text-sm text-slate-500">
+          Reviewer corrections become few-shot examples. The most similar active examples (same sender domain, shared subject keywords) are shown to the model.
+        </p>
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+
+      {loading ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <>
+          <div className="card space-y-3">
+            <h2 className="text-sm font-medium text-slate-400">Recurring corrections</h2>
+            {patterns.length === 0 ? (
+              <div className="text-sm text-slate-500">No corrections recorded yet.</div>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead className="text-left text-xs uppercase tracking-wide text-slate-500">
+                  <tr>
+                    <th className="py-2 pr-4">Model said</th>
+                    <th className="py-2 pr-4" />
+                    <th className="py-2 pr-4">Reviewer set</th>
+                    <th className="py-2 pr-4">Times</th>
+                    <th className="py-2 pr-4">Top senders</th>
+                    <th className="py-2">Last seen</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-800/80">
+                  {patterns.map((p) => (
+                    <tr key={`${label(p.from.department, p.from.mailType)}→${label(p.to.department, p.to.mailType)}`}>
+                      <td className="py-2 pr-4 text-slate-400">{label(p.from.department, p.from.mailType)}</td>
+                      <td className="py-2 pr-4 text-slate-600"><ArrowRight className="h-4 w-4" /></td>
+                      <td className="py-2 pr-4">{label(p.to.department, p.to.mailType)}</td>
+                      <td className="py-2 pr-4 tabular-nums">{p.count}</td>
+                      <td className="py-2 pr-4 text-xs text-slate-500">{p.topDomains.join(', ') || '—'}</td>
+                      <td className="py-2 text-xs text-slate-500">{formatDate(p.lastSeen)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="overflow-x-auto rounded-xl border border-slate-800">
+            <table className="min-w-full divide-y divide-slate-800 text-sm">
+              <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
+                <tr>
+                  <th className="px-4 py-3">Sender domain</th>
+                  <th className="px-4 py-3">Subject</th>
+                  <th className="px-4 py-3">Classification</th>
+                  <th className="px-4 py-3">Used</th>
+                  <th className="px-4 py-3">Active</th>
+                  <th className="px-4 py-3">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800/80 bg-slate-950/40">
+                {examples.map((example) => (
+                  <tr key={example._id} className={example.active ? '' : 'opacity-50'}>
+                    <td className="whitespace-nowrap px-4 py-3 text-slate-400">{example.fromDomain || '—'}</td>
+                    <td className="max-w-[18rem] truncate px-4 py-3">
+                      {example.emailId ? (
+                        <Link to={`/email/${example.emailId}`} className="text-brand-300 hover:underline">
+                          {example.subject || '(no subject)'}
+                        </Link>
+                      ) : (
+                        example.subject || '(no subject)'
+                      )}
+                    </td>
+                    <td className="px-4 py-3">{label(example.department ?? '', example.mailType ?? '')}</td>
+                    <td className="px-4 py-3 tabular-nums text-slate-400">{example.usageCount}</td>
+                    <td className="px-4 py-3">
+                      <input type="checkbox" checked={example.active} onChange={() => handleToggle(example)} />
+                    </td>
+                    <td className="px-4 py-3">
+                      <button type="button" className="btn-secondary" onClick={() => handleDelete(example)}>
+                        <Trash2 className="h-4 w-4" /> Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {examples.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-4 py-8 text-center text-slate-500">
+                      No examples yet — they are added when a reviewer changes department or mail type.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,11 @@
 import { FormEvent, useEffect, useState } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { CheckCircle2, Link2, Plus } from 'lucide-react';
-import { createInbox, fetchInboxes, getGoogleAuthUrl } from '@/lib/api';
+import { CheckCircle2, History, Link2, Plus, RefreshCw, RotateCcw } from 'lucide-react';
+import { backfillInbox, createInbox, fetchInboxes, getGoogleAuthUrl, retryInboxLabels, updateInbox } from '@/lib/api';
 import type { InboxRecord } from '@/types';
-import { formatDate } from '@/lib/utils';
+import InboxModelForm from '@/components/InboxModelForm';
+import { useLiveEvents } from '@/lib/live';
+import { cn, formatDate } from '@/lib/utils';
 
 export default function InboxesPage() {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -12,13 +14,16 @@ export default function InboxesPage() {
   const [inboxes, setInboxes] = useState<InboxRecord[]>([]);
   const [label, setLabel] = useState('');
   const [emailAddress, setEmailAddress] = useState('');
+  const [backfillId, setBackfillId] = useState('');
+  const [backfillFrom, setBackfillFrom] = useState('');
+  const [backfillTo, setBackfillTo] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
 
-  async function load() {
+  async function load(quiet = false) {
     try {
-      setLoading(true);
+      if (!quiet) setLoading(true);
       const data = await fetchInboxes();
       setInboxes(data);
       setError(null);
@@ -33,6 +38,11 @@ export default function InboxesPage() {
     load();
   }, []);
 
+  // Health columns follow each poll cycle.
+  useLiveEvents((event) => {
+    if (event.type === 'poll.finished' || event.type === 'inbox.error') load(true);
+  });
+
   useEffect(() => {
     if (connected) {
       setSuccess(`Connected ${connected}`);
@@ -55,10 +65,63 @@ export default function InboxesPage() {
     }
   }
 
-  function handleConnect(inbox: InboxRecord) {
+  async function handleBackfill(e: FormEvent) {
+    e.preventDefault();
+    if (!backfillId || !backfillFrom) return;
+    try {
+      await backfillInbox(backfillId, backfillFrom, backfillTo);
+      setSuccess('Catch-up started — messages in the range will appear shortly');
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to start catch-up');
+    }
+  }
+
+  async function handleStrictPrivacy(inbox: InboxRecord, strictPrivacy: boolean) {
+    try {
+      const updated = await updateInbox(inbox._id, { strictPrivacy });
+      setInboxes((list) => list.map((i) => (i._id === updated._id ? updated : i)));
+      setSuccess(`Strict privacy ${strictPrivacy ? 'on' : 'off'} for ${updated.label ?? updated.emailAddress}`);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update inbox');
+    }
+  }
+
+  /** Reconnecting keeps label write-back unless told otherwise. */
+  function handleConnect(inbox: InboxRecord, writeLabels = inbox.writeLabels ?? false) {
     const addr = inbox.emailAddress ?? '';
     const lbl = inbox.label ?? addr.split('@')[0];
-    window.location.href = getGoogleAuthUrl(lbl, addr);
+    window.location.href = getGoogleAuthUrl(lbl, addr, writeLabels);
+  }
+
+  async function handleWriteLabels(inbox: InboxRecord, writeLabels: boolean) {
+    // Without gmail.modify the inbox has to go through Google consent again first.
+    if (writeLabels && !inbox.scopes?.includes(GMAIL_MODIFY_SCOPE)) {
+      if (window.confirm(`Reconnect ${inbox.emailAddress} to let the classifier add labels in Gmail?`)) {
+        handleConnect(inbox, true);
+      }
+      return;
+    }
+    try {
+      const updated = await updateInbox(inbox._id, { writeLabels });
+      setInboxes((list) => list.map((i) => (i._id === updated._id ? { ...updated, labelSync: i.labelSync } : i)));
+      setSuccess(`Gmail labels ${writeLabels ? 'on' : 'off'} for ${updated.label ?? updated.emailAddress}`);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to update inbox');
+    }
+  }
+
+  async function handleRetryLabels(inbox: InboxRecord) {
+    try {
+      const { queued } = await retryInboxLabels(inbox._id);
+      setSuccess(`${queued} label sync(s) queued again for ${inbox.label ?? inbox.emailAddress}`);
+      setError(null);
+      await load(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to retry label sync');
+    }
   }
 
   return (
@@ -66,7 +129,8 @@ export default function InboxesPage() {
       <div>
         <h1 className="text-xl font-semibold">Inboxes</h1>
         <p className="mt-1 text-sm text-slate-500">
-          Register an inbox, then authorize Gmail OAuth to store a refresh token.
+          Register an inbox, then authorize Gmail OAuth to store a refresh token. Turning on Gmail labels asks Google
+          for modify access and labels each message with its department and mail type.
         </p>
       </div>
 
@@ -103,6 +167,54 @@ export default function InboxesPage() {
         </button>
       </form>
 
+      <form onSubmit={handleBackfill} className="card flex flex-wrap items-end gap-3">
+        <label className="flex flex-col gap-1 text-xs text-slate-500">
+          Catch up inbox
+          <select
+            className="input-field min-w-[12rem]"
+            required
+            value={backfillId}
+            onChange={(e) => setBackfillId(e.target.value)}
+          >
+            <option value="">Select…</option>
+            {inboxes.filter((i) => i.active).map((inbox) => (
+              <option key={inbox._id} value={inbox._id}>{inbox.label ?? inbox.emailAddress}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-xs text-slate-500">
+          From
+          <input
+            className="input-field"
+            type="date"
+            required
+            value={backfillFrom}
+            onChange={(e) => setBackfillFrom(e.target.value)}
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-xs text-slate-500">
+          To (optional)
+          <input
+            className="input-field"
+            type="date"
+            value={backfillTo}
+            onChange={(e) => setBackfillTo(e.target.value)}
+          />
+        </label>
+        <button type="submit" className="btn-secondary">
+          <History className="h-4 w-4" /> Backfill range
+        </button>
+      </form>
+
+      <InboxModelForm
+        inboxes={inboxes}
+        onSaved={(updated) => {
+          setInboxes((list) => list.map((i) => (i._id === updated._id ? updated : i)));
+          setSuccess(`Classifier models saved for ${updated.label ?? updated.emailAddress}`);
+        }}
+        onError={setError}
+      />
+
       {loading ? (
         <div className="text-sm text-slate-500">Loading…</div>
       ) : (
@@ -113,6 +225,16 @@ export default function InboxesPage() {
                 <th className="px-4 py-3">Label</th>
                 <th className="px-4 py-3">Email</th>
                 <th className="px-4 py-3">Active</th>
+                <th className="px-4 py-3">Health</th>
+                <th className="px-4 py-3">Last sync</th>
+                <th className="px-4 py-3">Today</th>
+                <th className="px-4 py-3">Models</th>
+                <th className="px-4 py-3" title="Mask every category and all email addresses before mail reaches the LLM">
+                  Strict privacy
+                </th>
+                <th className="px-4 py-3" title="Label messages in Gmail with their department, mail type and review state">
+                  Gmail labels
+                </th>
                 <th className="px-4 py-3">Added</th>
                 <th className="px-4 py-3">Actions</th>
               </tr>
@@ -123,17 +245,48 @@ export default function InboxesPage() {
                   <td className="px-4 py-3 font-medium">{inbox.label}</td>
                   <td className="px-4 py-3 text-slate-300">{inbox.emailAddress}</td>
                   <td className="px-4 py-3">{inbox.active ? 'Yes' : 'No'}</td>
+                  <td className="px-4 py-3">
+                    <HealthBadge inbox={inbox} />
+                  </td>
+                  <td className="px-4 py-3 text-xs text-slate-500">{formatDate(inbox.lastSyncedAt)}</td>
+                  <td className="px-4 py-3 tabular-nums text-slate-400">{inbox.processedToday ?? 0}</td>
+                  <td className="px-4 py-3 text-xs text-slate-400">
+                    {inbox.llm?.cheap || inbox.llm?.strong
+                      ? `${describeOverride(inbox.llm?.cheap)} → ${describeOverride(inbox.llm?.strong)}`
+                      : 'Default'}
+                  </td>
+                  <td className="px-4 py-3">
+                    <input
+                      type="checkbox"
+                      aria-label="Strict privacy"
+                      checked={inbox.strictPrivacy ?? false}
+                      onChange={(e) => handleStrictPrivacy(inbox, e.target.checked)}
+                    />
+                  </td>
+                  <td className="px-4 py-3">
+                    <LabelSyncCell
+                      inbox={inbox}
+                      onToggle={(on) => handleWriteLabels(inbox, on)}
+                      onRetry={() => handleRetryLabels(inbox)}
+                    />
+                  </td>
                   <td className="px-4 py-3 text-xs text-slate-500">{formatDate(inbox.createdAt)}</td>
                   <td className="px-4 py-3">
-                    <button type="button" className="btn-secondary" onClick={() => handleConnect(inbox)}>
-                      <Link2 className="h-4 w-4" /> Connect Gmail
-                    </button>
+                    {inbox.health === 'reconnect_required' ? (
+                      <button type="button" className="btn-primary" onClick={() => handleConnect(inbox)}>
+                        <RefreshCw className="h-4 w-4" /> Reconnect
+                      </button>
+                    ) : (
+                      <button type="button" className="btn-secondary" onClick={() => handleConnect(inbox)}>
+                        <Link2 className="h-4 w-4" /> Connect Gmail
+                      </button>
+                    )}
                   </td>
                 </tr>
               ))}
               {inboxes.length === 0 && (
                 <tr>
-                  <td colSpan={5} className="px-4 py-8 text-center text-slate-500">
+                  <td colSpan={11} className="px-4 py-8 text-center text-slate-500">
                     No inboxes configured yet.
                   </td>
                 </tr>
@@ -145,3 +298,81 @@ export default function InboxesPage() {
     </div>
   );
 }
+
+const GMAIL_MODIFY_SCOPE = 'https://www.googleapis.com/auth/gmail.modify';
+
+function LabelSyncCell({
+  inbox,
+  onToggle,
+  onRetry,
+}: {
+  inbox: InboxRecord;
+  onToggle: (on: boolean) => void;
+  onRetry: () => void;
+}) {
+  const pending = inbox.labelSync?.pending ?? 0;
+  const failed = inbox.labelSync?.failed ?? 0;
+
+  return (
+    <div className="flex flex-col gap-1 text-xs">
+      <input
+        type="checkbox"
+        aria-label="Gmail labels"
+        checked={inbox.writeLabels ?? false}
+        onChange={(e) => onToggle(e.target.checked)}
+      />
+      {pending > 0 && <span className="text-slate-500">{pending} queued</span>}
+      {failed > 0 && (
+        <span className="flex items-center gap-1 text-red-400" title={inbox.labelError}>
+          {failed} failed
+          <button type="button" className="text-brand-300 hover:underline" onClick={onRetry} title="Retry failed label syncs">
+            <RotateCcw className="h-3 w-3" />
+          </button>
+        </span>
+      )}
+      {failed === 0 && pending > 0 && inbox.labelError && (
+        <span className="text-amber-400" title={`${inbox.labelError} (${formatDate(inbox.labelErrorAt)})`}>
+          Retrying
+        </span>
+      )}
+    </div>
+  );
+}
+
+function describeOverride(override?: { provider?: string; model?: string }): string {
+  if (!override?.provider && !override?.model) return 'default';
+  return [override.provider, override.model].filter(Boolean).join(':');
+}
+
+const HEALTH_STYLES: Record<string, string> = {
+  ok: 'bg-emerald-900/50 text-emerald-300 ring-emerald-700/50',
+  retrying: 'bg-amber-900/50 text-amber-300 ring-amber-700/50',
+  failing: 'bg-amber-900/50 text-amber-300 ring-amber-700/50',
+  stale: 'bg-amber-900/50 text-amber-300 ring-amber-700/50',
+  reconnect_required: 'bg-red-900/50 text-red-300 ring-red-700/50',
+};
+
+function HealthBadge({ inbox }: { inbox: InboxRecord }) {
+  const health = inbox.health ?? 'ok';
+  const state = health === 'ok' && inbox.staleAlertedAt ? 'stale' : health;
+  const label =
+    state === 'reconnect_required'
+      ? 'Reconnect required'
+      : state === 'failing'
+        ? `Failing ×${inbox.consecutiveFailures ?? 1}`
+        : state === 'retrying'
+          ? `Retrying ${inbox.syncRetries?.length ?? 0} message(s)`
+          : state === 'stale'
+            ? 'Stale'
+            : 'OK';
+  const detail = inbox.lastError ? `${inbox.lastError} (${formatDate(inbox.lastErrorAt)})` : undefined;
+
+  return (
+    <span
+      className={cn('inline-flex rounded px-2 py-0.5 text-xs font-medium ring-1', HEALTH_STYLES[state])}
+      title={state === 'ok' ? undefined : detail}
+    >
+      {label}
+    </span>
+  );
+}
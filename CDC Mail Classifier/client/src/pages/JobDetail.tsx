@@ -0,0 +1,127 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { fetchJob } from '@/lib/api';
+import type { JobGroupKey, JobViewResponse } from '@/types';
+import EmailTable from '@/components/EmailTable';
+import { cn, formatDate } from '@/lib/utils';
+
+const GROUPS: { key: JobGroupKey; label: string }[] = [
+  { key: 'files', label: 'Files' },
+  { key: 'corrections', label: 'Corrections' },
+  { key: 'approvals', label: 'Approvals' },
+  { key: 'queries', label: 'Queries' },
+  { key: 'quotes', label: 'Quotes' },
+  { key: 'other', label: 'Other' },
+];
+
+const APPROVAL_STYLES: Record<string, string> = {
+  Approved: 'text-emerald-300',
+  'Approved with changes': 'text-amber-300',
+  'Corrections pending': 'text-red-300',
+};
+
+export default function JobDetailPage() {
+  const navigate = useNavigate();
+  const { jobNumber = '' } = useParams<{ jobNumber: string }>();
+  const [job, setJob] = useState<JobViewResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      try {
+        setLoading(true);
+        const data = await fetchJob(jobNumber);
+        if (!cancelled) {
+          setJob(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setJob(null);
+          setError(err instanceof Error ? err.message : 'Failed to load job');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    if (jobNumber) load();
+    return () => {
+      cancelled = true;
+    };
+  }, [jobNumber]);
+
+  if (loading) {
+    return <div className="page-shell text-slate-500">Loading job…</div>;
+  }
+
+  if (!job) {
+    return (
+      <div className="page-shell space-y-2">
+        <Link to="/jobs" className="text-xs text-brand-300 hover:underline">← Back to jobs</Link>
+        <div className="text-red-400">{error ?? 'Job not found'}</div>
+      </div>
+    );
+  }
+
+  const approval = job.latestApproval;
+
+  return (
+    <div className="page-shell space-y-6">
+      <div>
+        <Link to="/jobs" className="text-xs text-brand-300 hover:underline">← Back to jobs</Link>
+        <h1 className="mt-2 text-xl font-semibold">Job {job.jobKey}</h1>
+        <p className="mt-1 text-sm text-slate-400">
+          {job.clientNames.join(', ') || 'Unknown client'}
+          {job.titles.length > 0 && ` · ${job.titles.join(', ')}`}
+        </p>
+        {job.aliases.length > 1 && (
+          <p className="mt-1 text-xs text-slate-500">Also written as: {job.aliases.join(', ')}</p>
+        )}
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <div className="card">
+          <div className="text-xs text-slate-500">Approval status</div>
+          <div className={cn('mt-1 text-sm font-medium', approval ? APPROVAL_STYLES[approval.status] : 'text-slate-400')}>
+            {approval ? approval.status : 'Not approved yet'}
+          </div>
+          {approval && (
+            <Link to={`/email/${approval.emailId}`} className="text-xs text-brand-300 hover:underline">
+              {formatDate(approval.sentDate ?? undefined)}
+            </Link>
+          )}
+        </div>
+        <div className="card">
+          <div className="text-xs text-slate-500">Correction round</div>
+          <div className="mt-1 text-2xl font-semibold tabular-nums">{job.correctionRound ?? '—'}</div>
+        </div>
+        <div className="card">
+          <div className="text-xs text-slate-500">Emails</div>
+          <div className="mt-1 text-2xl font-semibold tabular-nums">{job.totalEmails}</div>
+          <div className="text-xs text-slate-500">{job.inboxes.join(', ')}</div>
+        </div>
+        <div className="card">
+          <div className="text-xs text-slate-500">Activity</div>
+          <div className="mt-1 text-sm">{formatDate(job.firstSentDate ?? undefined)}</div>
+          <div className="text-sm">{formatDate(job.lastSentDate ?? undefined)}</div>
+        </div>
+      </div>
+
+      {GROUPS.filter((g) => job.groups[g.key]?.length > 0).map((group) => (
+        <div key={group.key}>
+          <h2 className="mb-3 text-sm font-medium text-slate-400">
+            {group.label} <span className="tabular-nums text-slate-500">({job.groups[group.key].length})</span>
+          </h2>
+          <EmailTable
+            emails={job.groups[group.key]}
+            onRowClick={(email) => navigate(`/email/${email._id}`)}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import { FormEvent, useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Search } from 'lucide-react';
+import { fetchJobs } from '@/lib/api';
+import type { JobSummary } from '@/types';
+import { formatDate } from '@/lib/utils';
+
+export default function JobsPage() {
+  const navigate = useNavigate();
+  const [search, setSearch] = useState('');
+  const [jobs, setJobs] = useState<JobSummary[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const data = await fetchJobs(search.trim());
+        if (!cancelled) {
+          setJobs(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load jobs');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, search ? 300 : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search]);
+
+  function handleSubmit(e: FormEvent) {
+    e.preventDefault();
+    if (search.trim()) navigate(`/jobs/${encodeURIComponent(search.trim())}`);
+  }
+
+  return (
+    <div className="page-shell space-y-4">
+      <div>
+        <h1 className="text-xl font-semibold">Jobs</h1>
+        <p className="mt-1 text-sm text-slate-500">
+          Every email for a job number across all inboxes. Formats like JC-2024-1138 and 24-1138 are matched together.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="card flex flex-wrap items-end gap-3">
+        <label className="flex flex-col gap-1 text-xs text-slate-500">
+          Job number
+          <input
+            className="input-field min-w-[14rem]"
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="24-1138"
+          />
+        </label>
+        <button type="submit" className="btn-primary" disabled={!search.trim()}>
+          <Search className="h-4 w-4" /> Open job
+        </button>
+      </form>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {loading ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="min-w-full divide-y divide-slate-800 text-sm">
+            <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
+              <tr>
+                <th className="px-4 py-3">Job</th>
+                <th className="px-4 py-3">Client</th>
+                <th className="px-4 py-3">Title</th>
+                <th className="px-4 py-3">Emails</th>
+                <th className="px-4 py-3">Last mail</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800/80 bg-slate-950/40">
+              {jobs.map((job) => (
+                <tr key={job.jobKey}>
+                  <td className="whitespace-nowrap px-4 py-3">
+                    <Link to={`/jobs/${encodeURIComponent(job.jobKey)}`} className="font-medium text-brand-300 hover:underline">
+                      {job.jobKey}
+                    </Link>
+                  </td>
+                  <td className="max-w-[12rem] truncate px-4 py-3">{job.clientName || '—'}</td>
+                  <td className="max-w-[16rem] truncate px-4 py-3 text-slate-300">{job.title || '—'}</td>
+                  <td className="px-4 py-3 tabular-nums">{job.count}</td>
+                  <td className="whitespace-nowrap px-4 py-3 text-xs text-slate-500">{formatDate(job.lastSentDate)}</td>
+                </tr>
+              ))}
+              {jobs.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-8 text-center text-slate-500">
+                    No jobs found.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
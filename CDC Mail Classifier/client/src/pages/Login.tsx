@@ -0,0 +1,28 @@
+import { useSearchParams } from 'react-router-dom';
+import { LogIn, Mail } from 'lucide-react';
+import { LOGIN_URL } from '@/lib/api';
+
+export default function LoginPage() {
+  const [searchParams] = useSearchParams();
+  const error = searchParams.get('error');
+
+  return (
+    <div className="flex min-h-screen items-center justify-center px-4">
+      <div className="card w-full max-w-sm space-y-5 p-6 text-center">
+        <div className="mx-auto flex h-12 w-12 items-center justify-center rounded-xl bg-brand-600 text-white">
+          <Mail className="h-5 w-5" />
+        </div>
+        <div>
+          <h1 className="text-lg font-semibold">CDC Mail Classifier</h1>
+          <p className="mt-1 text-sm text-slate-500">Sign in with your company Google account.</p>
+        </div>
+
+        {error && <div className="text-sm text-red-400">{error}</div>}
+
+        <a href={LOGIN_URL} className="btn-primary w-full">
+          <LogIn className="h-4 w-4" /> Sign in with Google
+        </a>
+      </div>
+    </div>
+  );
+}
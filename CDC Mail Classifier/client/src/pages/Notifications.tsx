@@ -0,0 +1,329 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2, Moon, Pencil, Plus, RotateCcw, Send, Trash2 } from 'lucide-react';
+import { clsx } from 'clsx';
+import {
+  createNotificationRoute,
+  deleteNotificationRoute,
+  fetchDeliveries,
+  fetchNotificationRoutes,
+  retryDelivery,
+  testNotificationRoute,
+  updateNotificationRoute,
+} from '@/lib/api';
+import type {
+  DeliveryLogResponse,
+  DeliveryStatus,
+  NotificationRoutePayload,
+  NotificationRouteRecord,
+} from '@/types';
+import { NOTIFICATION_CHANNELS } from '@/types';
+import NotificationRouteForm from '@/components/NotificationRouteForm';
+import { formatDate } from '@/lib/utils';
+
+const STATUS_STYLES: Record<DeliveryStatus, string> = {
+  pending: 'bg-slate-800 text-slate-300',
+  sending: 'bg-brand-600/20 text-brand-200',
+  sent: 'bg-emerald-900/40 text-emerald-300',
+  failed: 'bg-red-900/40 text-red-300',
+};
+
+function channelLabel(channel: string): string {
+  return NOTIFICATION_CHANNELS.find((c) => c.value === channel)?.label ?? channel;
+}
+
+export default function NotificationsPage() {
+  const [routes, setRoutes] = useState<NotificationRouteRecord[]>([]);
+  const [log, setLog] = useState<DeliveryLogResponse | null>(null);
+  const [statusFilter, setStatusFilter] = useState<DeliveryStatus | ''>('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  /** undefined = form closed, null = new route. */
+  const [editing, setEditing] = useState<NotificationRouteRecord | null | undefined>(undefined);
+
+  async function load() {
+    try {
+      const [routeData, logData] = await Promise.all([
+        fetchNotificationRoutes(),
+        fetchDeliveries(statusFilter || undefined),
+      ]);
+      setRoutes(routeData);
+      setLog(logData);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load notifications');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    const interval = setInterval(load, 30_000);
+    return () => clearInterval(interval);
+  }, [statusFilter]);
+
+  async function handleSubmit(payload: NotificationRoutePayload) {
+    try {
+      if (editing) {
+        await updateNotificationRoute(editing._id, payload);
+      } else {
+        await createNotificationRoute(payload);
+      }
+      setEditing(undefined);
+      setError(null);
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Save failed');
+    }
+  }
+
+  async function handleToggle(route: NotificationRouteRecord) {
+    try {
+      const updated = await updateNotificationRoute(route._id, { active: !route.active });
+      setRoutes((list) => list.map((r) => (r._id === updated._id ? updated : r)));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Update failed');
+    }
+  }
+
+  async function handleDelete(route: NotificationRouteRecord) {
+    if (!window.confirm(`Delete route "${route.name}"? Unsent notifications for it are dropped.`)) return;
+    try {
+      await deleteNotificationRoute(route._id);
+      setRoutes((list) => list.filter((r) => r._id !== route._id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Delete failed');
+    }
+  }
+
+  async function handleTest(route: NotificationRouteRecord) {
+    try {
+      setBusy(route._id);
+      setMessage(null);
+      await testNotificationRoute(route._id);
+      setMessage(`Test sent to ${route.target}`);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Test failed');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleRetry(id: string) {
+    try {
+      setBusy(id);
+      await retryDelivery(id);
+      setMessage('Delivery re-queued');
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Retry failed');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  return (
+    <div className="page-shell space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Notifications</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Routes notify a department when newly classified mail matches. Failed sends are retried with backoff.
+          </p>
+        </div>
+        {editing === undefined && (
+          <button type="button" className="btn-primary" onClick={() => setEditing(null)}>
+            <Plus className="h-4 w-4" /> New route
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {message && <div className="text-sm text-emerald-400">{message}</div>}
+
+      {log?.quietUntil && (
+        <div className="card flex items-center gap-2 text-sm text-amber-300">
+          <Moon className="h-4 w-4" />
+          Quiet hours ({log.quietHours}) — notifications are held until {formatDate(log.quietUntil)}.
+        </div>
+      )}
+
+      {editing !== undefined && (
+        <NotificationRouteForm route={editing} onSubmit={handleSubmit} onCancel={() => setEditing(undefined)} />
+      )}
+
+      {loading ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <>
+          <div className="overflow-x-auto rounded-xl border border-slate-800">
+            <table className="min-w-full divide-y divide-slate-800 text-sm">
+              <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
+                <tr>
+                  <th className="px-4 py-3">Name</th>
+                  <th className="px-4 py-3">When</th>
+                  <th className="px-4 py-3">Send via</th>
+                  <th className="px-4 py-3">Sent</th>
+                  <th className="px-4 py-3">Active</th>
+                  <th className="px-4 py-3">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800/80 bg-slate-950/40">
+                {routes.map((route) => (
+                  <tr key={route._id} className={route.active ? '' : 'opacity-50'}>
+                    <td className="px-4 py-3 font-medium">{route.name}</td>
+                    <td className="max-w-[20rem] px-4 py-3 text-xs text-slate-400">
+                      {route.department || 'Any department'} ·{' '}
+                      {route.mailTypes.length > 0 ? route.mailTypes.join(', ') : 'any mail type'}
+                    </td>
+                    <td className="max-w-[18rem] px-4 py-3 text-xs">
+                      <span className="text-slate-300">{channelLabel(route.channel)}</span>
+                      <span className="ml-2 break-all text-slate-500">{route.target}</span>
+                      {route.ignoreQuietHours && <span className="ml-2 text-amber-300">ignores quiet hours</span>}
+                    </td>
+                    <td className="whitespace-nowrap px-4 py-3 text-xs text-slate-400">
+                      <span className="tabular-nums">{route.sentCount}</span>
+                      {route.lastSentAt && <span className="ml-2 text-slate-600">{formatDate(route.lastSentAt)}</span>}
+                    </td>
+                    <td className="px-4 py-3">
+                      <input type="checkbox" checked={route.active} onChange={() => handleToggle(route)} />
+                    </td>
+                    <td className="whitespace-nowrap px-4 py-3">
+                      <div className="flex gap-2">
+                        <button
+                          type="button"
+                          className="btn-secondary"
+                          onClick={() => handleTest(route)}
+                          disabled={busy !== null}
+                        >
+                          {busy === route._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <Send className="h-4 w-4" />}
+                          Test
+                        </button>
+                        <button type="button" className="btn-secondary" onClick={() => setEditing(route)}>
+                          <Pencil className="h-4 w-4" /> Edit
+                        </button>
+                        <button type="button" className="btn-secondary" onClick={() => handleDelete(route)}>
+                          <Trash2 className="h-4 w-4" /> Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                {routes.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-4 py-8 text-center text-slate-500">
+                      No routes yet — classified mail is only visible in the dashboard.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <h2 className="text-sm font-medium text-slate-400">Delivery log</h2>
+              <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                {log &&
+                  (Object.keys(STATUS_STYLES) as DeliveryStatus[]).map((status) => (
+                    <span key={status}>
+                      {status} <span className="tabular-nums text-slate-300">{log.counts[status]}</span>
+                    </span>
+                  ))}
+                <select
+                  className="input-field w-32"
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value as DeliveryStatus | '')}
+                >
+                  <option value="">All statuses</option>
+                  {(Object.keys(STATUS_STYLES) as DeliveryStatus[]).map((status) => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto rounded-xl border border-slate-800">
+              <table className="min-w-full divide-y divide-slate-800 text-sm">
+                <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
+                  <tr>
+                    <th className="px-4 py-3">Queued</th>
+                    <th className="px-4 py-3">Route</th>
+                    <th className="px-4 py-3">Email</th>
+                    <th className="px-4 py-3">Status</th>
+                    <th className="px-4 py-3">Attempts</th>
+                    <th className="px-4 py-3">Detail</th>
+                    <th className="px-4 py-3" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-800/80">
+                  {log?.deliveries.map((delivery) => (
+                    <tr key={delivery._id}>
+                      <td className="whitespace-nowrap px-4 py-3 text-xs text-slate-500">
+                        {formatDate(delivery.createdAt)}
+                      </td>
+                      <td className="px-4 py-3 text-xs">
+                        <div className="text-slate-300">{delivery.routeName}</div>
+                        <div className="text-slate-500">{channelLabel(delivery.channel)}</div>
+                      </td>
+                      <td className="max-w-[18rem] truncate px-4 py-3">
+                        <Link to={`/email/${delivery.emailId}`} className="hover:text-brand-300">
+                          {delivery.subject || '(no subject)'}
+                        </Link>
+                      </td>
+                      <td className="px-4 py-3">
+                        <span className={clsx('rounded-full px-2 py-0.5 text-xs', STATUS_STYLES[delivery.status])}>
+                          {delivery.status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-3 tabular-nums">{delivery.attempts}</td>
+                      <td className="max-w-[20rem] truncate px-4 py-3 text-xs" title={delivery.lastError}>
+                        {delivery.status === 'sent' && delivery.sentAt && (
+                          <span className="text-slate-500">Sent {formatDate(delivery.sentAt)}</span>
+                        )}
+                        {delivery.status !== 'sent' && delivery.lastError && (
+                          <span className="text-red-300">{delivery.lastError}</span>
+                        )}
+                        {delivery.status === 'pending' && !delivery.lastError && delivery.deferredUntil && (
+                          <span className="text-amber-300">Held until {formatDate(delivery.deferredUntil)}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3">
+                        {delivery.status === 'failed' && (
+                          <button
+                            type="button"
+                            className="btn-secondary"
+                            onClick={() => handleRetry(delivery._id)}
+                            disabled={busy !== null}
+                          >
+                            {busy === delivery._id ? (
+                              <Loader2 className="h-4 w-4 animate-spin" />
+                            ) : (
+                              <RotateCcw className="h-4 w-4" />
+                            )}
+                            Retry
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                  {log?.deliveries.length === 0 && (
+                    <tr>
+                      <td colSpan={7} className="px-4 py-8 text-center text-slate-500">
+                        No notifications sent yet.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
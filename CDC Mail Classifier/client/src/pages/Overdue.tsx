@@ -0,0 +1,119 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { fetchEmails } from '@/lib/api';
+import type { EmailRecord } from '@/types';
+import { WORKFLOW_STATUSES } from '@/types';
+import MailTypeBadge from '@/components/MailTypeBadge';
+import { formatDate, formatSlaDue } from '@/lib/utils';
+
+function statusLabel(email: EmailRecord): string {
+  const status = email.workflowStatus ?? 'new';
+  return WORKFLOW_STATUSES.find((s) => s.value === status)?.label ?? status;
+}
+
+export default function OverduePage() {
+  const [emails, setEmails] = useState<EmailRecord[]>([]);
+  const [total, setTotal] = useState(0);
+  const [mineOnly, setMineOnly] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      try {
+        setLoading(true);
+        const data = await fetchEmails({ overdue: true, assignee: mineOnly ? 'me' : undefined, limit: 100 });
+        if (!cancelled) {
+          setEmails(data.emails);
+          setTotal(data.pagination.total);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err instanceof Error ? err.message : 'Failed to load overdue mail');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    load();
+    const interval = setInterval(load, 60_000);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [mineOnly]);
+
+  return (
+    <div className="page-shell space-y-4">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Overdue</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Actionable mail past its SLA deadline that is not marked done, most overdue first.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-slate-400">
+          <input type="checkbox" checked={mineOnly} onChange={(e) => setMineOnly(e.target.checked)} />
+          Assigned to me
+        </label>
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+
+      {loading && emails.length === 0 ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <>
+          <div className="text-sm text-slate-400">{total} overdue email(s)</div>
+          <div className="overflow-x-auto rounded-xl border border-slate-800">
+            <table className="min-w-full divide-y divide-slate-800 text-sm">
+              <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
+                <tr>
+                  <th className="px-4 py-3">Overdue</th>
+                  <th className="px-4 py-3">Subject</th>
+                  <th className="px-4 py-3">Department</th>
+                  <th className="px-4 py-3">Mail type</th>
+                  <th className="px-4 py-3">Assignee</th>
+                  <th className="px-4 py-3">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800/80">
+                {emails.map((email) => (
+                  <tr key={email._id} className="hover:bg-slate-900/60">
+                    <td className="whitespace-nowrap px-4 py-3">
+                      <div className="text-red-300">{formatSlaDue(email.slaDueAt).replace(' overdue', '')}</div>
+                      <div className="text-xs text-slate-500">due {formatDate(email.slaDueAt)}</div>
+                    </td>
+                    <td className="max-w-[20rem] px-4 py-3">
+                      <Link to={`/email/${email._id}`} className="block truncate hover:text-brand-300">
+                        {email.subject || '(no subject)'}
+                      </Link>
+                      <div className="truncate text-xs text-slate-500">{email.fromEmail}</div>
+                    </td>
+                    <td className="whitespace-nowrap px-4 py-3 text-slate-400">{email.department || '—'}</td>
+                    <td className="max-w-[12rem] px-4 py-3">
+                      <MailTypeBadge mailType={email.mailType} />
+                    </td>
+                    <td className="max-w-[12rem] truncate px-4 py-3">
+                      {email.assignee ?? <span className="text-amber-300">Unassigned</span>}
+                    </td>
+                    <td className="whitespace-nowrap px-4 py-3 text-slate-400">{statusLabel(email)}</td>
+                  </tr>
+                ))}
+                {emails.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-4 py-8 text-center text-slate-500">
+                      Nothing overdue.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,237 @@
+import { useEffect, useState } from 'react';
+import { Eye, EyeOff, GitCompare, Plus, Rocket, Square } from 'lucide-react';
+import {
+  createPromptVersion,
+  fetchPromptVersion,
+  fetchPromptVersions,
+  fetchShadowStats,
+  makePromptVersionLive,
+  promoteShadow,
+  startShadow,
+  stopShadow,
+} from '@/lib/api';
+import type { PromptVersionPayload, PromptVersionRecord, ShadowStats } from '@/types';
+import PromptVersionForm from '@/components/PromptVersionForm';
+import ShadowAgreement from '@/components/ShadowAgreement';
+import { formatDate } from '@/lib/utils';
+
+function modelsLabel(version: PromptVersionRecord): string {
+  const tiers = Object.entries(version.tiers ?? {})
+    .filter(([, t]) => t?.provider || t?.model)
+    .map(([tier, t]) => `${tier} ${[t?.provider, t?.model].filter(Boolean).join(':')}`);
+  return tiers.length > 0 ? tiers.join(', ') : 'Default models';
+}
+
+export default function PromptsPage() {
+  const [versions, setVersions] = useState<PromptVersionRecord[]>([]);
+  const [shadowStats, setShadowStats] = useState<ShadowStats | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  /** Full versions (with prompt text) opened for reading. */
+  const [opened, setOpened] = useState<Record<number, PromptVersionRecord>>({});
+  const [creatingFrom, setCreatingFrom] = useState<PromptVersionRecord | null>(null);
+  const [sampleRate, setSampleRate] = useState(100);
+
+  async function load() {
+    try {
+      const [list, stats] = await Promise.all([fetchPromptVersions(), fetchShadowStats()]);
+      setVersions(list);
+      setShadowStats(stats);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load prompt versions');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function act(action: () => Promise<unknown>, done: string) {
+    try {
+      setBusy(true);
+      await action();
+      setMessage(done);
+      await load();
+    } catch (err) {
+      setMessage(null);
+      setError(err instanceof Error ? err.message : 'Action failed');
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function toggleOpened(version: number) {
+    if (opened[version]) {
+      setOpened((o) => {
+        const rest = { ...o };
+        delete rest[version];
+        return rest;
+      });
+      return;
+    }
+    try {
+      const full = await fetchPromptVersion(version);
+      setOpened((o) => ({ ...o, [version]: full }));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load prompt');
+    }
+  }
+
+  async function startNewVersion() {
+    const live = versions.find((v) => v.live);
+    try {
+      setCreatingFrom(live ? await fetchPromptVersion(live.version) : null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load the live prompt');
+    }
+  }
+
+  async function handleCreate(payload: PromptVersionPayload) {
+    try {
+      const created = await createPromptVersion(payload);
+      setCreatingFrom(null);
+      setMessage(`Saved as v${created.version}`);
+      setError(null);
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Save failed');
+    }
+  }
+
+  function handleMakeLive(version: PromptVersionRecord) {
+    if (!window.confirm(`Classify new mail with v${version.version} from now on?`)) return;
+    act(() => makePromptVersionLive(version.version), `v${version.version} is live`);
+  }
+
+  return (
+    <div className="page-shell space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Prompt versions</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Every classifier prompt is kept as a numbered version and each email records the version that classified
+            it. A shadow version classifies a sample of live mail as well, without changing the stored result, so it
+            can be compared before it is promoted. Saving a taxonomy change that alters the prompt adds a version here;
+            it is not used until it is promoted.
+          </p>
+        </div>
+        {!creatingFrom && (
+          <button type="button" className="btn-primary" onClick={startNewVersion}>
+            <Plus className="h-4 w-4" /> New version
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {message && <div className="text-sm text-emerald-400">{message}</div>}
+
+      {shadowStats && (
+        <ShadowAgreement
+          stats={shadowStats}
+          promoting={busy}
+          onPromote={() => act(promoteShadow, `v${shadowStats.version} promoted to live`)}
+        />
+      )}
+
+      {creatingFrom && (
+        <PromptVersionForm base={creatingFrom} onSubmit={handleCreate} onCancel={() => setCreatingFrom(null)} />
+      )}
+
+      <div className="flex items-center gap-2 text-sm text-slate-400">
+        Shadow sample
+        <input
+          type="number"
+          className="input-field w-24"
+          min={1}
+          max={100}
+          value={sampleRate}
+          onChange={(e) => setSampleRate(Number(e.target.value))}
+        />
+        % of LLM-classified mail
+      </div>
+
+      {loading ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <div className="space-y-3">
+          {versions.map((version) => (
+            <div key={version.version} className="card space-y-2">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                  <div className="flex items-center gap-2">
+                    <span className="font-semibold">v{version.version}</span>
+                    {version.live && (
+                      <span className="rounded bg-emerald-500/20 px-2 py-0.5 text-xs text-emerald-300">live</span>
+                    )}
+                    {version.shadow && (
+                      <span className="rounded bg-sky-500/20 px-2 py-0.5 text-xs text-sky-300">
+                        shadow · {Math.round((version.shadowSampleRate ?? 1) * 100)}%
+                      </span>
+                    )}
+                    <span className="font-mono text-xs text-slate-500">{version.hash}</span>
+                  </div>
+                  <div className="mt-1 text-xs text-slate-500">
+                    {version.origin === 'taxonomy' ? 'From taxonomy' : 'Edited'} · {formatDate(version.createdAt)}
+                    {version.createdBy && ` · ${version.createdBy}`} · {modelsLabel(version)}
+                    {version.live && version.liveSince && ` · live since ${formatDate(version.liveSince)}`}
+                  </div>
+                  {version.note && <div className="mt-1 text-sm text-slate-300">{version.note}</div>}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button type="button" className="btn-secondary" onClick={() => toggleOpened(version.version)}>
+                    {opened[version.version] ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />} Prompt
+                  </button>
+                  {!version.live && !version.shadow && (
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      disabled={busy || !(sampleRate > 0 && sampleRate <= 100)}
+                      onClick={() =>
+                        act(
+                          () => startShadow(version.version, sampleRate / 100),
+                          `v${version.version} is running in shadow`,
+                        )
+                      }
+                    >
+                      <GitCompare className="h-4 w-4" /> Shadow
+                    </button>
+                  )}
+                  {version.shadow && (
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      disabled={busy}
+                      onClick={() => act(stopShadow, 'Shadow stopped')}
+                    >
+                      <Square className="h-4 w-4" /> Stop shadow
+                    </button>
+                  )}
+                  {!version.live && (
+                    <button
+                      type="button"
+                      className="btn-secondary"
+                      disabled={busy}
+                      onClick={() => handleMakeLive(version)}
+                    >
+                      <Rocket className="h-4 w-4" /> Make live
+                    </button>
+                  )}
+                </div>
+              </div>
+              {opened[version.version] && (
+                <pre className="max-h-96 overflow-auto whitespace-pre-wrap text-xs text-slate-300">
+                  {opened[version.version].systemPrompt}
+                </pre>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { useEffect, useState } from 'react';
+import { Loader2, RotateCcw } from 'lucide-react';
+import { fetchQueueStatus, retryAllDeadLetters, retryDeadLetter } from '@/lib/api';
+import type { QueueStatusResponse } from '@/types';
+import { formatDate } from '@/lib/utils';
+
+export default function QueuePage() {
+  const [status, setStatus] = useState<QueueStatusResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [retrying, setRetrying] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  async function load() {
+    try {
+      setLoading(true);
+      const data = await fetchQueueStatus();
+      setStatus(data);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load queue');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    const interval = setInterval(load, 30_000);
+    return () => clearInterval(interval);
+  }, []);
+
+  async function handleRetry(id: string) {
+    try {
+      setRetrying(id);
+      await retryDeadLetter(id);
+      setMessage('Re-queued for classification');
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Retry failed');
+    } finally {
+      setRetrying(null);
+    }
+  }
+
+  async function handleRetryAll() {
+    try {
+      setRetrying('all');
+      const { retried } = await retryAllDeadLetters();
+      setMessage(`Re-queued ${retried} email(s)`);
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Retry failed');
+    } finally {
+      setRetrying(null);
+    }
+  }
+
+  const deadLetters = status?.deadLetters ?? [];
+
+  return (
+    <div className="page-shell space-y-6">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Classification queue</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Mail waiting for the classifier, and mail that failed every retry.
+          </p>
+        </div>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={handleRetryAll}
+          disabled={deadLetters.length === 0 || retrying !== null}
+        >
+          {retrying === 'all' ? <Loader2 className="h-4 w-4 animate-spin" /> : <RotateCcw className="h-4 w-4" />}
+          Retry all
+        </button>
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {message && <div className="text-sm text-emerald-400">{message}</div>}
+
+      {loading && !status ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            <QueueCount label="Pending" value={status?.pending ?? 0} />
+            <QueueCount label="Retrying" value={status?.retrying ?? 0} />
+            <QueueCount label="Processing" value={status?.processing ?? 0} />
+            <QueueCount label="Dead letters" value={status?.deadLetterCount ?? 0} highlight />
+          </div>
+
+          <div className="overflow-x-auto rounded-xl border border-slate-800">
+            <table className="min-w-full divide-y divide-slate-800 text-sm">
+              <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
+                <tr>
+                  <th className="px-4 py-3">Inbox</th>
+                  <th className="px-4 py-3">From</th>
+                  <th className="px-4 py-3">Subject</th>
+                  <th className="px-4 py-3">Attempts</th>
+                  <th className="px-4 py-3">Last error</th>
+                  <th className="px-4 py-3">Failed</th>
+                  <th className="px-4 py-3">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-800/80">
+                {deadLetters.map((item) => (
+                  <tr key={item._id}>
+                    <td className="whitespace-nowrap px-4 py-3 text-slate-400">{item.inbox || '—'}</td>
+                    <td className="max-w-[12rem] truncate px-4 py-3">{item.fromEmail || '—'}</td>
+                    <td className="max-w-[16rem] truncate px-4 py-3">{item.subject || '(no subject)'}</td>
+                    <td className="px-4 py-3 tabular-nums">{item.attempts}</td>
+                    <td className="max-w-[20rem] truncate px-4 py-3 text-xs text-red-300" title={item.lastError}>
+                      {item.lastError || '—'}
+                    </td>
+                    <td className="whitespace-nowrap px-4 py-3 text-xs text-slate-500">{formatDate(item.failedAt)}</td>
+                    <td className="px-4 py-3">
+                      <button
+                        type="button"
+                        className="btn-secondary"
+                        onClick={() => handleRetry(item._id)}
+                        disabled={retrying !== null}
+                      >
+                        {retrying === item._id ? <Loader2 className="h-4 w-4 animate-spin" /> : <RotateCcw className="h-4 w-4" />}
+                        Retry
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+                {deadLetters.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-8 text-center text-slate-500">
+                      No failed classifications.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function QueueCount({ label, value, highlight }: { label: string; value: number; highlight?: boolean }) {
+  return (
+    <div className={highlight && value > 0 ? 'card ring-1 ring-red-700/40' : 'card'}>
+      <div className="text-xs text-slate-500">{label}</div>
+      <div className="mt-2 text-2xl font-semibold tabular-nums">{value}</div>
+    </div>
+  );
+}
@@ -0,0 +1,261 @@
+import { Fragment, useEffect, useState } from 'react';
+import { Eye, Loader2, Pencil, Plus, Send, Trash2 } from 'lucide-react';
+import { createReport, deleteReport, fetchReports, previewReport, sendReport, updateReport } from '@/lib/api';
+import type { DigestPreview, ReportPayload, ReportRecord } from '@/types';
+import ReportForm, { WEEKDAYS } from '@/components/ReportForm';
+import { formatDate } from '@/lib/utils';
+
+function schedule(report: ReportRecord): string {
+  const time = `${String(report.hour).padStart(2, '0')}:00`;
+  return report.kind === 'client'
+    ? `Weekly per client · ${WEEKDAYS[report.weekday]} ${time}`
+    : `Daily per department · ${time}`;
+}
+
+export default function ReportsPage() {
+  const [reports, setReports] = useState<ReportRecord[]>([]);
+  const [smtpConfigured, setSmtpConfigured] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [preview, setPreview] = useState<{ id: string; digest: DigestPreview } | null>(null);
+  /** undefined = form closed, null = new report. */
+  const [editing, setEditing] = useState<ReportRecord | null | undefined>(undefined);
+
+  async function load() {
+    try {
+      const data = await fetchReports();
+      setReports(data.reports);
+      setSmtpConfigured(data.smtpConfigured);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load reports');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function handleSubmit(payload: ReportPayload) {
+    try {
+      if (editing) {
+        await updateReport(editing._id, payload);
+      } else {
+        await createReport(payload);
+      }
+      setEditing(undefined);
+      setError(null);
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Save failed');
+    }
+  }
+
+  async function handleToggle(report: ReportRecord) {
+    try {
+      const updated = await updateReport(report._id, { active: !report.active });
+      setReports((list) => list.map((r) => (r._id === updated._id ? updated : r)));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Update failed');
+    }
+  }
+
+  async function handleDelete(report: ReportRecord) {
+    if (!window.confirm(`Delete report "${report.name}"?`)) return;
+    try {
+      await deleteReport(report._id);
+      setReports((list) => list.filter((r) => r._id !== report._id));
+      if (preview?.id === report._id) setPreview(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Delete failed');
+    }
+  }
+
+  async function handlePreview(report: ReportRecord) {
+    if (preview?.id === report._id) {
+      setPreview(null);
+      return;
+    }
+    try {
+      setBusy(`preview:${report._id}`);
+      setPreview({ id: report._id, digest: await previewReport(report._id) });
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Preview failed');
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleSend(report: ReportRecord) {
+    try {
+      setBusy(`send:${report._id}`);
+      setMessage(null);
+      const updated = await sendReport(report._id);
+      setReports((list) => list.map((r) => (r._id === updated._id ? updated : r)));
+      setMessage(`Sent to ${report.recipients}`);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Send failed');
+      await load();
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  return (
+    <div className="page-shell space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Reports</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Digests emailed on a schedule: yesterday per department, or the last 7 days per client — counts by mail
+            type, turnaround and SLA.
+          </p>
+        </div>
+        {editing === undefined && (
+          <button type="button" className="btn-primary" onClick={() => setEditing(null)}>
+            <Plus className="h-4 w-4" /> New report
+          </button>
+        )}
+      </div>
+
+      {!smtpConfigured && (
+        <div className="card text-sm text-amber-300">
+          SMTP is not configured (SMTP_HOST), so reports cannot be sent. Previews still work.
+        </div>
+      )}
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {message && <div className="text-sm text-emerald-400">{message}</div>}
+
+      {editing !== undefined && (
+        <ReportForm report={editing} onSubmit={handleSubmit} onCancel={() => setEditing(undefined)} />
+      )}
+
+      {loading ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="min-w-full divide-y divide-slate-800 text-sm">
+            <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
+              <tr>
+                <th className="px-4 py-3">Name</th>
+                <th className="px-4 py-3">Schedule</th>
+                <th className="px-4 py-3">Recipients</th>
+                <th className="px-4 py-3">Sent</th>
+                <th className="px-4 py-3">Active</th>
+                <th className="px-4 py-3">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800/80 bg-slate-950/40">
+              {reports.map((report) => (
+                <Fragment key={report._id}>
+                  <tr className={report.active ? '' : 'opacity-50'}>
+                    <td className="px-4 py-3 font-medium">{report.name}</td>
+                    <td className="px-4 py-3 text-xs text-slate-400">
+                      {schedule(report)}
+                      <div className="text-slate-500">{report.department || 'All departments'}</div>
+                    </td>
+                    <td className="max-w-[18rem] break-all px-4 py-3 text-xs text-slate-400">{report.recipients}</td>
+                    <td className="px-4 py-3 text-xs text-slate-400">
+                      <span className="tabular-nums">{report.sentCount}</span>
+                      {report.lastSentAt && <span className="ml-2 text-slate-600">{formatDate(report.lastSentAt)}</span>}
+                      {report.lastError && (
+                        <div className="max-w-[16rem] truncate text-red-300" title={report.lastError}>
+                          {report.lastError}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <input type="checkbox" checked={report.active} onChange={() => handleToggle(report)} />
+                    </td>
+                    <td className="whitespace-nowrap px-4 py-3">
+                      <div className="flex gap-2">
+                        <button
+                          type="button"
+                          className="btn-secondary"
+                          onClick={() => handlePreview(report)}
+                          disabled={busy !== null}
+                        >
+                          {busy === `preview:${report._id}` ? (
+                            <Loader2 className="h-4 w-4 animate-spin" />
+                          ) : (
+                            <Eye className="h-4 w-4" />
+                          )}
+                          Preview
+                        </button>
+                        <button
+                          type="button"
+                          className="btn-secondary"
+                          onClick={() => handleSend(report)}
+                          disabled={busy !== null || !smtpConfigured}
+                        >
+                          {busy === `send:${report._id}` ? (
+                            <Loader2 className="h-4 w-4 animate-spin" />
+                          ) : (
+                            <Send className="h-4 w-4" />
+                          )}
+                          Send now
+                        </button>
+                        <button type="button" className="btn-secondary" onClick={() => setEditing(report)}>
+                          <Pencil className="h-4 w-4" /> Edit
+                        </button>
+                        <button type="button" className="btn-secondary" onClick={() => handleDelete(report)}>
+                          <Trash2 className="h-4 w-4" /> Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                  {preview?.id === report._id && (
+                    <tr>
+                      <td colSpan={6} className="bg-slate-900/60 px-4 py-3">
+                        <div className="mb-2 text-xs text-slate-500">{preview.digest.subject}</div>
+                        {preview.digest.table.rows.length === 0 ? (
+                          <div className="text-sm text-slate-500">No mail received in this period.</div>
+                        ) : (
+                          <div className="overflow-x-auto">
+                            <table className="min-w-full text-xs">
+                              <thead className="text-left text-slate-500">
+                                <tr>
+                                  {preview.digest.table.columns.map((column) => (
+                                    <th key={column} className="px-2 py-1 font-medium">{column}</th>
+                                  ))}
+                                </tr>
+                              </thead>
+                              <tbody className="divide-y divide-slate-800/60">
+                                {preview.digest.table.rows.map((row, i) => (
+                                  <tr key={i}>
+                                    {row.map((cell, j) => (
+                                      <td key={j} className={j === 0 ? 'px-2 py-1 text-slate-300' : 'px-2 py-1 tabular-nums'}>
+                                        {cell ?? '—'}
+                                      </td>
+                                    ))}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+              {reports.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-8 text-center text-slate-500">
+                    No reports yet — create one to email digests to management.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,70 +1,282 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { fetchEmails } from '@/lib/api';
-import type { EmailRecord } from '@/types';
+import { Keyboard } from 'lucide-react';
+import { bulkUpdateEmails, fetchAssignableUsers, fetchEmails } from '@/lib/api';
+import { useAuth } from '@/lib/auth';
+import { useLiveEvents } from '@/lib/live';
+import { useTaxonomy } from '@/lib/taxonomy';
+import type { AssignableUser, BulkUpdatePayload, EmailRecord } from '@/types';
 import EmailTable from '@/components/EmailTable';
+import BulkActionBar from '@/components/BulkActionBar';
+
+const PAGE_SIZE = 100;
+const LIVE_RELOAD_DELAY_MS = 1500;
+
+/** Digit keys pick from the first nine active departments and mail types. */
+function shortcuts(departments: string[], mailTypes: string[]): [string, string][] {
+  return [
+    ['j / ↓', 'Next email'],
+    ['k / ↑', 'Previous email'],
+    ['x', 'Select / unselect'],
+    ['Enter', 'Open email'],
+    ['a', 'Accept as classified (mark reviewed)'],
+    ...departments.map((d, i): [string, string] => [String(i + 1), `Department: ${d}`]),
+    ...mailTypes.map((t, i): [string, string] => [`Shift+${i + 1}`, `Mail type: ${t}`]),
+    ['r', 'Reclassify'],
+    ['m', 'Assign to me'],
+    ['Esc', 'Clear selection'],
+    ['?', 'Show / hide shortcuts'],
+  ];
+}
+
+function isTyping(target: EventTarget | null): boolean {
+  return target instanceof HTMLElement && (target.isContentEditable || /^(INPUT|SELECT|TEXTAREA)$/.test(target.tagName));
+}
 
 export default function ReviewQueuePage() {
   const navigate = useNavigate();
+  const { user } = useAuth();
+  const { activeDepartments, activeMailTypes } = useTaxonomy();
+  const departmentKeys = activeDepartments.slice(0, 9);
+  const mailTypeKeys = activeMailTypes.slice(0, 9);
   const [emails, setEmails] = useState<EmailRecord[]>([]);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [selected, setSelected] = useState<Set<string>>(new Set());
+  const [activeId, setActiveId] = useState<string | undefined>();
+  const [assignees, setAssignees] = useState<AssignableUser[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [showHelp, setShowHelp] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      const data = await fetchEmails({ needsReview: true, sort: 'oldest', limit: PAGE_SIZE, page });
+      setEmails(data.emails);
+      setPages(data.pagination.pages || 1);
+      setTotal(data.pagination.total);
+      setSelected((current) => new Set(data.emails.filter((e) => current.has(e._id)).map((e) => e._id)));
+      setActiveId((current) =>
+        current && data.emails.some((e) => e._id === current) ? current : data.emails[0]?._id,
+      );
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load review queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [page]);
 
   useEffect(() => {
-    let cancelled = false;
+    setLoading(true);
+    load();
+  }, [load]);
 
-    async function load() {
+  useEffect(() => {
+    fetchAssignableUsers()
+      .then(setAssignees)
+      .catch(() => setAssignees([]));
+  }, []);
+
+  /**
+   * Swaps in updated rows; `null` removes the row, e.g. once it is reviewed.
+   * The cursor moves to the row that takes a removed row's place.
+   */
+  const replaceRows = useCallback(
+    (changes: Map<string, EmailRecord | null>): EmailRecord[] => {
+      const remaining = emails.flatMap((e) => {
+        const next = changes.get(e._id);
+        if (next === undefined) return [e];
+        return next ? [next] : [];
+      });
+      if (activeId && !remaining.some((e) => e._id === activeId)) {
+        const index = emails.findIndex((e) => e._id === activeId);
+        const fallback = remaining[Math.min(index, remaining.length - 1)];
+        setActiveId(fallback?._id);
+      }
+      setEmails(remaining);
+      setTotal((t) => t - (emails.length - remaining.length));
+      setSelected((current) => new Set([...current].filter((id) => !changes.has(id))));
+      return remaining;
+    },
+    [activeId, emails],
+  );
+
+  const runBulk = useCallback(
+    async (ids: string[], action: Omit<BulkUpdatePayload, 'ids'>) => {
+      if (ids.length === 0 || busy) return;
       try {
-        setLoading(true);
-        const data = await fetchEmails({
-          needsReview: true,
-          limit: 100,
-        });
-        const sorted = [...data.emails].sort((a, b) => {
-          const da = a.sentDate ? new Date(a.sentDate).getTime() : 0;
-          const db = b.sentDate ? new Date(b.sentDate).getTime() : 0;
-          return da - db;
-        });
-        if (!cancelled) {
-          setEmails(sorted);
-          setError(null);
-        }
+        setBusy(true);
+        setMessage(null);
+        const result = await bulkUpdateEmails({ ids, ...action });
+        const updated = new Map(
+          result.results.flatMap((r) => (r.ok ? [[r.id, r.email.needsReview ? r.email : null] as const] : [])),
+        );
+        const remaining = replaceRows(updated);
+
+        const failures = result.results.flatMap((r) => (r.ok ? [] : [r.error]));
+        setMessage(`${result.updated} updated`);
+        setError(failures.length > 0 ? `${failures.length} failed, e.g. ${failures[0]}` : null);
+        if (remaining.length === 0) await load();
       } catch (err) {
-        if (!cancelled) {
-          setError(err instanceof Error ? err.message : 'Failed to load review queue');
-        }
+        setError(err instanceof Error ? err.message : 'Bulk update failed');
       } finally {
-        if (!cancelled) setLoading(false);
+        setBusy(false);
       }
+    },
+    [busy, load, replaceRows],
+  );
+
+  // Other reviewers' work shows up without a reload; new mail for review is fetched in one go per burst.
+  const reloadTimer = useRef<ReturnType<typeof setTimeout>>();
+  useEffect(() => () => clearTimeout(reloadTimer.current), []);
+  useLiveEvents((event) => {
+    const listed = 'email' in event && emails.some((e) => e._id === event.email._id);
+    if (event.type === 'email.reviewed' && listed && !event.email.needsReview) {
+      replaceRows(new Map([[event.email._id, null]]));
+    } else if (
+      event.type === 'live.reconnected' ||
+      (event.type === 'email.classified' && (listed || event.email.needsReview))
+    ) {
+      clearTimeout(reloadTimer.current);
+      reloadTimer.current = setTimeout(load, LIVE_RELOAD_DELAY_MS);
     }
+  });
 
-    load();
-    const interval = setInterval(load, 60_000);
-    return () => {
-      cancelled = true;
-      clearInterval(interval);
-    };
-  }, []);
+  useEffect(() => {
+    function onKeyDown(e: KeyboardEvent) {
+      if (isTyping(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+
+      const index = emails.findIndex((email) => email._id === activeId);
+      const targets = selected.size > 0 ? [...selected] : activeId ? [activeId] : [];
+      const digit = /^Digit([1-9])$/.exec(e.code)?.[1];
+      let handled = true;
+
+      if (e.key === 'j' || e.key === 'ArrowDown') {
+        setActiveId(emails[Math.min(index + 1, emails.length - 1)]?._id);
+      } else if (e.key === 'k' || e.key === 'ArrowUp') {
+        setActiveId(emails[Math.max(index - 1, 0)]?._id);
+      } else if (e.key === 'x' && activeId) {
+        setSelected((current) => {
+          const next = new Set(current);
+          if (next.has(activeId)) next.delete(activeId);
+          else next.add(activeId);
+          return next;
+        });
+      } else if (e.key === 'Enter' && activeId) {
+        navigate(`/email/${activeId}`);
+      } else if (e.key === 'a') {
+        runBulk(targets, { action: 'review' });
+      } else if (e.key === 'r') {
+        runBulk(targets, { action: 'reclassify' });
+      } else if (e.key === 'm' && user) {
+        runBulk(targets, { action: 'assign', assignee: user.email });
+      } else if (digit && e.shiftKey && mailTypeKeys[Number(digit) - 1]) {
+        runBulk(targets, { action: 'update', fields: { mailType: mailTypeKeys[Number(digit) - 1] } });
+      } else if (digit && !e.shiftKey && departmentKeys[Number(digit) - 1]) {
+        runBulk(targets, { action: 'update', fields: { department: departmentKeys[Number(digit) - 1] } });
+      } else if (e.key === 'Escape') {
+        setSelected(new Set());
+      } else if (e.key === '?') {
+        setShowHelp((v) => !v);
+      } else {
+        handled = false;
+      }
+
+      if (handled) e.preventDefault();
+    }
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [activeId, departmentKeys, emails, mailTypeKeys, navigate, runBulk, selected, user]);
+
+  useEffect(() => {
+    if (!activeId) return;
+    document.querySelector(`[data-email-id="${activeId}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [activeId]);
 
   return (
     <div className="page-shell space-y-4">
-      <div>
-        <h1 className="text-xl font-semibold">Review queue</h1>
-        <p className="mt-1 text-sm text-slate-500">
-          Low-confidence classifications, oldest first.
-        </p>
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Review queue</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Low-confidence classifications, oldest first. Select rows to act on many at once.
+          </p>
+        </div>
+        <button type="button" className="btn-secondary" onClick={() => setShowHelp((v) => !v)}>
+          <Keyboard className="h-4 w-4" /> Shortcuts
+        </button>
       </div>
 
+      {showHelp && (
+        <div className="card grid gap-x-6 gap-y-1 text-sm sm:grid-cols-2 lg:grid-cols-3">
+          {shortcuts(departmentKeys, mailTypeKeys).map(([key, label]) => (
+            <div key={key} className="flex gap-3">
+              <kbd className="min-w-[4.5rem] rounded bg-slate-800 px-1.5 py-0.5 text-center font-mono text-xs text-slate-300">
+                {key}
+              </kbd>
+              <span className="text-slate-400">{label}</span>
+            </div>
+          ))}
+          <div className="text-xs text-slate-500 sm:col-span-2 lg:col-span-3">
+            Actions apply to the selected rows, or to the highlighted row when nothing is selected.
+          </div>
+        </div>
+      )}
+
       {error && <div className="text-sm text-red-400">{error}</div>}
+      {message && <div className="text-sm text-emerald-400">{message}</div>}
+
+      {selected.size > 0 && (
+        <BulkActionBar
+          count={selected.size}
+          busy={busy}
+          assignees={assignees}
+          onAction={(action) => runBulk([...selected], action)}
+          onClear={() => setSelected(new Set())}
+        />
+      )}
+
       {loading ? (
         <div className="text-sm text-slate-500">Loading…</div>
       ) : (
         <>
-          <div className="text-sm text-slate-400">{emails.length} email(s) awaiting review</div>
+          <div className="text-sm text-slate-400">{total} email(s) awaiting review</div>
           <EmailTable
             emails={emails}
+            selectedIds={selected}
+            onSelectionChange={setSelected}
+            activeId={activeId}
             onRowClick={(email) => navigate(`/email/${email._id}`)}
           />
+
+          {pages > 1 && (
+            <div className="flex items-center justify-center gap-3 pt-2">
+              <button
+                type="button"
+                className="btn-secondary"
+                disabled={page <= 1}
+                onClick={() => setPage(page - 1)}
+              >
+                Previous
+              </button>
+              <span className="text-sm text-slate-500">
+                Page {page} of {pages}
+              </span>
+              <button
+                type="button"
+                className="btn-secondary"
+                disabled={page >= pages}
+                onClick={() => setPage(page + 1)}
+              >
+                Next
+              </button>
+            </div>
+          )}
         </>
       )}
     </div>
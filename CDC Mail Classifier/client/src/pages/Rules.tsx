@@ -0,0 +1,158 @@
+import { useEffect, useState } from 'react';
+import { Pencil, Plus, Trash2 } from 'lucide-react';
+import { createRule, deleteRule, fetchRules, updateRule } from '@/lib/api';
+import type { RulePayload, RuleRecord } from '@/types';
+import RuleForm from '@/components/RuleForm';
+import { formatDate } from '@/lib/utils';
+
+function describeCondition(rule: RuleRecord): string {
+  const joiner = rule.match === 'any' ? ' or ' : ' and ';
+  return rule.conditions
+    .map((c) => (c.operator === 'domain' ? `sender domain ${c.value}` : `${c.field} ${c.operator} "${c.value}"`))
+    .join(joiner);
+}
+
+function describeAction(rule: RuleRecord): string {
+  if (rule.action === 'skip') return 'Skip classification';
+  if (rule.action === 'hint') return `Hint: ${rule.hint ?? ''}`;
+  return `${rule.department || '—'} / ${rule.mailType || '—'}`;
+}
+
+export default function RulesPage() {
+  const [rules, setRules] = useState<RuleRecord[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  /** undefined = form closed, null = new rule. */
+  const [editing, setEditing] = useState<RuleRecord | null | undefined>(undefined);
+
+  async function load() {
+    try {
+      setLoading(true);
+      setRules(await fetchRules());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load rules');
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  async function handleSubmit(payload: RulePayload) {
+    try {
+      if (editing) {
+        await updateRule(editing._id, payload);
+      } else {
+        await createRule(payload);
+      }
+      setEditing(undefined);
+      setError(null);
+      await load();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Save failed');
+    }
+  }
+
+  async function handleToggle(rule: RuleRecord) {
+    try {
+      const updated = await updateRule(rule._id, { active: !rule.active });
+      setRules((list) => list.map((r) => (r._id === updated._id ? updated : r)));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Update failed');
+    }
+  }
+
+  async function handleDelete(rule: RuleRecord) {
+    if (!window.confirm(`Delete rule "${rule.name}"?`)) return;
+    try {
+      await deleteRule(rule._id);
+      setRules((list) => list.filter((r) => r._id !== rule._id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Delete failed');
+    }
+  }
+
+  return (
+    <div className="page-shell space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Rules</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Rules run in priority order before the model. Classify and skip rules decide the email outright; hint rules add guidance to the prompt.
+          </p>
+        </div>
+        {editing === undefined && (
+          <button type="button" className="btn-primary" onClick={() => setEditing(null)}>
+            <Plus className="h-4 w-4" /> New rule
+          </button>
+        )}
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+
+      {editing !== undefined && (
+        <RuleForm rule={editing} onSubmit={handleSubmit} onCancel={() => setEditing(undefined)} />
+      )}
+
+      {loading ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="min-w-full divide-y divide-slate-800 text-sm">
+            <thead className="bg-slate-900/80 text-left text-xs uppercase tracking-wide text-slate-500">
+              <tr>
+                <th className="px-4 py-3">Priority</th>
+                <th className="px-4 py-3">Name</th>
+                <th className="px-4 py-3">When</th>
+                <th className="px-4 py-3">Then</th>
+                <th className="px-4 py-3">Hits</th>
+                <th className="px-4 py-3">Active</th>
+                <th className="px-4 py-3">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800/80 bg-slate-950/40">
+              {rules.map((rule) => (
+                <tr key={rule._id} className={rule.active ? '' : 'opacity-50'}>
+                  <td className="px-4 py-3 tabular-nums text-slate-400">{rule.priority}</td>
+                  <td className="px-4 py-3">
+                    <div className="font-medium">{rule.name}</div>
+                    {rule.description && <div className="text-xs text-slate-500">{rule.description}</div>}
+                  </td>
+                  <td className="max-w-[22rem] px-4 py-3 text-xs text-slate-400">{describeCondition(rule)}</td>
+                  <td className="max-w-[18rem] px-4 py-3 text-xs">{describeAction(rule)}</td>
+                  <td className="whitespace-nowrap px-4 py-3 text-xs text-slate-400">
+                    <span className="tabular-nums">{rule.hitCount}</span>
+                    {rule.lastHitAt && <span className="ml-2 text-slate-600">{formatDate(rule.lastHitAt)}</span>}
+                  </td>
+                  <td className="px-4 py-3">
+                    <input type="checkbox" checked={rule.active} onChange={() => handleToggle(rule)} />
+                  </td>
+                  <td className="whitespace-nowrap px-4 py-3">
+                    <div className="flex gap-2">
+                      <button type="button" className="btn-secondary" onClick={() => setEditing(rule)}>
+                        <Pencil className="h-4 w-4" /> Edit
+                      </button>
+                      <button type="button" className="btn-secondary" onClick={() => handleDelete(rule)}>
+                        <Trash2 className="h-4 w-4" /> Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {rules.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-4 py-8 text-center text-slate-500">
+                    No rules yet — every email goes to the model.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
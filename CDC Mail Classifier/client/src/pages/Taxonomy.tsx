@@ -0,0 +1,288 @@
+import { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { FileText, Loader2, Plus, Save, Trash2 } from 'lucide-react';
+import { fetchTaxonomy, fetchTaxonomyPrompt, saveTaxonomy } from '@/lib/api';
+import { useTaxonomy } from '@/lib/taxonomy';
+import type { Taxonomy, TaxonomyField, TaxonomyMailType, TaxonomyPromptResponse } from '@/types';
+import { BADGE_COLORS, TAXONOMY_FIELD_TYPES } from '@/types';
+import { formatDate } from '@/lib/utils';
+
+const EMPTY_FIELD: TaxonomyField = { key: '', type: 'text', description: '' };
+
+export default function TaxonomyPage() {
+  const { setTaxonomy } = useTaxonomy();
+  const [draft, setDraft] = useState<Taxonomy | null>(null);
+  const [rulesText, setRulesText] = useState('');
+  const [prompt, setPrompt] = useState<TaxonomyPromptResponse | null>(null);
+  const [showPrompt, setShowPrompt] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchTaxonomy()
+      .then((data) => {
+        setDraft(data);
+        setRulesText(data.rules.join('\n'));
+      })
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load taxonomy'));
+    fetchTaxonomyPrompt()
+      .then(setPrompt)
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load prompt'));
+  }, []);
+
+  if (!draft) {
+    return <div className="page-shell text-sm text-slate-500">{error ?? 'Loading…'}</div>;
+  }
+
+  function updateDepartment(index: number, patch: Partial<Taxonomy['departments'][number]>) {
+    setDraft((d) => d && { ...d, departments: d.departments.map((x, i) => (i === index ? { ...x, ...patch } : x)) });
+  }
+
+  function updateMailType(index: number, patch: Partial<TaxonomyMailType>) {
+    setDraft((d) => d && { ...d, mailTypes: d.mailTypes.map((x, i) => (i === index ? { ...x, ...patch } : x)) });
+  }
+
+  function updateField(typeIndex: number, fieldIndex: number, patch: Partial<TaxonomyField>) {
+    const fields = draft!.mailTypes[typeIndex].fields.map((f, i) => (i === fieldIndex ? { ...f, ...patch } : f));
+    updateMailType(typeIndex, { fields });
+  }
+
+  async function handleSave() {
+    if (!draft) return;
+    try {
+      setSaving(true);
+      setMessage(null);
+      const saved = await saveTaxonomy({
+        ...draft,
+        rules: rulesText.split('\n').map((line) => line.trim()).filter(Boolean),
+      });
+      setDraft(saved);
+      setRulesText(saved.rules.join('\n'));
+      setTaxonomy(saved);
+      setPrompt(await fetchTaxonomyPrompt());
+      setMessage('Taxonomy saved');
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Save failed');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+
+  return (
+    <div className="page-shell space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-xl font-semibold">Taxonomy</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            Departments and mail types the classifier chooses from. Inactive entries are left out of the prompt but
+            still label existing mail. Renaming does not relabel stored mail. A save that changes the prompt stores it
+            as a new prompt version; new mail is classified with it once it is promoted on the Prompts page.
+            {draft.updatedAt && ` Last saved ${formatDate(draft.updatedAt)}${draft.updatedBy ? ` by ${draft.updatedBy}` : ''}.`}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button type="button" className="btn-secondary" onClick={() => setShowPrompt((v) => !v)} disabled={!prompt}>
+            <FileText className="h-4 w-4" /> {showPrompt ? 'Hide prompt' : 'Show prompt'}
+          </button>
+          <button type="button" className="btn-primary" onClick={handleSave} disabled={saving}>
+            {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />} Save
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+      {message && <div className="text-sm text-emerald-400">{message}</div>}
+
+      {prompt?.promptVersion != null && prompt.promptVersion !== prompt.liveVersion && (
+        <div className="card text-sm text-amber-300">
+          The prompt built from this taxonomy is v{prompt.promptVersion} and is not live
+          {prompt.liveVersion != null && ` (v${prompt.liveVersion} is)`}. Until it is promoted, new mail is classified
+          without the latest changes, so departments or mail types added since may not be assigned.{' '}
+          <Link to="/prompts" className="text-brand-300 hover:underline">
+            Open Prompts
+          </Link>
+        </div>
+      )}
+
+      {showPrompt && prompt && (
+        <div className="card space-y-2">
+          <div className="text-xs text-slate-500">Saved system prompt · version {prompt.version}</div>
+          <pre className="max-h-96 overflow-auto whitespace-pre-wrap text-xs text-slate-300">{prompt.prompt}</pre>
+        </div>
+      )}
+
+      <section className="card space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-sm font-medium text-slate-400">Departments</h2>
+          <button
+            type="button"
+            className="btn-secondary"
+            onClick={() =>
+              setDraft((d) => d && { ...d, departments: [...d.departments, { name: '', definition: '', active: true }] })
+            }
+          >
+            <Plus className="h-4 w-4" /> Add department
+          </button>
+        </div>
+        {draft.departments.map((department, i) => (
+          <div key={i} className="grid gap-2 sm:grid-cols-[12rem_1fr_6rem_auto]">
+            <input
+              className="input-field"
+              placeholder="Name"
+              value={department.name}
+              onChange={(e) => updateDepartment(i, { name: e.target.value })}
+            />
+            <input
+              className="input-field"
+              placeholder="What mail belongs here, for the model"
+              value={department.definition}
+              onChange={(e) => updateDepartment(i, { definition: e.target.value })}
+            />
+            <label className="flex items-center gap-2 text-sm text-slate-400">
+              <input
+                type="checkbox"
+                checked={department.active}
+                onChange={(e) => updateDepartment(i, { active: e.target.checked })}
+              />
+              Active
+            </label>
+            <button
+              type="button"
+              className="btn-secondary"
+              aria-label="Remove department"
+              onClick={() => setDraft((d) => d && { ...d, departments: d.departments.filter((_, j) => j !== i) })}
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+      </section>
+
+      <section className="space-y-3">
+        <div className="flex items-center justify-between">
+          <h2 className="text-sm font-medium text-slate-400">Mail types</h2>
+          <button
+            type="button"
+            className="btn-secondary"
+            onClick={() =>
+              setDraft(
+                (d) =>
+                  d && {
+                    ...d,
+                    mailTypes: [...d.mailTypes, { name: '', definition: '', active: true, color: 'slate', fields: [] }],
+                  },
+              )
+            }
+          >
+            <Plus className="h-4 w-4" /> Add mail type
+          </button>
+        </div>
+        {draft.mailTypes.map((mailType, i) => (
+          <div key={i} className={mailType.active ? 'card space-y-3' : 'card space-y-3 opacity-60'}>
+            <div className="grid gap-2 sm:grid-cols-[14rem_1fr_8rem_6rem_auto]">
+              <input
+                className="input-field"
+                placeholder="Name"
+                value={mailType.name}
+                onChange={(e) => updateMailType(i, { name: e.target.value })}
+              />
+              <input
+                className="input-field"
+                placeholder="Definition for the model"
+                value={mailType.definition}
+                onChange={(e) => updateMailType(i, { definition: e.target.value })}
+              />
+              <select
+                className="input-field"
+                value={mailType.color}
+                onChange={(e) => updateMailType(i, { color: e.target.value as TaxonomyMailType['color'] })}
+              >
+                {BADGE_COLORS.map((color) => (
+                  <option key={color} value={color}>{color}</option>
+                ))}
+              </select>
+              <label className="flex items-center gap-2 text-sm text-slate-400">
+                <input
+                  type="checkbox"
+                  checked={mailType.active}
+                  onChange={(e) => updateMailType(i, { active: e.target.checked })}
+                />
+                Active
+              </label>
+              <button
+                type="button"
+                className="btn-secondary"
+                aria-label="Remove mail type"
+                onClick={() => setDraft((d) => d && { ...d, mailTypes: d.mailTypes.filter((_, j) => j !== i) })}
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+
+            <div className="space-y-2 border-l border-slate-800 pl-4">
+              <div className="flex items-center justify-between text-xs text-slate-500">
+                <span>Type-specific fields</span>
+                <button
+                  type="button"
+                  className="text-brand-300 hover:underline"
+                  onClick={() => updateMailType(i, { fields: [...mailType.fields, { ...EMPTY_FIELD }] })}
+                >
+                  + Add field
+                </button>
+              </div>
+              {mailType.fields.map((field, j) => (
+                <div key={j} className="grid gap-2 sm:grid-cols-[12rem_7rem_1fr_auto]">
+                  <input
+                    className="input-field font-mono text-xs"
+                    placeholder="snake_case_key"
+                    value={field.key}
+                    onChange={(e) => updateField(i, j, { key: e.target.value })}
+                  />
+                  <select
+                    className="input-field"
+                    value={field.type}
+                    onChange={(e) => updateField(i, j, { type: e.target.value as TaxonomyField['type'] })}
+                  >
+                    {TAXONOMY_FIELD_TYPES.map((type) => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+                  <input
+                    className="input-field"
+                    placeholder="Optional hint for the model"
+                    value={field.description}
+                    onChange={(e) => updateField(i, j, { description: e.target.value })}
+                  />
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    aria-label="Remove field"
+                    onClick={() => updateMailType(i, { fields: mailType.fields.filter((_, k) => k !== j) })}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </section>
+
+      <section className="card space-y-2">
+        <h2 className="text-sm font-medium text-slate-400">Classification rules</h2>
+        <p className="text-xs text-slate-500">
+          One rule per line, added to the prompt's mail type rules, e.g.{' '}
+          <code>"please pay" or overdue invoice =&gt; Payment reminder</code>.
+        </p>
+        <textarea
+          className="input-field min-h-[8rem] font-mono text-xs"
+          value={rulesText}
+          onChange={(e) => setRulesText(e.target.value)}
+        />
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowRight } from 'lucide-react';
+import { fetchThread } from '@/lib/api';
+import type { EmailRecord, ThreadResponse } from '@/types';
+import StatusBadge from '@/components/StatusBadge';
+import { formatConfidence, formatDate } from '@/lib/utils';
+
+export default function ThreadPage() {
+  const { threadId = '' } = useParams<{ threadId: string }>();
+  const [thread, setThread] = useState<ThreadResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      try {
+        setLoading(true);
+        const data = await fetchThread(threadId);
+        if (!cancelled) {
+          setThread(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load thread');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    if (threadId) load();
+    return () => {
+      cancelled = true;
+    };
+  }, [threadId]);
+
+  if (loading) {
+    return <div className="page-shell text-slate-500">Loading thread…</div>;
+  }
+
+  if (!thread) {
+    return <div className="page-shell text-red-400">{error ?? 'Thread not found'}</div>;
+  }
+
+  return (
+    <div className="page-shell space-y-6">
+      <div>
+        <Link to="/emails" className="text-xs text-brand-300 hover:underline">← Back to mail</Link>
+        <h1 className="mt-2 text-xl font-semibold">{thread.subject || '(no subject)'}</h1>
+        <p className="mt-1 text-sm text-slate-400">
+          {thread.messageCount} message(s) · {formatDate(thread.firstSentDate ?? undefined)} → {formatDate(thread.lastSentDate ?? undefined)}
+        </p>
+      </div>
+
+      <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <Summary label="Job number(s)" value={thread.jobNumbers.join(', ') || '—'} />
+        <Summary label="Client" value={thread.clientNames.join(', ') || '—'} />
+        <Summary label="Current department" value={thread.currentDepartment || '—'} />
+        <Summary label="Current mail type" value={thread.currentMailType || '—'} />
+      </div>
+
+      <ol className="relative space-y-4 border-l border-slate-800 pl-6">
+        {thread.emails.map((email, i) => (
+          <TimelineItem key={email._id} email={email} previous={thread.emails[i - 1]} />
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+function TimelineItem({ email, previous }: { email: EmailRecord; previous?: EmailRecord }) {
+  const departmentChanged = !!previous && previous.department !== email.department;
+  const mailTypeChanged = !!previous && previous.mailType !== email.mailType;
+
+  return (
+    <li className="card relative">
+      <span className="absolute -left-[1.95rem] top-5 h-3 w-3 rounded-full bg-brand-500 ring-4 ring-slate-950" />
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div className="min-w-0">
+          <Link to={`/email/${email._id}`} className="font-medium text-brand-300 hover:underline">
+            {email.fromName || email.fromEmail}
+          </Link>
+          <div className="text-xs text-slate-500">
+            {formatDate(email.sentDate)} · {email.inbox ?? '—'}
+          </div>
+        </div>
+        <StatusBadge needsReview={email.needsReview} reviewed={email.reviewed} confidence={email.confidence} />
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+        {departmentChanged && (
+          <span className="text-slate-500">
+            {previous?.department || '—'} <ArrowRight className="inline h-3 w-3" />
+          </span>
+        )}
+        <span className={departmentChanged ? 'rounded bg-brand-600/20 px-2 py-0.5 text-brand-200' : 'rounded bg-slate-800 px-2 py-0.5'}>
+          {email.department || '—'}
+        </span>
+        {mailTypeChanged && (
+          <span className="text-slate-500">
+            {previous?.mailType || '—'} <ArrowRight className="inline h-3 w-3" />
+          </span>
+        )}
+        <span className={mailTypeChanged ? 'rounded bg-brand-600/20 px-2 py-0.5 text-brand-200' : 'rounded bg-slate-800 px-2 py-0.5'}>
+          {email.mailType || '—'}
+        </span>
+        {email.jobNumber && <span className="text-slate-400">Job {email.jobNumber}</span>}
+        <span className="text-slate-500">{formatConfidence(email.confidence)}</span>
+      </div>
+
+      {email.summary && <p className="mt-2 text-sm text-slate-300">{email.summary}</p>}
+    </li>
+  );
+}
+
+function Summary({ label, value }: { label: string; value: string }) {
+  return (
+    <div className="card">
+      <div className="text-xs text-slate-500">{label}</div>
+      <div className="mt-1 truncate text-sm font-medium">{value}</div>
+    </div>
+  );
+}
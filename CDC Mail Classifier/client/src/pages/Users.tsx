@@ -0,0 +1,138 @@
+import { useEffect, useState } from 'react';
+import { fetchUsers, updateUser } from '@/lib/api';
+import { useAuth } from '@/lib/auth';
+import { useTaxonomy } from '@/lib/taxonomy';
+import type { UserRecord, UserRole } from '@/types';
+import { USER_ROLES } from '@/types';
+import { formatDate } from '@/lib/utils';
+
+export default function UsersPage() {
+  const { user: currentUser } = useAuth();
+  const { departments } = useTaxonomy();
+  const [users, setUsers] = useState<UserRecord[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchUsers()
+      .then((data) => {
+        setUsers(data);
+        setError(null);
+      })
+      .catch((err) => setError(err instanceof Error ? err.message : 'Failed to load users'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  async function handleUpdate(target: UserRecord, payload: Parameters<typeof updateUser>[1]) {
+    try {
+      const updated = await updateUser(target._id, payload);
+      setUsers((list) => list.map((u) => (u._id === updated._id ? updated : u)));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Update failed');
+    }
+  }
+
+  function toggleDepartment(target: UserRecord, department: string) {
+    const departments = target.departments.includes(department)
+      ? target.departments.filter((d) => d !== department)
+      : [...target.departments, department];
+    handleUpdate(target, { departments });
+  }
+
+  return (
+    <div className="page-shell space-y-6">
+      <div>
+        <h1 className="text-xl font-semibold">Users</h1>
+        <p className="mt-1 text-sm text-slate-500">
+          Accounts are created on first sign-in as viewers. Reviewers can only see and correct mail for their departments.
+        </p>
+      </div>
+
+      {error && <div className="text-sm text-red-400">{error}</div>}
+
+      {loading ? (
+        <div className="text-sm text-slate-500">Loading…</div>
+      ) : (
+        <div className="card overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-xs uppercase tracking-wide text-slate-500">
+              <tr>
+                <th className="py-2 pr-4">User</th>
+                <th className="py-2 pr-4">Role</th>
+                <th className="py-2 pr-4">Departments</th>
+                <th className="py-2 pr-4">Last sign-in</th>
+                <th className="py-2 pr-4">Active</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-800">
+              {users.map((u) => {
+                const isSelf = u._id === currentUser?.id;
+                return (
+                  <tr key={u._id} className={u.active ? '' : 'opacity-50'}>
+                    <td className="py-2 pr-4">
+                      <div className="text-slate-200">{u.name || u.email}</div>
+                      <div className="text-xs text-slate-500">{u.email}</div>
+                    </td>
+                    <td className="py-2 pr-4">
+                      <select
+                        className="input-field w-32"
+                        value={u.role}
+                        disabled={isSelf}
+                        onChange={(e) => handleUpdate(u, { role: e.target.value as UserRole })}
+                      >
+                        {USER_ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-2 pr-4">
+                      {u.role === 'reviewer' ? (
+                        <div className="flex flex-wrap gap-1">
+                          {departments.map((dept) => (
+                            <button
+                              key={dept}
+                              type="button"
+                              onClick={() => toggleDepartment(u, dept)}
+                              className={
+                                u.departments.includes(dept)
+                                  ? 'rounded-full bg-brand-600/20 px-2 py-0.5 text-xs text-brand-200 ring-1 ring-brand-500/40'
+                                  : 'rounded-full px-2 py-0.5 text-xs text-slate-500 ring-1 ring-slate-700 hover:text-slate-300'
+                              }
+                            >
+                              {dept}
+                            </button>
+                          ))}
+                        </div>
+                      ) : (
+                        <span className="text-xs text-slate-500">{u.role === 'admin' ? 'All' : 'All (read-only)'}</span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4 text-slate-400">{u.lastLoginAt ? formatDate(u.lastLoginAt) : '—'}</td>
+                    <td className="py-2 pr-4">
+                      <input
+                        type="checkbox"
+                        checked={u.active}
+                        disabled={isSelf}
+                        onChange={(e) => handleUpdate(u, { active: e.target.checked })}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+              {users.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="py-6 text-center text-slate-500">
+                    No users have signed in yet.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
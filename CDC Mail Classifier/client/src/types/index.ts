@@ -1,15 +1,54 @@
-export type Department =
-  | 'Prepress'
-  | 'Packprepress'
-  | 'Packagingcrm'
-  | 'Production';
-
-export type MailType =
-  | 'File received'
-  | 'Correction received'
-  | 'Approval received'
-  | 'Production query'
-  | 'Request for quote received';
+export interface AttachmentFile {
+  /** Unset when the attachment was too large or could not be stored. */
+  fileId?: string;
+  filename: string;
+  mimeType?: string;
+  size?: number;
+  extractedText?: string;
+  extractionError?: string;
+  tooLarge?: boolean;
+  downloadError?: string;
+}
+
+export type WorkflowStatus = 'new' | 'assigned' | 'in_progress' | 'done';
+
+export interface SimilarEmail {
+  _id: string;
+  subject?: string;
+  fromName?: string;
+  fromEmail?: string;
+  sentDate?: string;
+  department?: string;
+  mailType?: string;
+  reviewed?: boolean;
+  jobNumber?: string;
+  summary?: string;
+  /** Cosine similarity, 0–1. */
+  score: number;
+}
+
+export interface SimilarEmailsResponse {
+  /** False when embeddings are turned off on the server. */
+  available: boolean;
+  model: string;
+  results: SimilarEmail[];
+}
+
+export interface DuplicateCopy {
+  _id: string;
+  inbox?: string;
+  gmailLink?: string;
+  /** The copy that was classified; the others took its result. */
+  primary: boolean;
+}
+
+/** Excerpt of a search hit; `matches` are [start, end) offsets into `text`. */
+export interface SearchSnippet {
+  field: 'body' | 'attachment' | 'summary';
+  filename?: string;
+  text: string;
+  matches: [number, number][];
+}
 
 export interface EmailRecord {
   _id: string;
@@ -25,12 +64,18 @@ export interface EmailRecord {
   gmailLink?: string;
   body?: string;
   attachments?: string[];
+  attachmentFiles?: AttachmentFile[];
   department?: string;
   mailType?: string;
   confidence?: number;
   needsReview?: boolean;
   classifier?: string;
+  classifierTier?: ClassifierTier;
+  /** Prompt version that classified the email; absent for rule-decided mail. */
+  promptVersion?: number;
+  usage?: EmailUsage;
   jobNumber?: string;
+  jobKey?: string;
   clientName?: string;
   isbn?: string;
   title?: string;
@@ -40,10 +85,57 @@ export interface EmailRecord {
   actionRequired?: string;
   typeSpecific?: Record<string, unknown>;
   reviewed?: boolean;
+  /** Missing on mail stored before the workflow existed; treat as `new`. */
+  workflowStatus?: WorkflowStatus;
+  assignee?: string;
+  assignedAt?: string;
+  assignedBy?: string;
+  slaDueAt?: string;
+  doneAt?: string;
+  /** First copy of the same mail received in another inbox; copies share its classification and review. */
+  duplicateOf?: string;
+  duplicateReason?: 'message-id' | 'content';
+  /** List only: inboxes the other copies of this mail arrived in. */
+  alsoIn?: string[];
+  /** Detail only: the other copies of this mail, primary first. */
+  duplicates?: DuplicateCopy[];
+  /** Text-search relevance; only set on ranked search results. */
+  score?: number;
+  /** Matching excerpt; only set on search results. */
+  snippet?: SearchSnippet;
   createdAt?: string;
   updatedAt?: string;
 }
 
+export interface EmailUsage {
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  latencyMs: number;
+  costUsd: number;
+}
+
+export interface FieldChange {
+  field: string;
+  from: unknown;
+  to: unknown;
+}
+
+export interface EmailRevision {
+  _id: string;
+  emailId: string;
+  kind: 'classification' | 'edit' | 'workflow';
+  source: 'worker' | 'reclassify' | 'review';
+  classifier?: string;
+  classifierTier?: ClassifierTier;
+  promptVersion?: string;
+  raw?: string;
+  snapshot: Record<string, unknown>;
+  changes: FieldChange[];
+  user?: string;
+  createdAt: string;
+}
+
 export interface EmailListResponse {
   emails: EmailRecord[];
   pagination: {
@@ -61,28 +153,602 @@ export interface StatsResponse {
   byMailType: Record<string, number>;
   reviewPercent: number;
   classifierSplit: { nano: number; mini: number };
+  ruleHits: { matched: number; decided: number; hitRate: number };
+  sla: {
+    open: number;
+    overdue: number;
+    dueSoon: number;
+    completedOnTime: number;
+    completedLate: number;
+    metPercent: number;
+  };
+}
+
+export interface CostBucket {
+  costUsd: number;
+  promptTokens: number;
+  completionTokens: number;
+  calls: number;
+}
+
+export interface CostResponse {
+  days: number;
+  totals: CostBucket;
+  daily: (CostBucket & { date: string; cheapUsd: number; strongUsd: number; embeddingUsd: number })[];
+  byInbox: (CostBucket & { inbox: string })[];
+  byModel: (CostBucket & { provider: string; model: string; avgLatencyMs: number })[];
+  budget: { dailyUsd: number; spentToday: number; escalationPaused: boolean };
+}
+
+export interface ThreadResponse {
+  threadId: string;
+  subject: string;
+  messageCount: number;
+  firstSentDate: string | null;
+  lastSentDate: string | null;
+  jobNumbers: string[];
+  clientNames: string[];
+  inboxes: string[];
+  currentDepartment: string;
+  currentMailType: string;
+  emails: EmailRecord[];
+}
+
+export type JobGroupKey = 'files' | 'corrections' | 'approvals' | 'queries' | 'quotes' | 'other';
+
+export interface JobSummary {
+  jobKey: string;
+  count: number;
+  lastSentDate: string;
+  clientName: string;
+  title: string;
+}
+
+export interface JobViewResponse {
+  jobKey: string;
+  aliases: string[];
+  totalEmails: number;
+  inboxes: string[];
+  clientNames: string[];
+  titles: string[];
+  firstSentDate: string | null;
+  lastSentDate: string | null;
+  latestApproval: {
+    status: 'Approved' | 'Approved with changes' | 'Corrections pending';
+    emailId: string;
+    sentDate: string | null;
+    item: string;
+  } | null;
+  correctionRound: number | null;
+  groups: Record<JobGroupKey, EmailRecord[]>;
+}
+
+export interface ExampleRecord {
+  _id: string;
+  emailId?: string;
+  source: 'correction' | 'manual';
+  fromDomain?: string;
+  subject?: string;
+  keywords?: string[];
+  bodyExcerpt?: string;
+  department?: string;
+  mailType?: string;
+  jobNumber?: string;
+  clientName?: string;
+  notes?: string;
+  active: boolean;
+  usageCount: number;
+  lastUsedAt?: string;
+  updatedAt?: string;
+}
+
+export interface CorrectionPattern {
+  from: { department: string; mailType: string };
+  to: { department: string; mailType: string };
+  count: number;
+  lastSeen: string;
+  topDomains: string[];
+}
+
+export type LlmProviderName = 'openai' | 'azure' | 'local' | 'stub';
+
+export type ClassifierTier = 'cheap' | 'strong';
+
+export type UserRole = 'viewer' | 'reviewer' | 'admin';
+
+export interface AuthUser {
+  id: string;
+  email: string;
+  name: string;
+  role: UserRole;
+  departments: string[];
+}
+
+export interface SessionResponse {
+  user: AuthUser;
+  authDisabled: boolean;
+}
+
+export interface UserRecord {
+  _id: string;
+  email: string;
+  name?: string;
+  picture?: string;
+  role: UserRole;
+  departments: string[];
+  active: boolean;
+  lastLoginAt?: string;
+  createdAt?: string;
+}
+
+export interface TierOverride {
+  provider?: LlmProviderName;
+  model?: string;
 }
 
+/**
+ * `retrying`: syncs succeed but some messages keep failing and are retried.
+ * `reconnect_required`: Gmail access was revoked and the inbox is paused.
+ */
+export type InboxHealth = 'ok' | 'retrying' | 'failing' | 'reconnect_required';
+
 export interface InboxRecord {
   _id: string;
   label?: string;
   emailAddress?: string;
   active?: boolean;
+  historyId?: string;
+  lastSyncedAt?: string;
+  watchExpiration?: string;
+  llm?: Partial<Record<ClassifierTier, TierOverride>>;
+  /** Masks every redaction category and all email addresses before mail reaches the LLM. */
+  strictPrivacy?: boolean;
+  /** OAuth scopes granted at the last connect; label write-back needs gmail.modify. */
+  scopes?: string[];
+  writeLabels?: boolean;
+  labelError?: string;
+  labelErrorAt?: string;
+  /** Queued and failed Gmail label syncs; only on the inbox list. */
+  labelSync?: { pending: number; failed: number };
+  health?: InboxHealth;
+  /** Messages a sync failed on, retried by the next one. */
+  syncRetries?: { messageId: string; attempts: number; lastError?: string }[];
+  lastError?: string;
+  lastErrorAt?: string;
+  consecutiveFailures?: number;
+  processedToday?: number;
+  staleAlertedAt?: string;
+  createdAt?: string;
+}
+
+export type RuleField = 'from' | 'subject' | 'body';
+
+export type RuleOperator = 'contains' | 'equals' | 'regex' | 'domain';
+
+export type RuleAction = 'classify' | 'skip' | 'hint';
+
+export interface RuleCondition {
+  field: RuleField;
+  operator: RuleOperator;
+  value: string;
+}
+
+export interface RuleRecord {
+  _id: string;
+  name: string;
+  description?: string;
+  active: boolean;
+  priority: number;
+  match: 'all' | 'any';
+  conditions: RuleCondition[];
+  action: RuleAction;
+  department?: string;
+  mailType?: string;
+  hint?: string;
+  hitCount: number;
+  lastHitAt?: string;
+  createdAt?: string;
+}
+
+export type RulePayload = Omit<RuleRecord, '_id' | 'hitCount' | 'lastHitAt' | 'createdAt'>;
+
+export interface RulePreviewResponse {
+  sampled: number;
+  matched: number;
+  matches: {
+    _id: string;
+    subject: string;
+    fromEmail: string;
+    sentDate: string | null;
+    department: string;
+    mailType: string;
+  }[];
+}
+
+export type NotificationChannel = 'email' | 'webhook' | 'whatsapp';
+
+export type DeliveryStatus = 'pending' | 'sending' | 'sent' | 'failed';
+
+export interface NotificationRouteRecord {
+  _id: string;
+  name: string;
+  active: boolean;
+  /** Empty = any department. */
+  department: string;
+  /** Empty = any mail type. */
+  mailTypes: string[];
+  channel: NotificationChannel;
+  target: string;
+  ignoreQuietHours: boolean;
+  sentCount: number;
+  lastSentAt?: string;
+  createdAt?: string;
+}
+
+export type NotificationRoutePayload = Omit<
+  NotificationRouteRecord,
+  '_id' | 'sentCount' | 'lastSentAt' | 'createdAt'
+>;
+
+export interface NotificationDeliveryRecord {
+  _id: string;
+  routeId: string;
+  routeName: string;
+  emailId: string;
+  channel: NotificationChannel;
+  target: string;
+  subject: string;
+  status: DeliveryStatus;
+  attempts: number;
+  nextAttemptAt: string;
+  deferredUntil?: string;
+  lastError?: string;
+  sentAt?: string;
+  createdAt: string;
+}
+
+export interface DeliveryLogResponse {
+  deliveries: NotificationDeliveryRecord[];
+  counts: Record<DeliveryStatus, number>;
+  quietHours: string;
+  /** Set while quiet hours are in effect. */
+  quietUntil: string | null;
+}
+
+export type TaxonomyFieldType = 'text' | 'boolean' | 'list';
+
+/** One key of a mail type's `typeSpecific` object. */
+export interface TaxonomyField {
+  key: string;
+  type: TaxonomyFieldType;
+  description: string;
+}
+
+export type BadgeColor = 'slate' | 'sky' | 'emerald' | 'amber' | 'rose' | 'violet';
+
+export interface TaxonomyDepartment {
+  name: string;
+  definition: string;
+  /** Inactive entries still label stored mail but cannot be chosen. */
+  active: boolean;
+}
+
+export interface TaxonomyMailType extends TaxonomyDepartment {
+  color: BadgeColor;
+  fields: TaxonomyField[];
+}
+
+export interface Taxonomy {
+  departments: TaxonomyDepartment[];
+  mailTypes: TaxonomyMailType[];
+  /** Extra classification rules for the model, one per line of the prompt. */
+  rules: string[];
+  updatedAt?: string;
+  updatedBy?: string;
+}
+
+export type RedactionCategory = 'phone' | 'bank' | 'tax_id' | 'price' | 'email' | 'name';
+
+export interface Redaction {
+  placeholder: string;
+  category: RedactionCategory;
+  original: string;
+}
+
+export interface RedactionPreview {
+  strict: boolean;
+  /** Categories masked for this email's inbox. */
+  categories: RedactionCategory[];
+  /** The classifier's user message as the model receives it. */
+  prompt: string;
+  redactions: Redaction[];
+}
+
+export interface TaxonomyPromptResponse {
+  prompt: string;
+  version: string;
+  /** Stored prompt version holding this prompt; null before the first save that changed it. */
+  promptVersion: number | null;
+  liveVersion: number | null;
+}
+
+export type ReportKind = 'department' | 'client';
+
+export interface ReportRecord {
+  _id: string;
+  name: string;
+  active: boolean;
+  /** `department`: daily, per department. `client`: weekly, per client. */
+  kind: ReportKind;
+  /** Empty = all departments. */
+  department: string;
+  /** Comma-separated email addresses. */
+  recipients: string;
+  /** Server-local hour, 0-23. */
+  hour: number;
+  /** Weekly reports only: 0 = Sunday … 6 = Saturday. */
+  weekday: number;
+  attachXlsx: boolean;
+  sentCount: number;
+  lastSentAt?: string;
+  lastError?: string;
   createdAt?: string;
 }
 
+export type ReportPayload = Omit<ReportRecord, '_id' | 'sentCount' | 'lastSentAt' | 'lastError' | 'createdAt'>;
+
+export interface ReportListResponse {
+  reports: ReportRecord[];
+  smtpConfigured: boolean;
+}
+
+export interface DigestPreview {
+  subject: string;
+  from: string;
+  to: string;
+  table: {
+    title: string;
+    columns: string[];
+    rows: (string | number | null)[][];
+  };
+}
+
+/** `cascade` escalates like live classification; the others call one tier only. */
+export type EvaluationTier = ClassifierTier | 'cascade';
+
+export type EvaluationStatus = 'running' | 'done' | 'failed';
+
+export interface EvaluationLabels {
+  department: string;
+  mailType: string;
+  jobNumber: string;
+  isbn: string;
+  quantity: string;
+}
+
+export interface EvaluationResult {
+  emailId: string;
+  subject: string;
+  /** As reviewed. */
+  expected: EvaluationLabels;
+  predicted: EvaluationLabels;
+  confidence: number;
+  modelUsed: string;
+  usage: EmailUsage;
+  error?: string;
+}
+
+export interface LabelMetrics {
+  label: string;
+  precision: number | null;
+  recall: number | null;
+  f1: number | null;
+  support: number;
+}
+
+export interface ClassMetrics {
+  accuracy: number;
+  labels: LabelMetrics[];
+  /** `counts[expected][predicted]`; '' is "(none)". */
+  confusion: { labels: string[]; counts: number[][] };
+}
+
+export interface FieldAccuracy {
+  field: 'jobNumber' | 'isbn' | 'quantity';
+  evaluated: number;
+  correct: number;
+  accuracy: number | null;
+}
+
+export interface EvaluationMetrics {
+  /** Emails the model answered; failed calls are left out of the figures. */
+  evaluated: number;
+  failed: number;
+  department: ClassMetrics;
+  mailType: ClassMetrics;
+  fields: FieldAccuracy[];
+  usage: EmailUsage;
+}
+
+export interface EvaluationRunRecord {
+  _id: string;
+  name: string;
+  status: EvaluationStatus;
+  error?: string;
+  source: 'api' | 'cli';
+  tier: EvaluationTier;
+  /** "cheap openai:gpt-5-nano" per tier used. */
+  models: string[];
+  promptVersion: string;
+  /** Stored prompt version the run started from. */
+  promptNumber?: number;
+  customPrompt: boolean;
+  /** Gold-set size. */
+  total: number;
+  processed: number;
+  metrics?: EvaluationMetrics;
+  startedBy?: string;
+  createdAt: string;
+  finishedAt?: string;
+  /** Only on GET /api/evaluations/:id. */
+  results?: EvaluationResult[];
+  systemPrompt?: string;
+}
+
+export interface EvaluationListResponse {
+  runs: EvaluationRunRecord[];
+  /** Reviewed emails available to evaluate against. */
+  goldSetSize: number;
+}
+
+export interface EvaluationPayload {
+  name?: string;
+  tier: EvaluationTier;
+  provider?: LlmProviderName;
+  model?: string;
+  promptNumber?: number;
+  systemPrompt?: string;
+  limit?: number;
+  sameSetAs?: string;
+}
+
+export interface PromptVersionRecord {
+  _id: string;
+  version: number;
+  /** Only on GET /api/prompts/:version. */
+  systemPrompt?: string;
+  hash: string;
+  tiers?: Partial<Record<ClassifierTier, TierOverride>>;
+  origin: 'taxonomy' | 'manual';
+  note?: string;
+  createdBy?: string;
+  live: boolean;
+  liveSince?: string;
+  shadow: boolean;
+  shadowSampleRate?: number;
+  shadowSince?: string;
+  createdAt: string;
+}
+
+export interface PromptVersionPayload {
+  systemPrompt: string;
+  tiers?: Partial<Record<ClassifierTier, TierOverride>>;
+  note?: string;
+}
+
+export interface ShadowStats {
+  version: number;
+  liveVersion: number;
+  sampleRate: number;
+  since?: string;
+  /** Shadowed emails counted, failed ones included. */
+  total: number;
+  failed: number;
+  agreeDepartment: number;
+  agreeMailType: number;
+  agreeBoth: number;
+  /** Shadowed emails a reviewer has since confirmed or corrected. */
+  reviewed: number;
+  liveCorrect: number;
+  shadowCorrect: number;
+  costUsd: number;
+}
+
+export interface DeadLetterRecord {
+  _id: string;
+  messageId: string;
+  inbox: string;
+  subject: string;
+  fromEmail: string;
+  attempts: number;
+  lastError: string;
+  failedAt: string;
+}
+
+export interface QueueStatusResponse {
+  pending: number;
+  retrying: number;
+  processing: number;
+  deadLetterCount: number;
+  deadLetters: DeadLetterRecord[];
+}
+
 export interface EmailFilters {
   department?: string;
   mailType?: string;
   needsReview?: boolean;
   inbox?: string;
   search?: string;
+  /** Defaults to relevance when the search has free text, otherwise newest first. */
+  sort?: 'relevance' | 'date' | 'oldest';
   dateFrom?: string;
   dateTo?: string;
+  workflowStatus?: WorkflowStatus;
+  /** A user's email, or `me`. */
+  assignee?: string;
+  overdue?: boolean;
   page?: number;
   limit?: number;
 }
 
+export type BulkAction = 'update' | 'review' | 'reclassify' | 'assign';
+
+export interface BulkUpdatePayload {
+  ids: string[];
+  action: BulkAction;
+  /** For `update`. */
+  fields?: EmailUpdatePayload;
+  /** For `assign`; null unassigns. */
+  assignee?: string | null;
+}
+
+export type BulkItemResult = { id: string; ok: true; email: EmailRecord } | { id: string; ok: false; error: string };
+
+export interface BulkUpdateResponse {
+  updated: number;
+  failed: number;
+  results: BulkItemResult[];
+}
+
+/** Email fields carried by live events. */
+export interface LiveEmail {
+  _id: string;
+  inbox: string;
+  subject: string;
+  fromName: string;
+  fromEmail: string;
+  sentDate: string | null;
+  department: string;
+  mailType: string;
+  confidence: number;
+  needsReview: boolean;
+  reviewed: boolean;
+  slaDueAt: string | null;
+  highPriority: boolean;
+}
+
+export type LiveEvent =
+  | { type: 'email.classified'; source: 'worker' | 'reclassify'; email: LiveEmail }
+  | { type: 'email.escalated'; email: LiveEmail }
+  | { type: 'email.reviewed'; email: LiveEmail; reviewer?: string }
+  | { type: 'poll.finished'; inboxes: number; failed: number; durationMs: number }
+  | { type: 'inbox.error'; inbox: string; error: string }
+  /** Client-side only: the stream came back after dropping, so events may have been missed. */
+  | { type: 'live.reconnected' };
+
+export interface WorkflowUpdatePayload {
+  status?: WorkflowStatus;
+  /** null unassigns. */
+  assignee?: string | null;
+}
+
+export interface AssignableUser {
+  email: string;
+  name: string;
+  role: UserRole;
+  departments: string[];
+}
+
 export interface EmailUpdatePayload {
   department?: string;
   mailType?: string;
@@ -97,17 +763,29 @@ export interface EmailUpdatePayload {
   typeSpecific?: Record<string, unknown>;
 }
 
-export const DEPARTMENTS: Department[] = [
-  'Prepress',
-  'Packprepress',
-  'Packagingcrm',
-  'Production',
+export const WORKFLOW_STATUSES: { value: WorkflowStatus; label: string }[] = [
+  { value: 'new', label: 'New' },
+  { value: 'assigned', label: 'Assigned' },
+  { value: 'in_progress', label: 'In progress' },
+  { value: 'done', label: 'Done' },
 ];
 
-export const MAIL_TYPES: MailType[] = [
-  'File received',
-  'Correction received',
-  'Approval received',
-  'Production query',
-  'Request for quote received',
+export const BADGE_COLORS: BadgeColor[] = ['slate', 'sky', 'emerald', 'amber', 'rose', 'violet'];
+
+export const TAXONOMY_FIELD_TYPES: TaxonomyFieldType[] = ['text', 'boolean', 'list'];
+
+export const USER_ROLES: UserRole[] = ['viewer', 'reviewer', 'admin'];
+
+export const NOTIFICATION_CHANNELS: { value: NotificationChannel; label: string; placeholder: string }[] = [
+  { value: 'email', label: 'Email', placeholder: 'lead@yourdomain.com, backup@yourdomain.com' },
+  { value: 'webhook', label: 'Webhook', placeholder: 'https://example.com/hooks/cdc-mail' },
+  { value: 'whatsapp', label: 'WhatsApp', placeholder: '+919800000000' },
 ];
+
+export const RULE_FIELDS: RuleField[] = ['from', 'subject', 'body'];
+
+export const RULE_OPERATORS: RuleOperator[] = ['contains', 'equals', 'regex', 'domain'];
+
+export const RULE_ACTIONS: RuleAction[] = ['classify', 'skip', 'hint'];
+
+export const LLM_PROVIDERS: LlmProviderName[] = ['openai', 'azure', 'local', 'stub'];
@@ -1,4 +1,5 @@
 import dotenv from 'dotenv';
+import type { LlmProviderName, ModelPricing, RedactionCategory } from './types/index.js';
 
 dotenv.config();
 
@@ -10,25 +11,302 @@ function requireEnv(name: string): string {
   return value;
 }
 
+/**
+ * USD per 1M tokens, for cost estimates only. Verify against the provider's
+ * current price list; `LLM_PRICING` (JSON, same shape) overrides per model.
+ */
+const DEFAULT_PRICING: Record<string, ModelPricing> = {
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  // Assumed to match gpt-5-mini until confirmed.
+  'gpt-5.4-mini': { input: 0.25, output: 2 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+};
+
+function loadPricing(): Record<string, ModelPricing> {
+  const raw = process.env.LLM_PRICING;
+  if (!raw) return DEFAULT_PRICING;
+  try {
+    return { ...DEFAULT_PRICING, ...(JSON.parse(raw) as Record<string, ModelPricing>) };
+  } catch {
+    throw new Error('LLM_PRICING must be JSON like {"model":{"input":0.1,"output":0.4}}');
+  }
+}
+
+/**
+ * Hours from receipt until actionable mail is overdue. Mail types missing
+ * here get no deadline; `SLA_HOURS` (JSON, same shape) overrides per type.
+ */
+const DEFAULT_SLA_HOURS: Record<string, number> = {
+  'Correction received': 4,
+  'Approval received': 4,
+  'Production query': 8,
+  'File received': 24,
+  'Request for quote received': 24,
+};
+
+function loadSlaHours(): Record<string, number> {
+  const raw = process.env.SLA_HOURS;
+  if (!raw) return DEFAULT_SLA_HOURS;
+  try {
+    return { ...DEFAULT_SLA_HOURS, ...(JSON.parse(raw) as Record<string, number>) };
+  } catch {
+    throw new Error('SLA_HOURS must be JSON like {"Correction received":4}');
+  }
+}
+
+const REDACTION_CATEGORIES: RedactionCategory[] = ['phone', 'bank', 'tax_id', 'price', 'email', 'name'];
+
+/** `REDACTION` is a comma-separated list of categories, or `off`. */
+function loadRedactionCategories(): RedactionCategory[] {
+  const raw = (process.env.REDACTION ?? 'phone,bank,tax_id,email').trim().toLowerCase();
+  if (raw === 'off' || raw === '') return [];
+  const categories = raw.split(',').map((c) => c.trim()).filter(Boolean);
+  const unknown = categories.filter((c) => !REDACTION_CATEGORIES.includes(c as RedactionCategory));
+  if (unknown.length > 0) {
+    throw new Error(`REDACTION has unknown categories (${unknown.join(', ')}); use ${REDACTION_CATEGORIES.join(', ')} or off`);
+  }
+  return categories as RedactionCategory[];
+}
+
+/** Free-mail providers; addresses here are treated as personal rather than company mail. */
+const DEFAULT_PERSONAL_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'yahoo.com',
+  'yahoo.co.in',
+  'hotmail.com',
+  'outlook.com',
+  'live.com',
+  'icloud.com',
+  'aol.com',
+  'rediffmail.com',
+  'protonmail.com',
+  'proton.me',
+];
+
 export const config = {
   port: Number(process.env.PORT ?? 3002),
   mongodbUri: requireEnv('MONGODB_URI'),
-  openaiApiKey: requireEnv('OPENAI_API_KEY'),
+  /** Only required when a tier uses the `openai` provider. */
+  openaiApiKey: process.env.OPENAI_API_KEY ?? '',
   googleClientId: requireEnv('GOOGLE_CLIENT_ID'),
   googleClientSecret: requireEnv('GOOGLE_CLIENT_SECRET'),
   googleRedirectUri: requireEnv('GOOGLE_REDIRECT_URI'),
   encryptionKey: requireEnv('ENCRYPTION_KEY'),
   clientUrl: process.env.CLIENT_URL ?? 'http://localhost:5175',
-  /** Verify these model names are enabled on your OpenAI account. */
-  models: {
-    cheap: 'gpt-5-nano',
-    strong: 'gpt-5.4-mini',
+  /**
+   * Dashboard sign-in with Google. Only verified addresses on `allowedDomain`
+   * (or listed in `adminEmails`) may sign in; new users start as viewers.
+   * `disabled` treats every request as an admin and is for local use only.
+   */
+  auth: {
+    disabled: process.env.AUTH_DISABLED === 'true',
+    allowedDomain: (process.env.AUTH_ALLOWED_DOMAIN ?? '').trim().toLowerCase(),
+    adminEmails: (process.env.AUTH_ADMIN_EMAILS ?? '')
+      .split(',')
+      .map((e) => e.trim().toLowerCase())
+      .filter(Boolean),
+    /** Falls back to a key derived from ENCRYPTION_KEY when unset. */
+    sessionSecret: process.env.SESSION_SECRET ?? '',
+    sessionTtlHours: 12,
+    cookieName: 'cdc_session',
+  },
+  /**
+   * Default provider + model per tier; inboxes may override either tier.
+   * Verify the OpenAI model names are enabled on your account.
+   */
+  llm: {
+    tiers: {
+      cheap: {
+        provider: (process.env.LLM_CHEAP_PROVIDER ?? process.env.LLM_PROVIDER ?? 'openai') as LlmProviderName,
+        model: process.env.LLM_CHEAP_MODEL ?? 'gpt-5-nano',
+      },
+      strong: {
+        provider: (process.env.LLM_STRONG_PROVIDER ?? process.env.LLM_PROVIDER ?? 'openai') as LlmProviderName,
+        model: process.env.LLM_STRONG_MODEL ?? 'gpt-5.4-mini',
+      },
+    },
+    azure: {
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT ?? '',
+      apiKey: process.env.AZURE_OPENAI_API_KEY ?? '',
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION ?? '2024-10-21',
+    },
+    /** Any OpenAI-compatible server, e.g. Ollama or llama.cpp. */
+    local: {
+      baseUrl: process.env.LOCAL_LLM_BASE_URL ?? 'http://localhost:11434/v1',
+      apiKey: process.env.LOCAL_LLM_API_KEY ?? 'local',
+    },
+    /** Models missing here (and all local/stub calls) are costed at zero. */
+    pricing: loadPricing(),
+    /**
+     * Daily spend (USD, server-local day) above which escalation to the strong
+     * tier is paused. 0 disables the limit.
+     */
+    dailyBudgetUsd: Number(process.env.LLM_DAILY_BUDGET_USD ?? 0),
+  },
+  /**
+   * Optional Gmail push notifications. When `topicName` is set, each inbox
+   * calls `users.watch` against that Pub/Sub topic and the push subscription
+   * should POST to `/api/gmail/push?token=<verificationToken>`; the token is
+   * required, since the endpoint is public.
+   */
+  gmailPush: {
+    topicName: process.env.GMAIL_PUBSUB_TOPIC ?? '',
+    verificationToken: process.env.GMAIL_PUSH_TOKEN ?? '',
+    renewBeforeHours: 24,
+  },
+  /**
+   * Masking applied to mail before it reaches any LLM provider. Masked values
+   * become placeholders such as `[PHONE_1]`, which are swapped back in the
+   * extracted fields. Inboxes with strict privacy mask every category and
+   * every email address regardless of `categories`. Stored mail is never
+   * redacted.
+   */
+  redaction: {
+    categories: loadRedactionCategories(),
+    all: REDACTION_CATEGORIES,
+    personalDomains: [
+      ...DEFAULT_PERSONAL_DOMAINS,
+      ...(process.env.REDACTION_PERSONAL_DOMAINS ?? '')
+        .split(',')
+        .map((d) => d.trim().toLowerCase())
+        .filter(Boolean),
+    ],
   },
   poll: {
     cronExpression: '* * * * *',
-    lookbackMinutes: 5,
+    /** Window for a full resync when an inbox has never synced before. */
+    initialSyncLookbackHours: 24,
+    /** Syncs a message may fail before it is dropped and admins are alerted. */
+    maxMessageAttempts: 20,
     confidenceEscalationThreshold: 0.6,
     reviewThreshold: 0.7,
   },
+  /** MongoDB-backed classification queue drained by the worker pool. */
+  queue: {
+    concurrency: Number(process.env.QUEUE_CONCURRENCY ?? 2),
+    maxAttempts: 6,
+    baseRetryDelayMs: 30_000,
+    maxRetryDelayMs: 30 * 60_000,
+    idlePollMs: 2000,
+    lockTimeoutMs: 5 * 60_000,
+    /** Inbox syncs pause while more than this many jobs are waiting. */
+    maxPending: 500,
+  },
+  /**
+   * Notifications sent by department routes after classification. SMTP is only
+   * needed for `email` routes and the gateway only for `whatsapp` routes.
+   * `quietHours` ("22:00-07:00", server-local time) holds deliveries until the
+   * window ends, unless a route opts out.
+   */
+  notifications: {
+    smtp: {
+      host: process.env.SMTP_HOST ?? '',
+      port: Number(process.env.SMTP_PORT ?? 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER ?? '',
+      pass: process.env.SMTP_PASS ?? '',
+      from: process.env.SMTP_FROM ?? '',
+    },
+    whatsapp: {
+      url: process.env.WHATSAPP_GATEWAY_URL ?? '',
+      token: process.env.WHATSAPP_GATEWAY_TOKEN ?? '',
+    },
+    quietHours: process.env.NOTIFY_QUIET_HOURS ?? '',
+    requestTimeoutMs: 10_000,
+    maxAttempts: 5,
+    baseRetryDelayMs: 60_000,
+    maxRetryDelayMs: 60 * 60_000,
+    idlePollMs: 5000,
+    lockTimeoutMs: 2 * 60_000,
+  },
+  /**
+   * Gmail label write-back for inboxes connected with `writeLabels`. Mail is
+   * labelled `<prefix>/<department>/<mail type>`, and `<prefix>/Needs review`
+   * while it waits for a reviewer. Failed syncs retry with backoff.
+   */
+  gmailLabels: {
+    prefix: (process.env.GMAIL_LABEL_PREFIX ?? 'CDC').replace(/\/+$/, ''),
+    maxAttempts: 5,
+    baseRetryDelayMs: 60_000,
+    maxRetryDelayMs: 60 * 60_000,
+    idlePollMs: 5000,
+    lockTimeoutMs: 2 * 60_000,
+  },
+  /**
+   * An active inbox without a successful sync for `staleAfterMinutes` alerts
+   * admins once until it recovers. Alerts are emailed (when SMTP is set up)
+   * to `alertEmails`, or to `AUTH_ADMIN_EMAILS` when that is empty.
+   */
+  inboxHealth: {
+    staleAfterMinutes: Number(process.env.INBOX_STALE_MINUTES ?? 30),
+    alertEmails: (process.env.INBOX_ALERT_EMAILS ?? '')
+      .split(',')
+      .map((e) => e.trim())
+      .filter(Boolean),
+  },
+  /**
+   * Exports and scheduled digests. The scheduler checks hourly which
+   * digests are due; they need SMTP configured under `notifications`.
+   */
+  reports: {
+    exportMaxRows: 10_000,
+    cronExpression: '5 * * * *',
+  },
+  /** Follow-up deadlines for actionable mail, counted in wall-clock hours. */
+  sla: {
+    hoursByMailType: loadSlaHours(),
+    /** Open mail due within this many hours counts as "due soon". */
+    dueSoonHours: 2,
+  },
+  /**
+   * Server-Sent Events for live dashboard updates. Mail whose type has an SLA
+   * of `highPriorityHours` or less raises an alert in the dashboard.
+   */
+  live: {
+    heartbeatMs: 25_000,
+    /** Browser reconnect delay after the stream drops. */
+    retryMs: 5000,
+    highPriorityHours: 4,
+  },
+  /**
+   * Email embeddings for "similar emails". `provider` is any LLM provider, or
+   * `off`. With `vectorIndex` set (an Atlas Vector Search index on
+   * `embedding`) neighbours come from `$vectorSearch`; otherwise the newest
+   * `scanLimit` embedded emails are compared in process.
+   */
+  embeddings: {
+    provider: (process.env.EMBEDDING_PROVIDER ?? process.env.LLM_PROVIDER ?? 'openai') as LlmProviderName | 'off',
+    model: process.env.EMBEDDING_MODEL ?? 'text-embedding-3-small',
+    vectorIndex: process.env.ATLAS_VECTOR_INDEX ?? '',
+    maxChars: 6000,
+    /** Input limit of the embedding model (8191 for OpenAI's), with some headroom. */
+    maxInputTokens: 8000,
+    batchSize: 32,
+    /** Mail the provider rejects is retried after this, doubling per failure up to a day. */
+    retryDelayMs: 15 * 60_000,
+    maxRetryDelayMs: 24 * 60 * 60_000,
+    idlePollMs: 60_000,
+    scanLimit: 5000,
+  },
+  /**
+   * Copies of one mail delivered to several inboxes are grouped by Message-ID,
+   * or by content hash when their sent dates are this close.
+   */
+  duplicates: {
+    contentWindowMinutes: 10,
+  },
+  /** Reviewer corrections replayed as few-shot examples. */
+  fewShot: {
+    maxExamples: 3,
+  },
+  attachments: {
+    /** Larger attachments are recorded by name only. */
+    maxDownloadBytes: 20 * 1024 * 1024,
+    extractMaxLength: 6000,
+    /** Combined attachment text passed to the classifier. */
+    promptMaxLength: 3000,
+  },
   bodyMaxLength: 8000,
 } as const;
@@ -2,6 +2,21 @@ import mongoose from 'mongoose';
 import { config } from './config.js';
 import { Email } from './models/Email.js';
 import { Inbox } from './models/Inbox.js';
+import { ClassificationJob } from './models/ClassificationJob.js';
+import { DeadLetter } from './models/DeadLetter.js';
+import { Correction } from './models/Correction.js';
+import { Example } from './models/Example.js';
+import { Rule } from './models/Rule.js';
+import { LlmCall } from './models/LlmCall.js';
+import { EmailRevision } from './models/EmailRevision.js';
+import { User } from './models/User.js';
+import { NotificationRoute } from './models/NotificationRoute.js';
+import { NotificationDelivery } from './models/NotificationDelivery.js';
+import { Report } from './models/Report.js';
+import { TaxonomyModel } from './models/Taxonomy.js';
+import { EvaluationRun } from './models/EvaluationRun.js';
+import { PromptVersion } from './models/PromptVersion.js';
+import { ShadowClassification } from './models/ShadowClassification.js';
 
 let connected = false;
 
@@ -14,6 +29,21 @@ export async function connectDb(): Promise<void> {
 
   await Email.syncIndexes();
   await Inbox.syncIndexes();
+  await ClassificationJob.syncIndexes();
+  await DeadLetter.syncIndexes();
+  await Correction.syncIndexes();
+  await Example.syncIndexes();
+  await Rule.syncIndexes();
+  await LlmCall.syncIndexes();
+  await EmailRevision.syncIndexes();
+  await User.syncIndexes();
+  await NotificationRoute.syncIndexes();
+  await NotificationDelivery.syncIndexes();
+  await Report.syncIndexes();
+  await TaxonomyModel.syncIndexes();
+  await EvaluationRun.syncIndexes();
+  await PromptVersion.syncIndexes();
+  await ShadowClassification.syncIndexes();
 
   connected = true;
   console.log('[DB] Connected to MongoDB');
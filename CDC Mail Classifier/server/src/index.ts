@@ -7,26 +7,53 @@ import emailsRouter, { reclassifyEmailById } from './routes/emails.js';
 import statsRouter from './routes/stats.js';
 import inboxesRouter from './routes/inboxes.js';
 import authRouter from './routes/auth.js';
+import gmailRouter from './routes/gmail.js';
+import queueRouter from './routes/queue.js';
+import threadsRouter from './routes/threads.js';
+import jobsRouter from './routes/jobs.js';
+import examplesRouter from './routes/examples.js';
+import rulesRouter from './routes/rules.js';
+import usersRouter from './routes/users.js';
+import notificationsRouter from './routes/notifications.js';
+import eventsRouter from './routes/events.js';
+import reportsRouter from './routes/reports.js';
+import taxonomyRouter from './routes/taxonomy.js';
+import evaluationsRouter from './routes/evaluations.js';
+import promptsRouter from './routes/prompts.js';
 import { startPollJob } from './jobs/poll.js';
+import { startClassificationWorkers } from './jobs/worker.js';
+import { startNotificationDispatcher } from './jobs/notifier.js';
+import { startEmbeddingIndexer } from './jobs/embeddings.js';
+import { startReportScheduler } from './jobs/reports.js';
+import { startLabelSync } from './jobs/labels.js';
+import { backfillJobKeys } from './lib/jobView.js';
+import { authenticate, requireRole } from './lib/auth.js';
+import { markInterruptedRuns } from './lib/evaluation.js';
+import { parseQuietHours } from './lib/notifications.js';
 
 const app = express();
 
-app.use(cors({ origin: config.clientUrl }));
+app.use(cors({ origin: config.clientUrl, credentials: true }));
 app.use(express.json({ limit: '1mb' }));
 
 app.get('/api/health', (_req, res) => {
   res.json({ ok: true });
 });
 
+// Sign-in and the Pub/Sub webhook authenticate themselves; everything else needs a session.
+app.use('/api/auth', authRouter);
+app.use('/api/gmail', gmailRouter);
+app.use('/api', authenticate);
+
 app.use('/api/emails', emailsRouter);
-app.post('/api/reclassify/:id', async (req, res) => {
+app.post('/api/reclassify/:id', requireRole('reviewer', 'admin'), async (req, res) => {
   try {
     const id = String(req.params.id);
     if (!mongoose.Types.ObjectId.isValid(id)) {
       res.status(400).json({ error: 'Invalid email id' });
       return;
     }
-    const updated = await reclassifyEmailById(id);
+    const updated = await reclassifyEmailById(id, req.user);
     if (!updated) {
       res.status(404).json({ error: 'Email not found' });
       return;
@@ -39,11 +66,48 @@ app.post('/api/reclassify/:id', async (req, res) => {
 });
 app.use('/api/stats', statsRouter);
 app.use('/api/inboxes', inboxesRouter);
-app.use('/api/auth', authRouter);
+app.use('/api/queue', requireRole('admin'), queueRouter);
+app.use('/api/threads', threadsRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/examples', requireRole('admin'), examplesRouter);
+app.use('/api/rules', requireRole('admin'), rulesRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/notifications', requireRole('admin'), notificationsRouter);
+app.use('/api/events', eventsRouter);
+app.use('/api/reports', requireRole('admin'), reportsRouter);
+app.use('/api/taxonomy', taxonomyRouter);
+app.use('/api/evaluations', requireRole('admin'), evaluationsRouter);
+app.use('/api/prompts', requireRole('admin'), promptsRouter);
 
 async function main() {
   await connectDb();
+
+  if (config.auth.disabled) {
+    console.warn('[Auth] AUTH_DISABLED=true — every request is treated as an admin');
+  } else if (!config.auth.allowedDomain && config.auth.adminEmails.length === 0) {
+    console.warn('[Auth] Set AUTH_ALLOWED_DOMAIN or AUTH_ADMIN_EMAILS, otherwise nobody can sign in');
+  }
+
+  if (config.gmailPush.topicName && !config.gmailPush.verificationToken) {
+    throw new Error('GMAIL_PUSH_TOKEN is required when GMAIL_PUBSUB_TOPIC is set; the push endpoint is public');
+  }
+
+  if (config.notifications.quietHours && !parseQuietHours(config.notifications.quietHours)) {
+    console.warn(`[Notify] Ignoring NOTIFY_QUIET_HOURS="${config.notifications.quietHours}", expected e.g. 22:00-07:00`);
+  }
+
+  const migrated = await backfillJobKeys();
+  if (migrated > 0) console.log(`[Server] Normalised job numbers on ${migrated} email(s)`);
+
+  const interrupted = await markInterruptedRuns();
+  if (interrupted > 0) console.log(`[Eval] Marked ${interrupted} interrupted evaluation run(s) as failed`);
+
+  startClassificationWorkers();
+  startNotificationDispatcher();
+  startEmbeddingIndexer();
+  startLabelSync();
   startPollJob();
+  startReportScheduler();
 
   app.listen(config.port, () => {
     console.log(`[Server] Listening on http://localhost:${config.port}`);
@@ -0,0 +1,30 @@
+import { config } from '../config.js';
+import { isOverDailyBudget } from '../lib/cost.js';
+import { embedPendingEmails, embeddingsEnabled } from '../lib/embeddings.js';
+
+let started = false;
+
+async function runIndexer(): Promise<never> {
+  for (;;) {
+    let embedded = 0;
+    try {
+      // Backfilling old mail can wait for tomorrow's budget; the similar panel still embeds on demand.
+      if (!(await isOverDailyBudget())) embedded = await embedPendingEmails();
+    } catch (err) {
+      console.error('[Embeddings] Failed to embed pending mail', err);
+    }
+
+    // A full batch means more is waiting, so go straight on.
+    if (embedded < config.embeddings.batchSize) {
+      await new Promise((r) => setTimeout(r, config.embeddings.idlePollMs));
+    }
+  }
+}
+
+/** Embeds newly classified mail and backfills older mail, one batch at a time. */
+export function startEmbeddingIndexer(): void {
+  if (started || !embeddingsEnabled()) return;
+  started = true;
+  void runIndexer();
+  console.log(`[Embeddings] Indexer started (${config.embeddings.provider}/${config.embeddings.model})`);
+}
@@ -0,0 +1,38 @@
+import { config } from '../config.js';
+import { claimNextLabelSync, syncEmailLabels, type QueuedLabelSync } from '../lib/gmailLabels.js';
+
+let started = false;
+
+async function runLabelSync(): Promise<never> {
+  for (;;) {
+    let email: QueuedLabelSync | null = null;
+    try {
+      email = await claimNextLabelSync();
+    } catch (err) {
+      console.error('[Labels] Failed to claim label sync', err);
+    }
+
+    if (!email) {
+      await new Promise((r) => setTimeout(r, config.gmailLabels.idlePollMs));
+      continue;
+    }
+
+    try {
+      const outcome = await syncEmailLabels(email);
+      if (outcome === 'retry' || outcome === 'failed') {
+        const level = outcome === 'failed' ? 'giving up' : 'retry scheduled';
+        console.error(`[Labels] Labelling ${email.messageId} in ${email.inbox ?? 'unknown'} failed, ${level}`);
+      }
+    } catch (err) {
+      console.error(`[Labels] Could not record label sync for ${email.messageId}`, err);
+    }
+  }
+}
+
+/** Writes classifications back to Gmail as labels, one message at a time. */
+export function startLabelSync(): void {
+  if (started) return;
+  started = true;
+  void runLabelSync();
+  console.log('[Labels] Gmail label sync started');
+}
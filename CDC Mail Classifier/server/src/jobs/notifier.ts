@@ -0,0 +1,38 @@
+import { config } from '../config.js';
+import { claimNextDelivery, sendDelivery, type QueuedDelivery } from '../lib/notifications.js';
+
+let started = false;
+
+async function runDispatcher(): Promise<never> {
+  for (;;) {
+    let delivery: QueuedDelivery | null = null;
+    try {
+      delivery = await claimNextDelivery();
+    } catch (err) {
+      console.error('[Notify] Failed to claim delivery', err);
+    }
+
+    if (!delivery) {
+      await new Promise((r) => setTimeout(r, config.notifications.idlePollMs));
+      continue;
+    }
+
+    try {
+      const outcome = await sendDelivery(delivery);
+      if (outcome === 'retry' || outcome === 'failed') {
+        const level = outcome === 'failed' ? 'giving up' : 'retry scheduled';
+        console.error(`[Notify] ${delivery.channel} delivery for route "${delivery.routeName}" failed, ${level}`);
+      }
+    } catch (err) {
+      console.error(`[Notify] Could not record outcome for delivery ${String(delivery._id)}`, err);
+    }
+  }
+}
+
+/** One dispatcher is enough: deliveries are small and mostly wait on I/O. */
+export function startNotificationDispatcher(): void {
+  if (started) return;
+  started = true;
+  void runDispatcher();
+  console.log('[Notify] Notification dispatcher started');
+}
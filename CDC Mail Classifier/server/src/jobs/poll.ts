@@ -1,72 +1,226 @@
 import cron from 'node-cron';
+import type { gmail_v1 } from 'googleapis';
 import { config } from '../config.js';
 import { Inbox } from '../models/Inbox.js';
 import { Email } from '../models/Email.js';
-import { getGmailClient, fetchRecentMessageIds, fetchMessage } from '../lib/gmail.js';
-import { normalizeGmailMessage } from '../lib/normalize.js';
 import {
-  classifyEmail,
-  classificationToEmailFields,
-} from '../lib/classifier.js';
+  getGmailClient,
+  fetchMessageIdsInRange,
+  fetchHistoryDelta,
+  fetchMessage,
+  getCurrentHistoryId,
+  isHistoryExpiredError,
+  isNotFoundError,
+  watchMailbox,
+} from '../lib/gmail.js';
+import { extractAttachmentRefs, normalizeGmailMessage } from '../lib/normalize.js';
+import { ingestAttachments } from '../lib/attachments.js';
+import { countPendingJobs, enqueueClassification } from '../lib/queue.js';
+import { findDuplicatePrimary, storeDuplicate } from '../lib/duplicates.js';
+import { publishEvent } from '../lib/events.js';
+import { checkStaleInboxes, recordSyncFailure, recordSyncSuccess } from '../lib/inboxHealth.js';
+
+type InboxInstance = InstanceType<typeof Inbox>;
 
 let polling = false;
+const syncingInboxes = new Set<string>();
 
-async function processInbox(inbox: InstanceType<typeof Inbox>): Promise<void> {
-  if (!inbox.refreshToken) {
-    console.warn(`[Poll] Inbox ${inbox.emailAddress} has no refresh token, skipping`);
+/** Normalizes and enqueues a message; classification happens in the worker pool. */
+async function processMessage(
+  gmail: gmail_v1.Gmail,
+  inbox: InboxInstance,
+  messageId: string,
+): Promise<void> {
+  const existing = await Email.findOne({ messageId }).select('classifier confidence').lean();
+  if (existing?.classifier && existing.confidence !== undefined) return;
+
+  const raw = await fetchMessage(gmail, messageId);
+  const normalized = normalizeGmailMessage(raw, inbox.label ?? inbox.emailAddress ?? 'unknown');
+
+  // A copy already classified from another inbox: link it instead of downloading and classifying again.
+  const primary = await findDuplicatePrimary(normalized);
+  if (primary) {
+    await storeDuplicate(normalized, primary);
     return;
   }
 
-  const gmail = getGmailClient(inbox.refreshToken);
-  const messageIds = await fetchRecentMessageIds(gmail, config.poll.lookbackMinutes);
+  normalized.attachmentFiles = await ingestAttachments(gmail, messageId, extractAttachmentRefs(raw));
+  await enqueueClassification(normalized);
+}
 
-  if (messageIds.length === 0) return;
+interface ProcessedMessages {
+  processed: number;
+  /** Messages to retry on the next sync. Messages deleted from Gmail meanwhile are dropped instead. */
+  failed: { messageId: string; error: string }[];
+}
+
+async function processMessages(
+  gmail: gmail_v1.Gmail,
+  inbox: InboxInstance,
+  messageIds: string[],
+): Promise<ProcessedMessages> {
+  const result: ProcessedMessages = { processed: 0, failed: [] };
+  if (messageIds.length === 0) return result;
 
   console.log(`[Poll] ${inbox.label} (${inbox.emailAddress}): ${messageIds.length} message(s)`);
 
   for (const messageId of messageIds) {
     try {
-      const raw = await fetchMessage(gmail, messageId);
-      const normalized = normalizeGmailMessage(raw, inbox.label ?? inbox.emailAddress ?? 'unknown');
+      await processMessage(gmail, inbox, messageId);
+      result.processed++;
+    } catch (err) {
+      if (isNotFoundError(err)) {
+        console.warn(`[Poll] Message ${messageId} is no longer in ${inbox.emailAddress}, skipping`);
+        continue;
+      }
+      console.error(`[Poll] Failed to process message ${messageId} for ${inbox.emailAddress}`, err);
+      result.failed.push({ messageId, error: err instanceof Error ? err.message : String(err) });
+    }
+  }
+  return result;
+}
 
-      const existing = await Email.findOne({ messageId }).lean();
-      const needsClassification =
-        !existing ||
-        !existing.classifier ||
-        existing.confidence === undefined;
+/**
+ * Lists everything since the last successful sync (or the initial lookback)
+ * and re-anchors the inbox on the current historyId. The historyId is read
+ * before listing so nothing arriving mid-resync falls into a gap.
+ */
+async function fullResync(
+  gmail: gmail_v1.Gmail,
+  inbox: InboxInstance,
+  retryIds: string[],
+): Promise<ProcessedMessages> {
+  const historyId = await getCurrentHistoryId(gmail);
+  const since =
+    inbox.lastSyncedAt ??
+    new Date(Date.now() - config.poll.initialSyncLookbackHours * 60 * 60 * 1000);
 
-      let classificationFields: ReturnType<typeof classificationToEmailFields> | undefined;
+  console.log(`[Poll] ${inbox.emailAddress}: full resync since ${since.toISOString()}`);
+  const messageIds = await fetchMessageIdsInRange(gmail, since);
+  const result = await processMessages(gmail, inbox, [...new Set([...retryIds, ...messageIds])]);
 
-      if (needsClassification) {
-        const { result, modelUsed } = await classifyEmail(normalized);
-        classificationFields = classificationToEmailFields(result, modelUsed);
-      }
+  inbox.historyId = historyId;
+  return result;
+}
+
+/**
+ * Processes the history delta (plus messages that failed last time) and moves
+ * the cursor on. Messages that fail are kept on the inbox and retried by the
+ * next sync, so a Gmail or database error does not drop mail from the window.
+ * A message that fails `poll.maxMessageAttempts` syncs is dropped and admins
+ * are alerted.
+ */
+export async function processInbox(inbox: InboxInstance, client?: gmail_v1.Gmail): Promise<void> {
+  if (!inbox.refreshToken) {
+    console.warn(`[Poll] Inbox ${inbox.emailAddress} has no refresh token, skipping`);
+    return;
+  }
 
-      const emailData = {
-        messageId: normalized.messageId,
-        threadId: normalized.threadId,
-        inbox: normalized.inbox,
-        fromName: normalized.fromName,
-        fromEmail: normalized.fromEmail,
-        toField: normalized.toField,
-        ccField: normalized.ccField,
-        subject: normalized.subject,
-        sentDate: normalized.sentDate,
-        gmailLink: normalized.gmailLink,
-        body: normalized.body,
-        attachments: normalized.attachments,
-        ...(classificationFields ?? {}),
-      };
-
-      await Email.findOneAndUpdate(
-        { messageId },
-        { $set: emailData },
-        { upsert: true, new: true },
-      );
+  // Backpressure: leave the history cursor where it is so Gmail holds the
+  // backlog until the workers catch up.
+  const pending = await countPendingJobs();
+  if (pending > config.queue.maxPending) {
+    console.warn(`[Poll] ${pending} jobs queued, deferring ${inbox.emailAddress}`);
+    return;
+  }
+
+  const gmail = client ?? getGmailClient(inbox.refreshToken);
+  const startedAt = new Date();
+  const attemptsSoFar = new Map((inbox.syncRetries ?? []).map((r) => [r.messageId, r.attempts ?? 0]));
+  const retryIds = [...attemptsSoFar.keys()];
+  let result: ProcessedMessages;
+
+  if (!inbox.historyId) {
+    result = await fullResync(gmail, inbox, retryIds);
+  } else {
+    let delta;
+    try {
+      delta = await fetchHistoryDelta(gmail, inbox.historyId);
     } catch (err) {
-      console.error(`[Poll] Failed to process message ${messageId} for ${inbox.emailAddress}`, err);
+      if (!isHistoryExpiredError(err)) throw err;
+      console.warn(`[Poll] ${inbox.emailAddress}: historyId ${inbox.historyId} expired`);
+    }
+    if (delta) {
+      result = await processMessages(gmail, inbox, [...new Set([...retryIds, ...delta.messageIds])]);
+      inbox.historyId = delta.historyId;
+    } else {
+      result = await fullResync(gmail, inbox, retryIds);
     }
   }
+
+  const failed = result.failed.map((f) => ({
+    messageId: f.messageId,
+    attempts: (attemptsSoFar.get(f.messageId) ?? 0) + 1,
+    lastError: f.error,
+  }));
+  const retrying = failed.filter((f) => f.attempts < config.poll.maxMessageAttempts);
+  const dropped = failed.filter((f) => f.attempts >= config.poll.maxMessageAttempts);
+  if (retrying.length > 0) {
+    console.warn(`[Poll] ${inbox.emailAddress}: ${retrying.length} message(s) will be retried next sync`);
+  }
+  for (const f of dropped) {
+    console.error(`[Poll] ${inbox.emailAddress}: giving up on message ${f.messageId} after ${f.attempts} syncs: ${f.lastError}`);
+  }
+  inbox.set('syncRetries', retrying);
+  inbox.lastSyncedAt = startedAt;
+  await recordSyncSuccess(inbox, result.processed, dropped);
+}
+
+/** Serialises syncs per inbox so cron and push notifications never overlap. */
+export async function syncInbox(inbox: InboxInstance): Promise<void> {
+  const key = String(inbox._id);
+  if (syncingInboxes.has(key)) return;
+
+  syncingInboxes.add(key);
+  try {
+    await processInbox(inbox);
+  } catch (err) {
+    await recordSyncFailure(inbox, err).catch((healthErr) => {
+      console.error(`[Health] Could not record failure for ${inbox.emailAddress}`, healthErr);
+    });
+    throw err;
+  } finally {
+    syncingInboxes.delete(key);
+  }
+}
+
+/**
+ * Catch-up mode: re-reads a date range after an outage without moving the
+ * inbox's history cursor. Already-classified messages are not re-enqueued.
+ */
+export async function backfillInbox(
+  inbox: InboxInstance,
+  from: Date,
+  to?: Date,
+): Promise<number> {
+  if (!inbox.refreshToken) {
+    throw new Error(`Inbox ${inbox.emailAddress} has no refresh token`);
+  }
+
+  const gmail = getGmailClient(inbox.refreshToken);
+  const messageIds = await fetchMessageIdsInRange(gmail, from, to);
+  console.log(
+    `[Poll] ${inbox.emailAddress}: backfill ${from.toISOString()} → ${to?.toISOString() ?? 'now'}`,
+  );
+  const { processed, failed } = await processMessages(gmail, inbox, messageIds);
+  if (failed.length > 0) {
+    console.warn(`[Poll] ${inbox.emailAddress}: backfill could not process ${failed.length} message(s); run it again`);
+  }
+  return processed;
+}
+
+async function renewWatch(inbox: InboxInstance): Promise<void> {
+  const { topicName, renewBeforeHours } = config.gmailPush;
+  if (!topicName || !inbox.refreshToken) return;
+
+  const renewAfter = new Date(Date.now() + renewBeforeHours * 60 * 60 * 1000);
+  if (inbox.watchExpiration && inbox.watchExpiration > renewAfter) return;
+
+  const gmail = getGmailClient(inbox.refreshToken);
+  const { expiration } = await watchMailbox(gmail, topicName);
+  inbox.watchExpiration = expiration;
+  await inbox.save();
+  console.log(`[Poll] ${inbox.emailAddress}: push watch active until ${expiration.toISOString()}`);
 }
 
 export async function runPollCycle(): Promise<void> {
@@ -76,15 +230,30 @@ export async function runPollCycle(): Promise<void> {
   }
 
   polling = true;
+  const startedAt = Date.now();
+  let failed = 0;
   try {
     const inboxes = await Inbox.find({ active: true });
     for (const inbox of inboxes) {
       try {
-        await processInbox(inbox);
+        await renewWatch(inbox);
       } catch (err) {
+        console.error(`[Poll] Inbox ${inbox.emailAddress} watch renewal failed`, err);
+      }
+      try {
+        await syncInbox(inbox);
+      } catch (err) {
+        failed++;
         console.error(`[Poll] Inbox ${inbox.emailAddress} failed`, err);
       }
     }
+    publishEvent({ type: 'poll.finished', inboxes: inboxes.length, failed, durationMs: Date.now() - startedAt });
+
+    try {
+      await checkStaleInboxes();
+    } catch (err) {
+      console.error('[Health] Stale inbox check failed', err);
+    }
   } finally {
     polling = false;
   }
@@ -96,5 +265,7 @@ export function startPollJob(): void {
       console.error('[Poll] Cron cycle error', err);
     });
   });
-  console.log(`[Poll] Scheduled every minute (lookback ${config.poll.lookbackMinutes} min)`);
+  console.log(
+    `[Poll] Scheduled every minute (history sync${config.gmailPush.topicName ? ' + push' : ''})`,
+  );
 }
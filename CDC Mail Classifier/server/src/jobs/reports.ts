@@ -0,0 +1,17 @@
+import cron from 'node-cron';
+import { config } from '../config.js';
+import { runDueDigests } from '../lib/reports.js';
+
+let started = false;
+
+/** Checks hourly for digests that are due; each is sent at most once per day. */
+export function startReportScheduler(): void {
+  if (started) return;
+  started = true;
+  cron.schedule(config.reports.cronExpression, () => {
+    runDueDigests().catch((err) => {
+      console.error('[Reports] Scheduler error', err);
+    });
+  });
+  console.log('[Reports] Digest scheduler started');
+}
@@ -0,0 +1,107 @@
+import { config } from '../config.js';
+import { Email } from '../models/Email.js';
+import {
+  claimNextJob,
+  completeJob,
+  failJob,
+  type QueuedJob,
+} from '../lib/queue.js';
+import { classifyForStorage } from '../lib/pipeline.js';
+import { recordClassificationRevision } from '../lib/history.js';
+import { queueNotifications } from '../lib/notifications.js';
+import { slaDeadline } from '../lib/sla.js';
+import { findDuplicatePrimary, storeDuplicate } from '../lib/duplicates.js';
+import { queueLabelSync } from '../lib/gmailLabels.js';
+import { toEmailFields } from '../lib/normalize.js';
+import { publishEvent, toLiveEmail } from '../lib/events.js';
+import type { NormalizedEmail } from '../types/index.js';
+
+let started = false;
+
+/** Classifies and stores one queued message. */
+export async function processJob(job: QueuedJob): Promise<void> {
+  const normalized = job.payload as NormalizedEmail;
+
+  // Another inbox's copy may have been classified while this one was queued.
+  const primary = await findDuplicatePrimary(normalized);
+  if (primary) {
+    await storeDuplicate(normalized, primary);
+    return;
+  }
+
+  const output = await classifyForStorage(normalized);
+
+  const emailData = {
+    ...toEmailFields(normalized),
+    ...output.fields,
+    slaDueAt: slaDeadline(output.fields.mailType, normalized.sentDate),
+  };
+
+  const email = await Email.findOneAndUpdate(
+    { messageId: normalized.messageId },
+    { $set: emailData },
+    { upsert: true, new: true },
+  );
+
+  try {
+    await recordClassificationRevision(email._id, output, 'worker');
+  } catch (err) {
+    console.error(`[Worker] Failed to record revision for ${normalized.messageId}`, err);
+  }
+
+  try {
+    await queueNotifications(email);
+  } catch (err) {
+    console.error(`[Worker] Failed to queue notifications for ${normalized.messageId}`, err);
+  }
+
+  try {
+    await queueLabelSync(email);
+  } catch (err) {
+    console.error(`[Worker] Failed to queue Gmail labels for ${normalized.messageId}`, err);
+  }
+
+  const live = toLiveEmail(email);
+  if (email.classifierTier === 'strong') publishEvent({ type: 'email.escalated', email: live });
+  publishEvent({ type: 'email.classified', source: 'worker', email: live });
+}
+
+async function runWorker(workerId: number): Promise<never> {
+  for (;;) {
+    let job: QueuedJob | null = null;
+    try {
+      job = await claimNextJob();
+    } catch (err) {
+      console.error(`[Worker ${workerId}] Failed to claim job`, err);
+    }
+
+    if (!job) {
+      await new Promise((r) => setTimeout(r, config.queue.idlePollMs));
+      continue;
+    }
+
+    try {
+      await processJob(job);
+      await completeJob(job);
+    } catch (err) {
+      try {
+        const outcome = await failJob(job, err);
+        const level = outcome === 'dead' ? 'dead-lettered' : `retry #${job.attempts} scheduled`;
+        console.error(`[Worker ${workerId}] ${job.messageId} failed, ${level}`, err);
+      } catch (failErr) {
+        console.error(`[Worker ${workerId}] Could not record failure for ${job.messageId}`, failErr);
+      }
+    }
+  }
+}
+
+export function startClassificationWorkers(): void {
+  if (started) return;
+  started = true;
+
+  const concurrency = Math.max(1, config.queue.concurrency);
+  for (let i = 1; i <= concurrency; i++) {
+    void runWorker(i);
+  }
+  console.log(`[Worker] ${concurrency} classification worker(s) started`);
+}
@@ -0,0 +1,175 @@
+import type { Readable } from 'node:stream';
+import type { gmail_v1 } from 'googleapis';
+import mongoose from 'mongoose';
+import mammoth from 'mammoth';
+import ExcelJS from 'exceljs';
+import { PDFParse } from 'pdf-parse';
+import { config } from '../config.js';
+import { fetchAttachment, isPermanentGmailError } from './gmail.js';
+import type { AttachmentRef, StoredAttachment } from '../types/index.js';
+
+const BUCKET_NAME = 'attachments';
+
+function getBucket(): mongoose.mongo.GridFSBucket {
+  const db = mongoose.connection.db;
+  if (!db) throw new Error('MongoDB is not connected');
+  return new mongoose.mongo.GridFSBucket(db, { bucketName: BUCKET_NAME });
+}
+
+type AttachmentKind = 'pdf' | 'docx' | 'xlsx' | 'csv' | 'text' | null;
+
+function detectKind(filename: string, mimeType: string): AttachmentKind {
+  const ext = filename.toLowerCase().split('.').pop() ?? '';
+  if (mimeType === 'application/pdf' || ext === 'pdf') return 'pdf';
+  if (ext === 'docx' || mimeType.includes('wordprocessingml')) return 'docx';
+  if (ext === 'xlsx' || mimeType.includes('spreadsheetml')) return 'xlsx';
+  if (ext === 'csv' || mimeType === 'text/csv') return 'csv';
+  if (ext === 'txt' || mimeType === 'text/plain') return 'text';
+  return null;
+}
+
+async function extractPdf(buffer: Buffer): Promise<string> {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText();
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+async function extractXlsx(buffer: Buffer): Promise<string> {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer as unknown as ExcelJS.Buffer);
+
+  const lines: string[] = [];
+  workbook.eachSheet((sheet) => {
+    lines.push(`# ${sheet.name}`);
+    sheet.eachRow((row) => {
+      const values = (row.values as ExcelJS.CellValue[])
+        .slice(1)
+        .map((v) => (v === null || v === undefined ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v)));
+      lines.push(values.join(', '));
+    });
+  });
+  return lines.join('\n');
+}
+
+export async function extractAttachmentText(
+  buffer: Buffer,
+  filename: string,
+  mimeType: string,
+): Promise<string> {
+  let text: string;
+  switch (detectKind(filename, mimeType)) {
+    case 'pdf':
+      text = await extractPdf(buffer);
+      break;
+    case 'docx':
+      text = (await mammoth.extractRawText({ buffer })).value;
+      break;
+    case 'xlsx':
+      text = await extractXlsx(buffer);
+      break;
+    case 'csv':
+    case 'text':
+      text = buffer.toString('utf8');
+      break;
+    default:
+      return '';
+  }
+
+  return text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim().slice(0, config.attachments.extractMaxLength);
+}
+
+async function findStoredFile(messageId: string, partId: string) {
+  const [existing] = await getBucket()
+    .find({ 'metadata.messageId': messageId, 'metadata.partId': partId })
+    .limit(1)
+    .toArray();
+  return existing;
+}
+
+function uploadToGridFs(buffer: Buffer, ref: AttachmentRef, messageId: string): Promise<mongoose.Types.ObjectId> {
+  return new Promise((resolve, reject) => {
+    const upload = getBucket().openUploadStream(ref.filename, {
+      metadata: { messageId, partId: ref.partId, mimeType: ref.mimeType },
+    });
+    upload.once('error', reject);
+    upload.once('finish', () => resolve(upload.id));
+    upload.end(buffer);
+  });
+}
+
+/**
+ * Downloads each attachment once (keyed on messageId + partId), stores it in
+ * GridFS and extracts text. Attachments Gmail refuses for good and failed
+ * extractions are recorded rather than thrown so one bad attachment does not
+ * block classification of the mail; attachments over the size limit are
+ * listed without being downloaded. Temporary download errors and storage
+ * errors are rethrown so the message is fetched again on the next sync.
+ */
+export async function ingestAttachments(
+  gmail: gmail_v1.Gmail,
+  messageId: string,
+  refs: AttachmentRef[],
+): Promise<StoredAttachment[]> {
+  const stored: StoredAttachment[] = [];
+
+  for (const ref of refs) {
+    const listed = { filename: ref.filename, mimeType: ref.mimeType, size: ref.size, extractedText: '' };
+    if (ref.size > config.attachments.maxDownloadBytes) {
+      stored.push({ ...listed, tooLarge: true });
+      continue;
+    }
+
+    let buffer: Buffer;
+    try {
+      buffer = ref.attachmentId
+        ? await fetchAttachment(gmail, messageId, ref.attachmentId)
+        : Buffer.from(ref.inlineData ?? '', 'base64url');
+    } catch (err) {
+      if (!isPermanentGmailError(err)) throw err;
+      console.warn(`[Attachments] Gmail refused ${ref.filename} (${messageId})`, err);
+      stored.push({ ...listed, downloadError: err instanceof Error ? err.message : String(err) });
+      continue;
+    }
+
+    const existing = await findStoredFile(messageId, ref.partId);
+    const fileId = existing?._id ?? (await uploadToGridFs(buffer, ref, messageId));
+
+    let extractedText = '';
+    let extractionError: string | undefined;
+    try {
+      extractedText = await extractAttachmentText(buffer, ref.filename, ref.mimeType);
+    } catch (err) {
+      extractionError = err instanceof Error ? err.message : String(err);
+      console.warn(`[Attachments] Text extraction failed for ${ref.filename} (${messageId})`, err);
+    }
+
+    stored.push({
+      fileId: String(fileId),
+      filename: ref.filename,
+      mimeType: ref.mimeType,
+      size: buffer.length,
+      extractedText,
+      extractionError,
+    });
+  }
+
+  return stored;
+}
+
+export function openAttachmentStream(fileId: string): Readable {
+  return getBucket().openDownloadStream(new mongoose.Types.ObjectId(fileId));
+}
+
+/** Combined, truncated attachment text for the classifier prompt. */
+export function buildAttachmentPromptText(files: StoredAttachment[]): string {
+  const sections = files
+    .filter((f) => f.extractedText)
+    .map((f) => `--- ${f.filename} ---\n${f.extractedText}`);
+  const combined = sections.join('\n\n');
+  const max = config.attachments.promptMaxLength;
+  return combined.length > max ? `${combined.slice(0, max)}\n[truncated]` : combined;
+}
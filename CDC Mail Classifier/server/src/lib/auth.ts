@@ -0,0 +1,240 @@
+import crypto from 'node:crypto';
+import type { NextFunction, Request, Response } from 'express';
+import { config } from '../config.js';
+import { User } from '../models/User.js';
+import { createOAuth2Client } from './gmail.js';
+import type { AuthUser, UserRole } from '../types/index.js';
+
+declare global {
+  namespace Express {
+    interface Request {
+      user?: AuthUser;
+    }
+  }
+}
+
+const LOGIN_SCOPES = ['openid', 'email', 'profile'];
+const OAUTH_NONCE_COOKIE = 'cdc_oauth_nonce';
+
+const DEV_USER: AuthUser = {
+  id: 'dev',
+  email: 'dev@localhost',
+  name: 'Local developer',
+  role: 'admin',
+  departments: [],
+};
+
+interface SessionPayload {
+  sub: string;
+  exp: number;
+}
+
+function sessionKey(): Buffer {
+  if (config.auth.sessionSecret) return Buffer.from(config.auth.sessionSecret, 'utf8');
+  return crypto.createHmac('sha256', config.encryptionKey).update('cdc-session').digest();
+}
+
+function sign(data: string): string {
+  return crypto.createHmac('sha256', sessionKey()).update(data).digest('base64url');
+}
+
+export function createSessionToken(userId: string): string {
+  const payload: SessionPayload = {
+    sub: userId,
+    exp: Date.now() + config.auth.sessionTtlHours * 60 * 60 * 1000,
+  };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/** Returns the user id, or null for a forged or expired token. */
+export function verifySessionToken(token: string): string | null {
+  const [data, signature] = token.split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8')) as SessionPayload;
+    return payload.exp > Date.now() ? payload.sub : null;
+  } catch {
+    return null;
+  }
+}
+
+function readCookie(req: Request, name: string): string | undefined {
+  for (const part of (req.headers.cookie ?? '').split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return undefined;
+}
+
+const secureCookies = () => config.clientUrl.startsWith('https://');
+
+export function setSessionCookie(res: Response, userId: string): void {
+  res.cookie(config.auth.cookieName, createSessionToken(userId), {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: secureCookies(),
+    maxAge: config.auth.sessionTtlHours * 60 * 60 * 1000,
+    path: '/',
+  });
+}
+
+export function clearSessionCookie(res: Response): void {
+  res.clearCookie(config.auth.cookieName, { path: '/' });
+}
+
+/** Loads the signed-in user; role changes and deactivation apply immediately. */
+export async function resolveUser(req: Request): Promise<AuthUser | null> {
+  if (config.auth.disabled) return DEV_USER;
+
+  const token = readCookie(req, config.auth.cookieName);
+  const userId = token ? verifySessionToken(token) : null;
+  if (!userId) return null;
+
+  const user = await User.findById(userId).lean();
+  if (!user || !user.active) return null;
+
+  return {
+    id: String(user._id),
+    email: user.email,
+    name: user.name ?? user.email,
+    role: user.role as UserRole,
+    departments: user.departments ?? [],
+  };
+}
+
+export async function authenticate(req: Request, res: Response, next: NextFunction): Promise<void> {
+  try {
+    const user = await resolveUser(req);
+    if (!user) {
+      res.status(401).json({ error: 'Not signed in' });
+      return;
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('[Auth] Session check failed', err);
+    res.status(500).json({ error: 'Failed to check session' });
+  }
+}
+
+export function requireRole(...roles: UserRole[]) {
+  return (req: Request, res: Response, next: NextFunction): void => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      res.status(403).json({ error: 'You do not have access to this action' });
+      return;
+    }
+    next();
+  };
+}
+
+/** Extra Email filter limiting reviewers to their departments; null = no limit. */
+export function departmentScope(user: AuthUser | undefined): Record<string, unknown> | null {
+  if (!user || user.role !== 'reviewer') return null;
+  return { department: { $in: user.departments } };
+}
+
+export function canAccessEmail(
+  user: AuthUser | undefined,
+  email: { department?: string | null },
+): boolean {
+  if (!user || user.role !== 'reviewer') return true;
+  return user.departments.includes(email.department ?? '');
+}
+
+/**
+ * Sets a short-lived nonce cookie for an OAuth flow. The nonce goes into the
+ * state, so the callback only succeeds in the browser that started the flow.
+ */
+export function issueOAuthNonce(res: Response): string {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  res.cookie(OAUTH_NONCE_COOKIE, nonce, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: secureCookies(),
+    maxAge: 10 * 60 * 1000,
+    path: '/',
+  });
+  return nonce;
+}
+
+/** Checks and clears the nonce cookie; each nonce is good for one callback. */
+export function consumeOAuthNonce(req: Request, res: Response, nonce: string | undefined): boolean {
+  const expectedNonce = readCookie(req, OAUTH_NONCE_COOKIE);
+  res.clearCookie(OAUTH_NONCE_COOKIE, { path: '/' });
+  return !!nonce && !!expectedNonce && nonce === expectedNonce;
+}
+
+/** Starts Google sign-in; a nonce cookie ties the callback to this browser. */
+export function startLogin(res: Response, encodeState: (state: object) => string): string {
+  const nonce = issueOAuthNonce(res);
+
+  return createOAuth2Client().generateAuthUrl({
+    scope: LOGIN_SCOPES,
+    prompt: 'select_account',
+    hd: config.auth.allowedDomain || undefined,
+    state: encodeState({ purpose: 'login', nonce }),
+  });
+}
+
+function isAllowedEmail(email: string, hostedDomain: string | undefined): boolean {
+  if (config.auth.adminEmails.includes(email)) return true;
+  const domain = config.auth.allowedDomain;
+  if (!domain) return false;
+  return hostedDomain === domain && email.endsWith(`@${domain}`);
+}
+
+/**
+ * Completes Google sign-in and returns the user id to put in the session.
+ * Throws with a user-facing message when the account may not sign in.
+ */
+export async function completeLogin(
+  req: Request,
+  res: Response,
+  code: string,
+  nonce: string | undefined,
+): Promise<string> {
+  if (!consumeOAuthNonce(req, res, nonce)) {
+    throw new Error('Sign-in expired, please try again');
+  }
+
+  const client = createOAuth2Client();
+  const { tokens } = await client.getToken(code);
+  if (!tokens.id_token) throw new Error('Google did not return an identity token');
+
+  const ticket = await client.verifyIdToken({
+    idToken: tokens.id_token,
+    audience: config.googleClientId,
+  });
+  const payload = ticket.getPayload();
+  const email = payload?.email?.toLowerCase();
+  if (!payload || !email || !payload.email_verified) {
+    throw new Error('Google account email is not verified');
+  }
+  if (!isAllowedEmail(email, payload.hd)) {
+    throw new Error(`${email} is not allowed to sign in`);
+  }
+
+  const isConfiguredAdmin = config.auth.adminEmails.includes(email);
+  const user = await User.findOneAndUpdate(
+    { email },
+    {
+      $set: {
+        name: payload.name ?? email,
+        picture: payload.picture,
+        lastLoginAt: new Date(),
+        ...(isConfiguredAdmin ? { role: 'admin' } : {}),
+      },
+      $setOnInsert: { email, ...(isConfiguredAdmin ? {} : { role: 'viewer' }) },
+    },
+    { upsert: true, new: true },
+  );
+
+  if (!user?.active) throw new Error(`${email} has been deactivated`);
+  return String(user._id);
+}
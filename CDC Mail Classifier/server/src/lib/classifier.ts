@@ -1,19 +1,36 @@
-import OpenAI from 'openai';
 import { config } from '../config.js';
 import {
-  CLASSIFIER_SYSTEM_PROMPT,
   CLASSIFIER_USER_PROMPT,
+  buildClassifierSystemPrompt,
+  classifierPromptVersion,
 } from '../prompts/classifier.js';
-import type { ClassificationResult, NormalizedEmail } from '../types/index.js';
-
-const openai = new OpenAI({ apiKey: config.openaiApiKey });
+import { buildAttachmentPromptText } from './attachments.js';
+import { normalizeJobNumber } from './jobNumbers.js';
+import { getProvider, type ChatMessage } from './llm/index.js';
+import { estimateCostUsd, isOverDailyBudget } from './cost.js';
+import { Redactor } from './normalize.js';
+import { DEFAULT_TAXONOMY } from './taxonomy.js';
+import type {
+  ClassificationResult,
+  ClassifierTier,
+  ClassifyContext,
+  FewShotExample,
+  LlmAttempt,
+  NormalizedEmail,
+  Redaction,
+  TierConfig,
+} from '../types/index.js';
 
 export interface ClassifyOutput {
   result: ClassificationResult;
   modelUsed: string;
+  tier: ClassifierTier;
+  /** Final model response, unparsed. */
+  raw: string;
+  promptVersion: string;
 }
 
-const EMPTY_CLASSIFICATION: ClassificationResult = {
+export const EMPTY_CLASSIFICATION: ClassificationResult = {
   department: '',
   mail_type: '',
   confidence: 0,
@@ -51,7 +68,7 @@ async function withRetry<T>(fn: () => Promise<T>, label: string, maxAttempts = 3
       lastError = err;
       if (attempt < maxAttempts && isTransientError(err)) {
         const delay = attempt * 1500;
-        console.warn(`[OpenAI] ${label} attempt ${attempt} failed, retrying in ${delay}ms`);
+        console.warn(`[LLM] ${label} attempt ${attempt} failed, retrying in ${delay}ms`);
         await new Promise((r) => setTimeout(r, delay));
         continue;
       }
@@ -86,46 +103,219 @@ function parseClassification(raw: string): ClassificationResult | null {
   }
 }
 
-async function callModel(model: string, email: NormalizedEmail): Promise<string> {
-  const response = await withRetry(
-    () =>
-      openai.chat.completions.create({
-        model,
-        response_format: { type: 'json_object' },
-        messages: [
-          { role: 'system', content: CLASSIFIER_SYSTEM_PROMPT },
-          {
-            role: 'user',
-            content: CLASSIFIER_USER_PROMPT({
-              fromName: email.fromName,
-              fromEmail: email.fromEmail,
-              toField: email.toField,
-              ccField: email.ccField,
-              subject: email.subject,
-              sentDate: email.sentDate.toISOString(),
-              body: email.body,
-              attachments: email.attachments,
-            }),
-          },
-        ],
-        temperature: 0.1,
+function buildFewShotMessages(examples: FewShotExample[]): ChatMessage[] {
+  return examples.flatMap((example) => [
+    {
+      role: 'user' as const,
+      content: CLASSIFIER_USER_PROMPT({
+        fromName: '',
+        fromEmail: `sender@${example.fromDomain || 'unknown'}`,
+        toField: '',
+        ccField: '',
+        subject: example.subject,
+        sentDate: '',
+        body: example.bodyExcerpt,
+        attachments: [],
+        attachmentText: '',
+        threadSummary: '',
+        hints: [],
+        redacted: false,
       }),
-    `chat.completions(${model})`,
-  );
+    },
+    {
+      role: 'assistant' as const,
+      content: JSON.stringify({
+        ...EMPTY_CLASSIFICATION,
+        department: example.department,
+        mail_type: example.mailType,
+        confidence: 0.95,
+        job_number: example.jobNumber,
+        client_name: example.clientName,
+      }),
+    },
+  ]);
+}
+
+function resolveTier(tier: ClassifierTier, context: ClassifyContext): TierConfig {
+  return context.tiers?.[tier] ?? config.llm.tiers[tier];
+}
+
+/** Stored in `Email.classifier`; plain model names stay as before for OpenAI. */
+function describeTier(tierConfig: TierConfig): string {
+  if (tierConfig.provider === 'openai') return tierConfig.model;
+  if (tierConfig.provider === 'stub') return 'stub';
+  return `${tierConfig.provider}:${tierConfig.model}`;
+}
+
+/**
+ * The user message for `email`, masked by `redactor`. The thread summary is
+ * masked too; hints are staff-written and sent as they are.
+ */
+function buildUserPrompt(email: NormalizedEmail, context: ClassifyContext, redactor: Redactor): string {
+  const masked = redactor.email(email);
+  const threadSummary = redactor.text(context.thread?.summary ?? '');
+  return CLASSIFIER_USER_PROMPT({
+    fromName: masked.fromName,
+    fromEmail: masked.fromEmail,
+    toField: masked.toField,
+    ccField: masked.ccField,
+    subject: masked.subject,
+    sentDate: masked.sentDate.toISOString(),
+    body: masked.body,
+    attachments: masked.attachments,
+    attachmentText: buildAttachmentPromptText(masked.attachmentFiles ?? []),
+    threadSummary,
+    hints: context.hints ?? [],
+    redacted: redactor.redactions.length > 0,
+  });
+}
+
+function buildMessages(
+  systemPrompt: string,
+  email: NormalizedEmail,
+  context: ClassifyContext,
+  redactor: Redactor,
+): ChatMessage[] {
+  const examples = (context.examples ?? []).map((example) => ({
+    ...example,
+    subject: redactor.text(example.subject),
+    bodyExcerpt: redactor.text(example.bodyExcerpt),
+  }));
+  return [
+    { role: 'system', content: systemPrompt },
+    ...buildFewShotMessages(examples),
+    { role: 'user', content: buildUserPrompt(email, context, redactor) },
+  ];
+}
+
+/** The user message exactly as the model would get it, with what was masked. */
+export function previewUserPrompt(
+  email: NormalizedEmail,
+  context: ClassifyContext,
+): { prompt: string; redactions: Redaction[] } {
+  const redactor = new Redactor(context.redaction);
+  const prompt = buildUserPrompt(email, context, redactor);
+  return { prompt, redactions: redactor.redactions };
+}
+
+/** Swaps masked values back into what the model extracted. */
+function restoreClassification(result: ClassificationResult, redactor: Redactor): ClassificationResult {
+  return {
+    ...result,
+    job_number: redactor.restore(result.job_number),
+    client_name: redactor.restore(result.client_name),
+    isbn: redactor.restore(result.isbn),
+    title: redactor.restore(result.title),
+    quantity: redactor.restore(result.quantity),
+    due_date: redactor.restore(result.due_date),
+    summary: redactor.restore(result.summary),
+    action_required: redactor.restore(result.action_required),
+    type_specific: redactor.restoreDeep(result.type_specific) as Record<string, unknown>,
+  };
+}
+
+async function callModel(
+  tier: ClassifierTier,
+  tierConfig: TierConfig,
+  messages: ChatMessage[],
+  attempts: LlmAttempt[],
+): Promise<string> {
+  const provider = getProvider(tierConfig.provider);
+  const startedAt = Date.now();
+  const attempt: LlmAttempt = {
+    tier,
+    provider: tierConfig.provider,
+    model: tierConfig.model,
+    promptTokens: 0,
+    completionTokens: 0,
+    latencyMs: 0,
+    costUsd: 0,
+    success: false,
+  };
+
+  try {
+    const response = await withRetry(
+      () =>
+        provider.complete({
+          model: tierConfig.model,
+          json: true,
+          messages,
+          temperature: 0.1,
+        }),
+      `complete(${describeTier(tierConfig)})`,
+    );
+
+    attempt.success = true;
+    if (response.usage) {
+      attempt.promptTokens = response.usage.promptTokens;
+      attempt.completionTokens = response.usage.completionTokens;
+      attempt.costUsd = estimateCostUsd(tierConfig.provider, tierConfig.model, response.usage);
+    }
+    return response.content;
+  } catch (err) {
+    attempt.error = err instanceof Error ? err.message : String(err);
+    throw err;
+  } finally {
+    attempt.latencyMs = Date.now() - startedAt;
+    attempts.push(attempt);
+  }
+}
 
-  return response.choices[0]?.message?.content ?? '';
+/**
+ * Replies such as "approved, go ahead" rarely repeat the job number; fall back
+ * to what earlier messages in the thread established.
+ */
+function inheritFromThread(result: ClassificationResult, context: ClassifyContext): ClassificationResult {
+  const thread = context.thread;
+  if (!thread) return result;
+  return {
+    ...result,
+    job_number: result.job_number || thread.jobNumber,
+    client_name: result.client_name || thread.clientName,
+    title: result.title || thread.title,
+  };
 }
 
-export async function classifyEmail(email: NormalizedEmail): Promise<ClassifyOutput> {
-  let modelUsed: string = config.models.cheap;
+/**
+ * Every model call is appended to `attempts` (even when this throws) so the
+ * caller can account for its cost. Escalation to the strong tier is skipped
+ * while the daily budget is exhausted, and entirely when `context.onlyTier`
+ * is set. Values masked per `context.redaction` are restored in the result;
+ * `raw` keeps the placeholders the model saw.
+ */
+export async function classifyEmail(
+  email: NormalizedEmail,
+  context: ClassifyContext = {},
+  attempts: LlmAttempt[] = [],
+): Promise<ClassifyOutput> {
+  const cheap = resolveTier('cheap', context);
+  const strong = resolveTier('strong', context);
+  const systemPrompt = context.systemPrompt ?? buildClassifierSystemPrompt(context.taxonomy ?? DEFAULT_TAXONOMY);
+  const promptVersion = classifierPromptVersion(systemPrompt);
+  const redactor = new Redactor(context.redaction);
+  const messages = buildMessages(systemPrompt, email, context, redactor);
+
+  if (context.onlyTier) {
+    const tier = context.onlyTier;
+    const tierConfig = tier === 'cheap' ? cheap : strong;
+    const raw = await callModel(tier, tierConfig, messages, attempts);
+    const result = restoreClassification(parseClassification(raw) ?? { ...EMPTY_CLASSIFICATION }, redactor);
+    return { result: inheritFromThread(result, context), modelUsed: describeTier(tierConfig), tier, raw, promptVersion };
+  }
+
+  let tier: ClassifierTier = 'cheap';
   let raw = '';
 
   try {
-    raw = await callModel(config.models.cheap, email);
+    raw = await callModel('cheap', cheap, messages, attempts);
   } catch (err) {
+    if (await isOverDailyBudget()) {
+      console.warn('[Classifier] Cheap model failed and daily budget is spent; not escalating');
+      throw err;
+    }
     console.error('[Classifier] Cheap model failed, escalating', err);
-    modelUsed = config.models.strong;
-    raw = await callModel(config.models.strong, email);
+    tier = 'strong';
+    raw = await callModel('strong', strong, messages, attempts);
   }
 
   let result = parseClassification(raw);
@@ -134,33 +324,39 @@ export async function classifyEmail(email: NormalizedEmail): Promise<ClassifyOut
     !result ||
     result.confidence < config.poll.confidenceEscalationThreshold;
 
-  if (needsEscalation && modelUsed === config.models.cheap) {
-    try {
-      modelUsed = config.models.strong;
-      raw = await callModel(config.models.strong, email);
-      result = parseClassification(raw);
-    } catch (err) {
-      console.error('[Classifier] Strong model also failed', err);
+  if (needsEscalation && tier === 'cheap') {
+    if (await isOverDailyBudget()) {
+      console.warn(`[Classifier] Daily budget spent; keeping cheap result for ${email.messageId}`);
+    } else {
+      try {
+        raw = await callModel('strong', strong, messages, attempts);
+        result = parseClassification(raw);
+        tier = 'strong';
+      } catch (err) {
+        console.error('[Classifier] Strong model also failed', err);
+      }
     }
   }
 
+  const modelUsed = describeTier(tier === 'cheap' ? cheap : strong);
+
   if (!result) {
-    return { result: { ...EMPTY_CLASSIFICATION, confidence: 0 }, modelUsed };
+    return { result: { ...EMPTY_CLASSIFICATION, confidence: 0 }, modelUsed, tier, raw, promptVersion };
   }
 
-  return { result, modelUsed };
+  return { result: inheritFromThread(restoreClassification(result, redactor), context), modelUsed, tier, raw, promptVersion };
 }
 
-export function classificationToEmailFields(
-  classification: ClassificationResult,
-  modelUsed: string,
-): {
+export interface EmailClassificationFields {
   department: string;
   mailType: string;
   confidence: number;
   needsReview: boolean;
   classifier: string;
+  /** Unset when a rule decided the email without the LLM. */
+  classifierTier?: ClassifierTier;
   jobNumber: string;
+  jobKey: string;
   clientName: string;
   isbn: string;
   title: string;
@@ -169,7 +365,13 @@ export function classificationToEmailFields(
   summary: string;
   actionRequired: string;
   typeSpecific: Record<string, unknown>;
-} {
+}
+
+export function classificationToEmailFields(
+  classification: ClassificationResult,
+  modelUsed: string,
+  tier?: ClassifierTier,
+): EmailClassificationFields {
   const confidence = classification.confidence;
   return {
     department: classification.department,
@@ -177,7 +379,9 @@ export function classificationToEmailFields(
     confidence,
     needsReview: confidence < config.poll.reviewThreshold,
     classifier: modelUsed,
+    classifierTier: tier,
     jobNumber: classification.job_number,
+    jobKey: normalizeJobNumber(classification.job_number),
     clientName: classification.client_name,
     isbn: classification.isbn,
     title: classification.title,
@@ -0,0 +1,67 @@
+import { config } from '../config.js';
+import { buildThreadContext } from './threads.js';
+import { selectExamples } from './examples.js';
+import { isLlmProviderName } from './llm/index.js';
+import { getActivePrompts } from './promptVersions.js';
+import { Inbox } from '../models/Inbox.js';
+import type { ClassifierTier, ClassifyContext, NormalizedEmail, RedactionOptions, TierConfig } from '../types/index.js';
+
+type TierOverrides = ClassifyContext['tiers'];
+
+/** `email.inbox` holds the inbox label (or address when unlabeled). */
+function findInbox(inboxLabel: string, fields: string) {
+  return Inbox.findOne({ $or: [{ label: inboxLabel }, { emailAddress: inboxLabel }] })
+    .select(fields)
+    .lean();
+}
+
+/** Unset halves of an override fall back to `base`, then to `config.llm.tiers`. */
+async function loadInboxTiers(inboxLabel: string, base: TierOverrides = {}): Promise<TierOverrides> {
+  if (!inboxLabel) return undefined;
+
+  const inbox = await findInbox(inboxLabel, 'llm');
+  if (!inbox?.llm) return undefined;
+
+  const tiers: TierOverrides = {};
+  for (const tier of ['cheap', 'strong'] as ClassifierTier[]) {
+    const override = inbox.llm[tier];
+    if (!override?.provider && !override?.model) continue;
+    const fallback = base?.[tier] ?? config.llm.tiers[tier];
+    const resolved: TierConfig = {
+      provider: isLlmProviderName(override.provider) ? override.provider : fallback.provider,
+      model: override.model || fallback.model,
+    };
+    tiers[tier] = resolved;
+  }
+  return tiers;
+}
+
+/** Per-inbox overrides win over the prompt version's, which win over config. */
+export async function resolveTiers(inboxLabel: string, versionTiers: TierOverrides): Promise<TierOverrides> {
+  return { ...versionTiers, ...(await loadInboxTiers(inboxLabel, versionTiers)) };
+}
+
+/** The configured categories, or everything when the inbox has strict privacy on. */
+export async function loadRedactionOptions(inboxLabel: string): Promise<RedactionOptions> {
+  const inbox = inboxLabel ? await findInbox(inboxLabel, 'strictPrivacy') : null;
+  return { categories: config.redaction.categories, strict: inbox?.strictPrivacy ?? false };
+}
+
+/** Gathers everything from the database that a classification run may use. */
+export async function buildClassifyContext(email: NormalizedEmail): Promise<ClassifyContext> {
+  const { live } = await getActivePrompts();
+  const [thread, examples, tiers, redaction] = await Promise.all([
+    buildThreadContext(email),
+    selectExamples(email, config.fewShot.maxExamples),
+    resolveTiers(email.inbox, live.tiers),
+    loadRedactionOptions(email.inbox),
+  ]);
+  return {
+    thread,
+    examples,
+    tiers,
+    redaction,
+    systemPrompt: live.systemPrompt,
+    promptVersion: live.version,
+  };
+}
@@ -0,0 +1,73 @@
+import { config } from '../config.js';
+import { LlmCall } from '../models/LlmCall.js';
+import type { EmailUsage, LlmAttempt, LlmProviderName } from '../types/index.js';
+
+const SPEND_CACHE_TTL_MS = 60_000;
+
+let spendCache: { day: string; spent: number; loadedAt: number } | null = null;
+
+export function estimateCostUsd(
+  provider: LlmProviderName,
+  model: string,
+  usage: { promptTokens: number; completionTokens: number },
+): number {
+  if (provider === 'local' || provider === 'stub') return 0;
+  const pricing = config.llm.pricing[model];
+  if (!pricing) return 0;
+  return (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1_000_000;
+}
+
+export function startOfLocalDay(date = new Date()): Date {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+/** Spend since local midnight, cached briefly so workers don't query per email. */
+export async function getSpendToday(): Promise<number> {
+  const today = startOfLocalDay();
+  const day = today.toISOString();
+  if (spendCache && spendCache.day === day && Date.now() - spendCache.loadedAt < SPEND_CACHE_TTL_MS) {
+    return spendCache.spent;
+  }
+
+  const [row] = await LlmCall.aggregate<{ total: number }>([
+    { $match: { createdAt: { $gte: today } } },
+    { $group: { _id: null, total: { $sum: '$costUsd' } } },
+  ]);
+  const spent = row?.total ?? 0;
+  spendCache = { day, spent, loadedAt: Date.now() };
+  return spent;
+}
+
+export async function isOverDailyBudget(): Promise<boolean> {
+  const budget = config.llm.dailyBudgetUsd;
+  if (!budget || budget <= 0) return false;
+  return (await getSpendToday()) >= budget;
+}
+
+export function summarizeUsage(attempts: LlmAttempt[]): EmailUsage {
+  return attempts.reduce<EmailUsage>(
+    (sum, a) => ({
+      calls: sum.calls + 1,
+      promptTokens: sum.promptTokens + a.promptTokens,
+      completionTokens: sum.completionTokens + a.completionTokens,
+      latencyMs: sum.latencyMs + a.latencyMs,
+      costUsd: sum.costUsd + a.costUsd,
+    }),
+    { calls: 0, promptTokens: 0, completionTokens: 0, latencyMs: 0, costUsd: 0 },
+  );
+}
+
+export async function recordLlmCalls(
+  email: { messageId: string; inbox: string },
+  attempts: LlmAttempt[],
+): Promise<void> {
+  if (attempts.length === 0) return;
+  await LlmCall.insertMany(
+    attempts.map((a) => ({ ...a, messageId: email.messageId, inbox: email.inbox })),
+  );
+  if (spendCache) {
+    spendCache.spent += attempts.reduce((sum, a) => sum + a.costUsd, 0);
+  }
+}
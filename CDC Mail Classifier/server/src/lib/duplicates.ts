@@ -0,0 +1,212 @@
+import { createHash } from 'node:crypto';
+import type mongoose from 'mongoose';
+import { config } from '../config.js';
+import { Email } from '../models/Email.js';
+import { toEmailFields } from './normalize.js';
+import { queueLabelSync } from './gmailLabels.js';
+import type { NormalizedEmail } from '../types/index.js';
+
+/**
+ * Classification, review and follow-up state shared by every copy of a mail.
+ * Usage is not shared: only the first copy was sent to the model.
+ */
+export const SHARED_FIELDS = [
+  'department',
+  'mailType',
+  'confidence',
+  'needsReview',
+  'classifier',
+  'classifierTier',
+  'promptVersion',
+  'matchedRules',
+  'jobNumber',
+  'jobKey',
+  'clientName',
+  'isbn',
+  'title',
+  'quantity',
+  'dueDate',
+  'summary',
+  'actionRequired',
+  'typeSpecific',
+  'reviewed',
+  'workflowStatus',
+  'assignee',
+  'assignedAt',
+  'assignedBy',
+  'slaDueAt',
+  'doneAt',
+] as const;
+
+export type DuplicateReason = 'message-id' | 'content';
+
+export interface DuplicatePrimary {
+  _id: mongoose.Types.ObjectId;
+  reason: DuplicateReason;
+  fields: Record<string, unknown>;
+  attachmentFiles: unknown[];
+}
+
+/** `<ABC@mail.example.com>` → `abc@mail.example.com`, so header spelling differences still match. */
+export function normalizeInternetMessageId(raw: string | null | undefined): string {
+  return (raw ?? '').trim().replace(/^<|>$/g, '').toLowerCase();
+}
+
+/**
+ * Hash of sender, subject, body and attachment names with case, whitespace
+ * and punctuation removed, so the same mail delivered to two inboxes (where
+ * one copy arrived as HTML, the other as plain text) hashes the same.
+ */
+export function contentHash(email: Pick<NormalizedEmail, 'fromEmail' | 'subject' | 'body' | 'attachments'>): string {
+  const squash = (value: string) => value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+  const body = squash(email.body ?? '');
+  const subject = squash(email.subject ?? '');
+  if (!body && !subject) return '';
+  return createHash('sha256')
+    .update([email.fromEmail.toLowerCase(), subject, body, ...[...(email.attachments ?? [])].sort()].join('\n'))
+    .digest('hex');
+}
+
+export function pickSharedFields(source: object): Record<string, unknown> {
+  const values = source as Record<string, unknown>;
+  return Object.fromEntries(SHARED_FIELDS.map((field) => [field, values[field]]));
+}
+
+/** $set / $unset making a copy match `fields`; absent fields are removed, not copied as null. */
+export function sharedFieldsUpdate(fields: Record<string, unknown>): Record<string, Record<string, unknown>> {
+  const $set: Record<string, unknown> = {};
+  const $unset: Record<string, 1> = {};
+  for (const [field, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) $unset[field] = 1;
+    else $set[field] = value;
+  }
+  return {
+    ...(Object.keys($set).length > 0 ? { $set } : {}),
+    ...(Object.keys($unset).length > 0 ? { $unset } : {}),
+  };
+}
+
+/**
+ * The stored copy this mail duplicates, if any: same Message-ID header, or
+ * same content hash with a sent date within a few minutes. Only group
+ * primaries are returned, so groups never chain.
+ */
+export async function findDuplicatePrimary(email: NormalizedEmail): Promise<DuplicatePrimary | null> {
+  const internetMessageId = normalizeInternetMessageId(email.internetMessageId);
+  const hash = email.contentHash ?? contentHash(email);
+  const windowMs = config.duplicates.contentWindowMinutes * 60_000;
+  const sentAt = new Date(email.sentDate).getTime();
+
+  const candidates: Record<string, unknown>[] = [];
+  if (internetMessageId) candidates.push({ internetMessageId });
+  if (hash && !Number.isNaN(sentAt)) {
+    candidates.push({
+      contentHash: hash,
+      sentDate: { $gte: new Date(sentAt - windowMs), $lte: new Date(sentAt + windowMs) },
+    });
+  }
+  if (candidates.length === 0) return null;
+
+  const primary = await Email.findOne({
+    $or: candidates,
+    messageId: { $ne: email.messageId },
+    duplicateOf: null,
+    // Only copies that finished classification; one still in the queue is caught when the worker gets to it.
+    classifier: { $nin: [null, ''] },
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+  if (!primary) return null;
+
+  return {
+    _id: primary._id,
+    reason: internetMessageId && primary.internetMessageId === internetMessageId ? 'message-id' : 'content',
+    fields: pickSharedFields(primary),
+    attachmentFiles: primary.attachmentFiles ?? [],
+  };
+}
+
+/**
+ * Copies `source`'s shared fields to the rest of its duplicate group, so a
+ * review or workflow change on any copy resolves all of them.
+ */
+export async function syncDuplicateGroup(source: {
+  _id: mongoose.Types.ObjectId;
+  duplicateOf?: mongoose.Types.ObjectId | null;
+}): Promise<number> {
+  const rootId = source.duplicateOf ?? source._id;
+  const full = await Email.findById(source._id).lean();
+  if (!full) return 0;
+
+  const update = sharedFieldsUpdate(pickSharedFields(full));
+  const result = await Email.updateMany(
+    { $or: [{ _id: rootId }, { duplicateOf: rootId }], _id: { $ne: source._id } },
+    update,
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Stores a copy of already-classified mail with the primary's classification,
+ * without calling the model or notifying again. The copy reuses the primary's
+ * attachment files when it has none of its own, and still gets Gmail labels.
+ */
+export async function storeDuplicate(normalized: NormalizedEmail, primary: DuplicatePrimary) {
+  const { $set = {}, $unset } = sharedFieldsUpdate(primary.fields);
+  const fields = toEmailFields(normalized);
+  if (normalized.attachmentFiles.length === 0) fields.attachmentFiles = primary.attachmentFiles;
+
+  const email = await Email.findOneAndUpdate(
+    { messageId: normalized.messageId },
+    {
+      $set: { ...$set, ...fields, duplicateOf: primary._id, duplicateReason: primary.reason },
+      ...($unset ? { $unset } : {}),
+    },
+    { upsert: true, new: true },
+  );
+  console.log(`[Duplicates] ${normalized.messageId} (${normalized.inbox}) is a copy of ${String(primary._id)}`);
+
+  try {
+    await queueLabelSync(email);
+  } catch (err) {
+    console.error(`[Duplicates] Failed to queue Gmail labels for ${normalized.messageId}`, err);
+  }
+  return email;
+}
+
+export interface DuplicateCopy {
+  _id: string;
+  inbox?: string;
+  gmailLink?: string;
+  primary: boolean;
+}
+
+/** The other copies of an email, primary first. */
+export async function listDuplicates(email: {
+  _id: mongoose.Types.ObjectId;
+  duplicateOf?: mongoose.Types.ObjectId | null;
+}): Promise<DuplicateCopy[]> {
+  const rootId = email.duplicateOf ?? email._id;
+  const copies = await Email.find({ $or: [{ _id: rootId }, { duplicateOf: rootId }], _id: { $ne: email._id } })
+    .select('inbox gmailLink duplicateOf')
+    .sort({ createdAt: 1 })
+    .lean();
+  return copies.map((copy) => ({
+    _id: String(copy._id),
+    inbox: copy.inbox ?? undefined,
+    gmailLink: copy.gmailLink ?? undefined,
+    primary: !copy.duplicateOf,
+  }));
+}
+
+/** Inboxes of the other copies, keyed by primary id, for a page of list results. */
+export async function duplicateInboxes(primaryIds: mongoose.Types.ObjectId[]): Promise<Map<string, string[]>> {
+  const byPrimary = new Map<string, string[]>();
+  if (primaryIds.length === 0) return byPrimary;
+  const copies = await Email.find({ duplicateOf: { $in: primaryIds } }).select('inbox duplicateOf').lean();
+  for (const copy of copies) {
+    const key = String(copy.duplicateOf);
+    byPrimary.set(key, [...(byPrimary.get(key) ?? []), copy.inbox ?? 'unknown']);
+  }
+  return byPrimary;
+}
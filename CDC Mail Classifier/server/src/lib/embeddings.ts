@@ -0,0 +1,312 @@
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { Email } from '../models/Email.js';
+import { LlmCall } from '../models/LlmCall.js';
+import { getProvider } from './llm/index.js';
+import { estimateCostUsd } from './cost.js';
+import { loadRedactionOptions } from './classifyContext.js';
+import { Redactor } from './normalize.js';
+import type { RedactionOptions, SimilarEmail } from '../types/index.js';
+
+const SIMILAR_FIELDS = 'subject fromName fromEmail sentDate department mailType reviewed jobNumber summary';
+
+export interface EmbeddableEmail {
+  _id: mongoose.Types.ObjectId;
+  messageId: string;
+  inbox?: string | null;
+  subject?: string | null;
+  fromName?: string | null;
+  fromEmail?: string | null;
+  clientName?: string | null;
+  body?: string | null;
+  attachmentFiles?: { filename?: string | null; extractedText?: string | null }[] | null;
+}
+
+export function embeddingsEnabled(): boolean {
+  return config.embeddings.provider !== 'off';
+}
+
+/** Identifies the vector space; vectors from different models are never compared. */
+export function embeddingModelKey(): string {
+  return `${config.embeddings.provider}/${config.embeddings.model}`;
+}
+
+/** What gets embedded: headline fields first so they survive the length cap. */
+export function embeddingText(email: EmbeddableEmail): string {
+  const parts = [
+    `Subject: ${email.subject ?? ''}`,
+    `From: ${email.fromName ?? ''} <${email.fromEmail ?? ''}>`,
+    email.clientName ? `Client: ${email.clientName}` : '',
+    email.body ?? '',
+    ...(email.attachmentFiles ?? [])
+      .filter((f) => f.extractedText)
+      .map((f) => `Attachment ${f.filename ?? ''}:\n${f.extractedText}`),
+  ];
+  return parts.filter(Boolean).join('\n').slice(0, config.embeddings.maxChars);
+}
+
+/**
+ * Cuts text to fit the model's input limit, estimating tokens pessimistically:
+ * about 4 characters per token for ASCII, up to 3 tokens for any other
+ * character (Devanagari and other scripts tokenise poorly).
+ */
+export function fitToTokenLimit(text: string, maxTokens = config.embeddings.maxInputTokens): string {
+  let tokens = 0;
+  for (let i = 0; i < text.length; i++) {
+    tokens += text.charCodeAt(i) < 128 ? 0.25 : 3;
+    if (tokens > maxTokens) return text.slice(0, i);
+  }
+  return text;
+}
+
+export function cosineSimilarity(a: number[], b: number[]): number {
+  if (a.length !== b.length || a.length === 0) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Embeds the emails in one provider call and stores the vectors. Text is
+ * masked the way classification masks it. Usage is recorded per email, split
+ * by text length, so it shows in the cost report.
+ */
+export async function embedEmails(emails: EmbeddableEmail[]): Promise<Map<string, number[]>> {
+  const vectors = new Map<string, number[]>();
+  if (emails.length === 0 || config.embeddings.provider === 'off') return vectors;
+
+  const redaction = new Map<string, RedactionOptions>();
+  for (const inbox of new Set(emails.map((e) => e.inbox ?? ''))) {
+    redaction.set(inbox, await loadRedactionOptions(inbox));
+  }
+
+  const { provider: providerName, model } = config.embeddings;
+  const texts = emails.map((email) =>
+    fitToTokenLimit(new Redactor(redaction.get(email.inbox ?? '')).text(embeddingText(email))),
+  );
+  const started = Date.now();
+  const result = await getProvider(providerName).embed({ model, input: texts });
+  const latencyMs = Date.now() - started;
+  if (result.vectors.length !== emails.length) {
+    throw new Error(`Embedding provider returned ${result.vectors.length} vectors for ${emails.length} inputs`);
+  }
+
+  const modelKey = embeddingModelKey();
+  await Email.bulkWrite(
+    emails.map((email, i) => ({
+      updateOne: {
+        filter: { _id: email._id },
+        update: {
+          $set: { embedding: result.vectors[i], embeddingModel: modelKey },
+          $unset: { embeddingError: 1, embeddingFailures: 1, embeddingRetryAt: 1 },
+        },
+      },
+    })),
+  );
+  emails.forEach((email, i) => vectors.set(String(email._id), result.vectors[i]));
+
+  const totalChars = texts.reduce((sum, t) => sum + t.length, 0) || 1;
+  const totalTokens = result.usage?.promptTokens ?? 0;
+  await LlmCall.insertMany(
+    emails.map((email, i) => {
+      const promptTokens = Math.round((totalTokens * texts[i].length) / totalChars);
+      return {
+        messageId: email.messageId,
+        inbox: email.inbox,
+        tier: 'embedding',
+        provider: providerName,
+        model,
+        promptTokens,
+        completionTokens: 0,
+        latencyMs: Math.round(latencyMs / emails.length),
+        costUsd: estimateCostUsd(providerName, model, { promptTokens, completionTokens: 0 }),
+        success: true,
+      };
+    }),
+  );
+
+  return vectors;
+}
+
+/** Backs the email off so one the provider rejects cannot stall the indexer or be paid for every cycle. */
+async function recordEmbeddingFailure(email: EmbeddableEmail & { embeddingFailures?: number | null }, err: unknown) {
+  const failures = (email.embeddingFailures ?? 0) + 1;
+  const { retryDelayMs, maxRetryDelayMs } = config.embeddings;
+  const delay = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** (failures - 1));
+  await Email.updateOne(
+    { _id: email._id },
+    {
+      $set: {
+        embeddingError: err instanceof Error ? err.message : String(err),
+        embeddingFailures: failures,
+        embeddingRetryAt: new Date(Date.now() + delay),
+      },
+    },
+  );
+}
+
+/** Rate limits, server errors and network failures: the provider is down, not the email at fault. */
+function isOutageError(err: unknown): boolean {
+  const status = Number((err as { status?: number } | null)?.status);
+  if (status === 429 || status >= 500) return true;
+  if (!(err instanceof Error)) return false;
+  return (
+    err.name === 'APIConnectionError' ||
+    err.name === 'APIConnectionTimeoutError' ||
+    /econnreset|econnrefused|etimedout|fetch failed|socket hang up/i.test(err.message)
+  );
+}
+
+/** While the provider is down the indexer pauses instead of retrying each email. */
+let outage: { failures: number; until: number } | null = null;
+
+function backOffIndexer(err: unknown): void {
+  const failures = (outage?.failures ?? 0) + 1;
+  const { retryDelayMs, maxRetryDelayMs } = config.embeddings;
+  const delay = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** (failures - 1));
+  outage = { failures, until: Date.now() + delay };
+  console.warn(`[Embeddings] Provider unavailable, pausing the indexer for ${Math.round(delay / 60_000)} min`, err);
+}
+
+/**
+ * Embeds the next batch of mail missing a vector for the current model,
+ * newest first. When the provider is down (rate limit, 5xx, network) the
+ * whole indexer backs off. Any other batch failure is retried one email at a
+ * time, so one rejected email only backs off itself.
+ */
+export async function embedPendingEmails(): Promise<number> {
+  if (!embeddingsEnabled()) return 0;
+  if (outage && Date.now() < outage.until) return 0;
+  // Copies of mail received in several inboxes are skipped; the first copy stands for them.
+  const pending = await Email.find({
+    embeddingModel: { $ne: embeddingModelKey() },
+    duplicateOf: null,
+    $or: [{ embeddingRetryAt: null }, { embeddingRetryAt: { $lte: new Date() } }],
+  })
+    .select('messageId inbox subject fromName fromEmail clientName body attachmentFiles embeddingFailures')
+    .sort({ sentDate: -1 })
+    .limit(config.embeddings.batchSize)
+    .lean<(EmbeddableEmail & { embeddingFailures?: number | null })[]>();
+  if (pending.length === 0) return 0;
+
+  try {
+    await embedEmails(pending);
+    outage = null;
+    return pending.length;
+  } catch (batchErr) {
+    if (isOutageError(batchErr)) {
+      backOffIndexer(batchErr);
+      return 0;
+    }
+    if (pending.length === 1) {
+      console.error(`[Embeddings] Failed to embed ${pending[0].messageId}`, batchErr);
+      await recordEmbeddingFailure(pending[0], batchErr);
+      return 1;
+    }
+    console.warn(`[Embeddings] Batch of ${pending.length} failed, embedding one at a time`, batchErr);
+  }
+
+  for (const email of pending) {
+    try {
+      await embedEmails([email]);
+    } catch (err) {
+      if (isOutageError(err)) {
+        backOffIndexer(err);
+        return 0;
+      }
+      console.error(`[Embeddings] Failed to embed ${email.messageId}`, err);
+      await recordEmbeddingFailure(email, err);
+    }
+  }
+  outage = null;
+  return pending.length;
+}
+
+/** The stored vector for the current model, embedding the email now if it has none. */
+async function vectorFor(emailId: string): Promise<number[] | null> {
+  const email = await Email.findById(emailId)
+    .select('+embedding embeddingModel messageId inbox subject fromName fromEmail clientName body attachmentFiles')
+    .lean();
+  if (!email) return null;
+  if (email.embeddingModel === embeddingModelKey() && email.embedding?.length) return email.embedding;
+  const vectors = await embedEmails([email as EmbeddableEmail]);
+  return vectors.get(emailId) ?? null;
+}
+
+function senderDomain(fromEmail: string | null | undefined): string {
+  return fromEmail?.split('@')[1]?.toLowerCase() ?? '';
+}
+
+function escapeRegex(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export interface SimilarOptions {
+  limit: number;
+  /** Only mail from the same sender domain, i.e. the same publisher. */
+  sameSender?: boolean;
+  /** Extra filter, e.g. a reviewer's department scope. */
+  scope?: Record<string, unknown> | null;
+}
+
+/** Nearest neighbours of the email by embedding, best first; null when the email does not exist. */
+export async function findSimilarEmails(emailId: string, options: SimilarOptions): Promise<SimilarEmail[] | null> {
+  const source = await Email.findById(emailId).select('fromEmail duplicateOf').lean();
+  if (!source) return null;
+  const vector = await vectorFor(emailId);
+  if (!vector) return [];
+
+  const filter: Record<string, unknown> = {
+    // Neither the email itself nor another copy of it.
+    _id: { $nin: [new mongoose.Types.ObjectId(emailId), source.duplicateOf].filter(Boolean) },
+    duplicateOf: null,
+    embeddingModel: embeddingModelKey(),
+  };
+  const domain = options.sameSender ? senderDomain(source.fromEmail) : '';
+  if (domain) filter.fromEmail = { $regex: `@${escapeRegex(domain)}$`, $options: 'i' };
+  if (options.scope) filter.$and = [options.scope];
+
+  if (config.embeddings.vectorIndex) {
+    const projection = Object.fromEntries(SIMILAR_FIELDS.split(' ').map((f) => [f, 1]));
+    return Email.aggregate<SimilarEmail>([
+      {
+        $vectorSearch: {
+          index: config.embeddings.vectorIndex,
+          path: 'embedding',
+          queryVector: vector,
+          numCandidates: options.limit * 20,
+          // Over-fetch: the filters below can drop candidates.
+          limit: options.limit * 5,
+          filter: { embeddingModel: embeddingModelKey() },
+        },
+      },
+      { $match: filter },
+      { $limit: options.limit },
+      { $project: { ...projection, score: { $meta: 'vectorSearchScore' } } },
+    ]);
+  }
+
+  // No vector index: stream the newest candidates and keep the best few.
+  const best: SimilarEmail[] = [];
+  const cursor = Email.find(filter)
+    .select(`+embedding ${SIMILAR_FIELDS}`)
+    .sort({ sentDate: -1 })
+    .limit(config.embeddings.scanLimit)
+    .lean()
+    .cursor();
+  for await (const candidate of cursor) {
+    const score = cosineSimilarity(vector, candidate.embedding ?? []);
+    if (best.length === options.limit && score <= best[best.length - 1].score) continue;
+    const { embedding: _embedding, ...fields } = candidate;
+    best.push({ ...(fields as unknown as SimilarEmail), _id: String(candidate._id), score });
+    best.sort((a, b) => b.score - a.score);
+    if (best.length > options.limit) best.pop();
+  }
+  return best;
+}
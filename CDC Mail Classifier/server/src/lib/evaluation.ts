@@ -0,0 +1,439 @@
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { Email } from '../models/Email.js';
+import { EvaluationRun } from '../models/EvaluationRun.js';
+import { classifierPromptVersion } from '../prompts/classifier.js';
+import { classifyEmail } from './classifier.js';
+import { loadRedactionOptions } from './classifyContext.js';
+import { isOverDailyBudget, recordLlmCalls, summarizeUsage } from './cost.js';
+import { selectExamples } from './examples.js';
+import type { Table } from './export.js';
+import { normalizeJobNumber } from './jobNumbers.js';
+import { isLlmProviderName, LLM_PROVIDERS } from './llm/index.js';
+import { fromStoredEmail } from './normalize.js';
+import { getActivePrompts, getPromptVersion } from './promptVersions.js';
+import { evaluateRules } from './rules.js';
+import { departmentNames, getTaxonomy, mailTypeNames } from './taxonomy.js';
+import { buildThreadContext } from './threads.js';
+import type {
+  ClassifierTier,
+  ClassifyContext,
+  ClassMetrics,
+  EmailUsage,
+  EvaluationLabels,
+  EvaluationMetrics,
+  EvaluationResult,
+  EvaluationTier,
+  FieldAccuracy,
+  LlmAttempt,
+  LlmProviderName,
+  TierConfig,
+} from '../types/index.js';
+
+type EvaluationRunInstance = InstanceType<typeof EvaluationRun>;
+
+export const EVALUATION_TIERS: EvaluationTier[] = ['cheap', 'strong', 'cascade'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+/** LLM calls made by evaluation runs are recorded under this inbox name. */
+const EVALUATION_INBOX = 'evaluation';
+
+export interface EvaluationInput {
+  name?: string;
+  tier?: EvaluationTier;
+  /** Overrides the configured provider/model of a single tier. */
+  provider?: LlmProviderName;
+  model?: string;
+  /** Stored prompt version to replay with, its model overrides included; defaults to the live one. */
+  promptNumber?: number;
+  /** Tried instead of the version's prompt text. */
+  systemPrompt?: string;
+  /** Newest reviewed emails to replay. */
+  limit?: number;
+  /** Replays the same emails as this earlier run, so the two compare like for like. */
+  sameSetAs?: string;
+}
+
+/** Returns an error message, or null when the input is usable. */
+export function validateEvaluationInput(input: EvaluationInput): string | null {
+  if (!EVALUATION_TIERS.includes(input.tier as EvaluationTier)) {
+    return `tier must be one of ${EVALUATION_TIERS.join(', ')}`;
+  }
+  if (input.provider !== undefined && !isLlmProviderName(input.provider)) {
+    return `provider must be one of ${LLM_PROVIDERS.join(', ')}`;
+  }
+  if ((input.provider || input.model) && input.tier === 'cascade') {
+    return 'provider and model overrides need the cheap or strong tier';
+  }
+  if (input.limit !== undefined) {
+    if (typeof input.limit !== 'number' || !Number.isInteger(input.limit) || input.limit < 1 || input.limit > MAX_LIMIT) {
+      return `limit must be 1-${MAX_LIMIT}`;
+    }
+  }
+  if (input.systemPrompt !== undefined && (typeof input.systemPrompt !== 'string' || !input.systemPrompt.trim())) {
+    return 'systemPrompt must not be empty';
+  }
+  if (input.promptNumber !== undefined && (!Number.isInteger(input.promptNumber) || input.promptNumber < 1)) {
+    return 'promptNumber must be a prompt version number';
+  }
+  if (input.sameSetAs !== undefined && !mongoose.Types.ObjectId.isValid(input.sameSetAs)) {
+    return 'sameSetAs must be a run id';
+  }
+  return null;
+}
+
+/** The newest reviewed originals with a department and mail type. */
+export async function selectGoldSet(limit = DEFAULT_LIMIT): Promise<mongoose.Types.ObjectId[]> {
+  const emails = await Email.find({
+    reviewed: true,
+    duplicateOf: null,
+    department: { $nin: [null, ''] },
+    mailType: { $nin: [null, ''] },
+  })
+    .select('_id')
+    .sort({ sentDate: -1 })
+    .limit(limit)
+    .lean();
+  return emails.map((e) => e._id);
+}
+
+export async function countGoldSet(): Promise<number> {
+  return Email.countDocuments({
+    reviewed: true,
+    duplicateOf: null,
+    department: { $nin: [null, ''] },
+    mailType: { $nin: [null, ''] },
+  });
+}
+
+/** The prompt version's model overrides, with the run's own single-tier override on top. */
+async function tierOverrides(run: {
+  tier: string;
+  provider?: string | null;
+  model?: string | null;
+  promptNumber?: number | null;
+}): Promise<NonNullable<ClassifyContext['tiers']>> {
+  const version = run.promptNumber ? await getPromptVersion(run.promptNumber) : null;
+  const tiers = { ...version?.tiers };
+  if (run.tier === 'cascade' || (!run.provider && !run.model)) return tiers;
+  const tier = run.tier as ClassifierTier;
+  const fallback = tiers[tier] ?? config.llm.tiers[tier];
+  const override: TierConfig = {
+    provider: isLlmProviderName(run.provider) ? run.provider : fallback.provider,
+    model: run.model || fallback.model,
+  };
+  return { ...tiers, [tier]: override };
+}
+
+export type CreateRunResult =
+  | { ok: true; run: EvaluationRunInstance }
+  | { ok: false; status: 400 | 404 | 409; error: string };
+
+/** Creates the run with its gold set fixed. One run may be in progress at a time. */
+export async function createEvaluationRun(
+  input: EvaluationInput,
+  source: 'api' | 'cli',
+  startedBy?: string,
+): Promise<CreateRunResult> {
+  if (await EvaluationRun.exists({ status: 'running' })) {
+    return { ok: false, status: 409, error: 'Another evaluation run is in progress' };
+  }
+
+  let emailIds: mongoose.Types.ObjectId[];
+  if (input.sameSetAs) {
+    const previous = await EvaluationRun.findById(input.sameSetAs).select('emailIds').lean();
+    if (!previous) return { ok: false, status: 404, error: 'Run to reuse the gold set of not found' };
+    emailIds = previous.emailIds;
+  } else {
+    emailIds = await selectGoldSet(input.limit ?? DEFAULT_LIMIT);
+  }
+  if (emailIds.length === 0) return { ok: false, status: 400, error: 'No reviewed emails to evaluate against yet' };
+
+  const version = input.promptNumber ? await getPromptVersion(input.promptNumber) : (await getActivePrompts()).live;
+  if (!version) return { ok: false, status: 404, error: 'Prompt version not found' };
+
+  const tier = input.tier as EvaluationTier;
+  const customPrompt = Boolean(input.systemPrompt?.trim());
+  const systemPrompt = customPrompt ? input.systemPrompt!.trim() : version.systemPrompt;
+  const overrides = await tierOverrides({
+    tier,
+    provider: input.provider,
+    model: input.model?.trim(),
+    promptNumber: version.version,
+  });
+  const tiers: ClassifierTier[] = tier === 'cascade' ? ['cheap', 'strong'] : [tier];
+
+  const run = await EvaluationRun.create({
+    name: input.name?.trim() ?? '',
+    source,
+    tier,
+    provider: input.provider,
+    model: input.model?.trim() || undefined,
+    models: tiers.map((t) => {
+      const resolved = overrides[t] ?? config.llm.tiers[t];
+      return `${t} ${resolved.provider}:${resolved.model}`;
+    }),
+    promptVersion: classifierPromptVersion(systemPrompt),
+    promptNumber: version.version,
+    customPrompt,
+    systemPrompt,
+    emailIds,
+    total: emailIds.length,
+    startedBy,
+  });
+  return { ok: true, run };
+}
+
+/** ISBNs compare on digits (and a final X); quantities on digits, so "5,000 copies" matches "5000". */
+function normalizeField(field: FieldAccuracy['field'], value: string): string {
+  if (field === 'jobNumber') return normalizeJobNumber(value);
+  if (field === 'isbn') return value.toUpperCase().replace(/[^0-9X]/g, '');
+  return value.replace(/[^0-9]/g, '');
+}
+
+function ratio(numerator: number, denominator: number): number | null {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/** Labels in taxonomy order, then any others the gold set or model used, then "(none)". */
+function orderLabels(known: string[], seen: Set<string>): string[] {
+  const extra = [...seen].filter((label) => label && !known.includes(label)).sort();
+  return [...known.filter((label) => seen.has(label)), ...extra, ...(seen.has('') ? [''] : [])];
+}
+
+function classMetrics(
+  results: EvaluationResult[],
+  key: 'department' | 'mailType',
+  known: string[],
+): ClassMetrics {
+  const seen = new Set(results.flatMap((r) => [r.expected[key], r.predicted[key]]));
+  const labels = orderLabels(known, seen);
+  const index = new Map(labels.map((label, i) => [label, i]));
+  const counts = labels.map(() => labels.map(() => 0));
+  for (const r of results) counts[index.get(r.expected[key])!][index.get(r.predicted[key])!] += 1;
+
+  const correct = labels.reduce((sum, _, i) => sum + counts[i][i], 0);
+  return {
+    accuracy: results.length > 0 ? correct / results.length : 0,
+    labels: labels.map((label, i) => {
+      const support = counts[i].reduce((sum, n) => sum + n, 0);
+      const predicted = counts.reduce((sum, row) => sum + row[i], 0);
+      const precision = ratio(counts[i][i], predicted);
+      const recall = ratio(counts[i][i], support);
+      // A label never predicted, or never expected, scores 0 rather than nothing.
+      const f1 =
+        precision === null && recall === null
+          ? null
+          : precision && recall
+            ? (2 * precision * recall) / (precision + recall)
+            : 0;
+      return { label, precision, recall, f1, support };
+    }),
+    confusion: { labels, counts },
+  };
+}
+
+/** Figures over the answered emails; `departments`/`mailTypes` fix the label order. */
+export function computeEvaluationMetrics(
+  results: EvaluationResult[],
+  departments: string[],
+  mailTypes: string[],
+): EvaluationMetrics {
+  const answered = results.filter((r) => !r.error);
+  const fields = (['jobNumber', 'isbn', 'quantity'] as const).map((field): FieldAccuracy => {
+    let evaluated = 0;
+    let correct = 0;
+    for (const r of answered) {
+      const expected = normalizeField(field, r.expected[field]);
+      const predicted = normalizeField(field, r.predicted[field]);
+      if (!expected && !predicted) continue;
+      evaluated += 1;
+      if (expected === predicted) correct += 1;
+    }
+    return { field, evaluated, correct, accuracy: ratio(correct, evaluated) };
+  });
+
+  return {
+    evaluated: answered.length,
+    failed: results.length - answered.length,
+    department: classMetrics(answered, 'department', departments),
+    mailType: classMetrics(answered, 'mailType', mailTypes),
+    fields,
+    usage: results.reduce<EmailUsage>(
+      (sum, r) => ({
+        calls: sum.calls + r.usage.calls,
+        promptTokens: sum.promptTokens + r.usage.promptTokens,
+        completionTokens: sum.completionTokens + r.usage.completionTokens,
+        latencyMs: sum.latencyMs + r.usage.latencyMs,
+        costUsd: sum.costUsd + r.usage.costUsd,
+      }),
+      { calls: 0, promptTokens: 0, completionTokens: 0, latencyMs: 0, costUsd: 0 },
+    ),
+  };
+}
+
+function labelsOf(source: {
+  department?: string | null;
+  mailType?: string | null;
+  jobNumber?: string | null;
+  isbn?: string | null;
+  quantity?: string | null;
+}): EvaluationLabels {
+  return {
+    department: source.department ?? '',
+    mailType: source.mailType ?? '',
+    jobNumber: source.jobNumber ?? '',
+    isbn: source.isbn ?? '',
+    quantity: source.quantity ?? '',
+  };
+}
+
+/**
+ * Replays one gold-set email the way the pipeline would, minus classify/skip
+ * rules, so the figures measure the model and prompt alone. The email's own
+ * correction is kept out of the few-shot examples.
+ */
+async function replayEmail(
+  run: EvaluationRunInstance,
+  emailId: mongoose.Types.ObjectId,
+  overrides: ClassifyContext['tiers'],
+  attempts: LlmAttempt[],
+): Promise<EvaluationResult | null> {
+  const email = await Email.findById(emailId).lean();
+  if (!email) return null;
+
+  const normalized = fromStoredEmail(email);
+  const result: EvaluationResult = {
+    emailId: String(email._id),
+    subject: email.subject ?? '',
+    expected: labelsOf(email),
+    predicted: labelsOf({}),
+    confidence: 0,
+    modelUsed: '',
+    usage: summarizeUsage([]),
+  };
+
+  try {
+    const [thread, examples, rules, redaction] = await Promise.all([
+      buildThreadContext(normalized),
+      selectExamples(normalized, config.fewShot.maxExamples, { excludeEmailId: email._id, countUsage: false }),
+      evaluateRules(normalized),
+      loadRedactionOptions(normalized.inbox),
+    ]);
+    const output = await classifyEmail(
+      normalized,
+      {
+        thread,
+        examples,
+        hints: rules.hints,
+        tiers: overrides,
+        systemPrompt: run.systemPrompt ?? undefined,
+        onlyTier: run.tier === 'cascade' ? undefined : (run.tier as ClassifierTier),
+        redaction,
+      },
+      attempts,
+    );
+    result.predicted = {
+      department: output.result.department,
+      mailType: output.result.mail_type,
+      jobNumber: output.result.job_number,
+      isbn: output.result.isbn,
+      quantity: output.result.quantity,
+    };
+    result.confidence = output.result.confidence;
+    result.modelUsed = output.modelUsed;
+  } catch (err) {
+    result.error = err instanceof Error ? err.message : String(err);
+  }
+
+  result.usage = summarizeUsage(attempts);
+  return result;
+}
+
+/**
+ * Replays the run's gold set one email at a time, saving progress after each,
+ * then stores the metrics. Stops early, keeping what was measured, once the
+ * daily LLM budget is spent. Never throws; failures end up on the run.
+ */
+export async function executeEvaluationRun(run: EvaluationRunInstance): Promise<void> {
+  try {
+    const overrides = await tierOverrides(run);
+    for (const emailId of run.emailIds) {
+      if (await isOverDailyBudget()) throw new Error('Daily LLM budget reached; run stopped early');
+
+      const attempts: LlmAttempt[] = [];
+      const result = await replayEmail(run, emailId, overrides, attempts);
+      await recordLlmCalls({ messageId: `evaluation:${run._id}`, inbox: EVALUATION_INBOX }, attempts).catch((err) => {
+        console.error('[Eval] Failed to record LLM calls', err);
+      });
+
+      if (result) run.results.push(result);
+      run.processed = (run.processed ?? 0) + 1;
+      await run.save();
+    }
+    run.status = 'done';
+  } catch (err) {
+    run.status = 'failed';
+    run.error = err instanceof Error ? err.message : String(err);
+    console.error(`[Eval] Run ${run._id} failed`, err);
+  }
+
+  try {
+    const taxonomy = await getTaxonomy();
+    const results = run.results.map(
+      (r): EvaluationResult => ({
+        emailId: String(r.emailId),
+        subject: r.subject ?? '',
+        expected: labelsOf(r.expected ?? {}),
+        predicted: labelsOf(r.predicted ?? {}),
+        confidence: r.confidence ?? 0,
+        modelUsed: r.modelUsed ?? '',
+        usage: r.usage ?? summarizeUsage([]),
+        error: r.error ?? undefined,
+      }),
+    );
+    run.metrics = computeEvaluationMetrics(results, departmentNames(taxonomy), mailTypeNames(taxonomy));
+    run.finishedAt = new Date();
+    await run.save();
+  } catch (err) {
+    console.error(`[Eval] Failed to store results of run ${run._id}`, err);
+  }
+}
+
+/** API runs cannot outlive the server process; called on startup. */
+export async function markInterruptedRuns(): Promise<number> {
+  const result = await EvaluationRun.updateMany(
+    { status: 'running', source: 'api' },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } },
+  );
+  return result.modifiedCount;
+}
+
+const percent = (value: number | null) => (value === null ? null : Math.round(value * 1000) / 10);
+
+/** The run's metrics as tables, for the CLI. */
+export function evaluationTables(metrics: EvaluationMetrics): Table[] {
+  const classTable = (title: string, metricsFor: ClassMetrics): Table => ({
+    title: `${title} — accuracy ${percent(metricsFor.accuracy)}%`,
+    columns: [title, 'Precision %', 'Recall %', 'F1 %', 'Support'],
+    rows: metricsFor.labels.map((l) => [l.label || '(none)', percent(l.precision), percent(l.recall), percent(l.f1), l.support]),
+  });
+  const confusionTable = (title: string, metricsFor: ClassMetrics): Table => ({
+    title: `${title} confusion (rows: reviewed, columns: predicted)`,
+    columns: ['', ...metricsFor.confusion.labels.map((l) => l || '(none)')],
+    rows: metricsFor.confusion.counts.map((row, i) => [metricsFor.confusion.labels[i] || '(none)', ...row]),
+  });
+
+  return [
+    classTable('Department', metrics.department),
+    confusionTable('Department', metrics.department),
+    classTable('Mail type', metrics.mailType),
+    confusionTable('Mail type', metrics.mailType),
+    {
+      title: 'Field extraction',
+      columns: ['Field', 'Evaluated', 'Correct', 'Accuracy %'],
+      rows: metrics.fields.map((f) => [f.field, f.evaluated, f.correct, percent(f.accuracy)]),
+    },
+  ];
+}
@@ -0,0 +1,80 @@
+import { EventEmitter } from 'node:events';
+import { config } from '../config.js';
+import { canAccessEmail } from './auth.js';
+import type { AuthUser, LiveEmail, LiveEvent } from '../types/index.js';
+
+/**
+ * In-process bus behind `/api/events`. The API, poller and workers share one
+ * process, so every publisher reaches every open stream.
+ */
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+interface LiveEmailSource {
+  _id: unknown;
+  inbox?: string | null;
+  subject?: string | null;
+  fromName?: string | null;
+  fromEmail?: string | null;
+  sentDate?: Date | null;
+  department?: string | null;
+  mailType?: string | null;
+  confidence?: number | null;
+  needsReview?: boolean | null;
+  reviewed?: boolean | null;
+  slaDueAt?: Date | null;
+}
+
+export function isHighPriority(mailType: string | null | undefined): boolean {
+  const hours = mailType ? config.sla.hoursByMailType[mailType] : undefined;
+  return hours !== undefined && hours <= config.live.highPriorityHours;
+}
+
+export function toLiveEmail(email: LiveEmailSource): LiveEmail {
+  return {
+    _id: String(email._id),
+    inbox: email.inbox ?? '',
+    subject: email.subject ?? '',
+    fromName: email.fromName ?? '',
+    fromEmail: email.fromEmail ?? '',
+    sentDate: email.sentDate ?? null,
+    department: email.department ?? '',
+    mailType: email.mailType ?? '',
+    confidence: email.confidence ?? 0,
+    needsReview: email.needsReview ?? false,
+    reviewed: email.reviewed ?? false,
+    slaDueAt: email.slaDueAt ?? null,
+    highPriority: isHighPriority(email.mailType),
+  };
+}
+
+/** Never throws, so a broken stream cannot fail the classification that published. */
+export function publishEvent(event: LiveEvent): void {
+  try {
+    bus.emit('event', event);
+  } catch (err) {
+    console.error(`[Events] Failed to publish ${event.type}`, err);
+  }
+}
+
+/** Returns the unsubscribe function. */
+export function subscribeEvents(listener: (event: LiveEvent) => void): () => void {
+  bus.on('event', listener);
+  return () => {
+    bus.off('event', listener);
+  };
+}
+
+/** Email events follow the user's department scope; inbox errors go to admins only. */
+export function canSeeEvent(user: AuthUser | undefined, event: LiveEvent): boolean {
+  switch (event.type) {
+    case 'email.classified':
+    case 'email.escalated':
+    case 'email.reviewed':
+      return canAccessEmail(user, event.email);
+    case 'inbox.error':
+      return user?.role === 'admin';
+    default:
+      return true;
+  }
+}
@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+import { Correction } from '../models/Correction.js';
+import { Example } from '../models/Example.js';
+import type { FewShotExample } from '../types/index.js';
+
+const BODY_EXCERPT_LENGTH = 600;
+const MAX_CANDIDATES = 200;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'your', 'our', 'you', 'this', 'that', 'are', 'was',
+  'fwd', 'fw', 'reg', 'please', 'dear', 'sir', 'madam', 'regards', 'thanks', 'thank',
+]);
+
+export function senderDomain(fromEmail: string | null | undefined): string {
+  return (fromEmail ?? '').split('@')[1]?.toLowerCase().trim() ?? '';
+}
+
+/** Subject keywords used to match similar mails; `Re:`/`Fwd:` prefixes are dropped. */
+export function extractKeywords(subject: string | null | undefined): string[] {
+  const words = (subject ?? '')
+    .toLowerCase()
+    .replace(/^((re|fw|fwd)\s*:\s*)+/i, '')
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length >= 3 && !STOPWORDS.has(w) && !/^\d+$/.test(w));
+  return [...new Set(words)];
+}
+
+interface EmailSnapshot {
+  _id: unknown;
+  fromEmail?: string | null;
+  subject?: string | null;
+  body?: string | null;
+  classifier?: string | null;
+  department?: string | null;
+  mailType?: string | null;
+  jobNumber?: string | null;
+  clientName?: string | null;
+}
+
+/**
+ * Records a reviewer correction and refreshes the example bank entry for the
+ * email. No-op unless department or mail type actually changed.
+ */
+export async function recordCorrection(before: EmailSnapshot, after: EmailSnapshot): Promise<void> {
+  const departmentChanged = (before.department ?? '') !== (after.department ?? '');
+  const mailTypeChanged = (before.mailType ?? '') !== (after.mailType ?? '');
+  if (!departmentChanged && !mailTypeChanged) return;
+
+  const fromDomain = senderDomain(after.fromEmail);
+
+  await Correction.create({
+    emailId: after._id,
+    fromDomain,
+    subject: after.subject ?? '',
+    classifier: before.classifier ?? '',
+    original: {
+      department: before.department ?? '',
+      mailType: before.mailType ?? '',
+      jobNumber: before.jobNumber ?? '',
+      clientName: before.clientName ?? '',
+    },
+    corrected: {
+      department: after.department ?? '',
+      mailType: after.mailType ?? '',
+      jobNumber: after.jobNumber ?? '',
+      clientName: after.clientName ?? '',
+    },
+  });
+
+  await Example.findOneAndUpdate(
+    { emailId: after._id },
+    {
+      $set: {
+        fromDomain,
+        subject: after.subject ?? '',
+        keywords: extractKeywords(after.subject),
+        bodyExcerpt: (after.body ?? '').slice(0, BODY_EXCERPT_LENGTH),
+        department: after.department ?? '',
+        mailType: after.mailType ?? '',
+        jobNumber: after.jobNumber ?? '',
+        clientName: after.clientName ?? '',
+      },
+      $setOnInsert: { source: 'correction', active: true },
+    },
+    { upsert: true },
+  );
+}
+
+/**
+ * Picks the most similar active examples: a sender-domain match outweighs
+ * subject keyword overlap, ties go to the most recent correction.
+ * `excludeEmailId` keeps a replayed email's own correction out of its prompt;
+ * `countUsage: false` leaves the usage statistics alone.
+ */
+export async function selectExamples(
+  email: { fromEmail: string; subject: string },
+  limit: number,
+  options: { excludeEmailId?: mongoose.Types.ObjectId; countUsage?: boolean } = {},
+): Promise<FewShotExample[]> {
+  if (limit <= 0) return [];
+
+  const domain = senderDomain(email.fromEmail);
+  const keywords = extractKeywords(email.subject);
+  const or: Record<string, unknown>[] = [];
+  if (domain) or.push({ fromDomain: domain });
+  if (keywords.length > 0) or.push({ keywords: { $in: keywords } });
+  if (or.length === 0) return [];
+
+  const candidates = await Example.find({
+    active: true,
+    $or: or,
+    ...(options.excludeEmailId ? { emailId: { $ne: options.excludeEmailId } } : {}),
+  })
+    .sort({ updatedAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const keywordSet = new Set(keywords);
+  const scored = candidates
+    .map((c) => ({
+      example: c,
+      score:
+        (domain && c.fromDomain === domain ? 3 : 0) +
+        (c.keywords ?? []).filter((k) => keywordSet.has(k)).length,
+    }))
+    .filter((s) => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  if (scored.length > 0 && options.countUsage !== false) {
+    await Example.updateMany(
+      { _id: { $in: scored.map((s) => s.example._id) } },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } },
+      // Candidates are ranked by `updatedAt`; being used must not count as being updated.
+      { timestamps: false },
+    );
+  }
+
+  return scored.map(({ example }) => ({
+    fromDomain: example.fromDomain ?? '',
+    subject: example.subject ?? '',
+    bodyExcerpt: example.bodyExcerpt ?? '',
+    department: example.department ?? '',
+    mailType: example.mailType ?? '',
+    jobNumber: example.jobNumber ?? '',
+    clientName: example.clientName ?? '',
+  }));
+}
@@ -0,0 +1,128 @@
+import ExcelJS from 'exceljs';
+
+export type CellValue = string | number | Date | null;
+
+/** A titled grid, rendered as CSV, an XLSX sheet or plain text. */
+export interface Table {
+  title: string;
+  columns: string[];
+  rows: CellValue[][];
+}
+
+export interface ExportEmail {
+  sentDate?: Date | null;
+  inbox?: string | null;
+  fromName?: string | null;
+  fromEmail?: string | null;
+  subject?: string | null;
+  department?: string | null;
+  mailType?: string | null;
+  confidence?: number | null;
+  classifier?: string | null;
+  needsReview?: boolean | null;
+  reviewed?: boolean | null;
+  jobNumber?: string | null;
+  clientName?: string | null;
+  title?: string | null;
+  isbn?: string | null;
+  quantity?: string | null;
+  dueDate?: string | null;
+  summary?: string | null;
+  actionRequired?: string | null;
+  workflowStatus?: string | null;
+  assignee?: string | null;
+  slaDueAt?: Date | null;
+  doneAt?: Date | null;
+  gmailLink?: string | null;
+}
+
+/** Fields loaded for an export; body and attachment text are left out. */
+export const EXPORT_FIELDS =
+  'sentDate inbox fromName fromEmail subject department mailType confidence classifier needsReview reviewed ' +
+  'jobNumber clientName title isbn quantity dueDate summary actionRequired workflowStatus assignee slaDueAt ' +
+  'doneAt gmailLink';
+
+/** Hours from receipt to done, one decimal; null while the mail is open. */
+export function turnaroundHours(email: { sentDate?: Date | null; doneAt?: Date | null }): number | null {
+  if (!email.sentDate || !email.doneAt) return null;
+  return Math.round((email.doneAt.getTime() - email.sentDate.getTime()) / 360_000) / 10;
+}
+
+const EMAIL_COLUMNS: [string, (email: ExportEmail) => CellValue][] = [
+  ['Sent', (e) => e.sentDate ?? null],
+  ['Inbox', (e) => e.inbox ?? ''],
+  ['From name', (e) => e.fromName ?? ''],
+  ['From email', (e) => e.fromEmail ?? ''],
+  ['Subject', (e) => e.subject ?? ''],
+  ['Department', (e) => e.department ?? ''],
+  ['Mail type', (e) => e.mailType ?? ''],
+  ['Confidence', (e) => e.confidence ?? null],
+  ['Classifier', (e) => e.classifier ?? ''],
+  ['Needs review', (e) => (e.needsReview ? 'yes' : 'no')],
+  ['Reviewed', (e) => (e.reviewed ? 'yes' : 'no')],
+  ['Job number', (e) => e.jobNumber ?? ''],
+  ['Client', (e) => e.clientName ?? ''],
+  ['Title', (e) => e.title ?? ''],
+  ['ISBN', (e) => e.isbn ?? ''],
+  ['Quantity', (e) => e.quantity ?? ''],
+  ['Due date', (e) => e.dueDate ?? ''],
+  ['Summary', (e) => e.summary ?? ''],
+  ['Action required', (e) => e.actionRequired ?? ''],
+  ['Status', (e) => e.workflowStatus ?? 'new'],
+  ['Assignee', (e) => e.assignee ?? ''],
+  ['SLA due', (e) => e.slaDueAt ?? null],
+  ['Done', (e) => e.doneAt ?? null],
+  ['Turnaround (h)', turnaroundHours],
+  ['Gmail link', (e) => e.gmailLink ?? ''],
+];
+
+export function emailsTable(emails: ExportEmail[]): Table {
+  return {
+    title: 'Emails',
+    columns: EMAIL_COLUMNS.map(([header]) => header),
+    rows: emails.map((email) => EMAIL_COLUMNS.map(([, value]) => value(email))),
+  };
+}
+
+function csvCell(value: CellValue): string {
+  if (value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Spreadsheet apps run cells starting with these as formulas.
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** UTF-8 with a byte-order mark so Excel detects the encoding. */
+export function toCsv(table: Table): string {
+  const lines = [table.columns, ...table.rows].map((row) => row.map(csvCell).join(','));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+export async function toXlsx(tables: Table[]): Promise<Buffer> {
+  const workbook = new ExcelJS.Workbook();
+  for (const table of tables) {
+    // Sheet names are capped at 31 characters and may not contain []:*?/\
+    const sheet = workbook.addWorksheet(table.title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+    sheet.addRow(table.columns).font = { bold: true };
+    for (const row of table.rows) sheet.addRow(row);
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    sheet.columns.forEach((column, i) => {
+      column.width = Math.min(50, Math.max(10, table.columns[i].length + 2));
+      if (table.rows.some((row) => row[i] instanceof Date)) column.numFmt = 'yyyy-mm-dd hh:mm';
+    });
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/** Fixed-width text for email bodies; long cells are cut. */
+export function toText(table: Table, maxWidth = 28): string {
+  const cell = (value: CellValue) => {
+    const text = value === null ? '—' : value instanceof Date ? value.toISOString().slice(0, 16) : String(value);
+    return text.length > maxWidth ? `${text.slice(0, maxWidth - 1)}…` : text;
+  };
+  const grid = [table.columns, ...table.rows].map((row) => row.map(cell));
+  const widths = table.columns.map((_, i) => Math.max(...grid.map((row) => row[i].length)));
+  const line = (row: string[]) =>
+    row.map((text, i) => (i === 0 ? text.padEnd(widths[i]) : text.padStart(widths[i]))).join('  ');
+  return [line(grid[0]), widths.map((w) => '-'.repeat(w)).join('  '), ...grid.slice(1).map(line)].join('\n');
+}
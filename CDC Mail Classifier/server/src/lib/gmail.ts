@@ -2,7 +2,9 @@ import { google, gmail_v1 } from 'googleapis';
 import { config } from '../config.js';
 import { decrypt } from './encryption.js';
 
-const GMAIL_SCOPES = ['https://www.googleapis.com/auth/gmail.readonly'];
+const GMAIL_READ_SCOPE = 'https://www.googleapis.com/auth/gmail.readonly';
+/** Read access plus label changes; requested only for inboxes that write labels back. */
+export const GMAIL_MODIFY_SCOPE = 'https://www.googleapis.com/auth/gmail.modify';
 
 export function createOAuth2Client() {
   return new google.auth.OAuth2(
@@ -12,12 +14,12 @@ export function createOAuth2Client() {
   );
 }
 
-export function getAuthUrl(state: string): string {
+export function getAuthUrl(state: string, writeLabels = false): string {
   const client = createOAuth2Client();
   return client.generateAuthUrl({
     access_type: 'offline',
     prompt: 'consent',
-    scope: GMAIL_SCOPES,
+    scope: [writeLabels ? GMAIL_MODIFY_SCOPE : GMAIL_READ_SCOPE],
     state,
   });
 }
@@ -69,12 +71,18 @@ async function withRetry<T>(fn: () => Promise<T>, label: string, maxAttempts = 3
   throw lastError;
 }
 
-export async function fetchRecentMessageIds(
+/** Gmail `after:`/`before:` operators accept epoch seconds. */
+function toEpochSeconds(date: Date): number {
+  return Math.floor(date.getTime() / 1000);
+}
+
+export async function fetchMessageIdsInRange(
   gmail: gmail_v1.Gmail,
-  lookbackMinutes: number,
+  after: Date,
+  before?: Date,
 ): Promise<string[]> {
-  const afterEpoch = Math.floor(Date.now() / 1000) - lookbackMinutes * 60;
-  const query = `after:${afterEpoch}`;
+  let query = `after:${toEpochSeconds(after)}`;
+  if (before) query += ` before:${toEpochSeconds(before)}`;
 
   const ids: string[] = [];
   let pageToken: string | undefined;
@@ -100,6 +108,94 @@ export async function fetchRecentMessageIds(
   return ids;
 }
 
+export async function getCurrentHistoryId(gmail: gmail_v1.Gmail): Promise<string> {
+  const res = await withRetry(() => gmail.users.getProfile({ userId: 'me' }), 'getProfile');
+  if (!res.data.historyId) {
+    throw new Error('Gmail profile returned no historyId');
+  }
+  return res.data.historyId;
+}
+
+export function isNotFoundError(err: unknown): boolean {
+  const e = err as { code?: number | string; status?: number } | null;
+  return !!e && (e.code === 404 || e.code === '404' || e.status === 404);
+}
+
+/**
+ * Gmail only keeps history for about a week; older start IDs return 404 and
+ * the caller must fall back to a full resync.
+ */
+export function isHistoryExpiredError(err: unknown): boolean {
+  return isNotFoundError(err);
+}
+
+/** Gmail refused the request outright (missing scope, deleted message); retrying will not help. */
+export function isPermanentGmailError(err: unknown): boolean {
+  const e = err as { code?: number | string; status?: number } | null;
+  const status = Number(e?.code ?? e?.status);
+  return status === 400 || status === 403 || status === 404;
+}
+
+/** Revoked or expired refresh token: retrying is pointless until the inbox is reconnected. */
+export function isInvalidGrantError(err: unknown): boolean {
+  const e = err as { message?: string; response?: { data?: { error?: string } } } | null;
+  return !!e && (e.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(e.message ?? ''));
+}
+
+export interface HistoryDelta {
+  messageIds: string[];
+  historyId: string;
+}
+
+export async function fetchHistoryDelta(
+  gmail: gmail_v1.Gmail,
+  startHistoryId: string,
+): Promise<HistoryDelta> {
+  const ids = new Set<string>();
+  let latestHistoryId = startHistoryId;
+  let pageToken: string | undefined;
+
+  do {
+    const res = await withRetry(
+      () =>
+        gmail.users.history.list({
+          userId: 'me',
+          startHistoryId,
+          historyTypes: ['messageAdded'],
+          maxResults: 500,
+          pageToken,
+        }),
+      'history.list',
+    );
+
+    for (const record of res.data.history ?? []) {
+      for (const added of record.messagesAdded ?? []) {
+        const msg = added.message;
+        if (!msg?.id || msg.labelIds?.includes('DRAFT')) continue;
+        ids.add(msg.id);
+      }
+    }
+    if (res.data.historyId) latestHistoryId = res.data.historyId;
+    pageToken = res.data.nextPageToken ?? undefined;
+  } while (pageToken);
+
+  return { messageIds: [...ids], historyId: latestHistoryId };
+}
+
+export async function watchMailbox(
+  gmail: gmail_v1.Gmail,
+  topicName: string,
+): Promise<{ historyId: string; expiration: Date }> {
+  const res = await withRetry(
+    () => gmail.users.watch({ userId: 'me', requestBody: { topicName } }),
+    'users.watch',
+  );
+  return {
+    historyId: res.data.historyId ?? '',
+    expiration: new Date(Number(res.data.expiration ?? 0)),
+  };
+}
+
 export async function fetchMessage(
   gmail: gmail_v1.Gmail,
   messageId: string,
@@ -119,6 +215,65 @@ export async function fetchMessage(
   return res.data;
 }
 
+export async function fetchAttachment(
+  gmail: gmail_v1.Gmail,
+  messageId: string,
+  attachmentId: string,
+): Promise<Buffer> {
+  const res = await withRetry(
+    () =>
+      gmail.users.messages.attachments.get({
+        userId: 'me',
+        messageId,
+        id: attachmentId,
+      }),
+    `attachments.get(${messageId})`,
+  );
+  if (!res.data.data) {
+    throw new Error(`Empty attachment ${attachmentId} on message ${messageId}`);
+  }
+  return Buffer.from(res.data.data, 'base64url');
+}
+
+export interface GmailLabel {
+  id: string;
+  name: string;
+}
+
+export async function listLabels(gmail: gmail_v1.Gmail): Promise<GmailLabel[]> {
+  const res = await withRetry(() => gmail.users.labels.list({ userId: 'me' }), 'labels.list');
+  return (res.data.labels ?? [])
+    .filter((l): l is gmail_v1.Schema$Label & GmailLabel => !!l.id && !!l.name)
+    .map((l) => ({ id: l.id, name: l.name }));
+}
+
+export async function createLabel(gmail: gmail_v1.Gmail, name: string): Promise<string> {
+  const res = await withRetry(
+    () =>
+      gmail.users.labels.create({
+        userId: 'me',
+        requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' },
+      }),
+    `labels.create(${name})`,
+  );
+  if (!res.data.id) {
+    throw new Error(`Gmail returned no id for label ${name}`);
+  }
+  return res.data.id;
+}
+
+export async function modifyMessageLabels(
+  gmail: gmail_v1.Gmail,
+  messageId: string,
+  addLabelIds: string[],
+  removeLabelIds: string[],
+): Promise<void> {
+  await withRetry(
+    () => gmail.users.messages.modify({ userId: 'me', id: messageId, requestBody: { addLabelIds, removeLabelIds } }),
+    `messages.modify(${messageId})`,
+  );
+}
+
 export function buildGmailLink(messageId: string): string {
   return `https://mail.google.com/mail/u/0/#inbox/${messageId}`;
 }
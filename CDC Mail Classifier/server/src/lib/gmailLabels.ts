@@ -0,0 +1,257 @@
+import type mongoose from 'mongoose';
+import type { gmail_v1 } from 'googleapis';
+import { config } from '../config.js';
+import { Email } from '../models/Email.js';
+import { Inbox } from '../models/Inbox.js';
+import {
+  GMAIL_MODIFY_SCOPE,
+  createLabel,
+  getGmailClient,
+  isPermanentGmailError,
+  listLabels,
+  modifyMessageLabels,
+} from './gmail.js';
+
+export type QueuedLabelSync = NonNullable<Awaited<ReturnType<typeof claimNextLabelSync>>>;
+
+export const NEEDS_REVIEW_LABEL = 'Needs review';
+
+/** Label ids by name, per inbox address; relisted whenever a wanted name is missing. */
+const labelCache = new Map<string, Map<string, string>>();
+
+export function canWriteLabels(inbox: { scopes?: string[] | null }): boolean {
+  return inbox.scopes?.includes(GMAIL_MODIFY_SCOPE) ?? false;
+}
+
+/** Gmail nests labels on "/", so a slash inside a department or mail type would add a level. */
+function labelPart(value: string): string {
+  return value.replace(/\//g, '-').trim();
+}
+
+/** `CDC/Prepress/Correction`, plus `CDC/Needs review` while the email waits for a reviewer. */
+export function labelNamesFor(email: {
+  department?: string | null;
+  mailType?: string | null;
+  needsReview?: boolean | null;
+}): string[] {
+  const { prefix } = config.gmailLabels;
+  const path = [email.department, email.mailType].filter((v): v is string => !!v).map(labelPart);
+  const names = path.length > 0 ? [[prefix, ...path].join('/')] : [];
+  if (email.needsReview) names.push(`${prefix}/${NEEDS_REVIEW_LABEL}`);
+  return names;
+}
+
+/**
+ * Queues a label sync for the email, and with `withCopies` for every copy of
+ * it in other inboxes, skipping inboxes that do not write labels. Mail is
+ * matched to its inbox by the name stored on `Email.inbox`, or by the inbox id
+ * of an earlier sync once the inbox has been renamed. The attempt budget
+ * starts again, so a review after a failure retries straight away.
+ */
+export async function queueLabelSync(
+  email: { _id: mongoose.Types.ObjectId; duplicateOf?: mongoose.Types.ObjectId | null },
+  withCopies = false,
+): Promise<number> {
+  const inboxes = await Inbox.find({ writeLabels: true }).select('label emailAddress').lean();
+  const rootId = email.duplicateOf ?? email._id;
+  const target = withCopies ? { $or: [{ _id: rootId }, { duplicateOf: rootId }] } : { _id: email._id };
+
+  let queued = 0;
+  for (const inbox of inboxes) {
+    const names = [inbox.label, inbox.emailAddress].filter((v): v is string => !!v);
+    const result = await Email.updateMany(
+      { $and: [target, { $or: [{ inbox: { $in: names } }, { 'labelSync.inboxId': inbox._id }] }] },
+      {
+        $set: {
+          'labelSync.status': 'pending',
+          'labelSync.inboxId': inbox._id,
+          'labelSync.attempts': 0,
+          'labelSync.nextAttemptAt': new Date(),
+        },
+        $unset: { 'labelSync.lockedAt': 1 },
+      },
+    );
+    queued += result.modifiedCount;
+  }
+  return queued;
+}
+
+/** Atomically claims the oldest due label sync, reclaiming stale locks. */
+export async function claimNextLabelSync() {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - config.gmailLabels.lockTimeoutMs);
+
+  return Email.findOneAndUpdate(
+    {
+      $or: [
+        { 'labelSync.status': 'pending', 'labelSync.nextAttemptAt': { $lte: now } },
+        { 'labelSync.status': 'syncing', 'labelSync.lockedAt': { $lt: staleLock } },
+      ],
+    },
+    { $set: { 'labelSync.status': 'syncing', 'labelSync.lockedAt': now } },
+    { sort: { 'labelSync.nextAttemptAt': 1 }, new: true },
+  )
+    .select('messageId inbox department mailType needsReview labelSync')
+    .lean();
+}
+
+export function labelRetryDelayMs(attempts: number): number {
+  const { baseRetryDelayMs, maxRetryDelayMs } = config.gmailLabels;
+  return Math.min(maxRetryDelayMs, baseRetryDelayMs * 2 ** Math.max(0, attempts - 1));
+}
+
+async function loadLabelIds(gmail: gmail_v1.Gmail, address: string): Promise<Map<string, string>> {
+  const ids = new Map((await listLabels(gmail)).map((l) => [l.name.toLowerCase(), l.id]));
+  labelCache.set(address, ids);
+  return ids;
+}
+
+/**
+ * Ids for `names`, creating missing labels (parents first, so Gmail shows
+ * them nested). Gmail label names are case-insensitive, and so is the lookup.
+ */
+async function ensureLabelIds(gmail: gmail_v1.Gmail, address: string, names: string[]): Promise<string[]> {
+  let ids = labelCache.get(address);
+  if (!ids || names.some((name) => !ids!.has(name.toLowerCase()))) ids = await loadLabelIds(gmail, address);
+
+  for (const name of names) {
+    const parts = name.split('/');
+    for (let depth = 1; depth <= parts.length; depth++) {
+      const path = parts.slice(0, depth).join('/');
+      if (ids.has(path.toLowerCase())) continue;
+      try {
+        ids.set(path.toLowerCase(), await createLabel(gmail, path));
+      } catch (err) {
+        // Created meanwhile by another sync or by hand: use that one.
+        ids = await loadLabelIds(gmail, address);
+        if (!ids.has(path.toLowerCase())) throw err;
+      }
+    }
+  }
+  return names.map((name) => ids!.get(name.toLowerCase())!);
+}
+
+/**
+ * Applies the email's labels to its Gmail message and removes the ones this
+ * app applied before that no longer fit. Labels deleted by hand in Gmail are
+ * skipped on removal.
+ */
+async function applyLabels(
+  gmail: gmail_v1.Gmail,
+  address: string,
+  messageId: string,
+  wanted: string[],
+  previous: string[],
+): Promise<void> {
+  const addIds = await ensureLabelIds(gmail, address, wanted);
+  const ids = labelCache.get(address) ?? new Map<string, string>();
+  const removeIds = previous
+    .filter((name) => !wanted.some((w) => w.toLowerCase() === name.toLowerCase()))
+    .map((name) => ids.get(name.toLowerCase()))
+    .filter((id): id is string => !!id);
+  if (addIds.length === 0 && removeIds.length === 0) return;
+  await modifyMessageLabels(gmail, messageId, addIds, removeIds);
+}
+
+/**
+ * Writes one claimed email's classification to Gmail and records the
+ * outcome. Mail whose inbox has stopped writing labels is dropped from the
+ * queue. Failures are also recorded on the inbox for the Inboxes page.
+ */
+export async function syncEmailLabels(
+  email: QueuedLabelSync,
+): Promise<'synced' | 'skipped' | 'retry' | 'failed'> {
+  const inboxName = email.inbox ?? '';
+  const inboxId = email.labelSync?.inboxId;
+  // Syncs queued before the inbox id was stored fall back to the name.
+  const inbox = await Inbox.findOne(inboxId ? { _id: inboxId } : { $or: [{ label: inboxName }, { emailAddress: inboxName }] })
+    .select('emailAddress refreshToken writeLabels scopes labelError')
+    .lean();
+  if (!inbox?.writeLabels) {
+    await Email.updateOne({ _id: email._id }, { $unset: { labelSync: 1 } });
+    return 'skipped';
+  }
+
+  const wanted = labelNamesFor(email);
+  try {
+    if (!inbox.refreshToken) throw new Error('Inbox is not connected to Gmail');
+    if (!canWriteLabels(inbox)) throw new Error('Gmail modify access was not granted; reconnect with label write-back');
+    const gmail = getGmailClient(inbox.refreshToken);
+    await applyLabels(gmail, inbox.emailAddress ?? inboxName, email.messageId, wanted, email.labelSync?.applied ?? []);
+  } catch (err) {
+    // A deleted label may still be cached; relist on the next attempt.
+    labelCache.delete(inbox.emailAddress ?? inboxName);
+
+    const message = err instanceof Error ? err.message : String(err);
+    const attempts = (email.labelSync?.attempts ?? 0) + 1;
+    const gaveUp = attempts >= config.gmailLabels.maxAttempts || isPermanentGmailError(err);
+    const now = new Date();
+    await Email.updateOne(
+      { _id: email._id, 'labelSync.status': 'syncing' },
+      {
+        $set: {
+          'labelSync.status': gaveUp ? 'failed' : 'pending',
+          'labelSync.attempts': attempts,
+          'labelSync.lastError': message,
+          'labelSync.nextAttemptAt': new Date(now.getTime() + labelRetryDelayMs(attempts)),
+        },
+        $unset: { 'labelSync.lockedAt': 1 },
+      },
+    );
+    await Inbox.updateOne({ _id: inbox._id }, { $set: { labelError: message, labelErrorAt: now } });
+    return gaveUp ? 'failed' : 'retry';
+  }
+
+  // A review while this sync ran queued another one; keep it pending but record what is on Gmail now.
+  const synced = await Email.updateOne(
+    { _id: email._id, 'labelSync.status': 'syncing' },
+    {
+      $set: {
+        'labelSync.status': 'synced',
+        'labelSync.applied': wanted,
+        'labelSync.attempts': (email.labelSync?.attempts ?? 0) + 1,
+        'labelSync.syncedAt': new Date(),
+      },
+      $unset: { 'labelSync.lockedAt': 1, 'labelSync.lastError': 1 },
+    },
+  );
+  if (synced.modifiedCount === 0) {
+    await Email.updateOne({ _id: email._id }, { $set: { 'labelSync.applied': wanted } });
+  }
+  if (inbox.labelError) {
+    await Inbox.updateOne({ _id: inbox._id }, { $unset: { labelError: 1, labelErrorAt: 1 } });
+  }
+  return 'synced';
+}
+
+/** Puts an inbox's failed label syncs back in the queue with a fresh attempt budget. */
+export async function retryFailedLabelSyncs(inbox: { _id: mongoose.Types.ObjectId }): Promise<number> {
+  const result = await Email.updateMany(
+    { 'labelSync.inboxId': inbox._id, 'labelSync.status': 'failed' },
+    { $set: { 'labelSync.status': 'pending', 'labelSync.attempts': 0, 'labelSync.nextAttemptAt': new Date() } },
+  );
+  return result.modifiedCount;
+}
+
+export interface LabelSyncCounts {
+  pending: number;
+  failed: number;
+}
+
+/** Queued and failed label syncs per inbox id. */
+export async function labelSyncCounts(): Promise<Map<string, LabelSyncCounts>> {
+  const rows = await Email.aggregate<{ _id: { inboxId: mongoose.Types.ObjectId | null; status: string }; count: number }>([
+    { $match: { 'labelSync.status': { $in: ['pending', 'syncing', 'failed'] } } },
+    { $group: { _id: { inboxId: '$labelSync.inboxId', status: '$labelSync.status' }, count: { $sum: 1 } } },
+  ]);
+
+  const counts = new Map<string, LabelSyncCounts>();
+  for (const row of rows) {
+    const key = String(row._id.inboxId ?? '');
+    const entry = counts.get(key) ?? { pending: 0, failed: 0 };
+    if (row._id.status === 'failed') entry.failed += row.count;
+    else entry.pending += row.count;
+    counts.set(key, entry);
+  }
+  return counts;
+}
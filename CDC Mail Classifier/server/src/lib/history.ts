@@ -0,0 +1,117 @@
+import type mongoose from 'mongoose';
+import { EmailRevision } from '../models/EmailRevision.js';
+import type { PipelineOutput } from './pipeline.js';
+import type { FieldChange } from '../types/index.js';
+
+/** Email fields tracked across revisions. */
+export const REVISION_FIELDS = [
+  'department',
+  'mailType',
+  'confidence',
+  'jobNumber',
+  'clientName',
+  'isbn',
+  'title',
+  'quantity',
+  'dueDate',
+  'summary',
+  'actionRequired',
+  'typeSpecific',
+] as const;
+
+type Snapshot = Record<string, unknown>;
+
+export function snapshotFields(source: object): Snapshot {
+  const values = source as Snapshot;
+  const snapshot: Snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = values[field] ?? (field === 'typeSpecific' ? {} : '');
+  }
+  return snapshot;
+}
+
+function sameValue(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+}
+
+export function diffSnapshots(before: Snapshot, after: Snapshot): FieldChange[] {
+  const changes: FieldChange[] = [];
+  for (const field of REVISION_FIELDS) {
+    if (!sameValue(before[field], after[field])) {
+      changes.push({ field, from: before[field] ?? '', to: after[field] ?? '' });
+    }
+  }
+  return changes;
+}
+
+export async function recordClassificationRevision(
+  emailId: mongoose.Types.ObjectId | string,
+  output: PipelineOutput,
+  source: 'worker' | 'reclassify',
+  previous?: object,
+  user?: string,
+): Promise<void> {
+  const snapshot = snapshotFields(output.fields);
+  await EmailRevision.create({
+    emailId,
+    kind: 'classification',
+    source,
+    classifier: output.fields.classifier,
+    classifierTier: output.fields.classifierTier,
+    promptVersion: output.promptVersion,
+    raw: output.raw,
+    snapshot,
+    changes: previous ? diffSnapshots(snapshotFields(previous), snapshot) : [],
+    user,
+  });
+}
+
+/** No-op when the edit did not change any tracked field. */
+export async function recordEditRevision(
+  emailId: mongoose.Types.ObjectId | string,
+  before: object,
+  after: object,
+  user?: string,
+): Promise<void> {
+  const changes = diffSnapshots(snapshotFields(before), snapshotFields(after));
+  if (changes.length === 0) return;
+
+  await EmailRevision.create({
+    emailId,
+    kind: 'edit',
+    source: 'review',
+    snapshot: snapshotFields(after),
+    changes,
+    user,
+  });
+}
+
+/** Workflow fields tracked in the audit trail; not part of the classification snapshot. */
+const WORKFLOW_FIELDS = ['workflowStatus', 'assignee'] as const;
+
+/** No-op when neither the status nor the assignee changed. */
+export async function recordWorkflowRevision(
+  emailId: mongoose.Types.ObjectId | string,
+  before: object,
+  after: object,
+  user?: string,
+): Promise<void> {
+  const from = before as Snapshot;
+  const to = after as Snapshot;
+  const changes: FieldChange[] = [];
+  for (const field of WORKFLOW_FIELDS) {
+    if (!sameValue(from[field], to[field])) {
+      changes.push({ field, from: from[field] ?? '', to: to[field] ?? '' });
+    }
+  }
+  if (changes.length === 0) return;
+
+  await EmailRevision.create({
+    emailId,
+    kind: 'workflow',
+    source: 'review',
+    snapshot: snapshotFields(after),
+    changes,
+    user,
+  });
+}
@@ -0,0 +1,122 @@
+import { config } from '../config.js';
+import { Inbox } from '../models/Inbox.js';
+import { startOfLocalDay } from './cost.js';
+import { publishEvent } from './events.js';
+import { isInvalidGrantError } from './gmail.js';
+import { sendPlainEmail } from './notify/index.js';
+
+type InboxInstance = InstanceType<typeof Inbox>;
+
+function inboxName(inbox: InboxInstance): string {
+  return inbox.label ?? inbox.emailAddress ?? String(inbox._id);
+}
+
+/**
+ * Tells admins on the dashboard and, when SMTP is configured, by email.
+ * Never throws: a failed alert must not fail the sync that raised it.
+ */
+async function alertAdmins(inbox: InboxInstance, problem: string): Promise<void> {
+  publishEvent({ type: 'inbox.error', inbox: inboxName(inbox), error: problem });
+
+  const targets = config.inboxHealth.alertEmails.length > 0 ? config.inboxHealth.alertEmails : config.auth.adminEmails;
+  if (targets.length === 0 || !config.notifications.smtp.host) return;
+  try {
+    await sendPlainEmail(
+      [...targets],
+      `[CDC Mail] Inbox ${inboxName(inbox)} needs attention`,
+      `${inbox.emailAddress}: ${problem}\n\nOpen ${config.clientUrl}/inboxes to check it.`,
+    );
+  } catch (err) {
+    console.error(`[Health] Failed to email alert for ${inbox.emailAddress}`, err);
+  }
+}
+
+/**
+ * Called after each successful sync, with the number of messages it processed
+ * and the messages it gave up on. Messages still waiting in `syncRetries` mark
+ * the inbox `retrying` rather than `ok`; dropped ones alert admins.
+ */
+export async function recordSyncSuccess(
+  inbox: InboxInstance,
+  processed: number,
+  dropped: { messageId: string; lastError: string }[] = [],
+  now = new Date(),
+): Promise<void> {
+  const today = startOfLocalDay(now);
+  if (inbox.processedDay?.getTime() !== today.getTime()) {
+    inbox.processedDay = today;
+    inbox.processedToday = 0;
+  }
+  inbox.processedToday = (inbox.processedToday ?? 0) + processed;
+  const retrying = inbox.syncRetries ?? [];
+  inbox.health = retrying.length > 0 ? 'retrying' : 'ok';
+  if (retrying.length > 0) {
+    inbox.lastError = `${retrying.length} message(s) failed to sync and will be retried: ${retrying[0].lastError ?? 'unknown error'}`;
+    inbox.lastErrorAt = now;
+  }
+  if (dropped.length > 0) {
+    inbox.lastError = `Gave up on ${dropped.length} message(s) after ${config.poll.maxMessageAttempts} syncs: ${dropped[0].lastError}`;
+    inbox.lastErrorAt = now;
+  }
+  inbox.consecutiveFailures = 0;
+  inbox.staleAlertedAt = undefined;
+  await inbox.save();
+
+  if (dropped.length > 0) {
+    const ids = dropped.map((d) => d.messageId).join(', ');
+    await alertAdmins(
+      inbox,
+      `Gave up on ${dropped.length} message(s) after ${config.poll.maxMessageAttempts} failed syncs (Gmail ids ${ids}). ` +
+        `Last error: ${dropped[0].lastError}. Run a backfill over their dates once the cause is fixed.`,
+    );
+  }
+}
+
+/**
+ * Records a failed sync. A revoked refresh token (`invalid_grant`) deactivates
+ * the inbox and marks it `reconnect_required` instead of failing every minute;
+ * reconnecting through Google OAuth reactivates it.
+ */
+export async function recordSyncFailure(inbox: InboxInstance, err: unknown, now = new Date()): Promise<void> {
+  const message = err instanceof Error ? err.message : String(err);
+  const revoked = isInvalidGrantError(err);
+
+  const update: Record<string, unknown> = {
+    lastError: message,
+    lastErrorAt: now,
+    health: revoked ? 'reconnect_required' : 'failing',
+  };
+  if (revoked) update.active = false;
+
+  await Inbox.updateOne(
+    { _id: inbox._id },
+    {
+      $set: update,
+      $inc: { consecutiveFailures: 1 },
+      ...(revoked ? { $unset: { refreshToken: 1, watchExpiration: 1 } } : {}),
+    },
+  );
+
+  if (revoked) {
+    console.warn(`[Health] ${inbox.emailAddress}: Gmail access revoked, inbox paused until reconnected`);
+    await alertAdmins(inbox, 'Gmail access was revoked or expired. Reconnect the inbox to resume syncing.');
+  }
+}
+
+/** Alerts once for each active inbox that has not synced for `staleAfterMinutes`. */
+export async function checkStaleInboxes(now = new Date()): Promise<void> {
+  const cutoff = new Date(now.getTime() - config.inboxHealth.staleAfterMinutes * 60_000);
+  const stale = await Inbox.find({
+    active: true,
+    refreshToken: { $exists: true },
+    staleAlertedAt: { $exists: false },
+    $or: [{ lastSyncedAt: { $lt: cutoff } }, { lastSyncedAt: { $exists: false }, createdAt: { $lt: cutoff } }],
+  });
+
+  for (const inbox of stale) {
+    const since = inbox.lastSyncedAt ? `since ${inbox.lastSyncedAt.toISOString()}` : 'yet';
+    const reason = inbox.lastError ? ` Last error: ${inbox.lastError}` : '';
+    await alertAdmins(inbox, `No successful sync ${since}.${reason}`);
+    await Inbox.updateOne({ _id: inbox._id }, { $set: { staleAlertedAt: now } });
+  }
+}
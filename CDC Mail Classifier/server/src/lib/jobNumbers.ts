@@ -0,0 +1,29 @@
+/**
+ * Canonical form for job numbers so `JC-2024-1138`, `24/1138`, `Job #24-1138`
+ * and `24-1138` all group together. Year-prefixed numbers normalise to
+ * `YY-NNNN`; anything else is upper-cased with separators collapsed.
+ */
+export function normalizeJobNumber(raw: string | null | undefined): string {
+  if (!raw) return '';
+
+  const cleaned = raw
+    .toUpperCase()
+    .trim()
+    .replace(/^(?:JOB\s*(?:NO\.?|NUMBER)?|JC|JOB)\s*[#:.-]?\s*/, '')
+    .replace(/^#\s*/, '')
+    .replace(/[\s_/\\.]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  const yearSeq = cleaned.match(/^(?:20)?(\d{2})-?(\d{3,5})$/);
+  if (yearSeq) {
+    return `${yearSeq[1]}-${yearSeq[2].padStart(4, '0')}`;
+  }
+
+  return cleaned;
+}
+
+/** First job-number-looking token in free text, as written. */
+export function extractJobNumber(text: string): string {
+  return text.match(/\b(?:JC-)?\d{2,4}-\d{3,5}\b/i)?.[0] ?? '';
+}
@@ -0,0 +1,174 @@
+import { Email } from '../models/Email.js';
+import { normalizeJobNumber } from './jobNumbers.js';
+import type { JobGroupKey, JobSummary, JobViewResponse } from '../types/index.js';
+
+const MAIL_TYPE_GROUPS: Record<string, JobGroupKey> = {
+  'File received': 'files',
+  'Correction received': 'corrections',
+  'Approval received': 'approvals',
+  'Production query': 'queries',
+  'Request for quote received': 'quotes',
+};
+
+type JobEmail = Awaited<ReturnType<typeof findJobEmails>>[number];
+
+/** `scope` is an extra Email filter, e.g. a reviewer's departments. */
+type Scope = Record<string, unknown> | null;
+
+function findJobEmails(jobKey: string, scope: Scope = null) {
+  // Copies from other inboxes would list the same mail twice.
+  return Email.find({ jobKey, duplicateOf: null, ...scope })
+    .select('-body -attachmentFiles.extractedText')
+    .sort({ sentDate: 1 })
+    .lean();
+}
+
+function parseRound(value: unknown): number | null {
+  const n = parseInt(String(value ?? ''), 10);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * Correction round comes from `typeSpecific.round` when the classifier found
+ * one; otherwise it is the number of correction mails seen so far.
+ */
+function deriveCorrectionRound(corrections: JobEmail[]): number | null {
+  if (corrections.length === 0) return null;
+  const stated = corrections
+    .map((e) => parseRound((e.typeSpecific as Record<string, unknown> | undefined)?.round))
+    .filter((n): n is number => n !== null);
+  return stated.length > 0 ? Math.max(...stated) : corrections.length;
+}
+
+function deriveApprovalStatus(
+  approvals: JobEmail[],
+  corrections: JobEmail[],
+): JobViewResponse['latestApproval'] {
+  const latestApproval = approvals[approvals.length - 1];
+  const latestCorrection = corrections[corrections.length - 1];
+  const approvalTime = latestApproval?.sentDate?.getTime() ?? -Infinity;
+  const correctionTime = latestCorrection?.sentDate?.getTime() ?? -Infinity;
+
+  if (latestCorrection && correctionTime > approvalTime) {
+    return {
+      status: 'Corrections pending',
+      emailId: String(latestCorrection._id),
+      sentDate: latestCorrection.sentDate ?? null,
+      item: '',
+    };
+  }
+
+  if (!latestApproval) return null;
+
+  const typeSpecific = (latestApproval.typeSpecific ?? {}) as Record<string, unknown>;
+  return {
+    status: typeSpecific.clean_approval === false ? 'Approved with changes' : 'Approved',
+    emailId: String(latestApproval._id),
+    sentDate: latestApproval.sentDate ?? null,
+    item: typeof typeSpecific.approved_item === 'string' ? typeSpecific.approved_item : '',
+  };
+}
+
+export async function buildJobView(
+  jobNumber: string,
+  scope: Scope = null,
+): Promise<JobViewResponse | null> {
+  const jobKey = normalizeJobNumber(jobNumber);
+  if (!jobKey) return null;
+
+  const emails = await findJobEmails(jobKey, scope);
+  if (emails.length === 0) return null;
+
+  const groups: Record<JobGroupKey, JobEmail[]> = {
+    files: [],
+    corrections: [],
+    approvals: [],
+    queries: [],
+    quotes: [],
+    other: [],
+  };
+  for (const email of emails) {
+    groups[MAIL_TYPE_GROUPS[email.mailType ?? ''] ?? 'other'].push(email);
+  }
+
+  const distinct = (values: (string | null | undefined)[]) =>
+    [...new Set(values.filter((v): v is string => !!v))];
+
+  return {
+    jobKey,
+    aliases: distinct(emails.map((e) => e.jobNumber)),
+    totalEmails: emails.length,
+    inboxes: distinct(emails.map((e) => e.inbox)),
+    clientNames: distinct(emails.map((e) => e.clientName)),
+    titles: distinct(emails.map((e) => e.title)),
+    firstSentDate: emails[0].sentDate ?? null,
+    lastSentDate: emails[emails.length - 1].sentDate ?? null,
+    latestApproval: deriveApprovalStatus(groups.approvals, groups.corrections),
+    correctionRound: deriveCorrectionRound(groups.corrections),
+    groups,
+  };
+}
+
+export async function listRecentJobs(
+  search: string,
+  scope: Scope = null,
+  limit = 50,
+): Promise<JobSummary[]> {
+  const match: Record<string, unknown> = { jobKey: { $nin: [null, ''] }, duplicateOf: null, ...scope };
+  const key = normalizeJobNumber(search);
+  if (key) {
+    match.jobKey = { $regex: `^${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+  }
+
+  const rows = await Email.aggregate<{
+    _id: string;
+    count: number;
+    lastSentDate: Date;
+    clientName: string | null;
+    title: string | null;
+  }>([
+    { $match: match },
+    { $sort: { sentDate: 1 } },
+    {
+      $group: {
+        _id: '$jobKey',
+        count: { $sum: 1 },
+        lastSentDate: { $max: '$sentDate' },
+        clientName: { $last: '$clientName' },
+        title: { $last: '$title' },
+      },
+    },
+    { $sort: { lastSentDate: -1 } },
+    { $limit: limit },
+  ]);
+
+  return rows.map((r) => ({
+    jobKey: r._id,
+    count: r.count,
+    lastSentDate: r.lastSentDate,
+    clientName: r.clientName ?? '',
+    title: r.title ?? '',
+  }));
+}
+
+/** One-off migration for mail classified before `jobKey` existed. */
+export async function backfillJobKeys(): Promise<number> {
+  const missing = await Email.find({
+    jobNumber: { $nin: [null, ''] },
+    jobKey: { $exists: false },
+  })
+    .select('jobNumber')
+    .lean();
+
+  if (missing.length === 0) return 0;
+
+  await Email.bulkWrite(
+    missing.map((e) => ({
+      updateOne: {
+        filter: { _id: e._id },
+        update: { $set: { jobKey: normalizeJobNumber(e.jobNumber) } },
+      },
+    })),
+  );
+  return missing.length;
+}
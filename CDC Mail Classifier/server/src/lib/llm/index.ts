@@ -0,0 +1,47 @@
+import { config } from '../../config.js';
+import type { LlmProviderName } from '../../types/index.js';
+import { createAzureProvider, createLocalProvider, createOpenAIProvider } from './openai.js';
+import { StubProvider } from './stub.js';
+import type { LlmProvider } from './types.js';
+
+export type {
+  ChatMessage,
+  CompletionRequest,
+  CompletionResult,
+  EmbeddingRequest,
+  EmbeddingResult,
+  LlmProvider,
+} from './types.js';
+
+export const LLM_PROVIDERS: LlmProviderName[] = ['openai', 'azure', 'local', 'stub'];
+
+const providers = new Map<LlmProviderName, LlmProvider>();
+
+function createProvider(name: LlmProviderName): LlmProvider {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider(config.openaiApiKey);
+    case 'azure':
+      return createAzureProvider(config.llm.azure);
+    case 'local':
+      return createLocalProvider(config.llm.local);
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${String(name)}`);
+  }
+}
+
+/** Providers are created lazily so unused ones need no credentials. */
+export function getProvider(name: LlmProviderName): LlmProvider {
+  let provider = providers.get(name);
+  if (!provider) {
+    provider = createProvider(name);
+    providers.set(name, provider);
+  }
+  return provider;
+}
+
+export function isLlmProviderName(value: unknown): value is LlmProviderName {
+  return typeof value === 'string' && (LLM_PROVIDERS as string[]).includes(value);
+}
@@ -0,0 +1,68 @@
+import OpenAI, { AzureOpenAI } from 'openai';
+import type { LlmProviderName } from '../../types/index.js';
+import type {
+  CompletionRequest,
+  CompletionResult,
+  EmbeddingRequest,
+  EmbeddingResult,
+  LlmProvider,
+} from './types.js';
+
+/**
+ * Covers every OpenAI-wire-compatible backend: OpenAI itself, Azure OpenAI
+ * (model name = deployment name) and local servers such as Ollama.
+ */
+export class OpenAICompatibleProvider implements LlmProvider {
+  constructor(
+    readonly name: LlmProviderName,
+    private readonly client: OpenAI,
+  ) {}
+
+  async complete(request: CompletionRequest): Promise<CompletionResult> {
+    const response = await this.client.chat.completions.create({
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      ...(request.json ? { response_format: { type: 'json_object' as const } } : {}),
+    });
+
+    return {
+      content: response.choices[0]?.message?.content ?? '',
+      usage: response.usage
+        ? {
+            promptTokens: response.usage.prompt_tokens,
+            completionTokens: response.usage.completion_tokens,
+          }
+        : undefined,
+    };
+  }
+
+  async embed(request: EmbeddingRequest): Promise<EmbeddingResult> {
+    const response = await this.client.embeddings.create({ model: request.model, input: request.input });
+    return {
+      vectors: [...response.data].sort((a, b) => a.index - b.index).map((d) => d.embedding),
+      usage: response.usage ? { promptTokens: response.usage.prompt_tokens } : undefined,
+    };
+  }
+}
+
+export function createOpenAIProvider(apiKey: string): LlmProvider {
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY is required for the openai provider');
+  }
+  return new OpenAICompatibleProvider('openai', new OpenAI({ apiKey }));
+}
+
+export function createAzureProvider(opts: { endpoint: string; apiKey: string; apiVersion: string }): LlmProvider {
+  if (!opts.endpoint || !opts.apiKey) {
+    throw new Error('AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY are required for the azure provider');
+  }
+  return new OpenAICompatibleProvider(
+    'azure',
+    new AzureOpenAI({ endpoint: opts.endpoint, apiKey: opts.apiKey, apiVersion: opts.apiVersion }),
+  );
+}
+
+export function createLocalProvider(opts: { baseUrl: string; apiKey: string }): LlmProvider {
+  return new OpenAICompatibleProvider('local', new OpenAI({ baseURL: opts.baseUrl, apiKey: opts.apiKey }));
+}
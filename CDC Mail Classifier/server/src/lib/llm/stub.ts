@@ -0,0 +1,106 @@
+import { extractJobNumber } from '../jobNumbers.js';
+import type { ClassificationResult } from '../../types/index.js';
+import type {
+  CompletionRequest,
+  CompletionResult,
+  EmbeddingRequest,
+  EmbeddingResult,
+  LlmProvider,
+} from './types.js';
+
+interface StubRule {
+  pattern: RegExp;
+  department?: ClassificationResult['department'];
+  mailType: ClassificationResult['mail_type'];
+  confidence: number;
+}
+
+/** First match wins, so more specific phrases come first. */
+const RULES: StubRule[] = [
+  { pattern: /out of (the )?office|auto(matic)?[- ]reply|undeliverable|delivery status notification|mailer-daemon/, mailType: '', confidence: 0.2 },
+  { pattern: /approved with (minor )?changes|subject to correction|correction|amend|changes? (required|needed)/, mailType: 'Correction received', confidence: 0.8 },
+  { pattern: /\bapproved\b|go ahead|ok(ay)? to print|you can print/, mailType: 'Approval received', confidence: 0.8 },
+  { pattern: /\bquot(e|ation)\b|\brfq\b|best price|rate for/, department: 'Packagingcrm', mailType: 'Request for quote received', confidence: 0.75 },
+  { pattern: /dispatch|schedule|machine|delivery date|run status|production/, department: 'Production', mailType: 'Production query', confidence: 0.75 },
+  { pattern: /attached|attachment|files?\b|\.pdf|artwork|wetransfer/, mailType: 'File received', confidence: 0.7 },
+];
+
+const PACKAGING = /carton|box(es)?\b|label|dieline|packaging|mono ?carton/;
+
+function findIsbn(text: string): string {
+  const match = text.match(/\b(?:97[89][-\s]?)?(?:\d[-\s]?){9}[\dXx]\b/);
+  return match ? match[0].replace(/[^\dXx]/g, '').toUpperCase() : '';
+}
+
+function extractEmailText(request: CompletionRequest): string {
+  const lastUser = [...request.messages].reverse().find((m) => m.role === 'user');
+  return lastUser?.content ?? '';
+}
+
+/**
+ * Deterministic, network-free classifier for tests and offline development.
+ * Applies keyword rules to the last user message and answers in the same JSON
+ * schema as the real models.
+ */
+export function classifyWithRules(text: string): ClassificationResult {
+  const lower = text.toLowerCase();
+  const subject = text.match(/^Subject:\s*(.*)$/m)?.[1] ?? '';
+  const rule = RULES.find((r) => r.pattern.test(lower));
+
+  const department: ClassificationResult['department'] =
+    rule?.department ?? (PACKAGING.test(lower) ? 'Packprepress' : rule ? 'Prepress' : '');
+
+  return {
+    department: rule?.mailType === '' ? '' : department,
+    mail_type: rule?.mailType ?? '',
+    confidence: rule?.confidence ?? 0.4,
+    job_number: extractJobNumber(text),
+    client_name: '',
+    isbn: findIsbn(text),
+    title: '',
+    quantity: text.match(/\b(\d{1,3}(?:,\d{3})+|\d{3,})\s*(?:copies|pcs|units|nos)\b/i)?.[1]?.replace(/,/g, '') ?? '',
+    due_date: '',
+    summary: rule?.mailType === '' ? 'auto-reply or empty' : subject.slice(0, 120),
+    action_required: '',
+    type_specific: {},
+  };
+}
+
+const STUB_EMBEDDING_DIMENSIONS = 256;
+
+/** FNV-1a, enough to spread words over the stub vector. */
+function hashWord(word: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < word.length; i++) {
+    hash ^= word.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Hashed bag of words, L2-normalised. Texts sharing vocabulary land close
+ * together, which is enough to exercise similar-mail search offline.
+ */
+export function hashEmbedding(text: string): number[] {
+  const vector = new Array<number>(STUB_EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]{3,}/g) ?? []) {
+    const hash = hashWord(word);
+    vector[hash % STUB_EMBEDDING_DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+  }
+  const norm = Math.hypot(...vector);
+  return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+export class StubProvider implements LlmProvider {
+  readonly name = 'stub' as const;
+
+  async complete(request: CompletionRequest): Promise<CompletionResult> {
+    const content = JSON.stringify(classifyWithRules(extractEmailText(request)));
+    return { content, usage: { promptTokens: 0, completionTokens: 0 } };
+  }
+
+  async embed(request: EmbeddingRequest): Promise<EmbeddingResult> {
+    return { vectors: request.input.map(hashEmbedding), usage: { promptTokens: 0 } };
+  }
+}
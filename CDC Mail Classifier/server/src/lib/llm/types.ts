@@ -0,0 +1,41 @@
+import type { LlmProviderName } from '../../types/index.js';
+
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface CompletionRequest {
+  model: string;
+  messages: ChatMessage[];
+  temperature?: number;
+  /** Ask the provider for a JSON object response. */
+  json?: boolean;
+}
+
+export interface CompletionResult {
+  content: string;
+  usage?: {
+    promptTokens: number;
+    completionTokens: number;
+  };
+}
+
+export interface EmbeddingRequest {
+  model: string;
+  input: string[];
+}
+
+export interface EmbeddingResult {
+  /** One vector per input, in input order. */
+  vectors: number[][];
+  usage?: {
+    promptTokens: number;
+  };
+}
+
+export interface LlmProvider {
+  readonly name: LlmProviderName;
+  complete(request: CompletionRequest): Promise<CompletionResult>;
+  embed(request: EmbeddingRequest): Promise<EmbeddingResult>;
+}
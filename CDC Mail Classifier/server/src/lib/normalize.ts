@@ -1,7 +1,38 @@
 import type { gmail_v1 } from 'googleapis';
 import { config } from '../config.js';
 import { buildGmailLink } from './gmail.js';
-import type { NormalizedEmail } from '../types/index.js';
+import { contentHash, normalizeInternetMessageId } from './duplicates.js';
+import type {
+  AttachmentRef,
+  NormalizedEmail,
+  Redaction,
+  RedactionCategory,
+  RedactionOptions,
+} from '../types/index.js';
+
+interface StoredEmailSource {
+  messageId: string;
+  threadId?: string | null;
+  inbox?: string | null;
+  fromName?: string | null;
+  fromEmail?: string | null;
+  toField?: string | null;
+  ccField?: string | null;
+  subject?: string | null;
+  sentDate?: Date | null;
+  body?: string | null;
+  attachments?: string[] | null;
+  attachmentFiles?:
+    | {
+        fileId?: unknown;
+        filename?: string | null;
+        mimeType?: string | null;
+        size?: number | null;
+        extractedText?: string | null;
+      }[]
+    | null;
+  gmailLink?: string | null;
+}
 
 interface HeaderMap {
   from: string;
@@ -91,20 +122,33 @@ function extractBodyFromPart(part: gmail_v1.Schema$MessagePart): { plain?: strin
   return result;
 }
 
-function extractAttachments(part: gmail_v1.Schema$MessagePart | undefined, names: string[]): void {
+function collectAttachmentRefs(part: gmail_v1.Schema$MessagePart | undefined, refs: AttachmentRef[]): void {
   if (!part) return;
 
   if (part.filename && part.filename.length > 0) {
-    names.push(part.filename);
+    refs.push({
+      filename: part.filename,
+      mimeType: part.mimeType ?? 'application/octet-stream',
+      size: part.body?.size ?? 0,
+      partId: part.partId ?? '',
+      attachmentId: part.body?.attachmentId ?? undefined,
+      inlineData: part.body?.attachmentId ? undefined : part.body?.data ?? undefined,
+    });
   }
 
   if (part.parts) {
     for (const child of part.parts) {
-      extractAttachments(child, names);
+      collectAttachmentRefs(child, refs);
     }
   }
 }
 
+export function extractAttachmentRefs(message: gmail_v1.Schema$Message): AttachmentRef[] {
+  const refs: AttachmentRef[] = [];
+  collectAttachmentRefs(message.payload, refs);
+  return refs;
+}
+
 function resolveBody(payload: gmail_v1.Schema$MessagePart | undefined): string {
   if (!payload) return '';
 
@@ -140,15 +184,15 @@ export function normalizeGmailMessage(
     subject: getHeader(message.payload?.headers, 'Subject'),
     date: getHeader(message.payload?.headers, 'Date'),
   };
+  const internetMessageId = normalizeInternetMessageId(getHeader(message.payload?.headers, 'Message-ID'));
 
   const { fromName, fromEmail } = parseFromField(headers.from);
-  const attachments: string[] = [];
-  extractAttachments(message.payload, attachments);
+  const attachments = extractAttachmentRefs(message).map((ref) => ref.filename);
 
   const messageId = message.id ?? '';
   const sentDate = headers.date ? new Date(headers.date) : new Date();
 
-  return {
+  const normalized: NormalizedEmail = {
     messageId,
     threadId: message.threadId ?? '',
     inbox: inboxLabel,
@@ -160,7 +204,59 @@ export function normalizeGmailMessage(
     sentDate: Number.isNaN(sentDate.getTime()) ? new Date() : sentDate,
     body: resolveBody(message.payload),
     attachments,
+    attachmentFiles: [],
     gmailLink: buildGmailLink(messageId),
+    internetMessageId,
+  };
+  normalized.contentHash = contentHash(normalized);
+  return normalized;
+}
+
+/** Fields stored on the Email document as they came from Gmail, before classification. */
+export function toEmailFields(normalized: NormalizedEmail): Record<string, unknown> {
+  return {
+    messageId: normalized.messageId,
+    threadId: normalized.threadId,
+    inbox: normalized.inbox,
+    fromName: normalized.fromName,
+    fromEmail: normalized.fromEmail,
+    toField: normalized.toField,
+    ccField: normalized.ccField,
+    subject: normalized.subject,
+    sentDate: normalized.sentDate,
+    gmailLink: normalized.gmailLink,
+    body: normalized.body,
+    attachments: normalized.attachments,
+    attachmentFiles: normalized.attachmentFiles,
+    contentHash: normalized.contentHash ?? contentHash(normalized),
+    ...(normalized.internetMessageId
+      ? { internetMessageId: normalizeInternetMessageId(normalized.internetMessageId) }
+      : {}),
+  };
+}
+
+/** Stored mail in the shape the classifier takes, for reclassifying and evaluation runs. */
+export function fromStoredEmail(email: StoredEmailSource): NormalizedEmail {
+  return {
+    messageId: email.messageId,
+    threadId: email.threadId ?? '',
+    inbox: email.inbox ?? '',
+    fromName: email.fromName ?? '',
+    fromEmail: email.fromEmail ?? '',
+    toField: email.toField ?? '',
+    ccField: email.ccField ?? '',
+    subject: email.subject ?? '',
+    sentDate: email.sentDate ?? new Date(),
+    body: email.body ?? '',
+    attachments: email.attachments ?? [],
+    attachmentFiles: (email.attachmentFiles ?? []).map((f) => ({
+      fileId: f.fileId ? String(f.fileId) : undefined,
+      filename: f.filename ?? '',
+      mimeType: f.mimeType ?? '',
+      size: f.size ?? 0,
+      extractedText: f.extractedText ?? '',
+    })),
+    gmailLink: email.gmailLink ?? '',
   };
 }
 
@@ -173,3 +269,187 @@ export function validateNormalizedEmail(email: NormalizedEmail): string[] {
   }
   return errors;
 }
+
+const PLACEHOLDER_PREFIX: Record<RedactionCategory, string> = {
+  phone: 'PHONE',
+  bank: 'BANK',
+  tax_id: 'TAX_ID',
+  price: 'PRICE',
+  email: 'EMAIL',
+  name: 'NAME',
+};
+
+const PLACEHOLDER_PATTERN = /\[(?:PHONE|BANK|TAX_ID|PRICE|EMAIL|NAME)_\d+\]/g;
+
+const EMAIL_PATTERN = /\b([A-Za-z0-9._%+-]+)@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})\b/g;
+
+/** Display names in a From/To/CC header, e.g. `Asha Rao` in `"Asha Rao" <asha@…>`. */
+const HEADER_NAME_PATTERN = /(^|,)(\s*"?)([^",<]+?)("?\s*<)/g;
+
+interface RedactionPattern {
+  category: RedactionCategory;
+  pattern: RegExp;
+  /** Masks only this capture group, so labels such as "A/c no:" stay readable. */
+  group?: number;
+  /** Rejects matches that only look sensitive. */
+  accept?: (match: string, text: string, offset: number) => boolean;
+}
+
+function digitCount(value: string): number {
+  return value.replace(/\D/g, '').length;
+}
+
+/**
+ * Applied in order. Tax ids and bank codes run before phone numbers so their
+ * digits are not taken for one; a bare 10-digit number right after "ISBN" is
+ * an ISBN-10, not a mobile number.
+ */
+const REDACTION_PATTERNS: RedactionPattern[] = [
+  // GSTIN, then PAN (a GSTIN contains a PAN).
+  { category: 'tax_id', pattern: /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/g },
+  { category: 'tax_id', pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g },
+  // IFSC, IBAN, then labelled account numbers and SWIFT/BIC codes.
+  { category: 'bank', pattern: /\b[A-Z]{4}0[A-Z0-9]{6}\b/g },
+  { category: 'bank', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+  {
+    category: 'bank',
+    pattern: /\b(?:a\/c|acc(?:oun)?t|account)\s*(?:no\.?|number|#)?\s*[:.-]?\s*(\d[\d -]{6,20}\d)/gi,
+    group: 1,
+  },
+  {
+    category: 'bank',
+    pattern: /\b(?:swift|bic)(?:\s*code)?\s*[:.-]?\s*([A-Z]{6}[A-Z0-9]{2}(?:[A-Z0-9]{3})?)\b/gi,
+    group: 1,
+  },
+  {
+    category: 'phone',
+    pattern: /\b(?:tel|phone|ph|mob(?:ile)?|cell|whatsapp|fax)\.?\s*(?:no\.?|number)?\s*[:.-]?\s*(\+?\(?\d[\d ()-]{6,}\d)/gi,
+    group: 1,
+  },
+  {
+    category: 'phone',
+    pattern: /\+\d{1,3}[ -]?\(?\d{1,5}\)?(?:[ -]?\d{2,5}){1,4}/g,
+    accept: (match) => digitCount(match) >= 8 && digitCount(match) <= 15,
+  },
+  {
+    category: 'phone',
+    pattern: /(?<![\w/-])0?[6-9]\d{4}[ -]?\d{5}(?![\w/-])/g,
+    accept: (_match, text, offset) => !/isbn[\s:-]*$/i.test(text.slice(Math.max(0, offset - 20), offset)),
+  },
+  { category: 'phone', pattern: /(?<![\w/-])0\d{2,4}[ -]\d{3,4}[ -]?\d{4}(?![\w/-])/g },
+  {
+    category: 'price',
+    pattern:
+      /(?<![\w$₹€£])(?:₹|rs\.?|inr|usd|us\$|\$|€|eur|£|gbp)\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:\/-|lakhs?\b|lacs?\b|crores?\b|k\b|mn\b|million\b))?/gi,
+  },
+  { category: 'price', pattern: /(?<![\w.,])\d[\d,]*(?:\.\d+)?\s?(?:\/-|(?:inr|rupees|usd|eur|gbp)\b)/gi },
+];
+
+/**
+ * Masks sensitive values before mail is sent to an LLM, replacing each with a
+ * numbered placeholder such as `[PHONE_1]`. The same value always gets the
+ * same placeholder, and `restore` swaps placeholders the model copied into
+ * its answer back to the original values. Use one instance per classification.
+ */
+export class Redactor {
+  private readonly enabled: Set<RedactionCategory>;
+  private readonly strict: boolean;
+  private readonly byValue = new Map<string, Redaction>();
+  private readonly byPlaceholder = new Map<string, Redaction>();
+  private readonly counts = new Map<RedactionCategory, number>();
+
+  constructor(options?: RedactionOptions) {
+    this.strict = options?.strict ?? false;
+    this.enabled = new Set(this.strict ? config.redaction.all : (options?.categories ?? []));
+  }
+
+  get redactions(): Redaction[] {
+    return [...this.byPlaceholder.values()];
+  }
+
+  private placeholder(category: RedactionCategory, original: string): string {
+    const key = `${category}:${original}`;
+    const existing = this.byValue.get(key);
+    if (existing) return existing.placeholder;
+
+    const n = (this.counts.get(category) ?? 0) + 1;
+    this.counts.set(category, n);
+    const redaction: Redaction = { placeholder: `[${PLACEHOLDER_PREFIX[category]}_${n}]`, category, original };
+    this.byValue.set(key, redaction);
+    this.byPlaceholder.set(redaction.placeholder, redaction);
+    return redaction.placeholder;
+  }
+
+  /** Masks the local part only; the domain still tells the model who the company is. */
+  private maskAddresses(text: string): string {
+    if (!this.enabled.has('email')) return text;
+    return text.replace(EMAIL_PATTERN, (match, local: string, domain: string) => {
+      const personal = config.redaction.personalDomains.includes(domain.toLowerCase());
+      return this.strict || personal ? `${this.placeholder('email', local)}@${domain}` : match;
+    });
+  }
+
+  text(value: string): string {
+    if (!value || this.enabled.size === 0) return value;
+    let text = this.maskAddresses(value);
+    for (const { category, pattern, group, accept } of REDACTION_PATTERNS) {
+      if (!this.enabled.has(category)) continue;
+      text = text.replace(pattern, (match: string, ...args: unknown[]) => {
+        const offset = args[args.length - 2] as number;
+        const whole = args[args.length - 1] as string;
+        if (accept && !accept(match, whole, offset)) return match;
+        if (!group) return this.placeholder(category, match);
+        const value = args[group - 1] as string;
+        const at = match.lastIndexOf(value);
+        return `${match.slice(0, at)}${this.placeholder(category, value)}${match.slice(at + value.length)}`;
+      });
+    }
+    return text;
+  }
+
+  private header(value: string): string {
+    const named = this.enabled.has('name')
+      ? value.replace(
+          HEADER_NAME_PATTERN,
+          (_match, start: string, open: string, name: string, close: string) =>
+            `${start}${open}${this.placeholder('name', name.trim())}${close}`,
+        )
+      : value;
+    return this.maskAddresses(named);
+  }
+
+  /** A copy of the email with every field that reaches the prompt masked. */
+  email(email: NormalizedEmail): NormalizedEmail {
+    if (this.enabled.size === 0) return email;
+    return {
+      ...email,
+      fromName: email.fromName && this.enabled.has('name') ? this.placeholder('name', email.fromName) : email.fromName,
+      fromEmail: this.maskAddresses(email.fromEmail),
+      toField: this.header(email.toField),
+      ccField: this.header(email.ccField),
+      subject: this.text(email.subject),
+      body: this.text(email.body),
+      attachments: email.attachments.map((filename) => this.text(filename)),
+      attachmentFiles: email.attachmentFiles.map((file) => ({
+        ...file,
+        extractedText: this.text(file.extractedText),
+      })),
+    };
+  }
+
+  /** Puts the original values back wherever the model repeated a placeholder. */
+  restore(value: string): string {
+    if (!value || this.byPlaceholder.size === 0) return value;
+    return value.replace(PLACEHOLDER_PATTERN, (placeholder) => this.byPlaceholder.get(placeholder)?.original ?? placeholder);
+  }
+
+  /** `restore` applied to every string in a JSON-like value. */
+  restoreDeep(value: unknown): unknown {
+    if (typeof value === 'string') return this.restore(value);
+    if (Array.isArray(value)) return value.map((item) => this.restoreDeep(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restoreDeep(item)]));
+    }
+    return value;
+  }
+}
@@ -0,0 +1,285 @@
+import { config } from '../config.js';
+import { NotificationRoute } from '../models/NotificationRoute.js';
+import { NotificationDelivery } from '../models/NotificationDelivery.js';
+import { getSender, type NotificationMessage, type RecipientProgress } from './notify/index.js';
+import type { NotificationChannel, NotificationPayload } from '../types/index.js';
+
+export type QueuedDelivery = NonNullable<Awaited<ReturnType<typeof claimNextDelivery>>>;
+
+interface QuietWindow {
+  /** Minutes after local midnight. */
+  start: number;
+  end: number;
+}
+
+/** Parses "22:00-07:00"; returns null for an empty or malformed value. */
+export function parseQuietHours(spec: string): QuietWindow | null {
+  const match = spec.trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const [sh, sm, eh, em] = match.slice(1).map(Number);
+  if (sh > 23 || eh > 23 || sm > 59 || em > 59) return null;
+  const start = sh * 60 + sm;
+  const end = eh * 60 + em;
+  return start === end ? null : { start, end };
+}
+
+/** When `now` falls inside quiet hours, the moment they end; otherwise null. */
+export function quietHoursEnd(now: Date, spec = config.notifications.quietHours): Date | null {
+  const window = parseQuietHours(spec);
+  if (!window) return null;
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const overnight = window.start > window.end;
+  const inside = overnight
+    ? minutes >= window.start || minutes < window.end
+    : minutes >= window.start && minutes < window.end;
+  if (!inside) return null;
+
+  const end = new Date(now);
+  end.setHours(Math.floor(window.end / 60), window.end % 60, 0, 0);
+  if (end <= now) end.setDate(end.getDate() + 1);
+  return end;
+}
+
+interface ClassifiedEmail {
+  _id: unknown;
+  messageId: string;
+  inbox?: string | null;
+  subject?: string | null;
+  fromName?: string | null;
+  fromEmail?: string | null;
+  sentDate?: Date | null;
+  department?: string | null;
+  mailType?: string | null;
+  confidence?: number | null;
+  needsReview?: boolean | null;
+  jobNumber?: string | null;
+  clientName?: string | null;
+  summary?: string | null;
+  actionRequired?: string | null;
+  dueDate?: string | null;
+  gmailLink?: string | null;
+}
+
+export function buildPayload(email: ClassifiedEmail): NotificationPayload {
+  const emailId = String(email._id);
+  return {
+    event: 'email.classified',
+    emailId,
+    messageId: email.messageId,
+    inbox: email.inbox ?? '',
+    subject: email.subject ?? '',
+    fromName: email.fromName ?? '',
+    fromEmail: email.fromEmail ?? '',
+    sentDate: email.sentDate ?? null,
+    department: email.department ?? '',
+    mailType: email.mailType ?? '',
+    confidence: email.confidence ?? 0,
+    needsReview: email.needsReview ?? false,
+    jobNumber: email.jobNumber ?? '',
+    clientName: email.clientName ?? '',
+    summary: email.summary ?? '',
+    actionRequired: email.actionRequired ?? '',
+    dueDate: email.dueDate ?? '',
+    url: `${config.clientUrl}/email/${emailId}`,
+    gmailLink: email.gmailLink ?? '',
+  };
+}
+
+export function renderMessage(payload: NotificationPayload): NotificationMessage {
+  const heading = [payload.department, payload.mailType].filter(Boolean).join(' · ');
+  const from = payload.fromName ? `${payload.fromName} <${payload.fromEmail}>` : payload.fromEmail;
+  const job = [
+    payload.jobNumber && `Job ${payload.jobNumber}`,
+    payload.clientName,
+    payload.dueDate && `due ${payload.dueDate}`,
+  ].filter(Boolean);
+
+  const lines = [
+    heading,
+    `From: ${from}`,
+    `Subject: ${payload.subject || '(no subject)'}`,
+    job.length > 0 ? job.join(' · ') : '',
+    payload.summary,
+    payload.actionRequired ? `Action: ${payload.actionRequired}` : '',
+    payload.needsReview ? 'Low confidence — please check the classification.' : '',
+    payload.url,
+  ];
+
+  return {
+    subject: `[CDC] ${payload.mailType || 'New mail'}: ${payload.subject || '(no subject)'}`,
+    text: lines.filter(Boolean).join('\n'),
+    payload,
+  };
+}
+
+export function routeMatches(
+  route: { department?: string | null; mailTypes?: string[] | null },
+  email: { department?: string | null; mailType?: string | null },
+): boolean {
+  if (route.department && route.department !== email.department) return false;
+  const mailTypes = route.mailTypes ?? [];
+  return mailTypes.length === 0 || mailTypes.includes(email.mailType ?? '');
+}
+
+/**
+ * Queues a delivery for every active route matching a freshly classified
+ * email. Unclassified mail (e.g. skipped by a rule) never notifies, and an
+ * email is only ever sent once per route.
+ */
+export async function queueNotifications(email: ClassifiedEmail): Promise<number> {
+  if (!email.department && !email.mailType) return 0;
+
+  const routes = await NotificationRoute.find({ active: true }).lean();
+  const matched = routes.filter((route) => routeMatches(route, email));
+  if (matched.length === 0) return 0;
+
+  const message = renderMessage(buildPayload(email));
+
+  let queued = 0;
+  for (const route of matched) {
+    const result = await NotificationDelivery.updateOne(
+      { routeId: route._id, emailId: email._id },
+      {
+        $setOnInsert: {
+          routeId: route._id,
+          routeName: route.name,
+          emailId: email._id,
+          channel: route.channel,
+          target: route.target,
+          subject: message.subject,
+          text: message.text,
+          payload: message.payload,
+          ignoreQuietHours: route.ignoreQuietHours,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: new Date(),
+        },
+      },
+      { upsert: true },
+    );
+    if (result.upsertedCount > 0) queued++;
+  }
+  return queued;
+}
+
+/** Atomically claims the oldest due delivery, reclaiming stale locks. */
+export async function claimNextDelivery() {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - config.notifications.lockTimeoutMs);
+
+  return NotificationDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lt: staleLock } },
+      ],
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true },
+  );
+}
+
+export function deliveryRetryDelayMs(attempts: number): number {
+  const { baseRetryDelayMs, maxRetryDelayMs } = config.notifications;
+  return Math.min(maxRetryDelayMs, baseRetryDelayMs * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Sends one claimed delivery and records the outcome on it. Inside quiet
+ * hours the delivery is pushed back to the end of the window instead.
+ */
+export async function sendDelivery(
+  delivery: QueuedDelivery,
+): Promise<'sent' | 'deferred' | 'retry' | 'failed'> {
+  const quietUntil = delivery.ignoreQuietHours ? null : quietHoursEnd(new Date());
+  if (quietUntil) {
+    await NotificationDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: { status: 'pending', nextAttemptAt: quietUntil, deferredUntil: quietUntil },
+        $unset: { lockedAt: 1 },
+      },
+    );
+    return 'deferred';
+  }
+
+  const message: NotificationMessage = {
+    subject: delivery.subject ?? '',
+    text: delivery.text ?? '',
+    payload: delivery.payload as NotificationPayload,
+  };
+
+  const progress: RecipientProgress = {
+    sent: [...(delivery.sentTo ?? [])],
+    markSent: async (recipient) => {
+      await NotificationDelivery.updateOne({ _id: delivery._id }, { $addToSet: { sentTo: recipient } });
+    },
+  };
+
+  try {
+    await getSender(delivery.channel as NotificationChannel).send(delivery.target, message, progress);
+  } catch (err) {
+    const attempts = delivery.attempts + 1;
+    const gaveUp = attempts >= config.notifications.maxAttempts;
+    await NotificationDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        $set: {
+          status: gaveUp ? 'failed' : 'pending',
+          attempts,
+          lastError: err instanceof Error ? err.message : String(err),
+          nextAttemptAt: new Date(Date.now() + deliveryRetryDelayMs(attempts)),
+        },
+        $unset: { lockedAt: 1 },
+      },
+    );
+    return gaveUp ? 'failed' : 'retry';
+  }
+
+  const sentAt = new Date();
+  await NotificationDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: { status: 'sent', attempts: delivery.attempts + 1, sentAt },
+      $unset: { lockedAt: 1, lastError: 1 },
+    },
+  );
+  await NotificationRoute.updateOne(
+    { _id: delivery.routeId },
+    { $inc: { sentCount: 1 }, $set: { lastSentAt: sentAt } },
+  );
+  return 'sent';
+}
+
+/** Puts a failed delivery back in the queue with a fresh attempt budget. */
+export async function retryDelivery(id: string): Promise<boolean> {
+  const result = await NotificationDelivery.updateOne(
+    { _id: id, status: 'failed' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+  );
+  return result.modifiedCount > 0;
+}
+
+/** Sends a sample message through a route right away, bypassing the queue. */
+export async function sendTestNotification(route: {
+  name: string;
+  channel: string;
+  target: string;
+  department?: string | null;
+  mailTypes?: string[] | null;
+}): Promise<void> {
+  const payload = buildPayload({
+    _id: 'test',
+    messageId: 'test',
+    subject: `Test notification for "${route.name}"`,
+    fromName: 'CDC Mail Classifier',
+    fromEmail: config.notifications.smtp.from || 'noreply@localhost',
+    sentDate: new Date(),
+    department: route.department || 'Prepress',
+    mailType: route.mailTypes?.[0] || 'File received',
+    confidence: 1,
+    summary: 'This is a test message sent from the Notifications page.',
+  });
+  await getSender(route.channel as NotificationChannel).send(route.target, renderMessage(payload));
+}
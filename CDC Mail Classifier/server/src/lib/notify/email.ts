@@ -0,0 +1,52 @@
+import nodemailer, { type Transporter } from 'nodemailer';
+import type { NotificationMessage, NotificationSender } from './types.js';
+
+export interface EmailAttachment {
+  filename: string;
+  content: Buffer;
+}
+
+interface SmtpOptions {
+  host: string;
+  port: number;
+  secure: boolean;
+  user: string;
+  pass: string;
+  from: string;
+}
+
+export class SmtpSender implements NotificationSender {
+  readonly name = 'email' as const;
+  private readonly transport: Transporter;
+
+  constructor(private readonly opts: SmtpOptions) {
+    this.transport = nodemailer.createTransport({
+      host: opts.host,
+      port: opts.port,
+      secure: opts.secure,
+      auth: opts.user ? { user: opts.user, pass: opts.pass } : undefined,
+    });
+  }
+
+  async send(target: string, message: NotificationMessage): Promise<void> {
+    await this.sendText(target, message.subject, message.text);
+  }
+
+  /** Plain mail outside the route flow, e.g. admin alerts and digests. */
+  async sendText(target: string, subject: string, text: string, attachments: EmailAttachment[] = []): Promise<void> {
+    await this.transport.sendMail({
+      from: this.opts.from,
+      to: target,
+      subject,
+      text,
+      attachments,
+    });
+  }
+}
+
+export function createSmtpSender(opts: SmtpOptions): SmtpSender {
+  if (!opts.host || !opts.from) {
+    throw new Error('SMTP_HOST and SMTP_FROM are required for email notifications');
+  }
+  return new SmtpSender(opts);
+}
@@ -0,0 +1,52 @@
+import { config } from '../../config.js';
+import type { NotificationChannel } from '../../types/index.js';
+import { createSmtpSender, type EmailAttachment, type SmtpSender } from './email.js';
+import { WebhookSender, createWhatsAppSender } from './webhook.js';
+import type { NotificationSender } from './types.js';
+
+export type { NotificationMessage, NotificationSender, RecipientProgress } from './types.js';
+export type { EmailAttachment } from './email.js';
+
+export const NOTIFICATION_CHANNELS: NotificationChannel[] = ['email', 'webhook', 'whatsapp'];
+
+const senders = new Map<NotificationChannel, NotificationSender>();
+let plainSender: SmtpSender | null = null;
+
+function createSender(name: NotificationChannel): NotificationSender {
+  const { smtp, whatsapp, requestTimeoutMs } = config.notifications;
+  switch (name) {
+    case 'email':
+      return createSmtpSender(smtp);
+    case 'webhook':
+      return new WebhookSender(requestTimeoutMs);
+    case 'whatsapp':
+      return createWhatsAppSender(whatsapp, requestTimeoutMs);
+    default:
+      throw new Error(`Unknown notification channel: ${String(name)}`);
+  }
+}
+
+/** Senders are created lazily so unused channels need no configuration. */
+export function getSender(name: NotificationChannel): NotificationSender {
+  let sender = senders.get(name);
+  if (!sender) {
+    sender = createSender(name);
+    senders.set(name, sender);
+  }
+  return sender;
+}
+
+export function isNotificationChannel(value: unknown): value is NotificationChannel {
+  return typeof value === 'string' && (NOTIFICATION_CHANNELS as string[]).includes(value);
+}
+
+/** Emails admin alerts and digests outside the route flow; throws when SMTP is not configured. */
+export async function sendPlainEmail(
+  targets: string[],
+  subject: string,
+  text: string,
+  attachments: EmailAttachment[] = [],
+): Promise<void> {
+  plainSender ??= createSmtpSender(config.notifications.smtp);
+  await plainSender.sendText(targets.join(', '), subject, text, attachments);
+}
@@ -0,0 +1,22 @@
+import type { NotificationChannel, NotificationPayload } from '../../types/index.js';
+
+export interface NotificationMessage {
+  subject: string;
+  text: string;
+  payload: NotificationPayload;
+}
+
+/**
+ * Per-recipient progress for senders that post to each recipient separately,
+ * so a retry skips the recipients an earlier attempt already reached.
+ */
+export interface RecipientProgress {
+  sent: string[];
+  markSent(recipient: string): Promise<void>;
+}
+
+export interface NotificationSender {
+  readonly name: NotificationChannel;
+  /** Rejects on any failure so the dispatcher can retry. */
+  send(target: string, message: NotificationMessage, progress?: RecipientProgress): Promise<void>;
+}
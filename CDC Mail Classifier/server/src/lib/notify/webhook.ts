@@ -0,0 +1,63 @@
+import type { NotificationMessage, NotificationSender, RecipientProgress } from './types.js';
+
+async function postJson(
+  url: string,
+  body: unknown,
+  timeoutMs: number,
+  headers: Record<string, string> = {},
+): Promise<void> {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => '')).slice(0, 200);
+    throw new Error(`HTTP ${res.status} from ${new URL(url).host}${detail ? `: ${detail}` : ''}`);
+  }
+}
+
+/** POSTs the raw payload to the route's URL. */
+export class WebhookSender implements NotificationSender {
+  readonly name = 'webhook' as const;
+
+  constructor(private readonly timeoutMs: number) {}
+
+  async send(target: string, message: NotificationMessage): Promise<void> {
+    await postJson(target, message.payload, this.timeoutMs);
+  }
+}
+
+/**
+ * Intimation-tool gateway: one `{ to, message }` POST per phone number in the
+ * route target, authenticated with a bearer token. Numbers recorded as sent in
+ * `progress` are skipped, so a retry does not message them twice.
+ */
+export class WhatsAppSender implements NotificationSender {
+  readonly name = 'whatsapp' as const;
+
+  constructor(
+    private readonly opts: { url: string; token: string },
+    private readonly timeoutMs: number,
+  ) {}
+
+  async send(target: string, message: NotificationMessage, progress?: RecipientProgress): Promise<void> {
+    const numbers = target.split(',').map((n) => n.trim()).filter(Boolean);
+    const headers: Record<string, string> = this.opts.token
+      ? { Authorization: `Bearer ${this.opts.token}` }
+      : {};
+    for (const to of numbers) {
+      if (progress?.sent.includes(to)) continue;
+      await postJson(this.opts.url, { to, message: message.text }, this.timeoutMs, headers);
+      await progress?.markSent(to);
+    }
+  }
+}
+
+export function createWhatsAppSender(opts: { url: string; token: string }, timeoutMs: number): NotificationSender {
+  if (!opts.url) {
+    throw new Error('WHATSAPP_GATEWAY_URL is required for WhatsApp notifications');
+  }
+  return new WhatsAppSender(opts, timeoutMs);
+}
@@ -0,0 +1,92 @@
+import {
+  EMPTY_CLASSIFICATION,
+  classificationToEmailFields,
+  classifyEmail,
+  type EmailClassificationFields,
+} from './classifier.js';
+import { buildClassifyContext } from './classifyContext.js';
+import { recordLlmCalls, summarizeUsage } from './cost.js';
+import { extractJobNumber } from './jobNumbers.js';
+import { evaluateRules, recordRuleHits, type LoadedRule } from './rules.js';
+import { runShadowClassification } from './shadow.js';
+import { buildThreadContext } from './threads.js';
+import type { ClassificationResult, EmailUsage, LlmAttempt, NormalizedEmail } from '../types/index.js';
+
+export type StoredClassification = EmailClassificationFields & {
+  matchedRules: string[];
+  usage?: EmailUsage;
+  /** Unset (and cleared on reclassify) when a rule decided the email. */
+  promptVersion?: number;
+};
+
+export interface PipelineOutput {
+  fields: StoredClassification;
+  /** Model response (or the rule's decision) as produced, for the audit trail. */
+  raw: string;
+  /** Unset when a rule decided the email. */
+  promptVersion?: string;
+}
+
+/** Rule-decided mail still gets a job number, from the text or the thread. */
+async function classifyByRule(rule: LoadedRule, email: NormalizedEmail): Promise<ClassificationResult> {
+  if (rule.action === 'skip') {
+    return { ...EMPTY_CLASSIFICATION, confidence: 1, summary: `Skipped by rule "${rule.name}"` };
+  }
+
+  const thread = await buildThreadContext(email);
+  return {
+    ...EMPTY_CLASSIFICATION,
+    department: rule.department,
+    mail_type: rule.mailType,
+    confidence: 1,
+    job_number: extractJobNumber(`${email.subject}\n${email.body}`) || (thread?.jobNumber ?? ''),
+    client_name: thread?.clientName ?? '',
+    title: thread?.title ?? '',
+    summary: email.subject.slice(0, 120),
+  };
+}
+
+/**
+ * Rules first, then the LLM. Shared by the queue worker and manual
+ * reclassification so both record the same fields.
+ */
+export async function classifyForStorage(email: NormalizedEmail): Promise<PipelineOutput> {
+  const evaluation = await evaluateRules(email);
+  recordRuleHits(evaluation.matchedRuleIds).catch((err) => {
+    console.error('[Rules] Failed to record rule hits', err);
+  });
+
+  if (evaluation.decision) {
+    const result = await classifyByRule(evaluation.decision, email);
+    return {
+      fields: {
+        ...classificationToEmailFields(result, `rule:${evaluation.decision.id}`),
+        matchedRules: evaluation.matchedRuleIds,
+        usage: undefined,
+        promptVersion: undefined,
+      },
+      raw: JSON.stringify(result),
+    };
+  }
+
+  const context = await buildClassifyContext(email);
+  context.hints = evaluation.hints;
+  const attempts: LlmAttempt[] = [];
+  try {
+    const { result, modelUsed, tier, raw, promptVersion } = await classifyEmail(email, context, attempts);
+    const fields: StoredClassification = {
+      ...classificationToEmailFields(result, modelUsed, tier),
+      matchedRules: evaluation.matchedRuleIds,
+      usage: summarizeUsage(attempts),
+      promptVersion: context.promptVersion,
+    };
+    // Runs alongside storage; the shadow result never changes what is stored.
+    void runShadowClassification(email, context, fields);
+    return { fields, raw, promptVersion };
+  } finally {
+    // Failed attempts cost money too, so they are recorded before any rethrow.
+    await recordLlmCalls(email, attempts).catch((err) => {
+      console.error('[Cost] Failed to record LLM calls', err);
+    });
+  }
+}
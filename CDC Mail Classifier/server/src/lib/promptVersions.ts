@@ -0,0 +1,222 @@
+import { config } from '../config.js';
+import { PromptVersion, type PromptVersionDocument } from '../models/PromptVersion.js';
+import { buildClassifierSystemPrompt, classifierPromptVersion } from '../prompts/classifier.js';
+import { isLlmProviderName, LLM_PROVIDERS } from './llm/index.js';
+import { getTaxonomy } from './taxonomy.js';
+import type { ClassifierTier, Taxonomy, TierConfig } from '../types/index.js';
+
+const CACHE_TTL_MS = 30_000;
+const TIERS: ClassifierTier[] = ['cheap', 'strong'];
+
+type StoredTiers = PromptVersionDocument['tiers'];
+
+/** A version as the classifier uses it. */
+export interface ActivePrompt {
+  version: number;
+  systemPrompt: string;
+  hash: string;
+  /** Only the tiers the version overrides, resolved against `config.llm.tiers`. */
+  tiers: Partial<Record<ClassifierTier, TierConfig>>;
+  sampleRate: number;
+}
+
+export interface PromptVersionInput {
+  systemPrompt?: string;
+  tiers?: Partial<Record<ClassifierTier, { provider?: string | null; model?: string | null } | null>>;
+  note?: string;
+}
+
+let cache: { live: ActivePrompt; shadow: ActivePrompt | null; loadedAt: number } | null = null;
+let bootstrapping: Promise<void> | null = null;
+
+/** Called after any version change so workers pick it up immediately. */
+export function invalidatePromptCache(): void {
+  cache = null;
+}
+
+export function resolveVersionTiers(tiers: StoredTiers | null | undefined): ActivePrompt['tiers'] {
+  const resolved: ActivePrompt['tiers'] = {};
+  for (const tier of TIERS) {
+    const override = tiers?.[tier];
+    if (!override?.provider && !override?.model) continue;
+    const fallback = config.llm.tiers[tier];
+    resolved[tier] = {
+      provider: isLlmProviderName(override.provider) ? override.provider : fallback.provider,
+      model: override.model || fallback.model,
+    };
+  }
+  return resolved;
+}
+
+function toActivePrompt(doc: {
+  version: number;
+  systemPrompt: string;
+  tiers?: StoredTiers | null;
+  shadowSampleRate?: number | null;
+}): ActivePrompt {
+  return {
+    version: doc.version,
+    systemPrompt: doc.systemPrompt,
+    hash: classifierPromptVersion(doc.systemPrompt),
+    tiers: resolveVersionTiers(doc.tiers),
+    sampleRate: doc.shadowSampleRate ?? 1,
+  };
+}
+
+/** Returns an error message, or null when the input is usable. */
+export function validatePromptVersionInput(input: PromptVersionInput): string | null {
+  if (typeof input.systemPrompt !== 'string' || !input.systemPrompt.trim()) return 'systemPrompt is required';
+  for (const tier of TIERS) {
+    const provider = input.tiers?.[tier]?.provider;
+    if (provider && !isLlmProviderName(provider)) {
+      return `provider for the ${tier} tier must be one of ${LLM_PROVIDERS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+function pickTiers(tiers: PromptVersionInput['tiers'] | StoredTiers | null | undefined): Record<string, unknown> {
+  const picked: Record<string, unknown> = {};
+  for (const tier of TIERS) {
+    const override = tiers?.[tier];
+    if (!override?.provider && !override?.model?.trim()) continue;
+    picked[tier] = {
+      ...(override.provider ? { provider: override.provider } : {}),
+      ...(override.model?.trim() ? { model: override.model.trim() } : {}),
+    };
+  }
+  return picked;
+}
+
+/**
+ * Stores a new numbered version, or returns the existing one when a version
+ * with the same prompt and tiers exists already.
+ */
+export async function createPromptVersion(
+  input: PromptVersionInput,
+  origin: 'taxonomy' | 'manual',
+  createdBy?: string,
+): Promise<PromptVersionDocument> {
+  const systemPrompt = input.systemPrompt!.trim();
+  const hash = classifierPromptVersion(systemPrompt);
+  const tiers = pickTiers(input.tiers);
+
+  // Matched on the text: the hash also covers the user template, which can change under a stored version.
+  const sameText = await PromptVersion.find({ systemPrompt }).lean();
+  const existing = sameText.find((v) => JSON.stringify(pickTiers(v.tiers)) === JSON.stringify(tiers));
+  if (existing) return existing as PromptVersionDocument;
+
+  const last = await PromptVersion.findOne().sort({ version: -1 }).select('version').lean();
+  const created = await PromptVersion.create({
+    version: (last?.version ?? 0) + 1,
+    systemPrompt,
+    hash,
+    tiers,
+    origin,
+    note: input.note?.trim() ?? '',
+    createdBy,
+  });
+  return created.toObject() as PromptVersionDocument;
+}
+
+/** Makes `version` live (promoting or rolling back); it stops being the shadow. */
+export async function setLiveVersion(version: number): Promise<PromptVersionDocument | null> {
+  const target = await PromptVersion.findOne({ version }).select('_id').lean();
+  if (!target) return null;
+
+  await PromptVersion.updateMany({ live: true, version: { $ne: version } }, { $set: { live: false } });
+  const updated = await PromptVersion.findOneAndUpdate(
+    { version },
+    { $set: { live: true, liveSince: new Date(), shadow: false }, $unset: { shadowSince: 1 } },
+    { new: true },
+  ).lean();
+  invalidatePromptCache();
+  return updated as PromptVersionDocument | null;
+}
+
+/** Replaces any running shadow. The live version cannot shadow itself. */
+export async function startShadow(
+  version: number,
+  sampleRate: number,
+): Promise<{ ok: true; version: PromptVersionDocument } | { ok: false; status: 400 | 404; error: string }> {
+  const target = await PromptVersion.findOne({ version }).select('live').lean();
+  if (!target) return { ok: false, status: 404, error: 'Prompt version not found' };
+  if (target.live) return { ok: false, status: 400, error: 'The live version cannot also run in shadow' };
+
+  await PromptVersion.updateMany({ shadow: true }, { $set: { shadow: false }, $unset: { shadowSince: 1 } });
+  const updated = await PromptVersion.findOneAndUpdate(
+    { version },
+    { $set: { shadow: true, shadowSampleRate: sampleRate, shadowSince: new Date() } },
+    { new: true },
+  ).lean();
+  invalidatePromptCache();
+  return { ok: true, version: updated as PromptVersionDocument };
+}
+
+export async function stopShadow(): Promise<void> {
+  await PromptVersion.updateMany({ shadow: true }, { $set: { shadow: false }, $unset: { shadowSince: 1 } });
+  invalidatePromptCache();
+}
+
+/**
+ * Stores the taxonomy's prompt as a version, keeping the live version's model
+ * overrides. It only goes live when no version is live yet; otherwise it waits
+ * on the Prompts page for an admin to shadow or promote it.
+ */
+export async function addTaxonomyPromptVersion(taxonomy: Taxonomy, createdBy?: string): Promise<PromptVersionDocument> {
+  const live = await PromptVersion.findOne({ live: true }).select('tiers').lean();
+  const version = await createPromptVersion(
+    { systemPrompt: buildClassifierSystemPrompt(taxonomy), tiers: live?.tiers ?? undefined, note: 'From taxonomy' },
+    'taxonomy',
+    createdBy,
+  );
+  if (!live) return (await setLiveVersion(version.version)) ?? version;
+  return version;
+}
+
+/**
+ * The stored version holding `systemPrompt` (the live one when its text
+ * matches) and the live version, so the Taxonomy page can tell whether the
+ * saved taxonomy is what the classifier uses.
+ */
+export async function promptVersionStatus(
+  systemPrompt: string,
+): Promise<{ promptVersion: number | null; liveVersion: number | null }> {
+  const text = systemPrompt.trim();
+  const live = await PromptVersion.findOne({ live: true }).select('version systemPrompt').lean();
+  if (live?.systemPrompt === text) return { promptVersion: live.version, liveVersion: live.version };
+
+  const stored = await PromptVersion.findOne({ systemPrompt: text }).sort({ version: -1 }).select('version').lean();
+  return { promptVersion: stored?.version ?? null, liveVersion: live?.version ?? null };
+}
+
+/** Live and shadow versions, cached briefly. The first call creates version 1 from the taxonomy. */
+export async function getActivePrompts(): Promise<{ live: ActivePrompt; shadow: ActivePrompt | null }> {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+  const [found, shadow] = await Promise.all([
+    PromptVersion.findOne({ live: true }).lean(),
+    PromptVersion.findOne({ shadow: true }).lean(),
+  ]);
+  let live = found;
+  if (!live) {
+    // Workers start together; only one of them should create version 1.
+    bootstrapping ??= getTaxonomy()
+      .then((taxonomy) => addTaxonomyPromptVersion(taxonomy))
+      .then(() => undefined)
+      .finally(() => {
+        bootstrapping = null;
+      });
+    await bootstrapping;
+    live = await PromptVersion.findOne({ live: true }).lean();
+    if (!live) throw new Error('No live prompt version');
+  }
+
+  cache = { live: toActivePrompt(live), shadow: shadow ? toActivePrompt(shadow) : null, loadedAt: Date.now() };
+  return cache;
+}
+
+export async function getPromptVersion(version: number): Promise<ActivePrompt | null> {
+  const doc = await PromptVersion.findOne({ version }).lean();
+  return doc ? toActivePrompt(doc) : null;
+}
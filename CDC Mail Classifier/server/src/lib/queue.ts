@@ -0,0 +1,120 @@
+import { config } from '../config.js';
+import { ClassificationJob } from '../models/ClassificationJob.js';
+import { DeadLetter } from '../models/DeadLetter.js';
+import type { NormalizedEmail } from '../types/index.js';
+
+export type QueuedJob = NonNullable<Awaited<ReturnType<typeof claimNextJob>>>;
+
+/** Idempotent: a message already waiting in the queue is left untouched. */
+export async function enqueueClassification(email: NormalizedEmail): Promise<void> {
+  await ClassificationJob.updateOne(
+    { messageId: email.messageId },
+    {
+      $setOnInsert: {
+        messageId: email.messageId,
+        inbox: email.inbox,
+        payload: email,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+      },
+    },
+    { upsert: true },
+  );
+}
+
+/** Jobs waiting for a worker; ones being classified right now are not counted. */
+export async function countPendingJobs(): Promise<number> {
+  return ClassificationJob.countDocuments({ status: 'pending' });
+}
+
+/**
+ * Atomically claims the oldest due job. Jobs stuck in `processing` past the
+ * lock timeout (e.g. the server died mid-classification) are claimable again.
+ */
+export async function claimNextJob() {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - config.queue.lockTimeoutMs);
+
+  return ClassificationJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lt: staleLock } },
+      ],
+    },
+    { $set: { status: 'processing', lockedAt: now }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true },
+  );
+}
+
+export async function completeJob(job: QueuedJob): Promise<void> {
+  await ClassificationJob.deleteOne({ _id: job._id });
+}
+
+export function retryDelayMs(attempts: number): number {
+  const { baseRetryDelayMs, maxRetryDelayMs } = config.queue;
+  return Math.min(maxRetryDelayMs, baseRetryDelayMs * 2 ** Math.max(0, attempts - 1));
+}
+
+/** Reschedules with exponential backoff, or dead-letters after `maxAttempts`. */
+export async function failJob(job: QueuedJob, err: unknown): Promise<'retry' | 'dead'> {
+  const lastError = err instanceof Error ? err.message : String(err);
+
+  if (job.attempts >= config.queue.maxAttempts) {
+    const payload = job.payload as NormalizedEmail;
+    await DeadLetter.findOneAndUpdate(
+      { messageId: job.messageId },
+      {
+        $set: {
+          inbox: job.inbox,
+          subject: payload.subject,
+          fromEmail: payload.fromEmail,
+          payload,
+          attempts: job.attempts,
+          lastError,
+          failedAt: new Date(),
+        },
+      },
+      { upsert: true },
+    );
+    await ClassificationJob.deleteOne({ _id: job._id });
+    return 'dead';
+  }
+
+  await ClassificationJob.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        status: 'pending',
+        lastError,
+        nextAttemptAt: new Date(Date.now() + retryDelayMs(job.attempts)),
+      },
+      $unset: { lockedAt: 1 },
+    },
+  );
+  return 'retry';
+}
+
+/** Moves a dead letter back onto the queue with a fresh attempt budget. */
+export async function retryDeadLetter(id: string): Promise<boolean> {
+  const dead = await DeadLetter.findById(id).lean();
+  if (!dead) return false;
+
+  await ClassificationJob.findOneAndUpdate(
+    { messageId: dead.messageId },
+    {
+      $set: {
+        inbox: dead.inbox,
+        payload: dead.payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+      },
+      $unset: { lockedAt: 1, lastError: 1 },
+    },
+    { upsert: true },
+  );
+  await DeadLetter.deleteOne({ _id: dead._id });
+  return true;
+}
@@ -0,0 +1,207 @@
+import { config } from '../config.js';
+import { Email } from '../models/Email.js';
+import { Report } from '../models/Report.js';
+import { startOfLocalDay } from './cost.js';
+import { toText, toXlsx, type CellValue, type Table } from './export.js';
+import { sendPlainEmail } from './notify/index.js';
+import { getTaxonomy, mailTypeNames } from './taxonomy.js';
+import type { ReportKind } from '../types/index.js';
+
+type ReportInstance = InstanceType<typeof Report>;
+
+interface DigestSettings {
+  name: string;
+  kind: string;
+  department?: string | null;
+}
+
+export interface Digest {
+  subject: string;
+  from: Date;
+  /** Exclusive. */
+  to: Date;
+  table: Table;
+}
+
+interface GroupRow {
+  _id: string | null;
+  received: number;
+  /** Count per taxonomy mail type, by index. */
+  types: number[];
+  needsReview: number;
+  done: number;
+  turnaroundMs: number;
+  turnaroundCount: number;
+  slaDone: number;
+  slaOnTime: number;
+  overdue: number;
+}
+
+/** Whole server-local days before `now`: yesterday, or the 7 days up to today. */
+export function digestPeriod(kind: ReportKind, now = new Date()): { from: Date; to: Date } {
+  const to = startOfLocalDay(now);
+  const from = new Date(to);
+  from.setDate(from.getDate() - (kind === 'client' ? 7 : 1));
+  return { from, to };
+}
+
+const isDone = { $eq: ['$workflowStatus', 'done'] };
+const count = (condition: unknown) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+/**
+ * Figures for mail received in the period, one row per department or client
+ * plus a total. Turnaround is receipt to done, for the mail already done.
+ */
+export async function buildDigest(report: DigestSettings, now = new Date()): Promise<Digest> {
+  const kind = report.kind as ReportKind;
+  const { from, to } = digestPeriod(kind, now);
+  const groupField = kind === 'client' ? '$clientName' : '$department';
+  const mailTypes = mailTypeNames(await getTaxonomy());
+
+  const rows = await Email.aggregate<Omit<GroupRow, 'types'> & Record<string, number>>([
+    {
+      $match: {
+        duplicateOf: null,
+        sentDate: { $gte: from, $lt: to },
+        ...(report.department ? { department: report.department } : {}),
+      },
+    },
+    {
+      $group: {
+        _id: groupField,
+        received: { $sum: 1 },
+        ...Object.fromEntries(mailTypes.map((mailType, i) => [`type${i}`, count({ $eq: ['$mailType', mailType] })])),
+        needsReview: count({ $eq: ['$needsReview', true] }),
+        done: count(isDone),
+        turnaroundMs: {
+          $sum: { $cond: [{ $and: [isDone, '$doneAt'] }, { $subtract: ['$doneAt', '$sentDate'] }, 0] },
+        },
+        turnaroundCount: count({ $and: [isDone, '$doneAt'] }),
+        slaDone: count({ $and: [isDone, '$doneAt', '$slaDueAt'] }),
+        slaOnTime: count({ $and: [isDone, '$doneAt', '$slaDueAt', { $lte: ['$doneAt', '$slaDueAt'] }] }),
+        overdue: count({ $and: [{ $not: [isDone] }, '$slaDueAt', { $lt: ['$slaDueAt', now] }] }),
+      },
+    },
+    { $sort: { received: -1, _id: 1 } },
+  ]);
+
+  const groups = rows.map((row) => ({
+    ...row,
+    types: mailTypes.map((_, i) => row[`type${i}`] ?? 0),
+  }));
+  const total = groups.reduce<Omit<GroupRow, '_id'>>(
+    (sum, row) => ({
+      received: sum.received + row.received,
+      types: sum.types.map((n, i) => n + row.types[i]),
+      needsReview: sum.needsReview + row.needsReview,
+      done: sum.done + row.done,
+      turnaroundMs: sum.turnaroundMs + row.turnaroundMs,
+      turnaroundCount: sum.turnaroundCount + row.turnaroundCount,
+      slaDone: sum.slaDone + row.slaDone,
+      slaOnTime: sum.slaOnTime + row.slaOnTime,
+      overdue: sum.overdue + row.overdue,
+    }),
+    {
+      received: 0,
+      types: mailTypes.map(() => 0),
+      needsReview: 0,
+      done: 0,
+      turnaroundMs: 0,
+      turnaroundCount: 0,
+      slaDone: 0,
+      slaOnTime: 0,
+      overdue: 0,
+    },
+  );
+
+  const toRow = (label: string, row: Omit<GroupRow, '_id'>): CellValue[] => [
+    label,
+    row.received,
+    ...row.types,
+    row.needsReview,
+    row.done,
+    row.turnaroundCount > 0 ? Math.round(row.turnaroundMs / row.turnaroundCount / 360_000) / 10 : null,
+    row.slaDone > 0 ? Math.round((row.slaOnTime / row.slaDone) * 1000) / 10 : null,
+    row.overdue,
+  ];
+
+  const label = kind === 'client' ? 'Client' : 'Department';
+  // Local dates, like the day boundaries: an ISO string would name the UTC day.
+  const lastDay = new Date(to.getTime() - 1).toLocaleDateString('en-CA');
+  const range = kind === 'client' ? `${from.toLocaleDateString('en-CA')} to ${lastDay}` : lastDay;
+
+  return {
+    subject: `[CDC Mail] ${report.name} — ${range}`,
+    from,
+    to,
+    table: {
+      title: `${label} ${range}`,
+      columns: [
+        label,
+        'Received',
+        ...mailTypes,
+        'Needs review',
+        'Done',
+        'Avg turnaround (h)',
+        'SLA met %',
+        'Open overdue',
+      ],
+      rows: [
+        ...groups.map((row) => toRow(row._id || `(no ${label.toLowerCase()})`, row)),
+        ...(groups.length > 1 ? [toRow('Total', total)] : []),
+      ],
+    },
+  };
+}
+
+/** Sends the digest now and records the outcome on the report; rethrows send failures. */
+export async function sendDigest(report: ReportInstance, now = new Date()): Promise<void> {
+  const recipients = report.recipients.split(',').map((r) => r.trim()).filter(Boolean);
+  try {
+    const digest = await buildDigest(report, now);
+    const scope = report.department ? `${report.department} only` : 'all departments';
+    const text = [
+      `${report.name} (${scope})`,
+      '',
+      digest.table.rows.length > 0 ? toText(digest.table) : 'No mail received in this period.',
+      '',
+      `Turnaround is from receipt to done. Dashboard: ${config.clientUrl}`,
+    ].join('\n');
+    const attachments = report.attachXlsx
+      ? [{ filename: `${digest.table.title.replace(/\s+/g, '-').toLowerCase()}.xlsx`, content: await toXlsx([digest.table]) }]
+      : [];
+
+    await sendPlainEmail(recipients, digest.subject, text, attachments);
+    report.lastSentAt = now;
+    report.sentCount = (report.sentCount ?? 0) + 1;
+    report.lastError = undefined;
+    await report.save();
+  } catch (err) {
+    report.lastError = err instanceof Error ? err.message : String(err);
+    await report.save();
+    throw err;
+  }
+}
+
+/** Daily digests from their hour on; weekly ones from their hour on their weekday. Once per day. */
+export function isDigestDue(
+  report: { active?: boolean | null; kind: string; hour?: number | null; weekday?: number | null; lastSentAt?: Date | null },
+  now = new Date(),
+): boolean {
+  if (!report.active || now.getHours() < (report.hour ?? 8)) return false;
+  if (report.kind === 'client' && now.getDay() !== (report.weekday ?? 1)) return false;
+  return !report.lastSentAt || report.lastSentAt < startOfLocalDay(now);
+}
+
+export async function runDueDigests(now = new Date()): Promise<void> {
+  const reports = await Report.find({ active: true });
+  for (const report of reports) {
+    if (!isDigestDue(report, now)) continue;
+    try {
+      await sendDigest(report, now);
+      console.log(`[Reports] Sent "${report.name}" to ${report.recipients}`);
+    } catch (err) {
+      console.error(`[Reports] Failed to send "${report.name}"`, err);
+    }
+  }
+}
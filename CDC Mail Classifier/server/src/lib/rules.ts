@@ -0,0 +1,174 @@
+import { Rule } from '../models/Rule.js';
+import { senderDomain } from './examples.js';
+import type {
+  RuleAction,
+  RuleCondition,
+  RuleField,
+  RuleOperator,
+} from '../types/index.js';
+
+export const RULE_FIELDS: RuleField[] = ['from', 'subject', 'body'];
+export const RULE_OPERATORS: RuleOperator[] = ['contains', 'equals', 'regex', 'domain'];
+export const RULE_ACTIONS: RuleAction[] = ['classify', 'skip', 'hint'];
+
+const CACHE_TTL_MS = 30_000;
+
+/** A condition with its regex compiled once; `pattern` is null unless it is a valid `regex` condition. */
+export interface CompiledCondition extends RuleCondition {
+  pattern: RegExp | null;
+}
+
+export interface LoadedRule {
+  id: string;
+  name: string;
+  priority: number;
+  match: 'all' | 'any';
+  conditions: CompiledCondition[];
+  action: RuleAction;
+  department: string;
+  mailType: string;
+  hint: string;
+}
+
+export interface RuleEvaluation {
+  /** First classify/skip rule that matched; the LLM is bypassed when set. */
+  decision: LoadedRule | null;
+  hints: string[];
+  matchedRuleIds: string[];
+}
+
+interface RuleSubject {
+  fromName?: string | null;
+  fromEmail?: string | null;
+  subject?: string | null;
+  body?: string | null;
+}
+
+let cache: { rules: LoadedRule[]; loadedAt: number } | null = null;
+
+/** Called after any rule write so workers pick up changes immediately. */
+export function invalidateRuleCache(): void {
+  cache = null;
+}
+
+async function loadActiveRules(): Promise<LoadedRule[]> {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.rules;
+
+  const docs = await Rule.find({ active: true }).sort({ priority: 1, createdAt: 1 }).lean();
+  const rules = docs.map((doc) => ({
+    id: String(doc._id),
+    name: doc.name,
+    priority: doc.priority ?? 100,
+    match: (doc.match ?? 'all') as LoadedRule['match'],
+    conditions: compileConditions((doc.conditions ?? []) as RuleCondition[]),
+    action: doc.action as RuleAction,
+    department: doc.department ?? '',
+    mailType: doc.mailType ?? '',
+    hint: doc.hint ?? '',
+  }));
+
+  cache = { rules, loadedAt: Date.now() };
+  return rules;
+}
+
+function fieldText(field: RuleField, email: RuleSubject): string {
+  switch (field) {
+    case 'from':
+      return `${email.fromName ?? ''} <${email.fromEmail ?? ''}>`;
+    case 'subject':
+      return email.subject ?? '';
+    case 'body':
+      return email.body ?? '';
+  }
+}
+
+/** Returns an error message, or null when the pattern compiles. */
+export function validateRegex(pattern: string): string | null {
+  try {
+    new RegExp(pattern, 'i');
+    return null;
+  } catch (err) {
+    return err instanceof Error ? err.message : 'Invalid regular expression';
+  }
+}
+
+function compileRegex(pattern: string): RegExp | null {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch {
+    return null;
+  }
+}
+
+/** Patterns are validated on save; an invalid one compiles to null and simply never matches. */
+export function compileConditions(conditions: RuleCondition[]): CompiledCondition[] {
+  return conditions.map((condition) => {
+    const value = condition.value.trim();
+    return { ...condition, pattern: condition.operator === 'regex' && value ? compileRegex(value) : null };
+  });
+}
+
+export function conditionMatches(condition: CompiledCondition, email: RuleSubject): boolean {
+  const value = condition.value.trim();
+  if (!value) return false;
+
+  if (condition.operator === 'domain') {
+    const domain = senderDomain(email.fromEmail);
+    const wanted = value.toLowerCase().replace(/^@/, '');
+    return domain === wanted || domain.endsWith(`.${wanted}`);
+  }
+
+  const text = fieldText(condition.field, email);
+  switch (condition.operator) {
+    case 'contains':
+      return text.toLowerCase().includes(value.toLowerCase());
+    case 'equals':
+      return text.trim().toLowerCase() === value.toLowerCase();
+    case 'regex':
+      return condition.pattern?.test(text) ?? false;
+    default:
+      return false;
+  }
+}
+
+export function ruleMatches(
+  rule: Pick<LoadedRule, 'match' | 'conditions'>,
+  email: RuleSubject,
+): boolean {
+  if (rule.conditions.length === 0) return false;
+  return rule.match === 'any'
+    ? rule.conditions.some((c) => conditionMatches(c, email))
+    : rule.conditions.every((c) => conditionMatches(c, email));
+}
+
+/**
+ * Runs active rules in priority order. Hint rules accumulate until the first
+ * classify/skip rule matches, which ends evaluation.
+ */
+export async function evaluateRules(email: RuleSubject): Promise<RuleEvaluation> {
+  const rules = await loadActiveRules();
+  const evaluation: RuleEvaluation = { decision: null, hints: [], matchedRuleIds: [] };
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, email)) continue;
+    evaluation.matchedRuleIds.push(rule.id);
+
+    if (rule.action === 'hint') {
+      if (rule.hint) evaluation.hints.push(rule.hint);
+      continue;
+    }
+
+    evaluation.decision = rule;
+    break;
+  }
+
+  return evaluation;
+}
+
+export async function recordRuleHits(ruleIds: string[]): Promise<void> {
+  if (ruleIds.length === 0) return;
+  await Rule.updateMany(
+    { _id: { $in: ruleIds } },
+    { $inc: { hitCount: 1 }, $set: { lastHitAt: new Date() } },
+  );
+}
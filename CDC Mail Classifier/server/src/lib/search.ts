@@ -0,0 +1,217 @@
+import type { SearchSnippet, Taxonomy } from '../types/index.js';
+import { extractJobNumber, normalizeJobNumber } from './jobNumbers.js';
+import { overdueFilter } from './sla.js';
+import { departmentNames, mailTypeNames } from './taxonomy.js';
+
+const SNIPPET_CHARS = 180;
+
+export interface ParsedSearch {
+  /** Free terms and quoted phrases in `$text` syntax; empty when the query is only field filters. */
+  text: string;
+  /** Non-negated terms and phrases, for highlighting snippets. */
+  highlights: string[];
+  /** One condition per field filter, ANDed into the list filter. */
+  conditions: Record<string, unknown>[];
+}
+
+function escapeRegex(value: string): string {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function contains(value: string): { $regex: string; $options: string } {
+  return { $regex: escapeRegex(value), $options: 'i' };
+}
+
+/** Values from `options` containing `value`, so `type:approval` finds "Approval received". */
+function matchOptions(options: string[], value: string): string[] {
+  const needle = value.toLowerCase();
+  return options.filter((o) => o.toLowerCase().includes(needle));
+}
+
+function parseDate(value: string): Date | null {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/** The condition for one `field:value` filter, or null when the field is not a known filter. */
+function fieldCondition(
+  field: string,
+  value: string,
+  taxonomy: Taxonomy,
+  user?: string,
+): Record<string, unknown> | null {
+  switch (field) {
+    case 'client':
+      return { clientName: contains(value) };
+    case 'from':
+      return { $or: [{ fromEmail: contains(value) }, { fromName: contains(value) }] };
+    case 'subject':
+      return { subject: contains(value) };
+    case 'inbox':
+      return { inbox: contains(value) };
+    case 'job': {
+      const jobKey = normalizeJobNumber(value);
+      return jobKey ? { $or: [{ jobKey }, { jobNumber: contains(value) }] } : { jobNumber: contains(value) };
+    }
+    case 'type': {
+      const types = matchOptions(mailTypeNames(taxonomy), value);
+      return types.length > 0 ? { mailType: { $in: types } } : { mailType: contains(value) };
+    }
+    case 'dept':
+    case 'department': {
+      const departments = matchOptions(departmentNames(taxonomy), value);
+      return departments.length > 0 ? { department: { $in: departments } } : { department: contains(value) };
+    }
+    case 'assignee':
+      // `assignee:me` without a signed-in user (auth disabled) has nobody to match.
+      if (value === 'me') return user ? { assignee: user } : null;
+      return { assignee: value };
+    case 'is':
+      switch (value) {
+        case 'review':
+          return { needsReview: true };
+        case 'reviewed':
+          return { reviewed: true };
+        case 'overdue':
+          return overdueFilter();
+        case 'new':
+          return { workflowStatus: { $in: ['new', null] } };
+        case 'assigned':
+        case 'in_progress':
+        case 'done':
+          return { workflowStatus: value };
+        default:
+          return null;
+      }
+    case 'has':
+      return value === 'attachment' ? { 'attachments.0': { $exists: true } } : null;
+    case 'before':
+    case 'after': {
+      const date = parseDate(value);
+      if (!date) return null;
+      return { sentDate: field === 'before' ? { $lt: date } : { $gte: date } };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses the mail search box. Supports free terms, `"quoted phrases"`,
+ * `-negation`, and field filters such as `client:"Oxford" type:approval`,
+ * `dept:`, `from:`, `job:`, `inbox:`, `subject:`, `assignee:me`,
+ * `is:review|reviewed|overdue|new|assigned|in_progress|done`,
+ * `has:attachment`, `before:` and `after:` (dates). A bare job number
+ * matches on `jobKey` rather than the text index, which would split it.
+ */
+export function parseSearchQuery(query: string, taxonomy: Taxonomy, user?: string): ParsedSearch {
+  const textParts: string[] = [];
+  const highlights: string[] = [];
+  const conditions: Record<string, unknown>[] = [];
+
+  const tokens = query.matchAll(/(-?)(?:([a-z_]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+))/gi);
+  for (const [raw, neg, field, quotedValue, value, phrase, word] of tokens) {
+    const negated = neg === '-';
+
+    if (field) {
+      const fieldValue = (quotedValue ?? value ?? '').trim();
+      const condition = fieldValue ? fieldCondition(field.toLowerCase(), fieldValue, taxonomy, user) : null;
+      if (condition) {
+        conditions.push(negated ? { $nor: [condition] } : condition);
+        continue;
+      }
+      // Unknown field: search for the token as written.
+      textParts.push(raw);
+      if (!negated) highlights.push(raw.slice(neg.length));
+      continue;
+    }
+
+    if (phrase !== undefined) {
+      if (!phrase.trim()) continue;
+      textParts.push(`${neg}"${phrase.replace(/"/g, '')}"`);
+      if (!negated) highlights.push(phrase);
+      continue;
+    }
+
+    if (!negated && word && extractJobNumber(word) === word) {
+      conditions.push({ jobKey: normalizeJobNumber(word) });
+      continue;
+    }
+
+    textParts.push(raw);
+    if (!negated) highlights.push(word);
+  }
+
+  return { text: textParts.join(' '), highlights, conditions };
+}
+
+/** Rough stem so "approved" still highlights "approval", as the text index would match it. */
+function highlightStem(term: string): string {
+  if (term.includes(' ') || term.length <= 4) return term;
+  return term.replace(/(?:ing|ed|es|s|al)$/i, '');
+}
+
+function highlightPattern(highlights: string[]): RegExp | null {
+  const stems = [...new Set(highlights.map(highlightStem).filter((h) => h.length > 1))];
+  if (stems.length === 0) return null;
+  // Longest first so a phrase wins over one of its words.
+  stems.sort((a, b) => b.length - a.length);
+  return new RegExp(`\\b(?:${stems.map(escapeRegex).join('|')})\\w*`, 'gi');
+}
+
+function snippetFrom(text: string, pattern: RegExp): Omit<SearchSnippet, 'field'> | null {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  pattern.lastIndex = 0;
+  const first = pattern.exec(flat);
+  if (!first) return null;
+
+  let start = Math.max(0, first.index - Math.floor(SNIPPET_CHARS / 3));
+  let end = Math.min(flat.length, start + SNIPPET_CHARS);
+  if (start > 0) {
+    const space = flat.indexOf(' ', start);
+    if (space !== -1 && space < first.index) start = space + 1;
+  }
+  if (end < flat.length) {
+    const space = flat.lastIndexOf(' ', end);
+    if (space > first.index) end = space;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const body = flat.slice(start, end);
+  const snippetText = `${prefix}${body}${end < flat.length ? ' …' : ''}`;
+
+  const matches: [number, number][] = [];
+  pattern.lastIndex = 0;
+  for (const match of body.matchAll(pattern)) {
+    const from = prefix.length + (match.index ?? 0);
+    matches.push([from, from + match[0].length]);
+  }
+  return { text: snippetText, matches };
+}
+
+interface SnippetSource {
+  body?: string | null;
+  summary?: string | null;
+  attachmentFiles?: { filename?: string | null; extractedText?: string | null }[] | null;
+}
+
+/** Excerpt around the first highlighted term in the body, an attachment, or the summary. */
+export function buildSnippet(email: SnippetSource, highlights: string[]): SearchSnippet | null {
+  const pattern = highlightPattern(highlights);
+  if (!pattern) return null;
+
+  if (email.body) {
+    const found = snippetFrom(email.body, pattern);
+    if (found) return { field: 'body', ...found };
+  }
+  for (const file of email.attachmentFiles ?? []) {
+    if (!file.extractedText) continue;
+    const found = snippetFrom(file.extractedText, pattern);
+    if (found) return { field: 'attachment', filename: file.filename ?? undefined, ...found };
+  }
+  if (email.summary) {
+    const found = snippetFrom(email.summary, pattern);
+    if (found) return { field: 'summary', ...found };
+  }
+  return null;
+}
@@ -0,0 +1,162 @@
+import { Email } from '../models/Email.js';
+import { PromptVersion } from '../models/PromptVersion.js';
+import { ShadowClassification } from '../models/ShadowClassification.js';
+import { classifyEmail } from './classifier.js';
+import { resolveTiers } from './classifyContext.js';
+import { isOverDailyBudget, recordLlmCalls, summarizeUsage } from './cost.js';
+import { getActivePrompts } from './promptVersions.js';
+import type { ClassifyContext, LlmAttempt, NormalizedEmail } from '../types/index.js';
+
+/** Agreement is measured over this many of the latest shadowed emails. */
+const STATS_WINDOW = 5000;
+
+interface LiveOutcome {
+  department: string;
+  mailType: string;
+  confidence: number;
+  classifier: string;
+  promptVersion?: number;
+}
+
+export interface ShadowStats {
+  version: number;
+  liveVersion: number;
+  sampleRate: number;
+  since?: Date;
+  /** Shadowed emails in the window, failed ones included. */
+  total: number;
+  failed: number;
+  agreeDepartment: number;
+  agreeMailType: number;
+  agreeBoth: number;
+  /** Shadowed emails a reviewer has since confirmed or corrected. */
+  reviewed: number;
+  liveCorrect: number;
+  shadowCorrect: number;
+  costUsd: number;
+}
+
+/**
+ * Classifies the email again with the shadow version, when one is running and
+ * the email falls in its sample, and records how it compares with the live
+ * result. The stored email is never touched. Never throws.
+ */
+export async function runShadowClassification(
+  email: NormalizedEmail,
+  context: ClassifyContext,
+  live: LiveOutcome,
+): Promise<void> {
+  const attempts: LlmAttempt[] = [];
+  let version: number | undefined;
+  try {
+    const { shadow } = await getActivePrompts();
+    if (!shadow || Math.random() >= shadow.sampleRate) return;
+    if (await isOverDailyBudget()) return;
+    version = shadow.version;
+
+    const liveRecord = {
+      version: live.promptVersion,
+      department: live.department,
+      mailType: live.mailType,
+      confidence: live.confidence,
+      classifier: live.classifier,
+    };
+    try {
+      const output = await classifyEmail(
+        email,
+        {
+          ...context,
+          systemPrompt: shadow.systemPrompt,
+          promptVersion: shadow.version,
+          tiers: await resolveTiers(email.inbox, shadow.tiers),
+        },
+        attempts,
+      );
+      await ShadowClassification.findOneAndUpdate(
+        { version, messageId: email.messageId },
+        {
+          $set: {
+            inbox: email.inbox,
+            live: liveRecord,
+            shadow: {
+              version,
+              department: output.result.department,
+              mailType: output.result.mail_type,
+              confidence: output.result.confidence,
+              classifier: output.modelUsed,
+            },
+            agreeDepartment: output.result.department === live.department,
+            agreeMailType: output.result.mail_type === live.mailType,
+            costUsd: summarizeUsage(attempts).costUsd,
+          },
+          $unset: { error: 1 },
+        },
+        { upsert: true },
+      );
+    } catch (err) {
+      await ShadowClassification.findOneAndUpdate(
+        { version, messageId: email.messageId },
+        {
+          $set: {
+            inbox: email.inbox,
+            live: liveRecord,
+            costUsd: summarizeUsage(attempts).costUsd,
+            error: err instanceof Error ? err.message : String(err),
+          },
+          $unset: { shadow: 1, agreeDepartment: 1, agreeMailType: 1 },
+        },
+        { upsert: true },
+      );
+    }
+  } catch (err) {
+    console.error(`[Shadow] Failed to shadow-classify ${email.messageId} with version ${version ?? '?'}`, err);
+  } finally {
+    await recordLlmCalls(email, attempts).catch((err) => {
+      console.error('[Cost] Failed to record shadow LLM calls', err);
+    });
+  }
+}
+
+/** How the running shadow version compares with live, or null when none is running. */
+export async function getShadowStats(): Promise<ShadowStats | null> {
+  const { live, shadow } = await getActivePrompts();
+  if (!shadow) return null;
+
+  const [records, doc] = await Promise.all([
+    ShadowClassification.find({ version: shadow.version }).sort({ createdAt: -1 }).limit(STATS_WINDOW).lean(),
+    PromptVersion.findOne({ version: shadow.version }).select('shadowSince').lean(),
+  ]);
+
+  const answered = records.filter((r) => !r.error);
+  const reviewed = await Email.find({ messageId: { $in: answered.map((r) => r.messageId) }, reviewed: true })
+    .select('messageId department mailType')
+    .lean();
+  const truth = new Map(reviewed.map((e) => [e.messageId, e]));
+
+  let liveCorrect = 0;
+  let shadowCorrect = 0;
+  for (const r of answered) {
+    const reviewedEmail = truth.get(r.messageId);
+    if (!reviewedEmail) continue;
+    const matches = (outcome: typeof r.live) =>
+      outcome?.department === reviewedEmail.department && outcome?.mailType === reviewedEmail.mailType;
+    if (matches(r.live)) liveCorrect += 1;
+    if (matches(r.shadow)) shadowCorrect += 1;
+  }
+
+  return {
+    version: shadow.version,
+    liveVersion: live.version,
+    sampleRate: shadow.sampleRate,
+    since: doc?.shadowSince ?? undefined,
+    total: records.length,
+    failed: records.length - answered.length,
+    agreeDepartment: answered.filter((r) => r.agreeDepartment).length,
+    agreeMailType: answered.filter((r) => r.agreeMailType).length,
+    agreeBoth: answered.filter((r) => r.agreeDepartment && r.agreeMailType).length,
+    reviewed: truth.size,
+    liveCorrect,
+    shadowCorrect,
+    costUsd: records.reduce((sum, r) => sum + (r.costUsd ?? 0), 0),
+  };
+}
@@ -0,0 +1,88 @@
+import { config } from '../config.js';
+import type { WorkflowStatus } from '../types/index.js';
+
+export const WORKFLOW_STATUSES: WorkflowStatus[] = ['new', 'assigned', 'in_progress', 'done'];
+
+export function isWorkflowStatus(value: unknown): value is WorkflowStatus {
+  return typeof value === 'string' && (WORKFLOW_STATUSES as string[]).includes(value);
+}
+
+/** Deadline for mail of this type received at `receivedAt`, or null when it has no SLA. */
+export function slaDeadline(
+  mailType: string | null | undefined,
+  receivedAt: Date | string | null | undefined,
+): Date | null {
+  const hours = mailType ? config.sla.hoursByMailType[mailType] : undefined;
+  const received = receivedAt ? new Date(receivedAt) : null;
+  if (!hours || !received || Number.isNaN(received.getTime())) return null;
+  return new Date(received.getTime() + hours * 60 * 60 * 1000);
+}
+
+/** Email filter for open mail whose deadline has passed. */
+export function overdueFilter(now = new Date()): Record<string, unknown> {
+  return { workflowStatus: { $ne: 'done' }, slaDueAt: { $lt: now } };
+}
+
+export function dueSoonFilter(now = new Date()): Record<string, unknown> {
+  const soon = new Date(now.getTime() + config.sla.dueSoonHours * 60 * 60 * 1000);
+  return { workflowStatus: { $ne: 'done' }, slaDueAt: { $gte: now, $lt: soon } };
+}
+
+interface WorkflowState {
+  workflowStatus?: string | null;
+  assignee?: string | null;
+}
+
+export interface WorkflowInput {
+  status?: WorkflowStatus;
+  /** null unassigns. */
+  assignee?: string | null;
+}
+
+/**
+ * Builds the update for a workflow change. Assigning new mail moves it to
+ * `assigned`, unassigning assigned mail moves it back to `new`, and `done`
+ * stamps `doneAt`. Throws with a user-facing message on an invalid change.
+ */
+export function buildWorkflowUpdate(
+  current: WorkflowState,
+  input: WorkflowInput,
+  actor: string | undefined,
+  now = new Date(),
+): Record<string, Record<string, unknown>> {
+  const $set: Record<string, unknown> = {};
+  const $unset: Record<string, 1> = {};
+  const currentStatus = (current.workflowStatus ?? 'new') as WorkflowStatus;
+  let status = input.status ?? currentStatus;
+  let assignee = current.assignee ?? null;
+
+  if (input.assignee !== undefined && input.assignee !== assignee) {
+    assignee = input.assignee;
+    if (assignee) {
+      $set.assignee = assignee;
+      $set.assignedAt = now;
+      $set.assignedBy = actor;
+      if (!input.status && currentStatus === 'new') status = 'assigned';
+    } else {
+      $unset.assignee = 1;
+      $unset.assignedAt = 1;
+      $unset.assignedBy = 1;
+      if (!input.status && currentStatus === 'assigned') status = 'new';
+    }
+  }
+
+  if (status === 'assigned' && !assignee) {
+    throw new Error('Choose an assignee before marking the mail as assigned');
+  }
+
+  if (status !== currentStatus) {
+    $set.workflowStatus = status;
+    if (status === 'done') $set.doneAt = now;
+    else if (currentStatus === 'done') $unset.doneAt = 1;
+  }
+
+  const update: Record<string, Record<string, unknown>> = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  return update;
+}
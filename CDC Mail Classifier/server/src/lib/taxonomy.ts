@@ -0,0 +1,201 @@
+import { TaxonomyModel } from '../models/Taxonomy.js';
+import type { BadgeColor, Taxonomy, TaxonomyField, TaxonomyFieldType } from '../types/index.js';
+
+export const BADGE_COLORS: BadgeColor[] = ['slate', 'sky', 'emerald', 'amber', 'rose', 'violet'];
+export const FIELD_TYPES: TaxonomyFieldType[] = ['text', 'boolean', 'list'];
+
+const CACHE_TTL_MS = 30_000;
+
+const text = (key: string, description = ''): TaxonomyField => ({ key, type: 'text', description });
+
+/** What CDC classified by before the taxonomy became editable; used until an admin saves one. */
+export const DEFAULT_TAXONOMY: Taxonomy = {
+  departments: [
+    { name: 'Prepress', definition: 'prepress work for book jobs (covers, text files, proofs, ozalids)', active: true },
+    { name: 'Packprepress', definition: 'prepress for packaging jobs (cartons, boxes, labels, dielines)', active: true },
+    {
+      name: 'Packagingcrm',
+      definition: 'client-facing packaging commercial matters (quotes, orders, client communication)',
+      active: true,
+    },
+    {
+      name: 'Production',
+      definition: 'production floor matters (scheduling, machine queries, dispatch, run status)',
+      active: true,
+    },
+  ],
+  mailTypes: [
+    {
+      name: 'File received',
+      definition: 'new or replacement files (PDFs, artwork, text) for a job',
+      active: true,
+      color: 'sky',
+      fields: [text('file_type'), text('page_count'), { key: 'file_names', type: 'list', description: '' }],
+    },
+    {
+      name: 'Correction received',
+      definition: 'changes the client wants before the job can proceed',
+      active: true,
+      color: 'rose',
+      fields: [text('round'), text('pages_affected'), text('urgency')],
+    },
+    {
+      name: 'Approval received',
+      definition: 'the client signs off a proof or sample without changes',
+      active: true,
+      color: 'emerald',
+      fields: [text('approved_item'), { key: 'clean_approval', type: 'boolean', description: '' }],
+    },
+    {
+      name: 'Production query',
+      definition: 'questions about schedule, dispatch, stock or a running job',
+      active: true,
+      color: 'amber',
+      fields: [text('query_about')],
+    },
+    {
+      name: 'Request for quote received',
+      definition: 'a client asks for a price',
+      active: true,
+      color: 'violet',
+      fields: [
+        text('trim_size'),
+        text('paper_gsm'),
+        text('binding'),
+        text('pages'),
+        text('colour'),
+        text('qty_options'),
+        text('shipping_terms'),
+        text('quote_deadline'),
+      ],
+    },
+  ],
+  rules: [
+    '"approved with minor changes" or "approved subject to corrections" => Correction received (changes block production)',
+    'Clean "approved" / "go ahead" / "you can print" => Approval received',
+    'New files for a job already in production => File received',
+  ],
+};
+
+let cache: { taxonomy: Taxonomy; loadedAt: number } | null = null;
+
+/** Called after the taxonomy is saved so workers pick up changes immediately. */
+export function invalidateTaxonomyCache(): void {
+  cache = null;
+}
+
+/** The saved taxonomy, or the default while none has been saved. */
+export async function getTaxonomy(): Promise<Taxonomy> {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.taxonomy;
+
+  const doc = await TaxonomyModel.findOne().lean();
+  const taxonomy: Taxonomy = doc
+    ? {
+        departments: doc.departments.map((d) => ({
+          name: d.name,
+          definition: d.definition ?? '',
+          active: d.active ?? true,
+        })),
+        mailTypes: doc.mailTypes.map((t) => ({
+          name: t.name,
+          definition: t.definition ?? '',
+          active: t.active ?? true,
+          color: (t.color ?? 'slate') as BadgeColor,
+          fields: t.fields.map((f) => ({
+            key: f.key,
+            type: (f.type ?? 'text') as TaxonomyFieldType,
+            description: f.description ?? '',
+          })),
+        })),
+        rules: doc.rules,
+        updatedAt: doc.updatedAt,
+        updatedBy: doc.updatedBy ?? undefined,
+      }
+    : DEFAULT_TAXONOMY;
+
+  cache = { taxonomy, loadedAt: Date.now() };
+  return taxonomy;
+}
+
+/** Every department name, inactive ones included, since stored mail may still use them. */
+export function departmentNames(taxonomy: Taxonomy): string[] {
+  return taxonomy.departments.map((d) => d.name);
+}
+
+export function mailTypeNames(taxonomy: Taxonomy): string[] {
+  return taxonomy.mailTypes.map((t) => t.name);
+}
+
+function duplicateName(names: string[]): string | undefined {
+  const seen = new Set<string>();
+  for (const name of names) {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return name;
+    seen.add(key);
+  }
+  return undefined;
+}
+
+/** Returns an error message, or null when the input is usable. */
+export function validateTaxonomy(input: Partial<Taxonomy>): string | null {
+  if (!Array.isArray(input.departments) || !Array.isArray(input.mailTypes) || !Array.isArray(input.rules)) {
+    return 'departments, mailTypes and rules must be arrays';
+  }
+  if (!input.departments.some((d) => d.active)) return 'at least one department must be active';
+  if (!input.mailTypes.some((t) => t.active)) return 'at least one mail type must be active';
+
+  for (const entry of [...input.departments, ...input.mailTypes]) {
+    if (typeof entry.name !== 'string' || !entry.name.trim()) return 'every department and mail type needs a name';
+    // Names are quoted in the prompt's JSON schema and separated by "|".
+    if (/["|\n]/.test(entry.name)) return `"${entry.name}" may not contain quotes, | or line breaks`;
+  }
+  const duplicate =
+    duplicateName(input.departments.map((d) => d.name.trim())) ?? duplicateName(input.mailTypes.map((t) => t.name.trim()));
+  if (duplicate) return `"${duplicate}" is listed twice`;
+
+  for (const mailType of input.mailTypes) {
+    if (!BADGE_COLORS.includes(mailType.color)) return `color must be one of ${BADGE_COLORS.join(', ')}`;
+    if (!Array.isArray(mailType.fields)) return `fields of "${mailType.name}" must be an array`;
+    for (const field of mailType.fields) {
+      if (!/^[a-z][a-z0-9_]*$/.test(field.key ?? '')) {
+        return `field "${field.key}" of "${mailType.name}" must be snake_case`;
+      }
+      if (!FIELD_TYPES.includes(field.type)) return `field type must be one of ${FIELD_TYPES.join(', ')}`;
+    }
+    if (duplicateName(mailType.fields.map((f) => f.key))) return `"${mailType.name}" lists a field twice`;
+  }
+  if (input.rules.some((rule) => typeof rule !== 'string')) return 'rules must be strings';
+  return null;
+}
+
+/**
+ * Replaces the taxonomy. Renaming an entry does not touch mail already
+ * stored under the old name.
+ */
+export async function saveTaxonomy(input: Taxonomy, updatedBy?: string): Promise<Taxonomy> {
+  const trim = (value: string) => value.trim();
+  await TaxonomyModel.findOneAndUpdate(
+    {},
+    {
+      $set: {
+        departments: input.departments.map((d) => ({
+          name: trim(d.name),
+          definition: trim(d.definition ?? ''),
+          active: d.active !== false,
+        })),
+        mailTypes: input.mailTypes.map((t) => ({
+          name: trim(t.name),
+          definition: trim(t.definition ?? ''),
+          active: t.active !== false,
+          color: t.color,
+          fields: t.fields.map((f) => ({ key: f.key, type: f.type, description: trim(f.description ?? '') })),
+        })),
+        rules: input.rules.map(trim).filter(Boolean),
+        updatedBy,
+      },
+    },
+    { upsert: true },
+  );
+  invalidateTaxonomyCache();
+  return getTaxonomy();
+}
@@ -0,0 +1,59 @@
+import { Email } from '../models/Email.js';
+import type { ThreadContext } from '../types/index.js';
+
+const MAX_CONTEXT_MESSAGES = 5;
+const SUMMARY_MAX_LENGTH = 160;
+
+function formatDay(date: Date | null | undefined): string {
+  return date ? date.toISOString().slice(0, 10) : 'unknown date';
+}
+
+/**
+ * Compact view of the messages that preceded `email` in its Gmail thread.
+ * Only already-classified messages are used so replies can inherit the job
+ * number and client from the original mail.
+ */
+export async function buildThreadContext(email: {
+  messageId: string;
+  threadId: string;
+  sentDate: Date;
+}): Promise<ThreadContext | undefined> {
+  if (!email.threadId) return undefined;
+
+  const earlier = await Email.find({
+    threadId: email.threadId,
+    messageId: { $ne: email.messageId },
+    sentDate: { $lte: email.sentDate },
+    classifier: { $nin: [null, ''] },
+  })
+    .select('fromName fromEmail sentDate department mailType jobNumber clientName title summary')
+    .sort({ sentDate: -1 })
+    .limit(MAX_CONTEXT_MESSAGES)
+    .lean();
+
+  if (earlier.length === 0) return undefined;
+
+  // Oldest first reads naturally in the prompt.
+  earlier.reverse();
+
+  const lines = earlier.map((e) => {
+    const parts = [
+      `${formatDay(e.sentDate)} from ${e.fromName || e.fromEmail}`,
+      `[${e.department || '?'} / ${e.mailType || '?'}]`,
+    ];
+    if (e.jobNumber) parts.push(`job ${e.jobNumber}`);
+    if (e.clientName) parts.push(`client ${e.clientName}`);
+    const summary = (e.summary ?? '').slice(0, SUMMARY_MAX_LENGTH);
+    return `- ${parts.join(' ')}${summary ? ` — ${summary}` : ''}`;
+  });
+
+  const withJob = [...earlier].reverse().find((e) => e.jobNumber);
+  const withClient = [...earlier].reverse().find((e) => e.clientName);
+
+  return {
+    summary: lines.join('\n'),
+    jobNumber: withJob?.jobNumber ?? '',
+    clientName: withClient?.clientName ?? '',
+    title: withJob?.title ?? '',
+  };
+}
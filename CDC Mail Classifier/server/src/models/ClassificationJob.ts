@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const ClassificationJobSchema = new mongoose.Schema(
+  {
+    messageId: { type: String, required: true, unique: true },
+    inbox: String,
+    /** NormalizedEmail as produced by the poller. */
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: { type: String, enum: ['pending', 'processing'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: () => new Date() },
+    lockedAt: Date,
+    lastError: String,
+  },
+  { timestamps: true },
+);
+
+ClassificationJobSchema.index({ messageId: 1 }, { unique: true });
+ClassificationJobSchema.index({ status: 1, nextAttemptAt: 1 });
+
+export type ClassificationJobDocument = mongoose.InferSchemaType<typeof ClassificationJobSchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const ClassificationJob = mongoose.model('ClassificationJob', ClassificationJobSchema);
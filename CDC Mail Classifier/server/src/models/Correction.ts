@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const ClassificationSnapshotSchema = new mongoose.Schema(
+  {
+    department: String,
+    mailType: String,
+    jobNumber: String,
+    clientName: String,
+  },
+  { _id: false },
+);
+
+/** One record per reviewer edit that changed department or mail type. */
+const CorrectionSchema = new mongoose.Schema(
+  {
+    emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email', required: true },
+    fromDomain: String,
+    subject: String,
+    classifier: String,
+    original: ClassificationSnapshotSchema,
+    corrected: ClassificationSnapshotSchema,
+  },
+  { timestamps: true },
+);
+
+CorrectionSchema.index({ 'original.department': 1, 'corrected.department': 1 });
+CorrectionSchema.index({ createdAt: -1 });
+
+export type CorrectionDocument = mongoose.InferSchemaType<typeof CorrectionSchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const Correction = mongoose.model('Correction', CorrectionSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const DeadLetterSchema = new mongoose.Schema(
+  {
+    messageId: { type: String, required: true, unique: true },
+    inbox: String,
+    subject: String,
+    fromEmail: String,
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    attempts: Number,
+    lastError: String,
+    failedAt: { type: Date, default: () => new Date() },
+  },
+  { timestamps: true },
+);
+
+DeadLetterSchema.index({ messageId: 1 }, { unique: true });
+DeadLetterSchema.index({ failedAt: -1 });
+
+export type DeadLetterDocument = mongoose.InferSchemaType<typeof DeadLetterSchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const DeadLetter = mongoose.model('DeadLetter', DeadLetterSchema);
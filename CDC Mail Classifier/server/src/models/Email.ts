@@ -1,5 +1,48 @@
 import mongoose from 'mongoose';
 
+const AttachmentFileSchema = new mongoose.Schema(
+  {
+    fileId: mongoose.Schema.Types.ObjectId,
+    filename: String,
+    mimeType: String,
+    size: Number,
+    extractedText: String,
+    extractionError: String,
+    /** Listed but not downloaded: over the size limit. */
+    tooLarge: Boolean,
+    downloadError: String,
+  },
+  { _id: false },
+);
+
+const UsageSchema = new mongoose.Schema(
+  {
+    calls: Number,
+    promptTokens: Number,
+    completionTokens: Number,
+    latencyMs: Number,
+    costUsd: Number,
+  },
+  { _id: false },
+);
+
+/** Gmail label write-back for one message; drained by `jobs/labels.ts`. */
+const LabelSyncSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ['pending', 'syncing', 'synced', 'failed'] },
+    /** Inbox whose Gmail account gets the labels; kept by id so renaming the inbox does not orphan the sync. */
+    inboxId: mongoose.Schema.Types.ObjectId,
+    /** Label names last applied to the message; removed again when the classification changes. */
+    applied: { type: [String], default: undefined },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date,
+    lockedAt: Date,
+    lastError: String,
+    syncedAt: Date,
+  },
+  { _id: false },
+);
+
 const EmailSchema = new mongoose.Schema(
   {
     messageId: { type: String, required: true, unique: true },
@@ -14,12 +57,22 @@ const EmailSchema = new mongoose.Schema(
     gmailLink: String,
     body: String,
     attachments: [String],
+    attachmentFiles: [AttachmentFileSchema],
     department: String,
     mailType: String,
     confidence: Number,
     needsReview: Boolean,
     classifier: String,
+    classifierTier: { type: String, enum: ['cheap', 'strong'] },
+    /** PromptVersion number that classified the email; absent for rule-decided mail. */
+    promptVersion: Number,
+    /** Ids of every rule that matched, including hint-only rules. */
+    matchedRules: [String],
+    /** LLM spend for the latest classification; absent for rule-decided mail. */
+    usage: UsageSchema,
     jobNumber: String,
+    /** normalizeJobNumber(jobNumber), used to group mail by job. */
+    jobKey: String,
     clientName: String,
     isbn: String,
     title: String,
@@ -29,6 +82,32 @@ const EmailSchema = new mongoose.Schema(
     actionRequired: String,
     typeSpecific: mongoose.Schema.Types.Mixed,
     reviewed: { type: Boolean, default: false },
+    /** Follow-up workflow; mail stored before it existed has no status and counts as new. */
+    workflowStatus: { type: String, enum: ['new', 'assigned', 'in_progress', 'done'], default: 'new' },
+    /** Email address of the user the mail is assigned to. */
+    assignee: String,
+    assignedAt: Date,
+    assignedBy: String,
+    /** Set from the mail type when classified; absent for mail without an SLA. */
+    slaDueAt: Date,
+    doneAt: Date,
+    /** RFC 5322 Message-ID header, lower-cased without angle brackets. */
+    internetMessageId: String,
+    /** Sender, subject, body and attachment names hashed; matches copies whose Message-ID differs. */
+    contentHash: String,
+    /** First stored copy of the same mail, received in another inbox. Copies share its classification and review. */
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' },
+    duplicateReason: { type: String, enum: ['message-id', 'content'] },
+    /** Vector for similar-mail search; large, so only loaded on request. */
+    embedding: { type: [Number], select: false, default: undefined },
+    /** `provider/model` that produced `embedding`; mail is re-embedded when it changes. */
+    embeddingModel: String,
+    /** Set when the provider rejected the email; the indexer skips it until `embeddingRetryAt`. */
+    embeddingError: String,
+    embeddingFailures: Number,
+    embeddingRetryAt: Date,
+    /** Absent for mail in inboxes that do not write labels back to Gmail. */
+    labelSync: LabelSyncSchema,
   },
   { timestamps: true },
 );
@@ -37,6 +116,39 @@ EmailSchema.index({ messageId: 1 }, { unique: true });
 EmailSchema.index({ needsReview: 1, sentDate: 1 });
 EmailSchema.index({ department: 1, mailType: 1 });
 EmailSchema.index({ inbox: 1, sentDate: -1 });
+EmailSchema.index({ threadId: 1, sentDate: 1 });
+EmailSchema.index({ jobKey: 1, sentDate: 1 });
+EmailSchema.index({ workflowStatus: 1, slaDueAt: 1 });
+EmailSchema.index({ assignee: 1, workflowStatus: 1 });
+EmailSchema.index({ embeddingModel: 1, sentDate: -1 });
+EmailSchema.index({ internetMessageId: 1 });
+EmailSchema.index({ contentHash: 1, sentDate: 1 });
+EmailSchema.index({ duplicateOf: 1 });
+EmailSchema.index({ 'labelSync.status': 1, 'labelSync.nextAttemptAt': 1 });
+// Full-text search; a collection can have only one text index, so every searchable field is in it.
+EmailSchema.index(
+  {
+    subject: 'text',
+    summary: 'text',
+    clientName: 'text',
+    title: 'text',
+    fromName: 'text',
+    body: 'text',
+    'attachmentFiles.extractedText': 'text',
+  },
+  {
+    name: 'email_search',
+    weights: {
+      subject: 10,
+      summary: 5,
+      clientName: 5,
+      title: 5,
+      fromName: 3,
+      body: 2,
+      'attachmentFiles.extractedText': 1,
+    },
+  },
+);
 
 export type EmailDocument = mongoose.InferSchemaType<typeof EmailSchema> & {
   _id: mongoose.Types.ObjectId;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const FieldChangeSchema = new mongoose.Schema(
+  {
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false },
+);
+
+/**
+ * Append-only record of a classification run, human edit or workflow change. Revisions are
+ * only ever inserted; nothing updates or deletes them.
+ */
+const EmailRevisionSchema = new mongoose.Schema(
+  {
+    emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email', required: true },
+    kind: { type: String, enum: ['classification', 'edit', 'workflow'], required: true },
+    /** worker | reclassify for classification runs, review for edits and workflow changes. */
+    source: { type: String, enum: ['worker', 'reclassify', 'review'], required: true },
+    classifier: String,
+    classifierTier: String,
+    promptVersion: String,
+    raw: String,
+    /** Classification fields after this revision. */
+    snapshot: mongoose.Schema.Types.Mixed,
+    changes: { type: [FieldChangeSchema], default: [] },
+    user: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+EmailRevisionSchema.index({ emailId: 1, createdAt: 1 });
+
+export const EmailRevision = mongoose.model('EmailRevision', EmailRevisionSchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const LabelsSchema = new mongoose.Schema(
+  {
+    department: { type: String, default: '' },
+    mailType: { type: String, default: '' },
+    jobNumber: { type: String, default: '' },
+    isbn: { type: String, default: '' },
+    quantity: { type: String, default: '' },
+  },
+  { _id: false },
+);
+
+const ResultSchema = new mongoose.Schema(
+  {
+    emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email' },
+    subject: String,
+    expected: LabelsSchema,
+    predicted: LabelsSchema,
+    confidence: Number,
+    modelUsed: String,
+    usage: {
+      calls: { type: Number, default: 0 },
+      promptTokens: { type: Number, default: 0 },
+      completionTokens: { type: Number, default: 0 },
+      latencyMs: { type: Number, default: 0 },
+      costUsd: { type: Number, default: 0 },
+    },
+    error: String,
+  },
+  { _id: false },
+);
+
+/**
+ * A replay of reviewed emails (the gold set) against one prompt and tier.
+ * `emailIds` is fixed when the run starts so later runs can reuse the set.
+ */
+const EvaluationRunSchema = new mongoose.Schema(
+  {
+    name: { type: String, default: '' },
+    status: { type: String, enum: ['running', 'done', 'failed'], default: 'running' },
+    error: String,
+    /** `api` runs left `running` by a server restart are marked failed on startup. */
+    source: { type: String, enum: ['api', 'cli'], default: 'api' },
+    tier: { type: String, enum: ['cheap', 'strong', 'cascade'], required: true },
+    /** Overrides for a single-tier run; empty uses the configured provider/model. */
+    provider: String,
+    model: String,
+    /** Provider:model per tier used, e.g. "cheap openai:gpt-5-nano". */
+    models: [String],
+    promptVersion: String,
+    /** PromptVersion whose model overrides (and, unless `customPrompt`, text) the run used. */
+    promptNumber: Number,
+    /** Set for prompts tried without saving them as a version. */
+    customPrompt: { type: Boolean, default: false },
+    systemPrompt: String,
+    emailIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Email' }],
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    results: [ResultSchema],
+    metrics: mongoose.Schema.Types.Mixed,
+    startedBy: String,
+    finishedAt: Date,
+  },
+  { timestamps: true },
+);
+
+EvaluationRunSchema.index({ createdAt: -1 });
+EvaluationRunSchema.index({ status: 1 });
+
+export const EvaluationRun = mongoose.model('EvaluationRun', EvaluationRunSchema);
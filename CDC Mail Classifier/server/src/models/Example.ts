@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/** Curated few-shot example, usually created from a reviewer correction. */
+const ExampleSchema = new mongoose.Schema(
+  {
+    emailId: { type: mongoose.Schema.Types.ObjectId, ref: 'Email', unique: true, sparse: true },
+    source: { type: String, enum: ['correction', 'manual'], default: 'correction' },
+    fromDomain: String,
+    subject: String,
+    keywords: [String],
+    bodyExcerpt: String,
+    department: String,
+    mailType: String,
+    jobNumber: String,
+    clientName: String,
+    notes: String,
+    active: { type: Boolean, default: true },
+    usageCount: { type: Number, default: 0 },
+    lastUsedAt: Date,
+  },
+  { timestamps: true },
+);
+
+ExampleSchema.index({ active: 1, fromDomain: 1 });
+ExampleSchema.index({ active: 1, keywords: 1 });
+
+export type ExampleDocument = mongoose.InferSchemaType<typeof ExampleSchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const Example = mongoose.model('Example', ExampleSchema);
@@ -1,11 +1,66 @@
 import mongoose from 'mongoose';
 
+const TierOverrideSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ['openai', 'azure', 'local', 'stub'] },
+    model: String,
+  },
+  { _id: false },
+);
+
+const SyncRetrySchema = new mongoose.Schema(
+  {
+    messageId: { type: String, required: true },
+    /** Syncs that have failed on this message so far. */
+    attempts: { type: Number, default: 0 },
+    lastError: String,
+  },
+  { _id: false },
+);
+
 const InboxSchema = new mongoose.Schema(
   {
     label: String,
     emailAddress: { type: String, unique: true },
     refreshToken: String,
     active: { type: Boolean, default: true },
+    /** Last Gmail history record processed; deltas are pulled from here. */
+    historyId: String,
+    lastSyncedAt: Date,
+    /**
+     * Messages that failed to process in an earlier sync; retried on the next
+     * one, since the cursor has moved past them, until `poll.maxMessageAttempts`.
+     */
+    syncRetries: { type: [SyncRetrySchema], default: [] },
+    watchExpiration: Date,
+    /**
+     * `retrying`: syncs succeed but some messages in `syncRetries` keep failing.
+     * `reconnect_required`: Google rejected the refresh token; the inbox is paused until reconnected.
+     */
+    health: { type: String, enum: ['ok', 'retrying', 'failing', 'reconnect_required'], default: 'ok' },
+    lastError: String,
+    lastErrorAt: Date,
+    /** Failed syncs since the last successful one. */
+    consecutiveFailures: { type: Number, default: 0 },
+    /** Messages synced since `processedDay`, the start of the server-local day. */
+    processedToday: { type: Number, default: 0 },
+    processedDay: Date,
+    /** Set once admins have been told the inbox is stale; cleared when it syncs again. */
+    staleAlertedAt: Date,
+    /** OAuth scopes Google granted when the inbox was last connected. */
+    scopes: [String],
+    /** Applies the classification to each message as Gmail labels; needs the gmail.modify scope. */
+    writeLabels: { type: Boolean, default: false },
+    /** Latest label write-back failure; cleared by the next label sync that succeeds. */
+    labelError: String,
+    labelErrorAt: Date,
+    /** Masks every redaction category and all email addresses before mail reaches the LLM. */
+    strictPrivacy: { type: Boolean, default: false },
+    /** Optional provider/model per classifier tier for this inbox. */
+    llm: {
+      cheap: TierOverrideSchema,
+      strong: TierOverrideSchema,
+    },
   },
   { timestamps: true },
 );
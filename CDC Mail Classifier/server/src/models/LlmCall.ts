@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+/** One model call (including failed and escalated ones) for cost accounting. */
+const LlmCallSchema = new mongoose.Schema(
+  {
+    messageId: { type: String, required: true },
+    inbox: String,
+    /** `embedding` for similar-mail vectors; otherwise the classifier tier. */
+    tier: { type: String, enum: ['cheap', 'strong', 'embedding'] },
+    provider: String,
+    model: String,
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    latencyMs: Number,
+    costUsd: { type: Number, default: 0 },
+    success: Boolean,
+    error: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+LlmCallSchema.index({ createdAt: -1 });
+LlmCallSchema.index({ inbox: 1, createdAt: -1 });
+LlmCallSchema.index({ messageId: 1 });
+
+export const LlmCall = mongoose.model('LlmCall', LlmCallSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * One notification for one email via one route; doubles as the delivery log.
+ * Drained by the dispatcher in `jobs/notifier.ts`.
+ */
+const NotificationDeliverySchema = new mongoose.Schema(
+  {
+    routeId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    routeName: String,
+    emailId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    channel: { type: String, enum: ['email', 'webhook', 'whatsapp'], required: true },
+    target: { type: String, required: true },
+    subject: String,
+    text: String,
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    ignoreQuietHours: { type: Boolean, default: false },
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'failed'],
+      default: 'pending',
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: () => new Date() },
+    /** Set when the delivery was held back for quiet hours. */
+    deferredUntil: Date,
+    lockedAt: Date,
+    lastError: String,
+    /** Recipients already reached, for channels that send to each one separately. */
+    sentTo: { type: [String], default: [] },
+    sentAt: Date,
+  },
+  { timestamps: true },
+);
+
+NotificationDeliverySchema.index({ routeId: 1, emailId: 1 }, { unique: true });
+NotificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationDeliverySchema.index({ createdAt: -1 });
+
+export type NotificationDeliveryDocument = mongoose.InferSchemaType<typeof NotificationDeliverySchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const NotificationDelivery = mongoose.model('NotificationDelivery', NotificationDeliverySchema);
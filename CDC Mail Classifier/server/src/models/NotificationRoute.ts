@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/**
+ * Sends a notification when newly classified mail matches. An empty
+ * `department` or `mailTypes` matches any value.
+ */
+const NotificationRouteSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    active: { type: Boolean, default: true },
+    department: { type: String, default: '' },
+    mailTypes: { type: [String], default: [] },
+    channel: { type: String, enum: ['email', 'webhook', 'whatsapp'], required: true },
+    /** Comma-separated addresses or phone numbers, or a webhook URL. */
+    target: { type: String, required: true },
+    /** Deliver straight away even inside quiet hours. */
+    ignoreQuietHours: { type: Boolean, default: false },
+    sentCount: { type: Number, default: 0 },
+    lastSentAt: Date,
+  },
+  { timestamps: true },
+);
+
+NotificationRouteSchema.index({ active: 1 });
+
+export type NotificationRouteDocument = mongoose.InferSchemaType<typeof NotificationRouteSchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const NotificationRoute = mongoose.model('NotificationRoute', NotificationRouteSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const TierOverrideSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ['openai', 'azure', 'local', 'stub'] },
+    model: String,
+  },
+  { _id: false },
+);
+
+/**
+ * A numbered classifier configuration: the system prompt plus optional
+ * provider/model per tier. One version is `live`; at most one more runs in
+ * `shadow` on a sample of live mail without affecting what is stored.
+ */
+const PromptVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    systemPrompt: { type: String, required: true },
+    /** classifierPromptVersion(systemPrompt) when saved; changes to the user template change it later. */
+    hash: String,
+    /** Overrides `config.llm.tiers`; per-inbox overrides still take precedence. */
+    tiers: {
+      cheap: TierOverrideSchema,
+      strong: TierOverrideSchema,
+    },
+    /** `taxonomy` versions are created whenever a taxonomy save changes the prompt; they are not made live automatically. */
+    origin: { type: String, enum: ['taxonomy', 'manual'], default: 'manual' },
+    note: { type: String, default: '' },
+    createdBy: String,
+    live: { type: Boolean, default: false },
+    liveSince: Date,
+    shadow: { type: Boolean, default: false },
+    /** Share of LLM-classified mail also sent to the shadow version, 0-1. */
+    shadowSampleRate: { type: Number, default: 1, min: 0, max: 1 },
+    shadowSince: Date,
+  },
+  { timestamps: true },
+);
+
+PromptVersionSchema.index({ version: 1 }, { unique: true });
+PromptVersionSchema.index({ live: 1 });
+PromptVersionSchema.index({ shadow: 1 });
+
+export type PromptVersionDocument = mongoose.InferSchemaType<typeof PromptVersionSchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const PromptVersion = mongoose.model('PromptVersion', PromptVersionSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * A scheduled digest emailed to `recipients`. `department` digests cover the
+ * previous day, one row per department; `client` digests cover the previous
+ * 7 days, one row per client.
+ */
+const ReportSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    active: { type: Boolean, default: true },
+    kind: { type: String, enum: ['department', 'client'], required: true },
+    /** Limits the digest to one department; empty covers all of them. */
+    department: { type: String, default: '' },
+    /** Comma-separated email addresses. */
+    recipients: { type: String, required: true },
+    /** Server-local hour from which the digest is sent. */
+    hour: { type: Number, default: 8, min: 0, max: 23 },
+    /** Weekly `client` digests only: 0 = Sunday … 6 = Saturday. */
+    weekday: { type: Number, default: 1, min: 0, max: 6 },
+    /** Attach the figures as an XLSX workbook. */
+    attachXlsx: { type: Boolean, default: true },
+    sentCount: { type: Number, default: 0 },
+    lastSentAt: Date,
+    lastError: String,
+  },
+  { timestamps: true },
+);
+
+ReportSchema.index({ active: 1 });
+
+export type ReportDocument = mongoose.InferSchemaType<typeof ReportSchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const Report = mongoose.model('Report', ReportSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const RuleConditionSchema = new mongoose.Schema(
+  {
+    field: { type: String, enum: ['from', 'subject', 'body'], required: true },
+    operator: { type: String, enum: ['contains', 'equals', 'regex', 'domain'], required: true },
+    value: { type: String, required: true },
+  },
+  { _id: false },
+);
+
+/**
+ * Deterministic routing rule evaluated before the LLM. `classify` and `skip`
+ * rules decide the email outright; `hint` rules only add text to the prompt.
+ */
+const RuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    description: String,
+    active: { type: Boolean, default: true },
+    /** Lower runs first; the first classify/skip match wins. */
+    priority: { type: Number, default: 100 },
+    match: { type: String, enum: ['all', 'any'], default: 'all' },
+    conditions: { type: [RuleConditionSchema], default: [] },
+    action: { type: String, enum: ['classify', 'skip', 'hint'], required: true },
+    department: String,
+    mailType: String,
+    hint: String,
+    hitCount: { type: Number, default: 0 },
+    lastHitAt: Date,
+  },
+  { timestamps: true },
+);
+
+RuleSchema.index({ active: 1, priority: 1 });
+
+export type RuleDocument = mongoose.InferSchemaType<typeof RuleSchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const Rule = mongoose.model('Rule', RuleSchema);
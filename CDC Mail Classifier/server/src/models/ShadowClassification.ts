@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const OutcomeSchema = new mongoose.Schema(
+  {
+    version: Number,
+    department: String,
+    mailType: String,
+    confidence: Number,
+    classifier: String,
+  },
+  { _id: false },
+);
+
+/**
+ * What a shadow prompt version made of one live email, next to what the live
+ * version stored. Never copied onto the Email itself.
+ */
+const ShadowClassificationSchema = new mongoose.Schema(
+  {
+    messageId: { type: String, required: true },
+    inbox: String,
+    /** The shadow version; also in `shadow.version`, kept flat for indexing. */
+    version: { type: Number, required: true },
+    live: OutcomeSchema,
+    shadow: OutcomeSchema,
+    agreeDepartment: Boolean,
+    agreeMailType: Boolean,
+    costUsd: { type: Number, default: 0 },
+    error: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+ShadowClassificationSchema.index({ version: 1, messageId: 1 }, { unique: true });
+ShadowClassificationSchema.index({ version: 1, createdAt: -1 });
+
+export const ShadowClassification = mongoose.model('ShadowClassification', ShadowClassificationSchema);
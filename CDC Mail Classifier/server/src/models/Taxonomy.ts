@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+const FieldSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    type: { type: String, enum: ['text', 'boolean', 'list'], default: 'text' },
+    description: { type: String, default: '' },
+  },
+  { _id: false },
+);
+
+const DepartmentSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    definition: { type: String, default: '' },
+    active: { type: Boolean, default: true },
+  },
+  { _id: false },
+);
+
+const MailTypeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    definition: { type: String, default: '' },
+    active: { type: Boolean, default: true },
+    color: { type: String, enum: ['slate', 'sky', 'emerald', 'amber', 'rose', 'violet'], default: 'slate' },
+    /** Shape of `type_specific` for this mail type. */
+    fields: { type: [FieldSchema], default: [] },
+  },
+  { _id: false },
+);
+
+/**
+ * Departments and mail types the classifier chooses from. There is one
+ * document; until an admin saves the taxonomy the built-in default is used.
+ */
+const TaxonomySchema = new mongoose.Schema(
+  {
+    departments: { type: [DepartmentSchema], default: [] },
+    mailTypes: { type: [MailTypeSchema], default: [] },
+    rules: { type: [String], default: [] },
+    updatedBy: String,
+  },
+  { timestamps: true },
+);
+
+export type TaxonomyDocument = mongoose.InferSchemaType<typeof TaxonomySchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const TaxonomyModel = mongoose.model('Taxonomy', TaxonomySchema);
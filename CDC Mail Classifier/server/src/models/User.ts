@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+/** Dashboard account, created on first Google sign-in. */
+const UserSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: String,
+    picture: String,
+    role: { type: String, enum: ['viewer', 'reviewer', 'admin'], default: 'viewer' },
+    /** Departments a reviewer is limited to. */
+    departments: { type: [String], default: [] },
+    active: { type: Boolean, default: true },
+    lastLoginAt: Date,
+  },
+  { timestamps: true },
+);
+
+export type UserDocument = mongoose.InferSchemaType<typeof UserSchema> & {
+  _id: mongoose.Types.ObjectId;
+  createdAt: Date;
+  updatedAt: Date;
+};
+
+export const User = mongoose.model('User', UserSchema);
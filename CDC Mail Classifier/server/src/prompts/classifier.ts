@@ -1,10 +1,35 @@
-export const CLASSIFIER_SYSTEM_PROMPT = `You are an email classifier for CDC Printers, a Kolkata-based book printing and packaging company.
+import crypto from 'node:crypto';
+import type { Taxonomy, TaxonomyField, TaxonomyMailType } from '../types/index.js';
+
+function fieldShape(field: TaxonomyField): string {
+  const value = field.type === 'boolean' ? 'true/false' : field.type === 'list' ? '[]' : '""';
+  return `"${field.key}": ${value}`;
+}
+
+function typeSpecificLines(mailType: TaxonomyMailType): string[] {
+  const shape = mailType.fields.length > 0 ? `{ ${mailType.fields.map(fieldShape).join(', ')} }` : '{}';
+  return [
+    `- ${mailType.name}: ${shape}`,
+    ...mailType.fields.filter((f) => f.description).map((f) => `  - ${f.key}: ${f.description}`),
+  ];
+}
+
+/**
+ * The system prompt for the active departments and mail types. Built on every
+ * classification so taxonomy edits apply without a redeploy.
+ */
+export function buildClassifierSystemPrompt(taxonomy: Taxonomy): string {
+  const departments = taxonomy.departments.filter((d) => d.active);
+  const mailTypes = taxonomy.mailTypes.filter((t) => t.active);
+  const definitions = mailTypes.filter((t) => t.definition);
+
+  return `You are an email classifier for CDC Printers, a Kolkata-based book printing and packaging company.
 
 Your task is to read incoming emails and return ONLY valid JSON (no markdown fences, no commentary) matching this exact schema. Every key must be present; use empty string "" or empty object {} for missing values.
 
 {
-  "department": "Prepress | Packprepress | Packagingcrm | Production",
-  "mail_type": "File received | Correction received | Approval received | Production query | Request for quote received",
+  "department": "${departments.map((d) => d.name).join(' | ')}",
+  "mail_type": "${mailTypes.map((t) => t.name).join(' | ')}",
   "confidence": 0.0-1.0,
   "job_number": "",
   "client_name": "",
@@ -18,17 +43,12 @@ Your task is to read incoming emails and return ONLY valid JSON (no markdown fen
 }
 
 DEPARTMENT DEFINITIONS:
-- Prepress — prepress work for book jobs (covers, text files, proofs, ozalids)
-- Packprepress — prepress for packaging jobs (cartons, boxes, labels, dielines)
-- Packagingcrm — client-facing packaging commercial matters (quotes, orders, client communication)
-- Production — production floor matters (scheduling, machine queries, dispatch, run status)
-
+${departments.map((d) => `- ${d.name}${d.definition ? ` — ${d.definition}` : ''}`).join('\n')}
+${definitions.length > 0 ? `\nMAIL TYPE DEFINITIONS:\n${definitions.map((t) => `- ${t.name} — ${t.definition}`).join('\n')}\n` : ''}
 MAIL TYPE RULES:
-- "approved with minor changes" or "approved subject to corrections" => Correction received (changes block production)
-- Clean "approved" / "go ahead" / "you can print" => Approval received
-- New files for a job already in production => File received
-- Internal forwards from CDC staff: classify by the ORIGINAL email's intent, not the forward wrapper
+${taxonomy.rules.map((rule) => `- ${rule}\n`).join('')}- Internal forwards from CDC staff: classify by the ORIGINAL email's intent, not the forward wrapper
 - Auto-replies / out-of-office / delivery-failure notifications => confidence < 0.3, summary "auto-reply or empty"
+- ROUTING HINTS come from rules maintained by CDC staff; follow them unless the email clearly contradicts them
 
 CONFIDENCE:
 - confidence < 0.7 flags the email for human review
@@ -40,16 +60,14 @@ EXTRACTION RULES:
 - quantity: integer only ("5,000 copies" => "5000"); "" if not stated
 - due_date: ISO YYYY-MM-DD; resolve relative dates (e.g. "next Friday") against the email's sent date; "" if not stated
 - client_name: the company or publisher name, NOT the individual signer's name
+- If EARLIER IN THREAD is given and this email does not state a job_number, client_name or title, reuse the values from the earlier messages (e.g. a bare "approved" reply inherits the job number of the proof it answers)
 - summary: at most 25 words describing the email's purpose
 
 TYPE_SPECIFIC (include only fields relevant to the chosen mail_type):
-- File received: { "file_type": "", "page_count": "", "file_names": [] }
-- Correction received: { "round": "", "pages_affected": "", "urgency": "" }
-- Approval received: { "approved_item": "", "clean_approval": true/false }
-- Production query: { "query_about": "" }
-- Request for quote received: { "trim_size": "", "paper_gsm": "", "binding": "", "pages": "", "colour": "", "qty_options": "", "shipping_terms": "", "quote_deadline": "" }
+${mailTypes.flatMap(typeSpecificLines).join('\n')}
 
 Return ONLY the JSON object. All keys must always be present.`;
+}
 
 export const CLASSIFIER_USER_PROMPT = (
   email: {
@@ -61,10 +79,19 @@ export const CLASSIFIER_USER_PROMPT = (
     sentDate: string;
     body: string;
     attachments: string[];
+    attachmentText: string;
+    threadSummary: string;
+    hints: string[];
+    /** Adds a note on the `[PHONE_1]`-style placeholders of masked values. */
+    redacted: boolean;
   },
 ): string =>
   `Classify this email:
-
+${
+  email.redacted
+    ? '\nSome values are masked as placeholders such as [PHONE_1]. Copy a placeholder unchanged into any field whose value it hides.\n'
+    : ''
+}
 From: ${email.fromName} <${email.fromEmail}>
 To: ${email.toField}
 CC: ${email.ccField}
@@ -72,5 +99,27 @@ Subject: ${email.subject}
 Sent: ${email.sentDate}
 Attachments: ${email.attachments.length > 0 ? email.attachments.join(', ') : 'none'}
 
-Body:
-${email.body}`;
+${email.threadSummary ? `EARLIER IN THREAD (oldest first):\n${email.threadSummary}\n\n` : ''}${
+  email.hints.length > 0 ? `ROUTING HINTS (from staff-maintained rules):\n${email.hints.map((h) => `- ${h}`).join('\n')}\n\n` : ''
+}Body:
+${email.body}${
+  email.attachmentText
+    ? `
+
+Attachment text (extracted, truncated):
+${email.attachmentText}`
+    : ''
+}`;
+
+/**
+ * Changes whenever the system prompt or user template changes, so revisions
+ * can be traced back to the prompt that produced them.
+ */
+export function classifierPromptVersion(systemPrompt: string): string {
+  return crypto
+    .createHash('sha256')
+    .update(systemPrompt)
+    .update(CLASSIFIER_USER_PROMPT.toString())
+    .digest('hex')
+    .slice(0, 12);
+}
@@ -1,13 +1,32 @@
 import { Router, type Request, type Response } from 'express';
 import { getAuthUrl, exchangeCodeForTokens } from '../lib/gmail.js';
+import {
+  authenticate,
+  clearSessionCookie,
+  completeLogin,
+  consumeOAuthNonce,
+  issueOAuthNonce,
+  requireRole,
+  resolveUser,
+  setSessionCookie,
+  startLogin,
+} from '../lib/auth.js';
 import { storeInboxRefreshToken } from './inboxes.js';
 import { config } from '../config.js';
 
 const router = Router();
 
+/**
+ * Both flows share the registered redirect URI: `purpose` tells dashboard
+ * sign-in apart from connecting a Gmail inbox.
+ */
 interface OAuthState {
+  purpose?: 'login' | 'inbox';
+  nonce?: string;
   label?: string;
   emailAddress?: string;
+  /** Also request gmail.modify so the inbox can write labels back. */
+  writeLabels?: boolean;
 }
 
 function encodeState(state: OAuthState): string {
@@ -22,19 +41,78 @@ function decodeState(state: string): OAuthState {
   }
 }
 
-router.get('/google', (req: Request, res: Response) => {
-  const { label, emailAddress } = req.query;
+function loginErrorRedirect(res: Response, message: string): void {
+  res.redirect(`${config.clientUrl}/login?error=${encodeURIComponent(message)}`);
+}
+
+router.get('/login', (_req: Request, res: Response) => {
+  if (config.auth.disabled) {
+    res.redirect(config.clientUrl);
+    return;
+  }
+  res.redirect(startLogin(res, encodeState));
+});
+
+router.post('/logout', (_req: Request, res: Response) => {
+  clearSessionCookie(res);
+  res.status(204).end();
+});
+
+router.get('/me', authenticate, (req: Request, res: Response) => {
+  res.json({ user: req.user, authDisabled: config.auth.disabled });
+});
+
+/**
+ * Connecting an inbox grants mail access, so only admins may start it. The
+ * nonce stops a crafted callback link from connecting someone else's account.
+ */
+router.get('/google', authenticate, requireRole('admin'), (req: Request, res: Response) => {
+  const { label, emailAddress, writeLabels } = req.query;
   const state = encodeState({
+    purpose: 'inbox',
+    nonce: issueOAuthNonce(res),
     label: typeof label === 'string' ? label : undefined,
     emailAddress: typeof emailAddress === 'string' ? emailAddress : undefined,
+    writeLabels: writeLabels === 'true',
   });
-  const url = getAuthUrl(state);
+  const url = getAuthUrl(state, writeLabels === 'true');
   res.redirect(url);
 });
 
 router.get('/google/callback', async (req: Request, res: Response) => {
+  const { code, state: stateParam, error } = req.query;
+  const state = typeof stateParam === 'string' ? decodeState(stateParam) : {};
+
+  if (state.purpose === 'login') {
+    if (error || typeof code !== 'string') {
+      loginErrorRedirect(
+        res,
+        error ? `Google sign-in failed: ${String(error)}` : 'Missing authorization code',
+      );
+      return;
+    }
+    try {
+      const userId = await completeLogin(req, res, code, state.nonce);
+      setSessionCookie(res, userId);
+      res.redirect(config.clientUrl);
+    } catch (err) {
+      console.error('[Auth] Sign-in failed', err);
+      loginErrorRedirect(res, err instanceof Error ? err.message : 'Sign-in failed');
+    }
+    return;
+  }
+
   try {
-    const { code, state: stateParam, error } = req.query;
+    const user = await resolveUser(req);
+    if (user?.role !== 'admin') {
+      res.status(403).json({ error: 'Only admins can connect inboxes' });
+      return;
+    }
+
+    if (!consumeOAuthNonce(req, res, state.nonce)) {
+      res.status(400).json({ error: 'Inbox connection expired or was not started here; connect again from the Inboxes page' });
+      return;
+    }
 
     if (error) {
       res.status(400).send(`OAuth error: ${String(error)}`);
@@ -46,7 +124,6 @@ router.get('/google/callback', async (req: Request, res: Response) => {
       return;
     }
 
-    const state = typeof stateParam === 'string' ? decodeState(stateParam) : {};
     const tokens = await exchangeCodeForTokens(code);
 
     const emailAddress = state.emailAddress;
@@ -57,7 +134,7 @@ router.get('/google/callback', async (req: Request, res: Response) => {
       return;
     }
 
-    await storeInboxRefreshToken(emailAddress, tokens.refresh_token!, state.label);
+    await storeInboxRefreshToken(emailAddress, tokens.refresh_token!, state.label, tokens.scope?.split(' '));
 
     res.redirect(`${config.clientUrl}/inboxes?connected=${encodeURIComponent(emailAddress)}`);
   } catch (err) {
@@ -1,8 +1,38 @@
 import { Router, type Request, type Response } from 'express';
 import mongoose from 'mongoose';
 import { Email } from '../models/Email.js';
-import type { EmailUpdatePayload } from '../types/index.js';
-import { classifyEmail, classificationToEmailFields } from '../lib/classifier.js';
+import { User } from '../models/User.js';
+import type { AuthUser, EmailUpdatePayload } from '../types/index.js';
+import { openAttachmentStream } from '../lib/attachments.js';
+import { recordCorrection } from '../lib/examples.js';
+import { normalizeJobNumber } from '../lib/jobNumbers.js';
+import { buildSnippet, parseSearchQuery } from '../lib/search.js';
+import { getTaxonomy } from '../lib/taxonomy.js';
+import { embeddingModelKey, embeddingsEnabled, findSimilarEmails } from '../lib/embeddings.js';
+import { duplicateInboxes, listDuplicates, syncDuplicateGroup } from '../lib/duplicates.js';
+import { classifyForStorage } from '../lib/pipeline.js';
+import { queueLabelSync } from '../lib/gmailLabels.js';
+import { publishEvent, toLiveEmail } from '../lib/events.js';
+import { fromStoredEmail } from '../lib/normalize.js';
+import { previewUserPrompt } from '../lib/classifier.js';
+import { loadRedactionOptions } from '../lib/classifyContext.js';
+import { buildThreadContext } from '../lib/threads.js';
+import { EXPORT_FIELDS, emailsTable, toCsv, toXlsx, type ExportEmail } from '../lib/export.js';
+import { config } from '../config.js';
+import {
+  recordClassificationRevision,
+  recordEditRevision,
+  recordWorkflowRevision,
+} from '../lib/history.js';
+import { canAccessEmail, departmentScope, requireRole } from '../lib/auth.js';
+import { EmailRevision } from '../models/EmailRevision.js';
+import {
+  buildWorkflowUpdate,
+  isWorkflowStatus,
+  overdueFilter,
+  slaDeadline,
+  type WorkflowInput,
+} from '../lib/sla.js';
 
 const router = Router();
 
@@ -12,61 +42,115 @@ function parseBool(value: unknown): boolean | undefined {
   return undefined;
 }
 
-router.get('/', async (req: Request, res: Response) => {
-  try {
-    const {
-      department,
-      mailType,
-      needsReview,
-      inbox,
-      search,
-      dateFrom,
-      dateTo,
-      page = '1',
-      limit = '25',
-    } = req.query;
-
-    const filter: Record<string, unknown> = {};
-
-    if (typeof department === 'string' && department) filter.department = department;
-    if (typeof mailType === 'string' && mailType) filter.mailType = mailType;
-    if (typeof inbox === 'string' && inbox) filter.inbox = inbox;
-
-    const reviewFilter = parseBool(needsReview);
-    if (reviewFilter !== undefined) filter.needsReview = reviewFilter;
-
-    if (typeof dateFrom === 'string' || typeof dateTo === 'string') {
-      const sentDate: Record<string, Date> = {};
-      if (typeof dateFrom === 'string' && dateFrom) {
-        sentDate.$gte = new Date(dateFrom);
-      }
-      if (typeof dateTo === 'string' && dateTo) {
-        sentDate.$lte = new Date(dateTo);
-      }
-      filter.sentDate = sentDate;
-    }
+interface ListQuery {
+  filter: Record<string, unknown>;
+  sort: Record<string, 1 | -1 | { $meta: 'textScore' }>;
+  /** Ordered by text score; the projection must include it. */
+  ranked: boolean;
+  /** Terms to highlight in snippets. */
+  highlights: string[];
+}
+
+/** Filter and order for `GET /` and `GET /export`, from the same query parameters. */
+async function buildListQuery(query: Request['query'], user?: AuthUser): Promise<ListQuery> {
+  const { department, mailType, needsReview, inbox, search, sort, dateFrom, dateTo, workflowStatus, assignee, overdue } =
+    query;
+
+  const filter: Record<string, unknown> = {};
+
+  if (typeof department === 'string' && department) filter.department = department;
+  if (typeof mailType === 'string' && mailType) filter.mailType = mailType;
+  if (typeof inbox === 'string' && inbox) filter.inbox = inbox;
+  // One row per mail: copies from other inboxes only show when filtering by their inbox.
+  else filter.duplicateOf = null;
+
+  const reviewFilter = parseBool(needsReview);
+  if (reviewFilter !== undefined) filter.needsReview = reviewFilter;
+
+  // Mail stored before the workflow existed has no status and counts as new.
+  if (workflowStatus === 'new') filter.workflowStatus = { $in: ['new', null] };
+  else if (isWorkflowStatus(workflowStatus)) filter.workflowStatus = workflowStatus;
+  if (typeof assignee === 'string' && assignee) {
+    filter.assignee = assignee === 'me' ? user?.email : assignee;
+  }
+
+  const overdueOnly = parseBool(overdue) === true;
+  if (overdueOnly) Object.assign(filter, overdueFilter());
 
-    if (typeof search === 'string' && search.trim()) {
-      const term = search.trim();
-      filter.$or = [
-        { subject: { $regex: term, $options: 'i' } },
-        { fromEmail: { $regex: term, $options: 'i' } },
-        { fromName: { $regex: term, $options: 'i' } },
-        { clientName: { $regex: term, $options: 'i' } },
-        { jobNumber: { $regex: term, $options: 'i' } },
-        { summary: { $regex: term, $options: 'i' } },
-      ];
+  if (typeof dateFrom === 'string' || typeof dateTo === 'string') {
+    const sentDate: Record<string, Date> = {};
+    if (typeof dateFrom === 'string' && dateFrom) {
+      sentDate.$gte = new Date(dateFrom);
     }
+    if (typeof dateTo === 'string' && dateTo) {
+      sentDate.$lte = new Date(dateTo);
+    }
+    filter.sentDate = sentDate;
+  }
+
+  const conditions: Record<string, unknown>[] = [];
+  const parsed = typeof search === 'string' && search.trim() ? parseSearchQuery(search, await getTaxonomy(), user?.email) : null;
+  if (parsed) {
+    if (parsed.text) filter.$text = { $search: parsed.text };
+    conditions.push(...parsed.conditions);
+  }
+
+  const scope = departmentScope(user);
+  if (scope) conditions.push(scope);
+  if (conditions.length > 0) filter.$and = conditions;
+
+  const ranked = Boolean(parsed?.text) && !overdueOnly && (sort === undefined || sort === 'relevance');
+  return {
+    filter,
+    // Best match, most overdue, or by date (newest first unless `sort=oldest`).
+    sort: ranked
+      ? { score: { $meta: 'textScore' }, sentDate: -1 }
+      : overdueOnly
+        ? { slaDueAt: 1 }
+        : { sentDate: sort === 'oldest' ? 1 : -1 },
+    ranked,
+    highlights: parsed?.highlights ?? [],
+  };
+}
+
+router.get('/', async (req: Request, res: Response) => {
+  try {
+    const { page = '1', limit = '25' } = req.query;
+    const { filter, sort, ranked, highlights } = await buildListQuery(req.query, req.user);
 
     const pageNum = Math.max(1, parseInt(String(page), 10) || 1);
     const limitNum = Math.min(100, Math.max(1, parseInt(String(limit), 10) || 25));
     const skip = (pageNum - 1) * limitNum;
 
-    const [emails, total] = await Promise.all([
-      Email.find(filter).sort({ sentDate: -1 }).skip(skip).limit(limitNum).lean(),
+    const wantSnippets = highlights.length > 0;
+
+    const projection: Record<string, 0 | { $meta: 'textScore' }> = {};
+    // Attachment text is only loaded to cut snippets from, and stripped below.
+    if (!wantSnippets) projection['attachmentFiles.extractedText'] = 0;
+    if (ranked) projection.score = { $meta: 'textScore' };
+
+    const [found, total] = await Promise.all([
+      Email.find(filter)
+        .select(projection)
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
       Email.countDocuments(filter),
     ]);
 
+    const alsoIn = await duplicateInboxes(found.filter((e) => !e.duplicateOf).map((e) => e._id));
+    const emails = found.map((email) => ({
+      ...email,
+      ...(alsoIn.has(String(email._id)) ? { alsoIn: alsoIn.get(String(email._id)) } : {}),
+      ...(wantSnippets
+        ? {
+            snippet: buildSnippet(email, highlights) ?? undefined,
+            attachmentFiles: email.attachmentFiles?.map(({ extractedText: _text, ...file }) => file),
+          }
+        : {}),
+    }));
+
     res.json({
       emails,
       pagination: {
@@ -82,6 +166,44 @@ router.get('/', async (req: Request, res: Response) => {
   }
 });
 
+/**
+ * Downloads the mail `GET /` would list, as CSV or XLSX (`?format=`), up to
+ * `config.reports.exportMaxRows` rows. `X-Export-Truncated` marks a cut-off export.
+ */
+router.get('/export', async (req: Request, res: Response) => {
+  try {
+    const format = req.query.format ?? 'csv';
+    if (format !== 'csv' && format !== 'xlsx') {
+      res.status(400).json({ error: 'format must be csv or xlsx' });
+      return;
+    }
+
+    const { filter, sort, ranked } = await buildListQuery(req.query, req.user);
+    const max = config.reports.exportMaxRows;
+    const found = await Email.find(filter)
+      .select(ranked ? { score: { $meta: 'textScore' } } : {})
+      .select(EXPORT_FIELDS)
+      .sort(sort)
+      .limit(max + 1)
+      .lean<ExportEmail[]>();
+
+    const table = emailsTable(found.slice(0, max));
+    const filename = `emails-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Export-Truncated', String(found.length > max));
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.send(await toXlsx([table]));
+    } else {
+      res.type('text/csv; charset=utf-8');
+      res.send(toCsv(table));
+    }
+  } catch (err) {
+    console.error('[API] GET /emails/export error', err);
+    res.status(500).json({ error: 'Failed to export emails' });
+  }
+});
+
 router.get('/:id', async (req: Request, res: Response) => {
   try {
     const id = String(req.params.id);
@@ -91,19 +213,20 @@ router.get('/:id', async (req: Request, res: Response) => {
     }
 
     const email = await Email.findById(id).lean();
-    if (!email) {
+    if (!email || !canAccessEmail(req.user, email)) {
       res.status(404).json({ error: 'Email not found' });
       return;
     }
 
-    res.json(email);
+    res.json({ ...email, duplicates: await listDuplicates(email) });
   } catch (err) {
     console.error('[API] GET /emails/:id error', err);
     res.status(500).json({ error: 'Failed to fetch email' });
   }
 });
 
-router.patch('/:id', async (req: Request, res: Response) => {
+/** Every classification run and reviewer edit for the email, oldest first. */
+router.get('/:id/history', async (req: Request, res: Response) => {
   try {
     const id = String(req.params.id);
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -111,72 +234,431 @@ router.patch('/:id', async (req: Request, res: Response) => {
       return;
     }
 
-    const body = req.body as EmailUpdatePayload;
-    const update: Record<string, unknown> = { reviewed: true };
-
-    const fieldMap: Record<keyof EmailUpdatePayload, string> = {
-      department: 'department',
-      mailType: 'mailType',
-      jobNumber: 'jobNumber',
-      clientName: 'clientName',
-      isbn: 'isbn',
-      title: 'title',
-      quantity: 'quantity',
-      dueDate: 'dueDate',
-      summary: 'summary',
-      actionRequired: 'actionRequired',
-      typeSpecific: 'typeSpecific',
-    };
-
-    for (const [key, dbField] of Object.entries(fieldMap)) {
-      const k = key as keyof EmailUpdatePayload;
-      if (body[k] !== undefined) {
-        update[dbField] = body[k];
-      }
+    const email = await Email.findById(id).select('department').lean();
+    if (!email || !canAccessEmail(req.user, email)) {
+      res.status(404).json({ error: 'Email not found' });
+      return;
     }
 
-    update.needsReview = false;
+    const revisions = await EmailRevision.find({ emailId: id }).sort({ createdAt: 1 }).lean();
+    res.json(revisions);
+  } catch (err) {
+    console.error('[API] GET /emails/:id/history error', err);
+    res.status(500).json({ error: 'Failed to fetch email history' });
+  }
+});
+
+/**
+ * The classifier's user message for this email as the LLM would receive it,
+ * with each masked value. Hint rules and few-shot examples are left out.
+ */
+router.get('/:id/redaction', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid email id' });
+      return;
+    }
 
-    const email = await Email.findByIdAndUpdate(id, { $set: update }, { new: true }).lean();
-    if (!email) {
+    const email = await Email.findById(id).lean();
+    if (!email || !canAccessEmail(req.user, email)) {
       res.status(404).json({ error: 'Email not found' });
       return;
     }
 
-    res.json(email);
+    const normalized = fromStoredEmail(email);
+    const [thread, redaction] = await Promise.all([
+      buildThreadContext(normalized),
+      loadRedactionOptions(normalized.inbox),
+    ]);
+    const { prompt, redactions } = previewUserPrompt(normalized, { thread, redaction });
+    res.json({
+      strict: redaction.strict,
+      categories: redaction.strict ? config.redaction.all : redaction.categories,
+      prompt,
+      redactions,
+    });
+  } catch (err) {
+    console.error('[API] GET /emails/:id/redaction error', err);
+    res.status(500).json({ error: 'Failed to build redaction preview' });
+  }
+});
+
+/** Nearest neighbours by embedding; `?sameSender=true` keeps to the sender's domain. */
+router.get('/:id/similar', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid email id' });
+      return;
+    }
+
+    const email = await Email.findById(id).select('department').lean();
+    if (!email || !canAccessEmail(req.user, email)) {
+      res.status(404).json({ error: 'Email not found' });
+      return;
+    }
+
+    if (!embeddingsEnabled()) {
+      res.json({ available: false, model: '', results: [] });
+      return;
+    }
+
+    const limit = Math.min(25, Math.max(1, Number(req.query.limit) || 8));
+    let results;
+    try {
+      results = await findSimilarEmails(id, {
+        limit,
+        sameSender: parseBool(req.query.sameSender) === true,
+        scope: departmentScope(req.user),
+      });
+    } catch (err) {
+      console.error('[API] Embedding lookup failed', err);
+      res.status(502).json({ error: 'Embedding provider unavailable' });
+      return;
+    }
+
+    res.json({ available: true, model: embeddingModelKey(), results: results ?? [] });
+  } catch (err) {
+    console.error('[API] GET /emails/:id/similar error', err);
+    res.status(500).json({ error: 'Failed to find similar emails' });
+  }
+});
+
+router.get('/:id/attachments/:fileId', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    const fileId = String(req.params.fileId);
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(fileId)) {
+      res.status(400).json({ error: 'Invalid id' });
+      return;
+    }
+
+    const email = await Email.findById(id).select('department attachmentFiles').lean();
+    const file =
+      email && canAccessEmail(req.user, email)
+        ? email.attachmentFiles?.find((f) => String(f.fileId) === fileId)
+        : undefined;
+    if (!file) {
+      res.status(404).json({ error: 'Attachment not found' });
+      return;
+    }
+
+    res.setHeader('Content-Type', file.mimeType || 'application/octet-stream');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename*=UTF-8''${encodeURIComponent(file.filename ?? 'attachment')}`,
+    );
+
+    const stream = openAttachmentStream(fileId);
+    stream.on('error', (err) => {
+      console.error('[API] Attachment stream error', err);
+      if (!res.headersSent) res.status(500).json({ error: 'Failed to read attachment' });
+      else res.end();
+    });
+    stream.pipe(res);
+  } catch (err) {
+    console.error('[API] GET /emails/:id/attachments/:fileId error', err);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+type EmailActionResult =
+  | { ok: true; email: Record<string, unknown> }
+  | { ok: false; status: 400 | 404; error: string };
+
+const EDITABLE_FIELDS: (keyof EmailUpdatePayload)[] = [
+  'department',
+  'mailType',
+  'jobNumber',
+  'clientName',
+  'isbn',
+  'title',
+  'quantity',
+  'dueDate',
+  'summary',
+  'actionRequired',
+  'typeSpecific',
+];
+
+/** Staff correction: applies the fields and marks the email reviewed. An empty body accepts it as classified. */
+async function applyReviewEdit(id: string, body: EmailUpdatePayload, user?: AuthUser): Promise<EmailActionResult> {
+  const update: Record<string, unknown> = { reviewed: true, needsReview: false };
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) update[field] = body[field];
+  }
+  if (body.jobNumber !== undefined) {
+    update.jobKey = normalizeJobNumber(body.jobNumber);
+  }
+
+  const before = await Email.findById(id).lean();
+  if (!before || !canAccessEmail(user, before)) {
+    return { ok: false, status: 404, error: 'Email not found' };
+  }
+  if (body.mailType !== undefined && before.workflowStatus !== 'done') {
+    update.slaDueAt = slaDeadline(body.mailType, before.sentDate);
+  }
+
+  const email = await Email.findByIdAndUpdate(id, { $set: update }, { new: true }).lean();
+  if (!email) return { ok: false, status: 404, error: 'Email not found' };
+
+  try {
+    await recordCorrection(before, email);
+  } catch (err) {
+    console.error('[API] Failed to record correction', err);
+  }
+
+  try {
+    await recordEditRevision(email._id, before, email, user?.email);
+  } catch (err) {
+    console.error('[API] Failed to record revision', err);
+  }
+
+  try {
+    await syncDuplicateGroup(email);
+  } catch (err) {
+    console.error('[API] Failed to update duplicate copies', err);
+  }
+
+  try {
+    await queueLabelSync(email, true);
+  } catch (err) {
+    console.error('[API] Failed to queue Gmail labels', err);
+  }
+
+  publishEvent({ type: 'email.reviewed', email: toLiveEmail(email), reviewer: user?.email });
+  return { ok: true, email };
+}
+
+/** Validates and applies a workflow change, including who the mail may be assigned to. */
+async function applyWorkflowChange(id: string, input: WorkflowInput, user?: AuthUser): Promise<EmailActionResult> {
+  const { status, assignee } = input;
+  if (status !== undefined && !isWorkflowStatus(status)) {
+    return { ok: false, status: 400, error: 'status must be one of new, assigned, in_progress, done' };
+  }
+  if (assignee !== undefined && assignee !== null && typeof assignee !== 'string') {
+    return { ok: false, status: 400, error: 'assignee must be an email address or null' };
+  }
+
+  const before = await Email.findById(id).lean();
+  if (!before || !canAccessEmail(user, before)) {
+    return { ok: false, status: 404, error: 'Email not found' };
+  }
+
+  const assigneeEmail = assignee ? assignee.trim().toLowerCase() : assignee;
+  if (assigneeEmail && assigneeEmail !== user?.email) {
+    const colleague = await User.findOne({
+      email: assigneeEmail,
+      active: true,
+      role: { $in: ['reviewer', 'admin'] },
+    }).lean();
+    const department = before.department ?? '';
+    if (!colleague || (colleague.role === 'reviewer' && !colleague.departments?.includes(department))) {
+      return { ok: false, status: 400, error: `${assigneeEmail} cannot be assigned mail for ${department || 'this department'}` };
+    }
+  }
+
+  let update;
+  try {
+    update = buildWorkflowUpdate(before, { status, assignee: assigneeEmail }, user?.email);
+  } catch (err) {
+    return { ok: false, status: 400, error: err instanceof Error ? err.message : 'Invalid workflow change' };
+  }
+
+  const email = await Email.findByIdAndUpdate(id, update, { new: true }).lean();
+  if (!email) return { ok: false, status: 404, error: 'Email not found' };
+
+  try {
+    await recordWorkflowRevision(email._id, before, email, user?.email);
+  } catch (err) {
+    console.error('[API] Failed to record revision', err);
+  }
+
+  try {
+    await syncDuplicateGroup(email);
+  } catch (err) {
+    console.error('[API] Failed to update duplicate copies', err);
+  }
+
+  return { ok: true, email };
+}
+
+const MAX_BULK_IDS = 100;
+/** Each reclassification is a model call, so keep one request short. */
+const MAX_BULK_RECLASSIFY = 25;
+
+type BulkAction = 'update' | 'review' | 'reclassify' | 'assign';
+
+type BulkItemResult =
+  | { id: string; ok: true; email: Record<string, unknown> }
+  | { id: string; ok: false; error: string };
+
+interface BulkInput {
+  ids?: unknown;
+  action?: BulkAction;
+  /** For `update`: fields to set, e.g. department or mail type. */
+  fields?: EmailUpdatePayload;
+  /** For `assign`: an email address, or null to unassign. */
+  assignee?: string | null;
+}
+
+/**
+ * Applies one action to many emails. Each email succeeds or fails on its
+ * own; the response lists a result per id in request order.
+ */
+router.patch('/bulk', requireRole('reviewer', 'admin'), async (req: Request, res: Response) => {
+  try {
+    const { ids, action, fields, assignee } = req.body as BulkInput;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.some((id) => typeof id !== 'string')) {
+      res.status(400).json({ error: 'ids must be a non-empty array of email ids' });
+      return;
+    }
+    const uniqueIds = [...new Set(ids as string[])];
+    const max = action === 'reclassify' ? MAX_BULK_RECLASSIFY : MAX_BULK_IDS;
+    if (uniqueIds.length > max) {
+      res.status(400).json({ error: `At most ${max} emails per ${action} request` });
+      return;
+    }
+
+    let apply: (id: string) => Promise<EmailActionResult>;
+    switch (action) {
+      case 'update': {
+        const changes = Object.fromEntries(
+          EDITABLE_FIELDS.filter((f) => fields?.[f] !== undefined).map((f) => [f, fields?.[f]]),
+        ) as EmailUpdatePayload;
+        if (Object.keys(changes).length === 0) {
+          res.status(400).json({ error: 'fields must set at least one editable field' });
+          return;
+        }
+        apply = (id) => applyReviewEdit(id, changes, req.user);
+        break;
+      }
+      case 'review':
+        apply = (id) => applyReviewEdit(id, {}, req.user);
+        break;
+      case 'reclassify':
+        apply = async (id) => {
+          const email = await reclassifyEmailById(id, req.user);
+          return email ? { ok: true, email } : { ok: false, status: 404, error: 'Email not found' };
+        };
+        break;
+      case 'assign':
+        if (assignee === undefined) {
+          res.status(400).json({ error: 'assignee is required (null unassigns)' });
+          return;
+        }
+        apply = (id) => applyWorkflowChange(id, { assignee }, req.user);
+        break;
+      default:
+        res.status(400).json({ error: 'action must be one of update, review, reclassify, assign' });
+        return;
+    }
+
+    // One at a time: reclassification calls the model, and edits record revisions in order.
+    const results: BulkItemResult[] = [];
+    for (const id of uniqueIds) {
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        results.push({ id, ok: false, error: 'Invalid email id' });
+        continue;
+      }
+      try {
+        const result = await apply(id);
+        results.push(result.ok ? { id, ok: true, email: result.email } : { id, ok: false, error: result.error });
+      } catch (err) {
+        console.error(`[API] Bulk ${action} failed for ${id}`, err);
+        results.push({ id, ok: false, error: err instanceof Error ? err.message : `Failed to ${action} email` });
+      }
+    }
+
+    const updated = results.filter((r) => r.ok).length;
+    res.json({ updated, failed: results.length - updated, results });
+  } catch (err) {
+    console.error('[API] PATCH /emails/bulk error', err);
+    res.status(500).json({ error: 'Failed to apply bulk change' });
+  }
+});
+
+router.patch('/:id', requireRole('reviewer', 'admin'), async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid email id' });
+      return;
+    }
+
+    const result = await applyReviewEdit(id, req.body as EmailUpdatePayload, req.user);
+    if (!result.ok) {
+      res.status(result.status).json({ error: result.error });
+      return;
+    }
+    res.json(result.email);
   } catch (err) {
     console.error('[API] PATCH /emails/:id error', err);
     res.status(500).json({ error: 'Failed to update email' });
   }
 });
 
+/** Moves mail through new → assigned → in progress → done, or (re)assigns it. */
+router.patch('/:id/workflow', requireRole('reviewer', 'admin'), async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid email id' });
+      return;
+    }
+
+    const result = await applyWorkflowChange(id, req.body as WorkflowInput, req.user);
+    if (!result.ok) {
+      res.status(result.status).json({ error: result.error });
+      return;
+    }
+    res.json(result.email);
+  } catch (err) {
+    console.error('[API] PATCH /emails/:id/workflow error', err);
+    res.status(500).json({ error: 'Failed to update workflow' });
+  }
+});
+
 export default router;
 
-export async function reclassifyEmailById(id: string): Promise<Record<string, unknown> | null> {
+/** Returns null when the email is missing or outside the user's departments. */
+export async function reclassifyEmailById(
+  id: string,
+  user?: AuthUser,
+): Promise<Record<string, unknown> | null> {
   const email = await Email.findById(id);
-  if (!email) return null;
-
-  const normalized = {
-    messageId: email.messageId,
-    threadId: email.threadId ?? '',
-    inbox: email.inbox ?? '',
-    fromName: email.fromName ?? '',
-    fromEmail: email.fromEmail ?? '',
-    toField: email.toField ?? '',
-    ccField: email.ccField ?? '',
-    subject: email.subject ?? '',
-    sentDate: email.sentDate ?? new Date(),
-    body: email.body ?? '',
-    attachments: email.attachments ?? [],
-    gmailLink: email.gmailLink ?? '',
-  };
+  if (!email || !canAccessEmail(user, email)) return null;
+
+  const normalized = fromStoredEmail(email);
 
-  const { result, modelUsed } = await classifyEmail(normalized);
-  const fields = classificationToEmailFields(result, modelUsed);
+  const previous = email.toObject() as Record<string, unknown>;
+  const output = await classifyForStorage(normalized);
 
-  Object.assign(email, fields);
+  Object.assign(email, output.fields);
   email.reviewed = false;
+  if (email.workflowStatus !== 'done') {
+    email.slaDueAt = slaDeadline(output.fields.mailType, email.sentDate) ?? undefined;
+  }
   await email.save();
 
+  try {
+    await recordClassificationRevision(email._id, output, 'reclassify', previous, user?.email);
+  } catch (err) {
+    console.error('[API] Failed to record revision', err);
+  }
+
+  try {
+    await syncDuplicateGroup(email);
+  } catch (err) {
+    console.error('[API] Failed to update duplicate copies', err);
+  }
+
+  try {
+    await queueLabelSync(email, true);
+  } catch (err) {
+    console.error('[API] Failed to queue Gmail labels', err);
+  }
+
+  publishEvent({ type: 'email.classified', source: 'reclassify', email: toLiveEmail(email) });
   return email.toObject() as Record<string, unknown>;
 }
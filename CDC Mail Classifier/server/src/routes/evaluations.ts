@@ -0,0 +1,99 @@
+import { Router, type Request, type Response } from 'express';
+import mongoose from 'mongoose';
+import { EvaluationRun } from '../models/EvaluationRun.js';
+import {
+  countGoldSet,
+  createEvaluationRun,
+  executeEvaluationRun,
+  validateEvaluationInput,
+  type EvaluationInput,
+} from '../lib/evaluation.js';
+
+const router = Router();
+
+/** Runs without their per-email results and prompt text, newest first. */
+router.get('/', async (_req: Request, res: Response) => {
+  try {
+    const [runs, goldSetSize] = await Promise.all([
+      EvaluationRun.find().select('-results -systemPrompt -emailIds').sort({ createdAt: -1 }).limit(50).lean(),
+      countGoldSet(),
+    ]);
+    res.json({ runs, goldSetSize });
+  } catch (err) {
+    console.error('[API] GET /evaluations error', err);
+    res.status(500).json({ error: 'Failed to list evaluation runs' });
+  }
+});
+
+/** Starts a run in the background; poll GET /:id for progress. */
+router.post('/', async (req: Request, res: Response) => {
+  try {
+    const input = req.body as EvaluationInput;
+    const validationError = validateEvaluationInput(input);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    const created = await createEvaluationRun(input, 'api', req.user?.email);
+    if (!created.ok) {
+      res.status(created.status).json({ error: created.error });
+      return;
+    }
+
+    const { run } = created;
+    console.log(`[Eval] Run ${run._id} started by ${req.user?.email ?? 'unknown'} on ${run.emailIds.length} email(s)`);
+    void executeEvaluationRun(run);
+    res.status(202).json(run.toObject());
+  } catch (err) {
+    console.error('[API] POST /evaluations error', err);
+    res.status(500).json({ error: 'Failed to start evaluation run' });
+  }
+});
+
+router.get('/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid run id' });
+      return;
+    }
+
+    const run = await EvaluationRun.findById(id).select('-emailIds').lean();
+    if (!run) {
+      res.status(404).json({ error: 'Evaluation run not found' });
+      return;
+    }
+    res.json(run);
+  } catch (err) {
+    console.error('[API] GET /evaluations/:id error', err);
+    res.status(500).json({ error: 'Failed to load evaluation run' });
+  }
+});
+
+router.delete('/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid run id' });
+      return;
+    }
+
+    const run = await EvaluationRun.findById(id).select('status').lean();
+    if (!run) {
+      res.status(404).json({ error: 'Evaluation run not found' });
+      return;
+    }
+    if (run.status === 'running') {
+      res.status(409).json({ error: 'Wait for the run to finish before deleting it' });
+      return;
+    }
+    await EvaluationRun.deleteOne({ _id: id });
+    res.status(204).end();
+  } catch (err) {
+    console.error('[API] DELETE /evaluations/:id error', err);
+    res.status(500).json({ error: 'Failed to delete evaluation run' });
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+import { Router, type Request, type Response } from 'express';
+import { config } from '../config.js';
+import { resolveUser } from '../lib/auth.js';
+import { canSeeEvent, subscribeEvents } from '../lib/events.js';
+import type { LiveEvent } from '../types/index.js';
+
+const router = Router();
+
+/**
+ * Server-Sent Events stream of classification, review and poll activity.
+ * Events are not replayed: a client that reconnects should re-fetch what it
+ * shows. The session is rechecked on every heartbeat, so a signed-out or
+ * deactivated user's stream closes and department changes apply.
+ */
+router.get('/', (req: Request, res: Response) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx and similar proxies from buffering the stream.
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${config.live.retryMs}\n\n`);
+
+  let user = req.user;
+  const send = (event: LiveEvent) => {
+    if (!canSeeEvent(user, event)) return;
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const unsubscribe = subscribeEvents(send);
+
+  const heartbeat = setInterval(() => {
+    resolveUser(req)
+      .then((current) => {
+        if (!current) {
+          res.end();
+          return;
+        }
+        user = current;
+        res.write(': ping\n\n');
+      })
+      .catch((err) => {
+        console.error('[Events] Session check failed', err);
+      });
+  }, config.live.heartbeatMs);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
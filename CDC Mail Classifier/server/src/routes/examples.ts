@@ -0,0 +1,127 @@
+import { Router, type Request, type Response } from 'express';
+import mongoose from 'mongoose';
+import { Example } from '../models/Example.js';
+import { Correction } from '../models/Correction.js';
+import type { CorrectionPattern } from '../types/index.js';
+
+const router = Router();
+
+router.get('/', async (req: Request, res: Response) => {
+  try {
+    const filter: Record<string, unknown> = {};
+    if (req.query.active === 'true') filter.active = true;
+    if (req.query.active === 'false') filter.active = false;
+
+    const examples = await Example.find(filter).sort({ updatedAt: -1 }).limit(500).lean();
+    res.json(examples);
+  } catch (err) {
+    console.error('[API] GET /examples error', err);
+    res.status(500).json({ error: 'Failed to list examples' });
+  }
+});
+
+/** How often each original → corrected classification recurs. */
+router.get('/report', async (_req: Request, res: Response) => {
+  try {
+    const rows = await Correction.aggregate<{
+      _id: { fromDept: string; fromType: string; toDept: string; toType: string };
+      count: number;
+      lastSeen: Date;
+      domains: string[];
+    }>([
+      {
+        $group: {
+          _id: {
+            fromDept: '$original.department',
+            fromType: '$original.mailType',
+            toDept: '$corrected.department',
+            toType: '$corrected.mailType',
+          },
+          count: { $sum: 1 },
+          lastSeen: { $max: '$createdAt' },
+          domains: { $push: '$fromDomain' },
+        },
+      },
+      { $sort: { count: -1, lastSeen: -1 } },
+      { $limit: 100 },
+    ]);
+
+    const patterns: CorrectionPattern[] = rows.map((row) => {
+      const domainCounts = new Map<string, number>();
+      for (const d of row.domains) {
+        if (d) domainCounts.set(d, (domainCounts.get(d) ?? 0) + 1);
+      }
+      return {
+        from: { department: row._id.fromDept ?? '', mailType: row._id.fromType ?? '' },
+        to: { department: row._id.toDept ?? '', mailType: row._id.toType ?? '' },
+        count: row.count,
+        lastSeen: row.lastSeen,
+        topDomains: [...domainCounts.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 3)
+          .map(([d]) => d),
+      };
+    });
+
+    res.json(patterns);
+  } catch (err) {
+    console.error('[API] GET /examples/report error', err);
+    res.status(500).json({ error: 'Failed to build correction report' });
+  }
+});
+
+router.patch('/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid example id' });
+      return;
+    }
+
+    const { active, notes, department, mailType } = req.body as {
+      active?: boolean;
+      notes?: string;
+      department?: string;
+      mailType?: string;
+    };
+    const update: Record<string, unknown> = {};
+    if (active !== undefined) update.active = active;
+    if (notes !== undefined) update.notes = notes;
+    if (department !== undefined) update.department = department;
+    if (mailType !== undefined) update.mailType = mailType;
+
+    const example = await Example.findByIdAndUpdate(id, { $set: update }, { new: true }).lean();
+    if (!example) {
+      res.status(404).json({ error: 'Example not found' });
+      return;
+    }
+
+    res.json(example);
+  } catch (err) {
+    console.error('[API] PATCH /examples/:id error', err);
+    res.status(500).json({ error: 'Failed to update example' });
+  }
+});
+
+router.delete('/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid example id' });
+      return;
+    }
+
+    const deleted = await Example.findByIdAndDelete(id).lean();
+    if (!deleted) {
+      res.status(404).json({ error: 'Example not found' });
+      return;
+    }
+
+    res.status(204).end();
+  } catch (err) {
+    console.error('[API] DELETE /examples/:id error', err);
+    res.status(500).json({ error: 'Failed to delete example' });
+  }
+});
+
+export default router;
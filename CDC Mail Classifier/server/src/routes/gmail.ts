@@ -0,0 +1,56 @@
+import { Router, type Request, type Response } from 'express';
+import { Inbox } from '../models/Inbox.js';
+import { config } from '../config.js';
+import { syncInbox } from '../jobs/poll.js';
+
+const router = Router();
+
+interface PushNotification {
+  emailAddress?: string;
+  historyId?: string | number;
+}
+
+function decodePushData(data: unknown): PushNotification | null {
+  if (typeof data !== 'string') return null;
+  try {
+    return JSON.parse(Buffer.from(data, 'base64').toString('utf8')) as PushNotification;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pub/Sub push endpoint. Always acknowledges with 204 once the request is
+ * authentic — a non-2xx makes Pub/Sub redeliver — and runs the history sync
+ * in the background. The route is public, so without a configured token
+ * every request is refused.
+ */
+router.post('/push', async (req: Request, res: Response) => {
+  try {
+    const expectedToken = config.gmailPush.verificationToken;
+    if (!expectedToken || req.query.token !== expectedToken) {
+      res.status(403).json({ error: 'Invalid push token' });
+      return;
+    }
+
+    const body = req.body as { message?: { data?: string } };
+    const notification = decodePushData(body.message?.data);
+    if (!notification?.emailAddress) {
+      res.status(204).end();
+      return;
+    }
+
+    const inbox = await Inbox.findOne({ emailAddress: notification.emailAddress, active: true });
+    res.status(204).end();
+
+    if (!inbox) return;
+    syncInbox(inbox).catch((err) => {
+      console.error(`[Push] Sync for ${notification.emailAddress} failed`, err);
+    });
+  } catch (err) {
+    console.error('[API] POST /gmail/push error', err);
+    res.status(500).json({ error: 'Failed to handle push notification' });
+  }
+});
+
+export default router;
@@ -1,20 +1,38 @@
 import { Router, type Request, type Response } from 'express';
+import mongoose from 'mongoose';
 import { Inbox } from '../models/Inbox.js';
 import { encrypt } from '../lib/encryption.js';
+import { backfillInbox } from '../jobs/poll.js';
+import { isLlmProviderName } from '../lib/llm/index.js';
+import { requireRole } from '../lib/auth.js';
+import { startOfLocalDay } from '../lib/cost.js';
+import { canWriteLabels, labelSyncCounts, retryFailedLabelSyncs } from '../lib/gmailLabels.js';
+import type { ClassifierTier } from '../types/index.js';
 
 const router = Router();
 
 router.get('/', async (_req: Request, res: Response) => {
   try {
-    const inboxes = await Inbox.find().select('-refreshToken').sort({ label: 1 }).lean();
-    res.json(inboxes);
+    const [inboxes, labelCounts] = await Promise.all([
+      Inbox.find().select('-refreshToken').sort({ label: 1 }).lean(),
+      labelSyncCounts(),
+    ]);
+    // The counter only resets on the next sync, so yesterday's count reads as zero.
+    const today = startOfLocalDay();
+    res.json(
+      inboxes.map((inbox) => ({
+        ...inbox,
+        ...(inbox.processedDay && inbox.processedDay < today ? { processedToday: 0 } : {}),
+        labelSync: labelCounts.get(String(inbox._id)) ?? { pending: 0, failed: 0 },
+      })),
+    );
   } catch (err) {
     console.error('[API] GET /inboxes error', err);
     res.status(500).json({ error: 'Failed to list inboxes' });
   }
 });
 
-router.post('/', async (req: Request, res: Response) => {
+router.post('/', requireRole('admin'), async (req: Request, res: Response) => {
   try {
     const { label, emailAddress, active } = req.body as {
       label?: string;
@@ -46,10 +64,136 @@ router.post('/', async (req: Request, res: Response) => {
   }
 });
 
+router.patch('/:id', requireRole('admin'), async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid inbox id' });
+      return;
+    }
+
+    const { label, active, strictPrivacy, writeLabels, llm } = req.body as {
+      label?: string;
+      active?: boolean;
+      strictPrivacy?: boolean;
+      writeLabels?: boolean;
+      llm?: Partial<Record<ClassifierTier, { provider?: string; model?: string } | null>>;
+    };
+
+    const update: Record<string, unknown> = {};
+    const unset: Record<string, 1> = {};
+    if (label !== undefined) update.label = label;
+    if (active !== undefined) update.active = active;
+    if (strictPrivacy !== undefined) update.strictPrivacy = strictPrivacy === true;
+
+    if (writeLabels !== undefined) update.writeLabels = writeLabels === true;
+
+    if (active || writeLabels) {
+      const current = await Inbox.findById(id).select('health scopes').lean();
+      if (active && current?.health === 'reconnect_required') {
+        res.status(400).json({ error: 'Gmail access was revoked; reconnect the inbox to reactivate it' });
+        return;
+      }
+      if (writeLabels && current && !canWriteLabels(current)) {
+        res.status(400).json({ error: 'Reconnect the inbox with label write-back to grant Gmail modify access' });
+        return;
+      }
+    }
+
+    for (const tier of ['cheap', 'strong'] as ClassifierTier[]) {
+      const override = llm?.[tier];
+      if (override === undefined) continue;
+      if (override === null || (!override.provider && !override.model)) {
+        unset[`llm.${tier}`] = 1;
+        continue;
+      }
+      if (override.provider && !isLlmProviderName(override.provider)) {
+        res.status(400).json({ error: `Unknown provider for ${tier} tier: ${override.provider}` });
+        return;
+      }
+      update[`llm.${tier}`] = { provider: override.provider, model: override.model };
+    }
+
+    const inbox = await Inbox.findByIdAndUpdate(id, { $set: update, $unset: unset }, { new: true })
+      .select('-refreshToken')
+      .lean();
+    if (!inbox) {
+      res.status(404).json({ error: 'Inbox not found' });
+      return;
+    }
+
+    res.json(inbox);
+  } catch (err) {
+    console.error('[API] PATCH /inboxes/:id error', err);
+    res.status(500).json({ error: 'Failed to update inbox' });
+  }
+});
+
+router.post('/:id/backfill', requireRole('admin'), async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid inbox id' });
+      return;
+    }
+
+    const { from, to } = req.body as { from?: string; to?: string };
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if (!fromDate || Number.isNaN(fromDate.getTime()) || (toDate && Number.isNaN(toDate.getTime()))) {
+      res.status(400).json({ error: 'from (and optional to) must be valid dates' });
+      return;
+    }
+
+    const inbox = await Inbox.findById(id);
+    if (!inbox) {
+      res.status(404).json({ error: 'Inbox not found' });
+      return;
+    }
+    if (!inbox.refreshToken) {
+      res.status(400).json({ error: 'Inbox is not connected to Gmail' });
+      return;
+    }
+
+    backfillInbox(inbox, fromDate, toDate)
+      .then((count) => console.log(`[Backfill] ${inbox.emailAddress}: ${count} message(s) processed`))
+      .catch((err) => console.error(`[Backfill] ${inbox.emailAddress} failed`, err));
+
+    res.status(202).json({ started: true });
+  } catch (err) {
+    console.error('[API] POST /inboxes/:id/backfill error', err);
+    res.status(500).json({ error: 'Failed to start backfill' });
+  }
+});
+
+/** Re-queues the inbox's failed Gmail label syncs. */
+router.post('/:id/labels/retry', requireRole('admin'), async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid inbox id' });
+      return;
+    }
+
+    const inbox = await Inbox.findById(id).select('_id').lean();
+    if (!inbox) {
+      res.status(404).json({ error: 'Inbox not found' });
+      return;
+    }
+
+    res.json({ queued: await retryFailedLabelSyncs(inbox) });
+  } catch (err) {
+    console.error('[API] POST /inboxes/:id/labels/retry error', err);
+    res.status(500).json({ error: 'Failed to retry label sync' });
+  }
+});
+
+/** Label write-back follows the granted scopes, so reconnecting read-only turns it off. */
 export async function storeInboxRefreshToken(
   emailAddress: string,
   refreshToken: string,
   label?: string,
+  scopes: string[] = [],
 ): Promise<void> {
   const encrypted = encrypt(refreshToken);
   await Inbox.findOneAndUpdate(
@@ -59,7 +203,12 @@ export async function storeInboxRefreshToken(
         refreshToken: encrypted,
         label: label ?? emailAddress.split('@')[0],
         active: true,
+        health: 'ok',
+        consecutiveFailures: 0,
+        scopes,
+        writeLabels: canWriteLabels({ scopes }),
       },
+      $unset: { staleAlertedAt: 1 },
       $setOnInsert: { emailAddress },
     },
     { upsert: true },
@@ -0,0 +1,31 @@
+import { Router, type Request, type Response } from 'express';
+import { buildJobView, listRecentJobs } from '../lib/jobView.js';
+import { departmentScope } from '../lib/auth.js';
+
+const router = Router();
+
+router.get('/', async (req: Request, res: Response) => {
+  try {
+    const search = typeof req.query.search === 'string' ? req.query.search : '';
+    res.json(await listRecentJobs(search, departmentScope(req.user)));
+  } catch (err) {
+    console.error('[API] GET /jobs error', err);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+router.get('/:jobNumber', async (req: Request, res: Response) => {
+  try {
+    const view = await buildJobView(String(req.params.jobNumber), departmentScope(req.user));
+    if (!view) {
+      res.status(404).json({ error: 'No emails found for this job number' });
+      return;
+    }
+    res.json(view);
+  } catch (err) {
+    console.error('[API] GET /jobs/:jobNumber error', err);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+export default router;
@@ -0,0 +1,249 @@
+import { Router, type Request, type Response } from 'express';
+import mongoose from 'mongoose';
+import { NotificationRoute } from '../models/NotificationRoute.js';
+import { NotificationDelivery } from '../models/NotificationDelivery.js';
+import { NOTIFICATION_CHANNELS, isNotificationChannel } from '../lib/notify/index.js';
+import { quietHoursEnd, retryDelivery, sendTestNotification } from '../lib/notifications.js';
+import { config } from '../config.js';
+import type { DeliveryStatus, NotificationChannel } from '../types/index.js';
+
+const router = Router();
+
+const DELIVERY_STATUSES: DeliveryStatus[] = ['pending', 'sending', 'sent', 'failed'];
+
+interface RouteInput {
+  name?: string;
+  active?: boolean;
+  department?: string;
+  mailTypes?: string[];
+  channel?: NotificationChannel;
+  target?: string;
+  ignoreQuietHours?: boolean;
+}
+
+function validateTarget(channel: NotificationChannel, target: string): string | null {
+  if (channel === 'webhook') {
+    try {
+      const url = new URL(target);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') return 'webhook target must be an http(s) URL';
+    } catch {
+      return 'webhook target must be a URL';
+    }
+    return null;
+  }
+  const entries = target.split(',').map((t) => t.trim()).filter(Boolean);
+  if (entries.length === 0) return 'target is required';
+  if (channel === 'email' && entries.some((e) => !/^[^\s@]+@[^\s@]+$/.test(e))) {
+    return 'email target must be comma-separated email addresses';
+  }
+  if (channel === 'whatsapp' && entries.some((e) => !/^\+?\d{8,15}$/.test(e.replace(/[\s-]/g, '')))) {
+    return 'whatsapp target must be comma-separated phone numbers';
+  }
+  return null;
+}
+
+/** Returns an error message, or null when the input is usable. */
+function validateRouteInput(
+  input: RouteInput,
+  partial: boolean,
+  current?: { channel: string; target: string },
+): string | null {
+  if (!partial || input.name !== undefined) {
+    if (!input.name?.trim()) return 'name is required';
+  }
+  if (!partial || input.channel !== undefined) {
+    if (!isNotificationChannel(input.channel)) {
+      return `channel must be one of ${NOTIFICATION_CHANNELS.join(', ')}`;
+    }
+  }
+  if (input.mailTypes !== undefined && !Array.isArray(input.mailTypes)) {
+    return 'mailTypes must be an array';
+  }
+  if (!partial || input.target !== undefined || input.channel !== undefined) {
+    const channel = (input.channel ?? current?.channel) as NotificationChannel;
+    const target = (input.target ?? current?.target ?? '').trim();
+    if (!target) return 'target is required';
+    return validateTarget(channel, target);
+  }
+  return null;
+}
+
+function pickRouteFields(input: RouteInput): Record<string, unknown> {
+  const fields: Record<string, unknown> = {};
+  if (input.name !== undefined) fields.name = input.name.trim();
+  if (input.active !== undefined) fields.active = input.active;
+  if (input.department !== undefined) fields.department = input.department;
+  if (input.mailTypes !== undefined) fields.mailTypes = input.mailTypes.map(String).filter(Boolean);
+  if (input.channel !== undefined) fields.channel = input.channel;
+  if (input.target !== undefined) fields.target = input.target.trim();
+  if (input.ignoreQuietHours !== undefined) fields.ignoreQuietHours = input.ignoreQuietHours;
+  return fields;
+}
+
+router.get('/routes', async (_req: Request, res: Response) => {
+  try {
+    const routes = await NotificationRoute.find().sort({ department: 1, name: 1 }).lean();
+    res.json(routes);
+  } catch (err) {
+    console.error('[API] GET /notifications/routes error', err);
+    res.status(500).json({ error: 'Failed to list notification routes' });
+  }
+});
+
+router.post('/routes', async (req: Request, res: Response) => {
+  try {
+    const input = req.body as RouteInput;
+    const validationError = validateRouteInput(input, false);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    const route = await NotificationRoute.create(pickRouteFields(input));
+    res.status(201).json(route.toObject());
+  } catch (err) {
+    console.error('[API] POST /notifications/routes error', err);
+    res.status(500).json({ error: 'Failed to create notification route' });
+  }
+});
+
+router.patch('/routes/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid route id' });
+      return;
+    }
+
+    const existing = await NotificationRoute.findById(id).lean();
+    if (!existing) {
+      res.status(404).json({ error: 'Notification route not found' });
+      return;
+    }
+
+    const input = req.body as RouteInput;
+    const validationError = validateRouteInput(input, true, existing);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    const route = await NotificationRoute.findByIdAndUpdate(
+      id,
+      { $set: pickRouteFields(input) },
+      { new: true },
+    ).lean();
+    res.json(route);
+  } catch (err) {
+    console.error('[API] PATCH /notifications/routes/:id error', err);
+    res.status(500).json({ error: 'Failed to update notification route' });
+  }
+});
+
+router.delete('/routes/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid route id' });
+      return;
+    }
+
+    const deleted = await NotificationRoute.findByIdAndDelete(id).lean();
+    if (!deleted) {
+      res.status(404).json({ error: 'Notification route not found' });
+      return;
+    }
+
+    // Nothing left to send them through; the delivery log of past sends is kept.
+    await NotificationDelivery.deleteMany({ routeId: deleted._id, status: 'pending' });
+    res.status(204).end();
+  } catch (err) {
+    console.error('[API] DELETE /notifications/routes/:id error', err);
+    res.status(500).json({ error: 'Failed to delete notification route' });
+  }
+});
+
+/** Sends a sample message immediately, ignoring quiet hours and the queue. */
+router.post('/routes/:id/test', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid route id' });
+      return;
+    }
+
+    const route = await NotificationRoute.findById(id).lean();
+    if (!route) {
+      res.status(404).json({ error: 'Notification route not found' });
+      return;
+    }
+
+    try {
+      await sendTestNotification(route);
+    } catch (err) {
+      res.status(502).json({ error: err instanceof Error ? err.message : 'Test notification failed' });
+      return;
+    }
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('[API] POST /notifications/routes/:id/test error', err);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+router.get('/deliveries', async (req: Request, res: Response) => {
+  try {
+    const { status, routeId } = req.query;
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+
+    const filter: Record<string, unknown> = {};
+    if (typeof status === 'string' && (DELIVERY_STATUSES as string[]).includes(status)) {
+      filter.status = status;
+    }
+    if (typeof routeId === 'string' && mongoose.Types.ObjectId.isValid(routeId)) {
+      filter.routeId = routeId;
+    }
+
+    const [deliveries, counts] = await Promise.all([
+      NotificationDelivery.find(filter).select('-payload -text').sort({ createdAt: -1 }).limit(limit).lean(),
+      NotificationDelivery.aggregate<{ _id: DeliveryStatus; count: number }>([
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const byStatus = Object.fromEntries(DELIVERY_STATUSES.map((s) => [s, 0])) as Record<DeliveryStatus, number>;
+    for (const { _id, count } of counts) byStatus[_id] = count;
+
+    res.json({
+      deliveries,
+      counts: byStatus,
+      quietHours: config.notifications.quietHours,
+      quietUntil: quietHoursEnd(new Date()),
+    });
+  } catch (err) {
+    console.error('[API] GET /notifications/deliveries error', err);
+    res.status(500).json({ error: 'Failed to list deliveries' });
+  }
+});
+
+router.post('/deliveries/:id/retry', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid delivery id' });
+      return;
+    }
+
+    const retried = await retryDelivery(id);
+    if (!retried) {
+      res.status(404).json({ error: 'No failed delivery with that id' });
+      return;
+    }
+    res.json({ retried: true });
+  } catch (err) {
+    console.error('[API] POST /notifications/deliveries/:id/retry error', err);
+    res.status(500).json({ error: 'Failed to retry delivery' });
+  }
+});
+
+export default router;
@@ -0,0 +1,154 @@
+import { Router, type Request, type Response } from 'express';
+import { PromptVersion } from '../models/PromptVersion.js';
+import {
+  createPromptVersion,
+  getActivePrompts,
+  setLiveVersion,
+  startShadow,
+  stopShadow,
+  validatePromptVersionInput,
+  type PromptVersionInput,
+} from '../lib/promptVersions.js';
+import { getShadowStats } from '../lib/shadow.js';
+
+const router = Router();
+
+function parseVersion(req: Request): number | null {
+  const version = Number(req.params.version);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/** Versions without their prompt text, newest first. */
+router.get('/', async (_req: Request, res: Response) => {
+  try {
+    // Creates version 1 on a fresh install so the list is never empty.
+    await getActivePrompts();
+    const versions = await PromptVersion.find().select('-systemPrompt').sort({ version: -1 }).lean();
+    res.json(versions);
+  } catch (err) {
+    console.error('[API] GET /prompts error', err);
+    res.status(500).json({ error: 'Failed to list prompt versions' });
+  }
+});
+
+/** Agreement between live and the running shadow version; null when none is running. */
+router.get('/shadow', async (_req: Request, res: Response) => {
+  try {
+    res.json(await getShadowStats());
+  } catch (err) {
+    console.error('[API] GET /prompts/shadow error', err);
+    res.status(500).json({ error: 'Failed to load shadow stats' });
+  }
+});
+
+router.post('/shadow/promote', async (req: Request, res: Response) => {
+  try {
+    const { shadow } = await getActivePrompts();
+    if (!shadow) {
+      res.status(409).json({ error: 'No version is running in shadow' });
+      return;
+    }
+    const version = await setLiveVersion(shadow.version);
+    console.log(`[Prompts] Shadow version ${shadow.version} promoted by ${req.user?.email ?? 'unknown'}`);
+    res.json(version);
+  } catch (err) {
+    console.error('[API] POST /prompts/shadow/promote error', err);
+    res.status(500).json({ error: 'Failed to promote shadow version' });
+  }
+});
+
+router.delete('/shadow', async (_req: Request, res: Response) => {
+  try {
+    await stopShadow();
+    res.status(204).end();
+  } catch (err) {
+    console.error('[API] DELETE /prompts/shadow error', err);
+    res.status(500).json({ error: 'Failed to stop shadow' });
+  }
+});
+
+router.get('/:version', async (req: Request, res: Response) => {
+  try {
+    const version = parseVersion(req);
+    if (version === null) {
+      res.status(400).json({ error: 'Invalid prompt version' });
+      return;
+    }
+    const doc = await PromptVersion.findOne({ version }).lean();
+    if (!doc) {
+      res.status(404).json({ error: 'Prompt version not found' });
+      return;
+    }
+    res.json(doc);
+  } catch (err) {
+    console.error('[API] GET /prompts/:version error', err);
+    res.status(500).json({ error: 'Failed to load prompt version' });
+  }
+});
+
+/** Stores a hand-edited prompt as the next version; it is not used until made live or shadowed. */
+router.post('/', async (req: Request, res: Response) => {
+  try {
+    const input = req.body as PromptVersionInput;
+    const validationError = validatePromptVersionInput(input);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+    const version = await createPromptVersion(input, 'manual', req.user?.email);
+    res.status(201).json(version);
+  } catch (err) {
+    console.error('[API] POST /prompts error', err);
+    res.status(500).json({ error: 'Failed to save prompt version' });
+  }
+});
+
+/** Promotes or rolls back to the given version. */
+router.post('/:version/live', async (req: Request, res: Response) => {
+  try {
+    const version = parseVersion(req);
+    if (version === null) {
+      res.status(400).json({ error: 'Invalid prompt version' });
+      return;
+    }
+    const doc = await setLiveVersion(version);
+    if (!doc) {
+      res.status(404).json({ error: 'Prompt version not found' });
+      return;
+    }
+    console.log(`[Prompts] Version ${version} made live by ${req.user?.email ?? 'unknown'}`);
+    res.json(doc);
+  } catch (err) {
+    console.error('[API] POST /prompts/:version/live error', err);
+    res.status(500).json({ error: 'Failed to make prompt version live' });
+  }
+});
+
+/** Body: { sampleRate?: number } — the share of live LLM classifications to repeat, 0–1. */
+router.post('/:version/shadow', async (req: Request, res: Response) => {
+  try {
+    const version = parseVersion(req);
+    if (version === null) {
+      res.status(400).json({ error: 'Invalid prompt version' });
+      return;
+    }
+    const { sampleRate = 1 } = req.body as { sampleRate?: number };
+    if (typeof sampleRate !== 'number' || !(sampleRate > 0 && sampleRate <= 1)) {
+      res.status(400).json({ error: 'sampleRate must be a number above 0 and at most 1' });
+      return;
+    }
+
+    const started = await startShadow(version, sampleRate);
+    if (!started.ok) {
+      res.status(started.status).json({ error: started.error });
+      return;
+    }
+    console.log(`[Prompts] Version ${version} shadowing ${sampleRate * 100}% of mail, started by ${req.user?.email ?? 'unknown'}`);
+    res.json(started.version);
+  } catch (err) {
+    console.error('[API] POST /prompts/:version/shadow error', err);
+    res.status(500).json({ error: 'Failed to start shadow' });
+  }
+});
+
+export default router;
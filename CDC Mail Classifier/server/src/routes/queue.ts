@@ -0,0 +1,79 @@
+import { Router, type Request, type Response } from 'express';
+import mongoose from 'mongoose';
+import { ClassificationJob } from '../models/ClassificationJob.js';
+import { DeadLetter } from '../models/DeadLetter.js';
+import { retryDeadLetter } from '../lib/queue.js';
+import type { QueueStatusResponse } from '../types/index.js';
+
+const router = Router();
+
+router.get('/', async (_req: Request, res: Response) => {
+  try {
+    const [pending, retrying, processing, deadLetterCount, deadLetters] = await Promise.all([
+      ClassificationJob.countDocuments({ status: 'pending', attempts: 0 }),
+      ClassificationJob.countDocuments({ status: 'pending', attempts: { $gt: 0 } }),
+      ClassificationJob.countDocuments({ status: 'processing' }),
+      DeadLetter.countDocuments(),
+      DeadLetter.find().select('-payload').sort({ failedAt: -1 }).limit(200).lean(),
+    ]);
+
+    const status: QueueStatusResponse = {
+      pending,
+      retrying,
+      processing,
+      deadLetterCount,
+      deadLetters: deadLetters.map((d) => ({
+        _id: String(d._id),
+        messageId: d.messageId,
+        inbox: d.inbox ?? '',
+        subject: d.subject ?? '',
+        fromEmail: d.fromEmail ?? '',
+        attempts: d.attempts ?? 0,
+        lastError: d.lastError ?? '',
+        failedAt: d.failedAt,
+      })),
+    };
+
+    res.json(status);
+  } catch (err) {
+    console.error('[API] GET /queue error', err);
+    res.status(500).json({ error: 'Failed to fetch queue status' });
+  }
+});
+
+router.post('/dead-letters/retry-all', async (_req: Request, res: Response) => {
+  try {
+    const ids = await DeadLetter.find().select('_id').lean();
+    let retried = 0;
+    for (const { _id } of ids) {
+      if (await retryDeadLetter(String(_id))) retried++;
+    }
+    res.json({ retried });
+  } catch (err) {
+    console.error('[API] POST /queue/dead-letters/retry-all error', err);
+    res.status(500).json({ error: 'Failed to retry dead letters' });
+  }
+});
+
+router.post('/dead-letters/:id/retry', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid dead letter id' });
+      return;
+    }
+
+    const retried = await retryDeadLetter(id);
+    if (!retried) {
+      res.status(404).json({ error: 'Dead letter not found' });
+      return;
+    }
+
+    res.json({ retried: 1 });
+  } catch (err) {
+    console.error('[API] POST /queue/dead-letters/:id/retry error', err);
+    res.status(500).json({ error: 'Failed to retry dead letter' });
+  }
+});
+
+export default router;
@@ -0,0 +1,183 @@
+import { Router, type Request, type Response } from 'express';
+import mongoose from 'mongoose';
+import { Report } from '../models/Report.js';
+import { buildDigest, sendDigest } from '../lib/reports.js';
+import { config } from '../config.js';
+import type { ReportKind } from '../types/index.js';
+
+const router = Router();
+
+const REPORT_KINDS: ReportKind[] = ['department', 'client'];
+
+interface ReportInput {
+  name?: string;
+  active?: boolean;
+  kind?: ReportKind;
+  department?: string;
+  recipients?: string;
+  hour?: number;
+  weekday?: number;
+  attachXlsx?: boolean;
+}
+
+function isIntegerIn(value: unknown, min: number, max: number): boolean {
+  return typeof value === 'number' && Number.isInteger(value) && value >= min && value <= max;
+}
+
+/** Returns an error message, or null when the input is usable. */
+function validateReportInput(input: ReportInput, partial: boolean): string | null {
+  if (!partial || input.name !== undefined) {
+    if (!input.name?.trim()) return 'name is required';
+  }
+  if (!partial || input.kind !== undefined) {
+    if (!REPORT_KINDS.includes(input.kind as ReportKind)) return `kind must be one of ${REPORT_KINDS.join(', ')}`;
+  }
+  if (!partial || input.recipients !== undefined) {
+    const entries = (input.recipients ?? '').split(',').map((r) => r.trim()).filter(Boolean);
+    if (entries.length === 0) return 'recipients is required';
+    if (entries.some((e) => !/^[^\s@]+@[^\s@]+$/.test(e))) return 'recipients must be comma-separated email addresses';
+  }
+  if (input.hour !== undefined && !isIntegerIn(input.hour, 0, 23)) return 'hour must be 0-23';
+  if (input.weekday !== undefined && !isIntegerIn(input.weekday, 0, 6)) return 'weekday must be 0-6';
+  return null;
+}
+
+function pickReportFields(input: ReportInput): Record<string, unknown> {
+  const fields: Record<string, unknown> = {};
+  if (input.name !== undefined) fields.name = input.name.trim();
+  if (input.active !== undefined) fields.active = input.active;
+  if (input.kind !== undefined) fields.kind = input.kind;
+  if (input.department !== undefined) fields.department = input.department;
+  if (input.recipients !== undefined) {
+    fields.recipients = input.recipients.split(',').map((r) => r.trim()).filter(Boolean).join(', ');
+  }
+  if (input.hour !== undefined) fields.hour = input.hour;
+  if (input.weekday !== undefined) fields.weekday = input.weekday;
+  if (input.attachXlsx !== undefined) fields.attachXlsx = input.attachXlsx;
+  return fields;
+}
+
+router.get('/', async (_req: Request, res: Response) => {
+  try {
+    const reports = await Report.find().sort({ kind: 1, name: 1 }).lean();
+    res.json({ reports, smtpConfigured: Boolean(config.notifications.smtp.host) });
+  } catch (err) {
+    console.error('[API] GET /reports error', err);
+    res.status(500).json({ error: 'Failed to list reports' });
+  }
+});
+
+router.post('/', async (req: Request, res: Response) => {
+  try {
+    const input = req.body as ReportInput;
+    const validationError = validateReportInput(input, false);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    const report = await Report.create(pickReportFields(input));
+    res.status(201).json(report.toObject());
+  } catch (err) {
+    console.error('[API] POST /reports error', err);
+    res.status(500).json({ error: 'Failed to create report' });
+  }
+});
+
+router.patch('/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid report id' });
+      return;
+    }
+
+    const input = req.body as ReportInput;
+    const validationError = validateReportInput(input, true);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    const report = await Report.findByIdAndUpdate(id, { $set: pickReportFields(input) }, { new: true }).lean();
+    if (!report) {
+      res.status(404).json({ error: 'Report not found' });
+      return;
+    }
+    res.json(report);
+  } catch (err) {
+    console.error('[API] PATCH /reports/:id error', err);
+    res.status(500).json({ error: 'Failed to update report' });
+  }
+});
+
+router.delete('/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid report id' });
+      return;
+    }
+
+    const deleted = await Report.findByIdAndDelete(id).lean();
+    if (!deleted) {
+      res.status(404).json({ error: 'Report not found' });
+      return;
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error('[API] DELETE /reports/:id error', err);
+    res.status(500).json({ error: 'Failed to delete report' });
+  }
+});
+
+/** The figures the next send would contain, without emailing anyone. */
+router.get('/:id/preview', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid report id' });
+      return;
+    }
+
+    const report = await Report.findById(id).lean();
+    if (!report) {
+      res.status(404).json({ error: 'Report not found' });
+      return;
+    }
+    res.json(await buildDigest(report));
+  } catch (err) {
+    console.error('[API] GET /reports/:id/preview error', err);
+    res.status(500).json({ error: 'Failed to build report preview' });
+  }
+});
+
+/** Sends immediately, whether or not the digest is due; counts as today's send. */
+router.post('/:id/send', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid report id' });
+      return;
+    }
+
+    const report = await Report.findById(id);
+    if (!report) {
+      res.status(404).json({ error: 'Report not found' });
+      return;
+    }
+
+    try {
+      await sendDigest(report);
+    } catch (err) {
+      res.status(502).json({ error: err instanceof Error ? err.message : 'Sending the report failed' });
+      return;
+    }
+    res.json(report.toObject());
+  } catch (err) {
+    console.error('[API] POST /reports/:id/send error', err);
+    res.status(500).json({ error: 'Failed to send report' });
+  }
+});
+
+export default router;
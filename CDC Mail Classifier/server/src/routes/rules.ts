@@ -0,0 +1,218 @@
+import { Router, type Request, type Response } from 'express';
+import mongoose from 'mongoose';
+import { Rule } from '../models/Rule.js';
+import { Email } from '../models/Email.js';
+import {
+  RULE_ACTIONS,
+  RULE_FIELDS,
+  RULE_OPERATORS,
+  compileConditions,
+  invalidateRuleCache,
+  ruleMatches,
+  validateRegex,
+} from '../lib/rules.js';
+import type { RuleAction, RuleCondition, RulePreviewMatch } from '../types/index.js';
+
+const router = Router();
+
+const PREVIEW_SAMPLE_SIZE = 500;
+const PREVIEW_MAX_MATCHES = 50;
+
+interface RuleInput {
+  name?: string;
+  description?: string;
+  active?: boolean;
+  priority?: number;
+  match?: 'all' | 'any';
+  conditions?: RuleCondition[];
+  action?: RuleAction;
+  department?: string;
+  mailType?: string;
+  hint?: string;
+}
+
+/** Returns an error message, or null when the input is usable. */
+function validateRuleInput(input: RuleInput, partial: boolean): string | null {
+  if (!partial || input.name !== undefined) {
+    if (!input.name?.trim()) return 'name is required';
+  }
+  if (!partial || input.action !== undefined) {
+    if (!input.action || !RULE_ACTIONS.includes(input.action)) {
+      return `action must be one of ${RULE_ACTIONS.join(', ')}`;
+    }
+  }
+  if (input.match !== undefined && input.match !== 'all' && input.match !== 'any') {
+    return 'match must be "all" or "any"';
+  }
+  if (input.priority !== undefined && !Number.isFinite(input.priority)) {
+    return 'priority must be a number';
+  }
+  if (!partial || input.conditions !== undefined) {
+    if (!Array.isArray(input.conditions) || input.conditions.length === 0) {
+      return 'at least one condition is required';
+    }
+    for (const condition of input.conditions) {
+      if (!RULE_FIELDS.includes(condition.field)) return `Invalid condition field: ${condition.field}`;
+      if (!RULE_OPERATORS.includes(condition.operator)) {
+        return `Invalid condition operator: ${condition.operator}`;
+      }
+      if (!condition.value?.trim()) return 'condition value is required';
+      if (condition.operator === 'regex') {
+        const regexError = validateRegex(condition.value);
+        if (regexError) return `Invalid regex "${condition.value}": ${regexError}`;
+      }
+    }
+  }
+  if (input.action === 'classify' && !partial && !input.department && !input.mailType) {
+    return 'classify rules need a department or mail type';
+  }
+  if (input.action === 'hint' && !partial && !input.hint?.trim()) {
+    return 'hint rules need hint text';
+  }
+  return null;
+}
+
+function pickRuleFields(input: RuleInput): Record<string, unknown> {
+  const fields: Record<string, unknown> = {};
+  if (input.name !== undefined) fields.name = input.name.trim();
+  if (input.description !== undefined) fields.description = input.description;
+  if (input.active !== undefined) fields.active = input.active;
+  if (input.priority !== undefined) fields.priority = input.priority;
+  if (input.match !== undefined) fields.match = input.match;
+  if (input.conditions !== undefined) {
+    fields.conditions = input.conditions.map(({ field, operator, value }) => ({
+      field,
+      operator,
+      value: value.trim(),
+    }));
+  }
+  if (input.action !== undefined) fields.action = input.action;
+  if (input.department !== undefined) fields.department = input.department;
+  if (input.mailType !== undefined) fields.mailType = input.mailType;
+  if (input.hint !== undefined) fields.hint = input.hint;
+  return fields;
+}
+
+router.get('/', async (_req: Request, res: Response) => {
+  try {
+    const rules = await Rule.find().sort({ priority: 1, createdAt: 1 }).lean();
+    res.json(rules);
+  } catch (err) {
+    console.error('[API] GET /rules error', err);
+    res.status(500).json({ error: 'Failed to list rules' });
+  }
+});
+
+router.post('/', async (req: Request, res: Response) => {
+  try {
+    const input = req.body as RuleInput;
+    const validationError = validateRuleInput(input, false);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    const rule = await Rule.create(pickRuleFields(input));
+    invalidateRuleCache();
+    res.status(201).json(rule.toObject());
+  } catch (err) {
+    console.error('[API] POST /rules error', err);
+    res.status(500).json({ error: 'Failed to create rule' });
+  }
+});
+
+/** Dry-runs a draft rule against recent mail without saving it. */
+router.post('/preview', async (req: Request, res: Response) => {
+  try {
+    const { match = 'all', conditions } = req.body as RuleInput;
+    const validationError = validateRuleInput({ match, conditions }, true);
+    if (validationError || !conditions) {
+      res.status(400).json({ error: validationError ?? 'conditions are required' });
+      return;
+    }
+
+    const sample = await Email.find()
+      .select('fromName fromEmail subject body sentDate department mailType')
+      .sort({ sentDate: -1 })
+      .limit(PREVIEW_SAMPLE_SIZE)
+      .lean();
+
+    const draft = { match, conditions: compileConditions(conditions) };
+    const matches: RulePreviewMatch[] = sample
+      .filter((email) => ruleMatches(draft, email))
+      .map((email) => ({
+        _id: String(email._id),
+        subject: email.subject ?? '',
+        fromEmail: email.fromEmail ?? '',
+        sentDate: email.sentDate ?? null,
+        department: email.department ?? '',
+        mailType: email.mailType ?? '',
+      }));
+
+    res.json({
+      sampled: sample.length,
+      matched: matches.length,
+      matches: matches.slice(0, PREVIEW_MAX_MATCHES),
+    });
+  } catch (err) {
+    console.error('[API] POST /rules/preview error', err);
+    res.status(500).json({ error: 'Failed to preview rule' });
+  }
+});
+
+router.patch('/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid rule id' });
+      return;
+    }
+
+    const input = req.body as RuleInput;
+    const validationError = validateRuleInput(input, true);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    const rule = await Rule.findByIdAndUpdate(
+      id,
+      { $set: pickRuleFields(input) },
+      { new: true },
+    ).lean();
+    if (!rule) {
+      res.status(404).json({ error: 'Rule not found' });
+      return;
+    }
+
+    invalidateRuleCache();
+    res.json(rule);
+  } catch (err) {
+    console.error('[API] PATCH /rules/:id error', err);
+    res.status(500).json({ error: 'Failed to update rule' });
+  }
+});
+
+router.delete('/:id', async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid rule id' });
+      return;
+    }
+
+    const deleted = await Rule.findByIdAndDelete(id).lean();
+    if (!deleted) {
+      res.status(404).json({ error: 'Rule not found' });
+      return;
+    }
+
+    invalidateRuleCache();
+    res.status(204).end();
+  } catch (err) {
+    console.error('[API] DELETE /rules/:id error', err);
+    res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
+export default router;
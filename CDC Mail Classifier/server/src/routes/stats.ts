@@ -1,33 +1,96 @@
 import { Router, type Request, type Response } from 'express';
 import { Email } from '../models/Email.js';
+import { LlmCall } from '../models/LlmCall.js';
 import { config } from '../config.js';
-import type { StatsResponse } from '../types/index.js';
+import { getSpendToday, startOfLocalDay } from '../lib/cost.js';
+import { departmentScope, requireRole } from '../lib/auth.js';
+import { dueSoonFilter, overdueFilter } from '../lib/sla.js';
+import type { CostBucket, CostResponse, StatsResponse } from '../types/index.js';
 
 const router = Router();
 
-router.get('/', async (_req: Request, res: Response) => {
+const MAX_COST_DAYS = 180;
+
+const BUCKET_GROUP = {
+  costUsd: { $sum: '$costUsd' },
+  promptTokens: { $sum: '$promptTokens' },
+  completionTokens: { $sum: '$completionTokens' },
+  calls: { $sum: 1 },
+};
+
+function roundUsd(value: number): number {
+  return Math.round(value * 1_000_000) / 1_000_000;
+}
+
+function toBucket(row: CostBucket): CostBucket {
+  return {
+    costUsd: roundUsd(row.costUsd),
+    promptTokens: row.promptTokens,
+    completionTokens: row.completionTokens,
+    calls: row.calls,
+  };
+}
+
+router.get('/', async (req: Request, res: Response) => {
   try {
     const startOfToday = new Date();
     startOfToday.setHours(0, 0, 0, 0);
 
-    const [totalToday, needsReview, departmentAgg, mailTypeAgg, classifierAgg, totalAll] =
-      await Promise.all([
-        Email.countDocuments({ sentDate: { $gte: startOfToday } }),
-        Email.countDocuments({ needsReview: true }),
-        Email.aggregate<{ _id: string; count: number }>([
-          { $match: { department: { $nin: [null, ''] } } },
-          { $group: { _id: '$department', count: { $sum: 1 } } },
-        ]),
-        Email.aggregate<{ _id: string; count: number }>([
-          { $match: { mailType: { $nin: [null, ''] } } },
-          { $group: { _id: '$mailType', count: { $sum: 1 } } },
-        ]),
-        Email.aggregate<{ _id: string; count: number }>([
-          { $match: { classifier: { $nin: [null, ''] } } },
-          { $group: { _id: '$classifier', count: { $sum: 1 } } },
-        ]),
-        Email.countDocuments(),
-      ]);
+    // Reviewers only see figures for their own departments. Copies received in
+    // several inboxes count once.
+    const scope = departmentScope(req.user);
+    const scoped = (filter: Record<string, unknown>) => ({
+      $and: [...(scope ? [scope] : []), { duplicateOf: null }, filter],
+    });
+
+    const [
+      totalToday,
+      needsReview,
+      departmentAgg,
+      mailTypeAgg,
+      classifierAgg,
+      totalAll,
+      ruleMatched,
+      ruleDecided,
+      slaOpen,
+      slaOverdue,
+      slaDueSoon,
+      slaCompletedAgg,
+    ] = await Promise.all([
+      Email.countDocuments(scoped({ sentDate: { $gte: startOfToday } })),
+      Email.countDocuments(scoped({ needsReview: true })),
+      Email.aggregate<{ _id: string; count: number }>([
+        { $match: scoped({ department: { $nin: [null, ''] } }) },
+        { $group: { _id: '$department', count: { $sum: 1 } } },
+      ]),
+      Email.aggregate<{ _id: string; count: number }>([
+        { $match: scoped({ mailType: { $nin: [null, ''] } }) },
+        { $group: { _id: '$mailType', count: { $sum: 1 } } },
+      ]),
+      Email.aggregate<{ _id: { tier: string | null; classifier: string }; count: number }>([
+        { $match: scoped({ classifier: { $nin: [null, ''] } }) },
+        {
+          $group: {
+            _id: { tier: '$classifierTier', classifier: '$classifier' },
+            count: { $sum: 1 },
+          },
+        },
+      ]),
+      Email.countDocuments(scoped({})),
+      Email.countDocuments(scoped({ 'matchedRules.0': { $exists: true } })),
+      Email.countDocuments(scoped({ classifier: /^rule:/ })),
+      Email.countDocuments(scoped({ workflowStatus: { $ne: 'done' }, slaDueAt: { $ne: null } })),
+      Email.countDocuments(scoped(overdueFilter())),
+      Email.countDocuments(scoped(dueSoonFilter())),
+      Email.aggregate<{ _id: boolean; count: number }>([
+        { $match: scoped({ workflowStatus: 'done', slaDueAt: { $ne: null }, doneAt: { $ne: null } }) },
+        { $group: { _id: { $gt: ['$doneAt', '$slaDueAt'] }, count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const completedLate = slaCompletedAgg.find((row) => row._id === true)?.count ?? 0;
+    const completedOnTime = slaCompletedAgg.find((row) => row._id === false)?.count ?? 0;
+    const completed = completedLate + completedOnTime;
 
     const byDepartment: Record<string, number> = {};
     for (const row of departmentAgg) {
@@ -42,8 +105,16 @@ router.get('/', async (_req: Request, res: Response) => {
     let nano = 0;
     let mini = 0;
     for (const row of classifierAgg) {
-      if (row._id === config.models.cheap) nano = row.count;
-      else if (row._id === config.models.strong) mini = row.count;
+      // Mail classified before tiers were recorded only has the model name.
+      const tier =
+        row._id.tier ??
+        (row._id.classifier === config.llm.tiers.cheap.model
+          ? 'cheap'
+          : row._id.classifier === config.llm.tiers.strong.model
+            ? 'strong'
+            : null);
+      if (tier === 'cheap') nano += row.count;
+      else if (tier === 'strong') mini += row.count;
     }
 
     const stats: StatsResponse = {
@@ -53,6 +124,19 @@ router.get('/', async (_req: Request, res: Response) => {
       byMailType,
       reviewPercent: totalAll > 0 ? Math.round((needsReview / totalAll) * 1000) / 10 : 0,
       classifierSplit: { nano, mini },
+      ruleHits: {
+        matched: ruleMatched,
+        decided: ruleDecided,
+        hitRate: totalAll > 0 ? Math.round((ruleMatched / totalAll) * 1000) / 10 : 0,
+      },
+      sla: {
+        open: slaOpen,
+        overdue: slaOverdue,
+        dueSoon: slaDueSoon,
+        completedOnTime,
+        completedLate,
+        metPercent: completed > 0 ? Math.round((completedOnTime / completed) * 1000) / 10 : 0,
+      },
     };
 
     res.json(stats);
@@ -62,4 +146,109 @@ router.get('/', async (_req: Request, res: Response) => {
   }
 });
 
+/** LLM spend per day, inbox and model, plus the daily budget state. */
+router.get('/cost', requireRole('admin'), async (req: Request, res: Response) => {
+  try {
+    const days = Math.min(Math.max(Number(req.query.days) || 30, 1), MAX_COST_DAYS);
+    const since = startOfLocalDay();
+    since.setDate(since.getDate() - (days - 1));
+    // Group by the server's local day so it lines up with "today" elsewhere.
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const match = { $match: { createdAt: { $gte: since } } };
+
+    const [totalsAgg, dailyAgg, inboxAgg, modelAgg, spentToday] = await Promise.all([
+      LlmCall.aggregate<CostBucket>([match, { $group: { _id: null, ...BUCKET_GROUP } }]),
+      LlmCall.aggregate<CostBucket & { _id: { date: string; tier: string | null } }>([
+        match,
+        {
+          $group: {
+            _id: {
+              date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone } },
+              tier: '$tier',
+            },
+            ...BUCKET_GROUP,
+          },
+        },
+      ]),
+      LlmCall.aggregate<CostBucket & { _id: string | null }>([
+        match,
+        { $group: { _id: '$inbox', ...BUCKET_GROUP } },
+        { $sort: { costUsd: -1 } },
+      ]),
+      LlmCall.aggregate<
+        CostBucket & { _id: { provider: string; model: string }; avgLatencyMs: number }
+      >([
+        match,
+        {
+          $group: {
+            _id: { provider: '$provider', model: '$model' },
+            ...BUCKET_GROUP,
+            avgLatencyMs: { $avg: '$latencyMs' },
+          },
+        },
+        { $sort: { costUsd: -1 } },
+      ]),
+      getSpendToday(),
+    ]);
+
+    const dailyMap = new Map<string, CostResponse['daily'][number]>();
+    for (let i = 0; i < days; i++) {
+      const d = new Date(since);
+      d.setDate(d.getDate() + i);
+      const date = d.toLocaleDateString('en-CA');
+      dailyMap.set(date, {
+        date,
+        costUsd: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        calls: 0,
+        cheapUsd: 0,
+        strongUsd: 0,
+        embeddingUsd: 0,
+      });
+    }
+    for (const row of dailyAgg) {
+      const day = dailyMap.get(row._id.date);
+      if (!day) continue;
+      day.costUsd += row.costUsd;
+      day.promptTokens += row.promptTokens;
+      day.completionTokens += row.completionTokens;
+      day.calls += row.calls;
+      if (row._id.tier === 'cheap') day.cheapUsd += row.costUsd;
+      else if (row._id.tier === 'strong') day.strongUsd += row.costUsd;
+      else if (row._id.tier === 'embedding') day.embeddingUsd += row.costUsd;
+    }
+
+    const dailyBudget = config.llm.dailyBudgetUsd;
+    const report: CostResponse = {
+      days,
+      totals: toBucket(totalsAgg[0] ?? { costUsd: 0, promptTokens: 0, completionTokens: 0, calls: 0 }),
+      daily: [...dailyMap.values()].map((day) => ({
+        ...day,
+        ...toBucket(day),
+        cheapUsd: roundUsd(day.cheapUsd),
+        strongUsd: roundUsd(day.strongUsd),
+        embeddingUsd: roundUsd(day.embeddingUsd),
+      })),
+      byInbox: inboxAgg.map((row) => ({ inbox: row._id ?? '', ...toBucket(row) })),
+      byModel: modelAgg.map((row) => ({
+        provider: row._id.provider ?? '',
+        model: row._id.model ?? '',
+        ...toBucket(row),
+        avgLatencyMs: Math.round(row.avgLatencyMs ?? 0),
+      })),
+      budget: {
+        dailyUsd: dailyBudget,
+        spentToday: roundUsd(spentToday),
+        escalationPaused: dailyBudget > 0 && spentToday >= dailyBudget,
+      },
+    };
+
+    res.json(report);
+  } catch (err) {
+    console.error('[API] GET /stats/cost error', err);
+    res.status(500).json({ error: 'Failed to fetch cost report' });
+  }
+});
+
 export default router;
@@ -0,0 +1,61 @@
+import { Router, type Request, type Response } from 'express';
+import { requireRole } from '../lib/auth.js';
+import { addTaxonomyPromptVersion, promptVersionStatus } from '../lib/promptVersions.js';
+import { getTaxonomy, saveTaxonomy, validateTaxonomy } from '../lib/taxonomy.js';
+import { buildClassifierSystemPrompt, classifierPromptVersion } from '../prompts/classifier.js';
+import type { Taxonomy } from '../types/index.js';
+
+const router = Router();
+
+/** Every signed-in user needs this for filters, badges and the edit form. */
+router.get('/', async (_req: Request, res: Response) => {
+  try {
+    res.json(await getTaxonomy());
+  } catch (err) {
+    console.error('[API] GET /taxonomy error', err);
+    res.status(500).json({ error: 'Failed to load taxonomy' });
+  }
+});
+
+router.put('/', requireRole('admin'), async (req: Request, res: Response) => {
+  try {
+    const input = req.body as Taxonomy;
+    const validationError = validateTaxonomy(input);
+    if (validationError) {
+      res.status(400).json({ error: validationError });
+      return;
+    }
+
+    const previousPrompt = buildClassifierSystemPrompt(await getTaxonomy());
+    const taxonomy = await saveTaxonomy(input, req.user?.email);
+    console.log(`[Taxonomy] Updated by ${req.user?.email ?? 'unknown'}`);
+
+    // Edits that change the prompt (not e.g. a badge colour) add a version for an admin to promote.
+    if (buildClassifierSystemPrompt(taxonomy) !== previousPrompt) {
+      const version = await addTaxonomyPromptVersion(taxonomy, req.user?.email);
+      const state = version.live ? 'is live' : 'is ready to promote';
+      console.log(`[Prompts] Version ${version.version} built from the taxonomy ${state}`);
+    }
+    res.json(taxonomy);
+  } catch (err) {
+    console.error('[API] PUT /taxonomy error', err);
+    res.status(500).json({ error: 'Failed to save taxonomy' });
+  }
+});
+
+/**
+ * The system prompt built from the saved taxonomy, for checking edits, with
+ * the prompt version holding it and the live one; they differ until an admin
+ * promotes the taxonomy's version.
+ */
+router.get('/prompt', requireRole('admin'), async (_req: Request, res: Response) => {
+  try {
+    const prompt = buildClassifierSystemPrompt(await getTaxonomy());
+    res.json({ prompt, version: classifierPromptVersion(prompt), ...(await promptVersionStatus(prompt)) });
+  } catch (err) {
+    console.error('[API] GET /taxonomy/prompt error', err);
+    res.status(500).json({ error: 'Failed to build prompt' });
+  }
+});
+
+export default router;
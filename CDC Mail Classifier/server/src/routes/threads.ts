@@ -0,0 +1,47 @@
+import { Router, type Request, type Response } from 'express';
+import { Email } from '../models/Email.js';
+import { departmentScope } from '../lib/auth.js';
+import type { ThreadResponse } from '../types/index.js';
+
+const router = Router();
+
+router.get('/:threadId', async (req: Request, res: Response) => {
+  try {
+    const threadId = String(req.params.threadId);
+
+    const emails = await Email.find({ threadId, ...departmentScope(req.user) })
+      .select('-body -attachmentFiles.extractedText')
+      .sort({ sentDate: 1 })
+      .lean();
+
+    if (emails.length === 0) {
+      res.status(404).json({ error: 'Thread not found' });
+      return;
+    }
+
+    const distinct = (values: (string | null | undefined)[]) =>
+      [...new Set(values.filter((v): v is string => !!v))];
+
+    const latest = emails[emails.length - 1];
+    const thread: ThreadResponse = {
+      threadId,
+      subject: emails[0].subject ?? '',
+      messageCount: emails.length,
+      firstSentDate: emails[0].sentDate ?? null,
+      lastSentDate: latest.sentDate ?? null,
+      jobNumbers: distinct(emails.map((e) => e.jobNumber)),
+      clientNames: distinct(emails.map((e) => e.clientName)),
+      inboxes: distinct(emails.map((e) => e.inbox)),
+      currentDepartment: latest.department ?? '',
+      currentMailType: latest.mailType ?? '',
+      emails,
+    };
+
+    res.json(thread);
+  } catch (err) {
+    console.error('[API] GET /threads/:threadId error', err);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+});
+
+export default router;
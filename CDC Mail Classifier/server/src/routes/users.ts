@@ -0,0 +1,94 @@
+import { Router, type Request, type Response } from 'express';
+import mongoose from 'mongoose';
+import { User } from '../models/User.js';
+import { requireRole } from '../lib/auth.js';
+import type { UserRole } from '../types/index.js';
+
+const router = Router();
+
+const ROLES: UserRole[] = ['viewer', 'reviewer', 'admin'];
+
+router.get('/', requireRole('admin'), async (_req: Request, res: Response) => {
+  try {
+    const users = await User.find().sort({ email: 1 }).lean();
+    res.json(users);
+  } catch (err) {
+    console.error('[API] GET /users error', err);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+/**
+ * Colleagues mail can be assigned to. With `?department=`, reviewers who do
+ * not cover that department are left out.
+ */
+router.get('/assignable', requireRole('reviewer', 'admin'), async (req: Request, res: Response) => {
+  try {
+    const { department } = req.query;
+    const filter: Record<string, unknown> = { active: true, role: { $in: ['reviewer', 'admin'] } };
+    if (typeof department === 'string' && department) {
+      filter.$or = [{ role: 'admin' }, { departments: department }];
+    }
+
+    const users = await User.find(filter).select('email name role departments').sort({ name: 1 }).lean();
+    res.json(
+      users.map((u) => ({
+        email: u.email,
+        name: u.name ?? u.email,
+        role: u.role,
+        departments: u.departments ?? [],
+      })),
+    );
+  } catch (err) {
+    console.error('[API] GET /users/assignable error', err);
+    res.status(500).json({ error: 'Failed to list assignable users' });
+  }
+});
+
+router.patch('/:id', requireRole('admin'), async (req: Request, res: Response) => {
+  try {
+    const id = String(req.params.id);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      res.status(400).json({ error: 'Invalid user id' });
+      return;
+    }
+
+    const { role, departments, active } = req.body as {
+      role?: UserRole;
+      departments?: string[];
+      active?: boolean;
+    };
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      return;
+    }
+    if (departments !== undefined && !Array.isArray(departments)) {
+      res.status(400).json({ error: 'departments must be an array' });
+      return;
+    }
+    // Stops an admin from locking themselves (and possibly everyone) out.
+    if (id === req.user?.id && ((role && role !== 'admin') || active === false)) {
+      res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+      return;
+    }
+
+    const update: Record<string, unknown> = {};
+    if (role !== undefined) update.role = role;
+    if (departments !== undefined) update.departments = departments.map(String);
+    if (active !== undefined) update.active = active;
+
+    const user = await User.findByIdAndUpdate(id, { $set: update }, { new: true }).lean();
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error('[API] PATCH /users/:id error', err);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+export default router;
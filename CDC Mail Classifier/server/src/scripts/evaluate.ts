@@ -0,0 +1,90 @@
+/**
+ * Replays reviewed emails against a prompt and model tier and prints the
+ * figures; the run is stored and shows up on the Evaluations page.
+ *
+ *   npm run evaluate -- --tier cheap --limit 200
+ *   npm run evaluate -- --tier strong --model gpt-5.4 --same-set <runId>
+ *   npm run evaluate -- --tier cascade --prompt-file ./prompt.txt --name "shorter rules"
+ *   npm run evaluate -- --tier cascade --prompt-version 4
+ */
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { connectDb, disconnectDb } from '../db.js';
+import {
+  createEvaluationRun,
+  evaluationTables,
+  executeEvaluationRun,
+  validateEvaluationInput,
+  type EvaluationInput,
+} from '../lib/evaluation.js';
+import { toText } from '../lib/export.js';
+import type { EvaluationMetrics, EvaluationTier, LlmProviderName } from '../types/index.js';
+
+async function main(): Promise<number> {
+  const { values } = parseArgs({
+    options: {
+      tier: { type: 'string', default: 'cascade' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      limit: { type: 'string' },
+      'prompt-file': { type: 'string' },
+      'prompt-version': { type: 'string' },
+      'same-set': { type: 'string' },
+      name: { type: 'string' },
+    },
+  });
+
+  const input: EvaluationInput = {
+    name: values.name,
+    tier: values.tier as EvaluationTier,
+    provider: values.provider as LlmProviderName | undefined,
+    model: values.model,
+    limit: values.limit === undefined ? undefined : Number(values.limit),
+    promptNumber: values['prompt-version'] === undefined ? undefined : Number(values['prompt-version']),
+    systemPrompt: values['prompt-file'] ? await readFile(values['prompt-file'], 'utf8') : undefined,
+    sameSetAs: values['same-set'],
+  };
+  const validationError = validateEvaluationInput(input);
+  if (validationError) {
+    console.error(`[Eval] ${validationError}`);
+    return 1;
+  }
+
+  await connectDb();
+  try {
+    const created = await createEvaluationRun(input, 'cli', 'cli');
+    if (!created.ok) {
+      console.error(`[Eval] ${created.error}`);
+      return 1;
+    }
+
+    const { run } = created;
+    console.log(`[Eval] Run ${run._id}: ${run.emailIds.length} email(s), prompt v${run.promptNumber} ${run.promptVersion}, ${run.models.join(', ')}`);
+    await executeEvaluationRun(run);
+
+    const metrics = run.metrics as EvaluationMetrics | undefined;
+    if (metrics) {
+      for (const table of evaluationTables(metrics)) console.log(`\n${table.title}\n${toText(table)}`);
+      const { usage } = metrics;
+      console.log(
+        `\n${metrics.evaluated} answered, ${metrics.failed} failed · ${usage.calls} call(s), ` +
+          `${usage.promptTokens + usage.completionTokens} tokens, $${usage.costUsd.toFixed(4)}`,
+      );
+    }
+    if (run.status === 'failed') {
+      console.error(`[Eval] Run ${run._id} failed: ${run.error}`);
+      return 1;
+    }
+    console.log(`[Eval] Run ${run._id} done`);
+    return 0;
+  } finally {
+    await disconnectDb();
+  }
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error('[Eval] Failed', err);
+    process.exit(1);
+  });
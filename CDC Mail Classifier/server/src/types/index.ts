@@ -1,19 +1,59 @@
-export type Department =
-  | 'Prepress'
-  | 'Packprepress'
-  | 'Packagingcrm'
-  | 'Production';
-
-export type MailType =
-  | 'File received'
-  | 'Correction received'
-  | 'Approval received'
-  | 'Production query'
-  | 'Request for quote received';
+export type LlmProviderName = 'openai' | 'azure' | 'local' | 'stub';
+
+export type ClassifierTier = 'cheap' | 'strong';
+
+export type UserRole = 'viewer' | 'reviewer' | 'admin';
+
+export type WorkflowStatus = 'new' | 'assigned' | 'in_progress' | 'done';
+
+/** Signed-in dashboard user attached to `req.user`. */
+export interface AuthUser {
+  id: string;
+  email: string;
+  name: string;
+  role: UserRole;
+  /** Departments a reviewer may see; ignored for viewers and admins. */
+  departments: string[];
+}
+
+export interface TierConfig {
+  provider: LlmProviderName;
+  model: string;
+}
+
+/** USD per 1M tokens. */
+export interface ModelPricing {
+  input: number;
+  output: number;
+}
+
+/** One model call made while classifying an email, successful or not. */
+export interface LlmAttempt {
+  tier: ClassifierTier;
+  provider: LlmProviderName;
+  model: string;
+  promptTokens: number;
+  completionTokens: number;
+  latencyMs: number;
+  costUsd: number;
+  success: boolean;
+  error?: string;
+}
+
+/** Totals over every attempt for one email, stored on the Email document. */
+export interface EmailUsage {
+  calls: number;
+  promptTokens: number;
+  completionTokens: number;
+  latencyMs: number;
+  costUsd: number;
+}
 
 export interface ClassificationResult {
-  department: Department | '';
-  mail_type: MailType | '';
+  /** A taxonomy department name, or '' when none applies. */
+  department: string;
+  /** A taxonomy mail type name, or ''. */
+  mail_type: string;
   confidence: number;
   job_number: string;
   client_name: string;
@@ -26,6 +66,31 @@ export interface ClassificationResult {
   type_specific: Record<string, unknown>;
 }
 
+/** Pointer to an attachment part inside a Gmail message. */
+export interface AttachmentRef {
+  filename: string;
+  mimeType: string;
+  size: number;
+  partId: string;
+  attachmentId?: string;
+  /** Small attachments arrive inline as base64url instead of via attachmentId. */
+  inlineData?: string;
+}
+
+/** Attachment saved to GridFS, with text extracted for the classifier. */
+export interface StoredAttachment {
+  /** GridFS file; unset when the attachment was too large or Gmail refused it. */
+  fileId?: string;
+  filename: string;
+  mimeType: string;
+  size: number;
+  extractedText: string;
+  extractionError?: string;
+  /** Over `attachments.maxDownloadBytes`: listed by name and size only. */
+  tooLarge?: boolean;
+  downloadError?: string;
+}
+
 export interface NormalizedEmail {
   messageId: string;
   threadId: string;
@@ -38,7 +103,240 @@ export interface NormalizedEmail {
   sentDate: Date;
   body: string;
   attachments: string[];
+  attachmentFiles: StoredAttachment[];
   gmailLink: string;
+  /** Message-ID header; absent on jobs queued before duplicate detection. */
+  internetMessageId?: string;
+  contentHash?: string;
+}
+
+/**
+ * Data masked before mail is sent to an LLM. `email` covers personal
+ * (free-mail) addresses, or every address under strict privacy; `name` is
+ * the display names in From/To/CC.
+ */
+export type RedactionCategory = 'phone' | 'bank' | 'tax_id' | 'price' | 'email' | 'name';
+
+export interface RedactionOptions {
+  categories: RedactionCategory[];
+  /** Per-inbox "strict privacy": every category, and every email address. */
+  strict: boolean;
+}
+
+/** One masked value; `placeholder` (e.g. "[PHONE_1]") is what the model sees. */
+export interface Redaction {
+  placeholder: string;
+  category: RedactionCategory;
+  original: string;
+}
+
+/** Earlier messages in the same Gmail thread, condensed for the prompt. */
+export interface ThreadContext {
+  summary: string;
+  jobNumber: string;
+  clientName: string;
+  title: string;
+}
+
+/** Reviewer-corrected email replayed to the model as a few-shot pair. */
+export interface FewShotExample {
+  fromDomain: string;
+  subject: string;
+  bodyExcerpt: string;
+  department: string;
+  mailType: string;
+  jobNumber: string;
+  clientName: string;
+}
+
+export type RuleField = 'from' | 'subject' | 'body';
+
+export type RuleOperator = 'contains' | 'equals' | 'regex' | 'domain';
+
+export type RuleAction = 'classify' | 'skip' | 'hint';
+
+export interface RuleCondition {
+  field: RuleField;
+  operator: RuleOperator;
+  value: string;
+}
+
+/** Extra inputs for a classification run beyond the email itself. */
+export interface ClassifyContext {
+  thread?: ThreadContext;
+  examples?: FewShotExample[];
+  /** Text from matching `hint` rules, passed to the model verbatim. */
+  hints?: string[];
+  /** Per-inbox provider/model overrides; falls back to `config.llm.tiers`. */
+  tiers?: Partial<Record<ClassifierTier, TierConfig>>;
+  /** Builds the system prompt; the built-in default when unset. */
+  taxonomy?: Taxonomy;
+  /** Used verbatim instead of the prompt built from `taxonomy`. */
+  systemPrompt?: string;
+  /** PromptVersion number of `systemPrompt`, recorded on the email. */
+  promptVersion?: number;
+  /** Calls only this tier, with no fallback or escalation. */
+  onlyTier?: ClassifierTier;
+  /** Masking applied to everything sent to the model; nothing is masked when unset. */
+  redaction?: RedactionOptions;
+}
+
+export type NotificationChannel = 'email' | 'webhook' | 'whatsapp';
+
+export type DeliveryStatus = 'pending' | 'sending' | 'sent' | 'failed';
+
+export type TaxonomyFieldType = 'text' | 'boolean' | 'list';
+
+/** One key of a mail type's `type_specific` object. */
+export interface TaxonomyField {
+  key: string;
+  type: TaxonomyFieldType;
+  description: string;
+}
+
+export type BadgeColor = 'slate' | 'sky' | 'emerald' | 'amber' | 'rose' | 'violet';
+
+export interface TaxonomyDepartment {
+  name: string;
+  definition: string;
+  /** Inactive entries stay valid for stored mail but are left out of the prompt. */
+  active: boolean;
+}
+
+export interface TaxonomyMailType extends TaxonomyDepartment {
+  color: BadgeColor;
+  fields: TaxonomyField[];
+}
+
+/** Departments, mail types and classification rules the system prompt is built from. */
+export interface Taxonomy {
+  departments: TaxonomyDepartment[];
+  mailTypes: TaxonomyMailType[];
+  /** Extra "MAIL TYPE RULES" lines for the model, one per entry. */
+  rules: string[];
+  updatedAt?: Date;
+  updatedBy?: string;
+}
+
+/** `department`: daily, one row per department. `client`: weekly, one row per client. */
+export type ReportKind = 'department' | 'client';
+
+/** `cascade` runs cheap and escalates like live classification; the others call one tier only. */
+export type EvaluationTier = ClassifierTier | 'cascade';
+
+export type EvaluationStatus = 'running' | 'done' | 'failed';
+
+/** The fields an evaluation compares between the reviewed email and the replay. */
+export interface EvaluationLabels {
+  department: string;
+  mailType: string;
+  jobNumber: string;
+  isbn: string;
+  quantity: string;
+}
+
+/** One gold-set email replayed during an evaluation run. */
+export interface EvaluationResult {
+  emailId: string;
+  subject: string;
+  expected: EvaluationLabels;
+  predicted: EvaluationLabels;
+  confidence: number;
+  modelUsed: string;
+  usage: EmailUsage;
+  error?: string;
+}
+
+export interface LabelMetrics {
+  label: string;
+  /** Null when the label was never predicted. */
+  precision: number | null;
+  /** Null when the gold set has no email with the label. */
+  recall: number | null;
+  f1: number | null;
+  /** Gold-set emails with the label. */
+  support: number;
+}
+
+export interface ClassMetrics {
+  accuracy: number;
+  labels: LabelMetrics[];
+  /** `counts[expected][predicted]`, both indexed by `labels`; '' is "(none)". */
+  confusion: { labels: string[]; counts: number[][] };
+}
+
+export interface FieldAccuracy {
+  field: 'jobNumber' | 'isbn' | 'quantity';
+  /** Emails where the reviewed value or the prediction is set. */
+  evaluated: number;
+  correct: number;
+  accuracy: number | null;
+}
+
+export interface EvaluationMetrics {
+  /** Emails the model answered; failed calls are left out of every figure below. */
+  evaluated: number;
+  failed: number;
+  department: ClassMetrics;
+  mailType: ClassMetrics;
+  fields: FieldAccuracy[];
+  usage: EmailUsage;
+}
+
+/** Body POSTed to webhook routes and used to render email/WhatsApp text. */
+export interface NotificationPayload {
+  event: 'email.classified';
+  emailId: string;
+  messageId: string;
+  inbox: string;
+  subject: string;
+  fromName: string;
+  fromEmail: string;
+  sentDate: Date | null;
+  department: string;
+  mailType: string;
+  confidence: number;
+  needsReview: boolean;
+  jobNumber: string;
+  clientName: string;
+  summary: string;
+  actionRequired: string;
+  dueDate: string;
+  url: string;
+  gmailLink: string;
+}
+
+/** Email fields carried by live events: enough to update a row or raise an alert. */
+export interface LiveEmail {
+  _id: string;
+  inbox: string;
+  subject: string;
+  fromName: string;
+  fromEmail: string;
+  sentDate: Date | null;
+  department: string;
+  mailType: string;
+  confidence: number;
+  needsReview: boolean;
+  reviewed: boolean;
+  slaDueAt: Date | null;
+  /** Mail type's SLA is `config.live.highPriorityHours` or shorter. */
+  highPriority: boolean;
+}
+
+/** Published on `/api/events`; the SSE event name is `type`. */
+export type LiveEvent =
+  | { type: 'email.classified'; source: 'worker' | 'reclassify'; email: LiveEmail }
+  /** The cheap model was not confident enough and the strong tier answered. */
+  | { type: 'email.escalated'; email: LiveEmail }
+  | { type: 'email.reviewed'; email: LiveEmail; reviewer?: string }
+  | { type: 'poll.finished'; inboxes: number; failed: number; durationMs: number }
+  | { type: 'inbox.error'; inbox: string; error: string };
+
+export interface FieldChange {
+  field: string;
+  from: unknown;
+  to: unknown;
 }
 
 export interface EmailListFilters {
@@ -47,12 +345,44 @@ export interface EmailListFilters {
   needsReview?: boolean;
   inbox?: string;
   search?: string;
+  /** Defaults to relevance when `search` has free text, otherwise newest first. */
+  sort?: 'relevance' | 'date' | 'oldest';
   dateFrom?: string;
   dateTo?: string;
   page?: number;
   limit?: number;
 }
 
+export interface SimilarEmail {
+  _id: string;
+  subject?: string;
+  fromName?: string;
+  fromEmail?: string;
+  sentDate?: Date;
+  department?: string;
+  mailType?: string;
+  reviewed?: boolean;
+  jobNumber?: string;
+  summary?: string;
+  /** Cosine similarity, 0–1. */
+  score: number;
+}
+
+export interface SimilarEmailsResponse {
+  /** False when embeddings are turned off. */
+  available: boolean;
+  model: string;
+  results: SimilarEmail[];
+}
+
+/** Excerpt of a search hit; `matches` are [start, end) offsets into `text`. */
+export interface SearchSnippet {
+  field: 'body' | 'attachment' | 'summary';
+  filename?: string;
+  text: string;
+  matches: [number, number][];
+}
+
 export interface EmailUpdatePayload {
   department?: string;
   mailType?: string;
@@ -74,4 +404,111 @@ export interface StatsResponse {
   byMailType: Record<string, number>;
   reviewPercent: number;
   classifierSplit: { nano: number; mini: number };
+  /** Emails matched by at least one rule, and those decided without the LLM. */
+  ruleHits: { matched: number; decided: number; hitRate: number };
+  /** Mail with an SLA deadline; `metPercent` covers completed mail only. */
+  sla: {
+    open: number;
+    overdue: number;
+    dueSoon: number;
+    completedOnTime: number;
+    completedLate: number;
+    metPercent: number;
+  };
+}
+
+export interface CostBucket {
+  costUsd: number;
+  promptTokens: number;
+  completionTokens: number;
+  calls: number;
+}
+
+export interface CostResponse {
+  days: number;
+  totals: CostBucket;
+  daily: (CostBucket & { date: string; cheapUsd: number; strongUsd: number; embeddingUsd: number })[];
+  byInbox: (CostBucket & { inbox: string })[];
+  byModel: (CostBucket & { provider: string; model: string; avgLatencyMs: number })[];
+  budget: { dailyUsd: number; spentToday: number; escalationPaused: boolean };
+}
+
+export interface RulePreviewMatch {
+  _id: string;
+  subject: string;
+  fromEmail: string;
+  sentDate: Date | null;
+  department: string;
+  mailType: string;
+}
+
+export interface DeadLetterSummary {
+  _id: string;
+  messageId: string;
+  inbox: string;
+  subject: string;
+  fromEmail: string;
+  attempts: number;
+  lastError: string;
+  failedAt: Date;
+}
+
+export interface QueueStatusResponse {
+  pending: number;
+  retrying: number;
+  processing: number;
+  deadLetterCount: number;
+  deadLetters: DeadLetterSummary[];
+}
+
+export interface ThreadResponse {
+  threadId: string;
+  subject: string;
+  messageCount: number;
+  firstSentDate: Date | null;
+  lastSentDate: Date | null;
+  jobNumbers: string[];
+  clientNames: string[];
+  inboxes: string[];
+  currentDepartment: string;
+  currentMailType: string;
+  emails: unknown[];
+}
+
+export type JobGroupKey = 'files' | 'corrections' | 'approvals' | 'queries' | 'quotes' | 'other';
+
+export interface JobSummary {
+  jobKey: string;
+  count: number;
+  lastSentDate: Date;
+  clientName: string;
+  title: string;
+}
+
+export interface JobViewResponse {
+  jobKey: string;
+  /** Raw job numbers as written in the mails. */
+  aliases: string[];
+  totalEmails: number;
+  inboxes: string[];
+  clientNames: string[];
+  titles: string[];
+  firstSentDate: Date | null;
+  lastSentDate: Date | null;
+  latestApproval: {
+    status: 'Approved' | 'Approved with changes' | 'Corrections pending';
+    emailId: string;
+    sentDate: Date | null;
+    item: string;
+  } | null;
+  correctionRound: number | null;
+  groups: Record<JobGroupKey, unknown[]>;
+}
+
+export interface CorrectionPattern {
+  from: { department: string; mailType: string };
+  to: { department: string; mailType: string };
+  count: number;
+  lastSeen: Date;
+  topDomains: string[];
 }
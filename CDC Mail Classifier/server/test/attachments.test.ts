@@ -0,0 +1,57 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import type { gmail_v1 } from 'googleapis';
+import { ingestAttachments } from '../src/lib/attachments.js';
+import type { AttachmentRef } from '../src/types/index.js';
+
+const ref: AttachmentRef = {
+  partId: '1',
+  filename: 'proof.pdf',
+  mimeType: 'application/pdf',
+  size: 120_000,
+  attachmentId: 'att-1',
+};
+
+/** Gmail double whose attachment download always fails with `error`. */
+function failingGmail(error: Error) {
+  return {
+    users: {
+      messages: {
+        attachments: {
+          get: async () => {
+            throw error;
+          },
+        },
+      },
+    },
+  } as unknown as gmail_v1.Gmail;
+}
+
+function gmailError(message: string, code: number): Error {
+  return Object.assign(new Error(message), { code });
+}
+
+describe('ingestAttachments', () => {
+  it('lists an attachment over the size limit without downloading it', async () => {
+    const gmail = failingGmail(gmailError('should not be called', 500));
+    const [stored] = await ingestAttachments(gmail, 'm1', [{ ...ref, size: 500 * 1024 * 1024 }]);
+
+    assert.equal(stored.tooLarge, true);
+    assert.equal(stored.fileId, undefined);
+  });
+
+  it('records an attachment Gmail refuses for good and carries on', async () => {
+    const gmail = failingGmail(gmailError('Requested entity was not found.', 404));
+    const [stored] = await ingestAttachments(gmail, 'm1', [ref]);
+
+    assert.equal(stored.filename, 'proof.pdf');
+    assert.equal(stored.downloadError, 'Requested entity was not found.');
+    assert.equal(stored.fileId, undefined);
+  });
+
+  it('rethrows a temporary download error so the message is fetched again', async () => {
+    const gmail = failingGmail(gmailError('Backend Error', 503));
+    await assert.rejects(ingestAttachments(gmail, 'm1', [ref]), /Backend Error/);
+  });
+});
@@ -0,0 +1,83 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { after, afterEach, before, describe, it, mock } from 'node:test';
+import mongoose from 'mongoose';
+import { config } from '../src/config.js';
+import { embedPendingEmails } from '../src/lib/embeddings.js';
+import { getProvider } from '../src/lib/llm/index.js';
+import type { EmbeddingRequest } from '../src/lib/llm/index.js';
+import { Email } from '../src/models/Email.js';
+import { LlmCall } from '../src/models/LlmCall.js';
+
+function pendingEmail(messageId: string) {
+  const subject = `Files for ${messageId}`;
+  return { _id: new mongoose.Types.ObjectId(), messageId, inbox: '', subject, body: 'Proofs attached' };
+}
+
+function providerError(message: string, status: number): Error {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Serves `pending` to the indexer and fails the provider with `error` for
+ * every call. Returns the batch sizes sent to the provider and the emails
+ * backed off.
+ */
+function useFailingProvider(pending: ReturnType<typeof pendingEmail>[], error: Error) {
+  const calls: number[] = [];
+  const backedOff: string[] = [];
+  mock.method(Email, 'find', () => ({
+    select: () => ({ sort: () => ({ limit: () => ({ lean: async () => pending }) }) }),
+  }));
+  mock.method(Email, 'updateOne', async (filter: { _id: mongoose.Types.ObjectId }) => {
+    backedOff.push(pending.find((e) => e._id.equals(filter._id))!.messageId);
+    return {};
+  });
+  mock.method(Email, 'bulkWrite', async () => ({}));
+  mock.method(LlmCall, 'insertMany', async () => []);
+  mock.method(getProvider('stub'), 'embed', async (request: EmbeddingRequest) => {
+    calls.push(request.input.length);
+    throw error;
+  });
+  return { calls, backedOff };
+}
+
+describe('embedPendingEmails', () => {
+  // env.ts turns embeddings off for every other suite.
+  const embeddings = config.embeddings as { provider: string };
+  const provider = embeddings.provider;
+  before(() => {
+    embeddings.provider = 'stub';
+  });
+  after(() => {
+    embeddings.provider = provider;
+  });
+  afterEach(() => mock.restoreAll());
+
+  it('backs off a single failed email without retrying it alone', async () => {
+    const { calls, backedOff } = useFailingProvider([pendingEmail('m1')], new Error('input is invalid'));
+
+    assert.equal(await embedPendingEmails(), 1);
+    assert.deepEqual(calls, [1]);
+    assert.deepEqual(backedOff, ['m1']);
+  });
+
+  it('retries a rejected batch one email at a time', async () => {
+    const { calls, backedOff } = useFailingProvider([pendingEmail('m1'), pendingEmail('m2')], new Error('input is invalid'));
+
+    assert.equal(await embedPendingEmails(), 2);
+    assert.deepEqual(calls, [2, 1, 1]);
+    assert.deepEqual(backedOff, ['m1', 'm2']);
+  });
+
+  // Runs last: the indexer stays paused after it.
+  it('pauses the whole indexer when the provider is down', async () => {
+    const outage = providerError('Service Unavailable', 503);
+    const { calls, backedOff } = useFailingProvider([pendingEmail('m1'), pendingEmail('m2')], outage);
+
+    assert.equal(await embedPendingEmails(), 0);
+    assert.equal(await embedPendingEmails(), 0);
+    assert.deepEqual(calls, [2]);
+    assert.deepEqual(backedOff, []);
+  });
+});
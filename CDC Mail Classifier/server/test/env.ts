@@ -0,0 +1,12 @@
+/**
+ * Imported first by every test: config.ts reads the environment once, at
+ * import. Tests never reach Google or an LLM provider.
+ */
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/cdc-mail-test';
+process.env.GOOGLE_CLIENT_ID ??= 'test-client-id';
+process.env.GOOGLE_CLIENT_SECRET ??= 'test-client-secret';
+process.env.GOOGLE_REDIRECT_URI ??= 'http://localhost:3002/api/auth/google/callback';
+process.env.ENCRYPTION_KEY ??= '0'.repeat(64);
+process.env.LLM_PROVIDER = 'stub';
+process.env.EMBEDDING_PROVIDER = 'off';
+process.env.AUTH_DISABLED = 'true';
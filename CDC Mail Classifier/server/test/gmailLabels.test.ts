@@ -0,0 +1,101 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import mongoose from 'mongoose';
+import { config } from '../src/config.js';
+import { labelNamesFor, syncEmailLabels, type QueuedLabelSync } from '../src/lib/gmailLabels.js';
+import { Email } from '../src/models/Email.js';
+import { Inbox } from '../src/models/Inbox.js';
+
+describe('labelNamesFor', () => {
+  it('nests the mail type under the department', () => {
+    assert.deepEqual(labelNamesFor({ department: 'Prepress', mailType: 'Correction received' }), [
+      'CDC/Prepress/Correction received',
+    ]);
+  });
+
+  it('adds the review label while the email waits for a reviewer', () => {
+    assert.deepEqual(labelNamesFor({ department: 'Production', mailType: 'Production query', needsReview: true }), [
+      'CDC/Production/Production query',
+      'CDC/Needs review',
+    ]);
+  });
+
+  it('replaces slashes that Gmail would read as another level', () => {
+    assert.deepEqual(labelNamesFor({ department: 'Prepress', mailType: 'Files/artwork' }), ['CDC/Prepress/Files-artwork']);
+  });
+
+  it('labels a department alone, and nothing for unclassified mail', () => {
+    assert.deepEqual(labelNamesFor({ department: 'Prepress' }), ['CDC/Prepress']);
+    assert.deepEqual(labelNamesFor({}), []);
+  });
+});
+
+/** Stands in for a mongoose query: every chained call resolves to `result`. */
+function query(result: unknown) {
+  const q = { select: () => q, lean: async () => result };
+  return q;
+}
+
+describe('syncEmailLabels', () => {
+  const inboxId = new mongoose.Types.ObjectId();
+  let updates: { filter: Record<string, unknown>; update: Record<string, Record<string, unknown>> }[];
+  let inboxFilters: Record<string, unknown>[];
+
+  function queued(attempts: number): QueuedLabelSync {
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      messageId: 'm1',
+      inbox: 'old-label',
+      department: 'Prepress',
+      mailType: 'Correction received',
+      needsReview: false,
+      labelSync: { status: 'syncing', inboxId, attempts },
+    } as unknown as QueuedLabelSync;
+  }
+
+  /** An inbox that writes labels but was connected without the modify scope, so every sync fails before Gmail. */
+  function useInbox(inbox: Record<string, unknown> | null) {
+    mock.method(Inbox, 'findOne', (filter: Record<string, unknown>) => {
+      inboxFilters.push(filter);
+      return query(inbox);
+    });
+  }
+
+  beforeEach(() => {
+    updates = [];
+    inboxFilters = [];
+    mock.method(Email, 'updateOne', async (filter: Record<string, unknown>, update: Record<string, Record<string, unknown>>) => {
+      updates.push({ filter, update });
+      return { acknowledged: true, modifiedCount: 1 };
+    });
+    mock.method(Inbox, 'updateOne', async () => ({ acknowledged: true }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const unscoped = { _id: inboxId, emailAddress: 'prepress@cdcprinters.com', refreshToken: 'x', writeLabels: true, scopes: [] };
+
+  it('finds a renamed inbox by the stored id and schedules a retry', async () => {
+    useInbox(unscoped);
+    assert.equal(await syncEmailLabels(queued(0)), 'retry');
+
+    assert.deepEqual(inboxFilters, [{ _id: inboxId }]);
+    const { $set } = updates[0].update;
+    assert.equal($set['labelSync.status'], 'pending');
+    assert.equal($set['labelSync.attempts'], 1);
+    assert.match(String($set['labelSync.lastError']), /modify access/);
+  });
+
+  it('gives up after the last attempt', async () => {
+    useInbox(unscoped);
+    assert.equal(await syncEmailLabels(queued(config.gmailLabels.maxAttempts - 1)), 'failed');
+    assert.equal(updates[0].update.$set['labelSync.status'], 'failed');
+  });
+
+  it('drops the sync when the inbox no longer writes labels', async () => {
+    useInbox({ ...unscoped, writeLabels: false });
+    assert.equal(await syncEmailLabels(queued(0)), 'skipped');
+    assert.deepEqual(updates[0].update, { $unset: { labelSync: 1 } });
+  });
+});
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server-core';
+
+export type TestMongo = { ok: true; stop: () => Promise<void> } | { ok: false; reason: string };
+
+/**
+ * Starts an in-memory MongoDB and connects mongoose to it. The mongod binary
+ * is downloaded on first use (or taken from MONGOMS_SYSTEM_BINARY); when that
+ * is impossible the reason is returned so the suite can skip, not hang. Under
+ * `CI` it throws instead: a pipeline suite that never ran must not pass.
+ */
+export async function startTestMongo(): Promise<TestMongo> {
+  let server: MongoMemoryServer;
+  try {
+    server = await MongoMemoryServer.create();
+  } catch (err) {
+    const reason = `in-memory MongoDB unavailable: ${err instanceof Error ? err.message : String(err)}`;
+    if (process.env.CI) {
+      throw new Error(`${reason}\nCI must run the MongoDB suites; set MONGOMS_SYSTEM_BINARY to an installed mongod.`);
+    }
+    return { ok: false, reason };
+  }
+
+  await mongoose.connect(server.getUri('cdc-mail-test'));
+  return {
+    ok: true,
+    stop: async () => {
+      await mongoose.disconnect();
+      await server.stop();
+    },
+  };
+}
+
+/** Empties every collection between tests. */
+export async function resetTestMongo(): Promise<void> {
+  const collections = await mongoose.connection.db!.collections();
+  await Promise.all(collections.map((c) => c.deleteMany({})));
+}
@@ -0,0 +1,53 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { afterEach, describe, it, mock } from 'node:test';
+import { WhatsAppSender } from '../src/lib/notify/webhook.js';
+import type { NotificationMessage, RecipientProgress } from '../src/lib/notify/index.js';
+
+const message: NotificationMessage = {
+  subject: 'Correction received',
+  text: 'Prepress: Correction received for job 24/1138',
+  payload: {} as NotificationMessage['payload'],
+};
+
+/** Gateway double that records each number posted to and fails for those in `failing`. */
+function mockGateway(failing: Set<string>): string[] {
+  const posted: string[] = [];
+  mock.method(globalThis, 'fetch', async (_url: string, init: RequestInit) => {
+    const { to } = JSON.parse(String(init.body)) as { to: string };
+    posted.push(to);
+    return failing.has(to) ? new Response('gateway down', { status: 502 }) : new Response('{}', { status: 200 });
+  });
+  return posted;
+}
+
+function progressLog(): RecipientProgress {
+  const progress: RecipientProgress = {
+    sent: [],
+    markSent: async (recipient) => {
+      progress.sent.push(recipient);
+    },
+  };
+  return progress;
+}
+
+describe('WhatsAppSender', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('does not message numbers again that an earlier attempt reached', async () => {
+    const failing = new Set(['+919800000002']);
+    const posted = mockGateway(failing);
+    const sender = new WhatsAppSender({ url: 'https://gateway.example/send', token: 't' }, 1000);
+    const progress = progressLog();
+    const target = '+919800000001, +919800000002, +919800000003';
+
+    await assert.rejects(sender.send(target, message, progress), /HTTP 502/);
+    assert.deepEqual(progress.sent, ['+919800000001']);
+
+    failing.clear();
+    await sender.send(target, message, progress);
+
+    assert.deepEqual(posted, ['+919800000001', '+919800000002', '+919800000002', '+919800000003']);
+    assert.deepEqual(progress.sent, ['+919800000001', '+919800000002', '+919800000003']);
+  });
+});
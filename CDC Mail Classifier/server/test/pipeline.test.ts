@@ -0,0 +1,77 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { after, beforeEach, describe, it } from 'node:test';
+import { classifyForStorage } from '../src/lib/pipeline.js';
+import { claimNextJob, enqueueClassification } from '../src/lib/queue.js';
+import { processJob } from '../src/jobs/worker.js';
+import { Email } from '../src/models/Email.js';
+import { EmailRevision } from '../src/models/EmailRevision.js';
+import type { NormalizedEmail } from '../src/types/index.js';
+import { resetTestMongo, startTestMongo } from './mongo.js';
+
+const mongo = await startTestMongo();
+
+function normalizedEmail(overrides: Partial<NormalizedEmail> = {}): NormalizedEmail {
+  return {
+    messageId: 'msg-1',
+    threadId: 'thread-1',
+    inbox: 'prepress',
+    fromName: 'Asha Rao',
+    fromEmail: 'asha@publisher.example',
+    toField: 'prepress@cdcprinters.com',
+    ccField: '',
+    subject: 'Corrections for job 24/1138',
+    sentDate: new Date('2024-05-02T09:30:00Z'),
+    body: 'Please find the corrections marked on pages 4 and 9. Changes required before print.',
+    attachments: [],
+    attachmentFiles: [],
+    gmailLink: 'https://mail.google.com/mail/u/0/#inbox/msg-1',
+    ...overrides,
+  };
+}
+
+describe('classification pipeline (stub provider)', { skip: mongo.ok ? false : mongo.reason }, () => {
+  beforeEach(resetTestMongo);
+  after(() => (mongo.ok ? mongo.stop() : undefined));
+
+  it('classifies with the stub model and records the prompt version', async () => {
+    const output = await classifyForStorage(normalizedEmail());
+
+    assert.equal(output.fields.department, 'Prepress');
+    assert.equal(output.fields.mailType, 'Correction received');
+    assert.equal(output.fields.jobNumber, '24/1138');
+    assert.equal(output.fields.classifier, 'stub');
+    assert.equal(output.fields.promptVersion, 1);
+  });
+
+  it('takes a queued message through to a stored, classified email', async () => {
+    await enqueueClassification(normalizedEmail());
+    const job = await claimNextJob();
+    assert.ok(job, 'the enqueued message is claimable');
+
+    await processJob(job);
+
+    const email = await Email.findOne({ messageId: 'msg-1' }).lean();
+    assert.ok(email);
+    assert.equal(email.department, 'Prepress');
+    assert.equal(email.mailType, 'Correction received');
+    assert.equal(email.jobKey, '24-1138');
+    assert.equal(email.needsReview, false);
+    assert.equal(await EmailRevision.countDocuments({ emailId: email._id }), 1);
+  });
+
+  it('stores a copy from a second inbox without classifying it again', async () => {
+    await enqueueClassification(normalizedEmail({ internetMessageId: 'abc@publisher.example' }));
+    await processJob((await claimNextJob())!);
+
+    await enqueueClassification(
+      normalizedEmail({ messageId: 'msg-2', inbox: 'production', internetMessageId: '<ABC@publisher.example>' }),
+    );
+    await processJob((await claimNextJob())!);
+
+    const copy = await Email.findOne({ messageId: 'msg-2' }).lean();
+    assert.ok(copy?.duplicateOf);
+    assert.equal(copy.mailType, 'Correction received');
+    assert.equal(await EmailRevision.countDocuments(), 1);
+  });
+});
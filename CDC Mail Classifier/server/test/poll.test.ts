@@ -0,0 +1,142 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import type { gmail_v1 } from 'googleapis';
+import { config } from '../src/config.js';
+import { processInbox } from '../src/jobs/poll.js';
+import { ClassificationJob } from '../src/models/ClassificationJob.js';
+import { Email } from '../src/models/Email.js';
+import { Inbox } from '../src/models/Inbox.js';
+
+/** A Gmail message with a plain-text body and no attachments. */
+function gmailMessage(id: string): gmail_v1.Schema$Message {
+  return {
+    id,
+    threadId: `thread-${id}`,
+    payload: {
+      mimeType: 'text/plain',
+      headers: [
+        { name: 'From', value: 'Asha Rao <asha@publisher.example>' },
+        { name: 'Subject', value: `Files for ${id}` },
+        { name: 'Date', value: 'Thu, 02 May 2024 09:30:00 +0000' },
+      ],
+      body: { data: Buffer.from(`Body of ${id}`).toString('base64url') },
+    },
+  };
+}
+
+/** Ids waiting on the inbox for the next sync. */
+function retryIds(inbox: InstanceType<typeof Inbox>): string[] {
+  return inbox.syncRetries.map((r) => r.messageId);
+}
+
+function gmailError(message: string, code: number): Error {
+  return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Gmail double: `history` is the next delta, and `failures` makes
+ * `messages.get` throw for a message id until it is removed.
+ */
+function fakeGmail(history: { ids: string[]; historyId: string }, failures: Map<string, Error>) {
+  return {
+    users: {
+      history: {
+        list: async () => ({
+          data: {
+            history: [{ messagesAdded: history.ids.map((id) => ({ message: { id } })) }],
+            historyId: history.historyId,
+          },
+        }),
+      },
+      messages: {
+        get: async ({ id }: { id: string }) => {
+          const failure = failures.get(id);
+          if (failure) throw failure;
+          return { data: gmailMessage(id) };
+        },
+      },
+    },
+  } as unknown as gmail_v1.Gmail;
+}
+
+/** Stands in for a mongoose query: every chained call resolves to `result`. */
+function query(result: unknown) {
+  const q = { select: () => q, sort: () => q, lean: async () => result };
+  return q;
+}
+
+describe('processInbox', () => {
+  let enqueued: string[];
+  let inbox: InstanceType<typeof Inbox>;
+
+  beforeEach(() => {
+    enqueued = [];
+    // No stored mail and an empty queue; enqueueing records the message id.
+    mock.method(Email, 'findOne', () => query(null));
+    mock.method(ClassificationJob, 'countDocuments', async () => 0);
+    mock.method(ClassificationJob, 'updateOne', async (filter: { messageId: string }) => {
+      enqueued.push(filter.messageId);
+      return { acknowledged: true };
+    });
+
+    inbox = new Inbox({ label: 'prepress', emailAddress: 'prepress@cdcprinters.com', refreshToken: 'x', historyId: '100' });
+    mock.method(inbox, 'save', async () => inbox);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('moves the cursor on but keeps a message that failed for the next sync', async () => {
+    const failures = new Map([['m2', gmailError('Backend Error', 500)]]);
+    await processInbox(inbox, fakeGmail({ ids: ['m1', 'm2', 'm3'], historyId: '200' }, failures));
+
+    assert.equal(inbox.historyId, '200');
+    assert.deepEqual(enqueued, ['m1', 'm3']);
+    assert.deepEqual(retryIds(inbox), ['m2']);
+    assert.equal(inbox.health, 'retrying');
+    assert.match(inbox.lastError ?? '', /Backend Error/);
+  });
+
+  it('retries the failed message on the next sync even when the delta is empty', async () => {
+    const failures = new Map([['m2', gmailError('Backend Error', 500)]]);
+    await processInbox(inbox, fakeGmail({ ids: ['m1', 'm2'], historyId: '200' }, failures));
+
+    failures.clear();
+    enqueued = [];
+    await processInbox(inbox, fakeGmail({ ids: [], historyId: '300' }, failures));
+
+    assert.equal(inbox.historyId, '300');
+    assert.deepEqual(enqueued, ['m2']);
+    assert.deepEqual(retryIds(inbox), []);
+    assert.equal(inbox.health, 'ok');
+  });
+
+  it('keeps failing messages queued until they succeed', async () => {
+    const failures = new Map([['m2', gmailError('Backend Error', 500)]]);
+    await processInbox(inbox, fakeGmail({ ids: ['m2'], historyId: '200' }, failures));
+    await processInbox(inbox, fakeGmail({ ids: ['m4'], historyId: '300' }, failures));
+
+    assert.deepEqual(enqueued, ['m4']);
+    assert.deepEqual(retryIds(inbox), ['m2']);
+    assert.equal(inbox.syncRetries[0].attempts, 2);
+  });
+
+  it('drops a message after the attempt limit and reports it on the inbox', async () => {
+    const failures = new Map([['m2', gmailError('Backend Error', 500)]]);
+    inbox.set('syncRetries', [{ messageId: 'm2', attempts: config.poll.maxMessageAttempts - 1, lastError: 'Backend Error' }]);
+    await processInbox(inbox, fakeGmail({ ids: ['m1'], historyId: '200' }, failures));
+
+    assert.deepEqual(enqueued, ['m1']);
+    assert.deepEqual(retryIds(inbox), []);
+    assert.equal(inbox.health, 'ok');
+    assert.match(inbox.lastError ?? '', /Gave up on 1 message/);
+  });
+
+  it('drops a message deleted from Gmail instead of retrying it forever', async () => {
+    const failures = new Map([['m2', gmailError('Requested entity was not found.', 404)]]);
+    await processInbox(inbox, fakeGmail({ ids: ['m1', 'm2'], historyId: '200' }, failures));
+
+    assert.deepEqual(enqueued, ['m1']);
+    assert.deepEqual(retryIds(inbox), []);
+  });
+});
@@ -0,0 +1,75 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Redactor } from '../src/lib/normalize.js';
+import type { RedactionCategory } from '../src/types/index.js';
+
+const ALL: RedactionCategory[] = ['phone', 'bank', 'tax_id', 'price', 'email', 'name'];
+
+function mask(text: string, categories: RedactionCategory[] = ALL): string {
+  return new Redactor({ categories, strict: false }).text(text);
+}
+
+describe('Redactor', () => {
+  const masked: [string, string, string][] = [
+    ['GSTIN', 'GSTIN: 27AAPFU0939F1ZV', 'GSTIN: [TAX_ID_1]'],
+    ['PAN', 'PAN AAPFU0939F', 'PAN [TAX_ID_1]'],
+    ['IFSC', 'IFSC HDFC0001234', 'IFSC [BANK_1]'],
+    ['labelled account number', 'A/c no: 50100234567890', 'A/c no: [BANK_1]'],
+    ['labelled phone number', 'Mob: 98200 12345', 'Mob: [PHONE_1]'],
+    ['international number', 'call +91 22 2345 6789 today', 'call [PHONE_1] today'],
+    ['bare Indian mobile', 'reach me on 9820012345', 'reach me on [PHONE_1]'],
+    ['landline', 'office 022-2345-6789', 'office [PHONE_1]'],
+    ['price', 'quote Rs. 45,000/- for 500 copies', 'quote [PRICE_1] for 500 copies'],
+  ];
+  for (const [name, input, expected] of masked) {
+    it(`masks a ${name}`, () => assert.equal(mask(input), expected));
+  }
+
+  const kept: [string, string][] = [
+    ['ISBN-10', 'ISBN 9876543210'],
+    ['ISBN-13', 'ISBN: 978-81-7525-766-5'],
+    ['slashed job number', 'Job 24/1138 proofs attached'],
+    ['hyphenated job number', 'JOB-2024-98765 plates ready'],
+    ['page count', '320 pages, 70 gsm'],
+  ];
+  for (const [name, input] of kept) {
+    it(`keeps a ${name}`, () => assert.equal(mask(input), input));
+  }
+
+  // Labelled numbers are matched first, so they take the lower placeholder numbers.
+  it('masks the phone number next to a job number and keeps the job number', () => {
+    const body = 'Re job 24/1138: call 9820012345 before printing. Job no. JOB-2024-98765, Mob: 98200 54321';
+    assert.equal(
+      mask(body),
+      'Re job 24/1138: call [PHONE_2] before printing. Job no. JOB-2024-98765, Mob: [PHONE_1]',
+    );
+  });
+
+  it('only masks the enabled categories', () => {
+    assert.equal(mask('Mob: 9820012345, GSTIN 27AAPFU0939F1ZV', ['tax_id']), 'Mob: 9820012345, GSTIN [TAX_ID_1]');
+  });
+
+  it('gives a repeated value the same placeholder', () => {
+    assert.equal(mask('9820012345 or 9820012345, else 9820054321'), '[PHONE_1] or [PHONE_1], else [PHONE_2]');
+  });
+
+  it('restores placeholders the model copied into its answer', () => {
+    const redactor = new Redactor({ categories: ALL, strict: false });
+    const prompt = redactor.text('Bill to GSTIN 27AAPFU0939F1ZV, pay to A/c no: 50100234567890');
+    assert.equal(prompt, 'Bill to GSTIN [TAX_ID_1], pay to A/c no: [BANK_1]');
+
+    const answer = { clientName: 'Acme', type_specific: { gstin: '[TAX_ID_1]', notes: ['account [BANK_1]', '[PHONE_9]'] } };
+    assert.deepEqual(redactor.restoreDeep(answer), {
+      clientName: 'Acme',
+      type_specific: { gstin: '27AAPFU0939F1ZV', notes: ['account 50100234567890', '[PHONE_9]'] },
+    });
+  });
+
+  it('masks personal mailboxes but keeps company addresses', () => {
+    assert.equal(
+      mask('from rao.asha@gmail.com via orders@publisher.example'),
+      'from [EMAIL_1]@gmail.com via orders@publisher.example',
+    );
+  });
+});
@@ -0,0 +1,94 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import { compileConditions, evaluateRules, invalidateRuleCache, ruleMatches } from '../src/lib/rules.js';
+import { Rule } from '../src/models/Rule.js';
+import type { RuleCondition } from '../src/types/index.js';
+
+const email = {
+  fromName: 'Asha Rao',
+  fromEmail: 'asha@mail.publisher.example',
+  subject: 'Corrections for job 24/1138',
+  body: 'Please find the corrections marked on pages 4 and 9.',
+};
+
+function matches(match: 'all' | 'any', conditions: RuleCondition[]): boolean {
+  return ruleMatches({ match, conditions: compileConditions(conditions) }, email);
+}
+
+describe('ruleMatches', () => {
+  const cases: [string, RuleCondition, boolean][] = [
+    ['domain matches the sender domain', { field: 'from', operator: 'domain', value: 'mail.publisher.example' }, true],
+    ['domain matches a subdomain', { field: 'from', operator: 'domain', value: '@publisher.example' }, true],
+    ['domain does not match a look-alike', { field: 'from', operator: 'domain', value: 'lisher.example' }, false],
+    ['contains ignores case', { field: 'subject', operator: 'contains', value: 'CORRECTIONS' }, true],
+    ['equals needs the whole field', { field: 'subject', operator: 'equals', value: 'Corrections' }, false],
+    ['regex matches', { field: 'body', operator: 'regex', value: 'pages? \\d+' }, true],
+    ['an invalid regex never matches', { field: 'body', operator: 'regex', value: 'pages (' }, false],
+    ['an empty value never matches', { field: 'body', operator: 'contains', value: '  ' }, false],
+  ];
+  for (const [name, condition, expected] of cases) {
+    it(name, () => assert.equal(matches('all', [condition]), expected));
+  }
+
+  const hit: RuleCondition = { field: 'subject', operator: 'contains', value: 'job' };
+  const miss: RuleCondition = { field: 'subject', operator: 'contains', value: 'invoice' };
+
+  it('all needs every condition', () => {
+    assert.equal(matches('all', [hit, miss]), false);
+    assert.equal(matches('all', [hit, hit]), true);
+  });
+
+  it('any needs one condition', () => {
+    assert.equal(matches('any', [miss, hit]), true);
+    assert.equal(matches('any', [miss, miss]), false);
+  });
+
+  it('a rule without conditions never matches', () => {
+    assert.equal(matches('any', []), false);
+  });
+});
+
+describe('evaluateRules', () => {
+  const rule = (name: string, action: 'classify' | 'skip' | 'hint', value: string) => ({
+    _id: name,
+    name,
+    match: 'all',
+    conditions: [{ field: 'subject', operator: 'contains', value }],
+    action,
+    department: action === 'classify' ? 'Prepress' : '',
+    mailType: action === 'classify' ? 'Correction received' : '',
+    hint: action === 'hint' ? `hint from ${name}` : '',
+  });
+
+  function useRules(rules: ReturnType<typeof rule>[]) {
+    mock.method(Rule, 'find', () => ({ sort: () => ({ lean: async () => rules }) }));
+  }
+
+  beforeEach(invalidateRuleCache);
+  afterEach(() => mock.restoreAll());
+
+  it('collects hints until the first classify rule and stops there', async () => {
+    useRules([
+      rule('h1', 'hint', 'job'),
+      rule('h2', 'hint', 'invoice'),
+      rule('h3', 'hint', 'corrections'),
+      rule('c1', 'classify', 'job'),
+      rule('h4', 'hint', 'job'),
+      rule('s1', 'skip', 'job'),
+    ]);
+    const evaluation = await evaluateRules(email);
+
+    assert.equal(evaluation.decision?.id, 'c1');
+    assert.deepEqual(evaluation.hints, ['hint from h1', 'hint from h3']);
+    assert.deepEqual(evaluation.matchedRuleIds, ['h1', 'h3', 'c1']);
+  });
+
+  it('leaves the decision to the model when only hints match', async () => {
+    useRules([rule('h1', 'hint', 'job'), rule('s1', 'skip', 'newsletter')]);
+    const evaluation = await evaluateRules(email);
+
+    assert.equal(evaluation.decision, null);
+    assert.deepEqual(evaluation.hints, ['hint from h1']);
+  });
+});
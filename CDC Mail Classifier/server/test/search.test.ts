@@ -0,0 +1,98 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildSnippet, parseSearchQuery } from '../src/lib/search.js';
+import { DEFAULT_TAXONOMY } from '../src/lib/taxonomy.js';
+
+function parse(query: string, user?: string) {
+  return parseSearchQuery(query, DEFAULT_TAXONOMY, user);
+}
+
+describe('parseSearchQuery', () => {
+  const cases: { query: string; text: string; highlights: string[]; conditions: Record<string, unknown>[] }[] = [
+    { query: 'proof approved', text: 'proof approved', highlights: ['proof', 'approved'], conditions: [] },
+    { query: '"colour proof" cover', text: '"colour proof" cover', highlights: ['colour proof', 'cover'], conditions: [] },
+    { query: 'proof -ozalid -"second round"', text: 'proof -ozalid -"second round"', highlights: ['proof'], conditions: [] },
+    {
+      query: 'client:"Oxford University"',
+      text: '',
+      highlights: [],
+      conditions: [{ clientName: { $regex: 'Oxford University', $options: 'i' } }],
+    },
+    {
+      query: 'type:approval dept:prepress',
+      text: '',
+      highlights: [],
+      conditions: [{ mailType: { $in: ['Approval received'] } }, { department: { $in: ['Prepress', 'Packprepress'] } }],
+    },
+    {
+      query: '-from:noreply',
+      text: '',
+      highlights: [],
+      conditions: [
+        { $nor: [{ $or: [{ fromEmail: { $regex: 'noreply', $options: 'i' } }, { fromName: { $regex: 'noreply', $options: 'i' } }] }] },
+      ],
+    },
+    { query: 'colour:cmyk', text: 'colour:cmyk', highlights: ['colour:cmyk'], conditions: [] },
+    { query: 'is:pending', text: 'is:pending', highlights: ['is:pending'], conditions: [] },
+    { query: '24-1138', text: '', highlights: [], conditions: [{ jobKey: '24-1138' }] },
+    { query: 'JC-2024-1138 plates', text: 'plates', highlights: ['plates'], conditions: [{ jobKey: '24-1138' }] },
+    {
+      query: 'after:2024-05-01 before:2024-06-01',
+      text: '',
+      highlights: [],
+      conditions: [{ sentDate: { $gte: new Date('2024-05-01') } }, { sentDate: { $lt: new Date('2024-06-01') } }],
+    },
+    { query: 'before:someday', text: 'before:someday', highlights: ['before:someday'], conditions: [] },
+    { query: 'has:attachment', text: '', highlights: [], conditions: [{ 'attachments.0': { $exists: true } }] },
+  ];
+
+  for (const { query, ...expected } of cases) {
+    it(`parses ${query}`, () => assert.deepEqual(parse(query), expected));
+  }
+
+  it('matches assignee:me on the signed-in user', () => {
+    assert.deepEqual(parse('assignee:me', 'asha@cdcprinters.com').conditions, [{ assignee: 'asha@cdcprinters.com' }]);
+  });
+
+  it('does not filter on an undefined assignee when nobody is signed in', () => {
+    const parsed = parse('assignee:me');
+    assert.deepEqual(parsed.conditions, []);
+    assert.equal(parsed.text, 'assignee:me');
+  });
+});
+
+describe('buildSnippet', () => {
+  it('highlights words sharing the stem of a search term', () => {
+    const snippet = buildSnippet({ body: 'Thanks, approval for the cover is attached.' }, ['approved']);
+    assert.ok(snippet);
+    assert.equal(snippet.field, 'body');
+    const [[from, to]] = snippet.matches;
+    assert.equal(snippet.text.slice(from, to), 'approval');
+  });
+
+  it('falls back to attachment text when the body does not match', () => {
+    const snippet = buildSnippet(
+      {
+        body: 'Please see attached.',
+        attachmentFiles: [{ filename: 'po.pdf', extractedText: 'Purchase order 4471 for 500 copies' }],
+      },
+      ['purchase order'],
+    );
+    assert.equal(snippet?.field, 'attachment');
+    assert.equal(snippet?.filename, 'po.pdf');
+  });
+
+  it('trims long text to an excerpt around the first match', () => {
+    const body = `${'filler words '.repeat(40)}the proofs are ready ${'more filler '.repeat(40)}`;
+    const snippet = buildSnippet({ body }, ['proofs']);
+    assert.ok(snippet);
+    assert.ok(snippet.text.startsWith('… '));
+    assert.ok(snippet.text.endsWith(' …'));
+    assert.ok(snippet.text.includes('the proofs are ready'));
+  });
+
+  it('returns null when nothing matches', () => {
+    assert.equal(buildSnippet({ body: 'Plates are ready' }, ['invoice']), null);
+  });
+});